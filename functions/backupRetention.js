@@ -0,0 +1,110 @@
+// functions/backupRetention.js
+// Grandfather-father-son retention for the backups under public/data/backups: the newest backup of each of the last
+// 7 days, 4 weeks and 12 months is kept, everything else expires. A backup can satisfy more than one tier.
+// An incremental backup is only restorable with the backups it builds on, so those are kept along with it.
+
+const DEFAULT_RETENTION = { daily: 7, weekly: 4, monthly: 12 };
+
+/** Calendar parts of `date` in `timeZone`, so "one per day" follows the shop's day rather than UTC. */
+function getZonedDate(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** Same `YYYY-MM-DDTHH-mm-ss` format as generateBackupId() in src/utils/backupService.js, in the shop's time zone. */
+function generateBackupId(date, timeZone) {
+  const z = getZonedDate(date, timeZone);
+  return `${z.year}-${pad(z.month)}-${pad(z.day)}T${pad(z.hour)}-${pad(z.minute)}-${pad(z.second)}`;
+}
+
+/** When a backup was taken: its createdAt, or the time encoded in its id for backups listed without one. */
+function getBackupTime(backup) {
+  const fromCreatedAt = backup.createdAt ? new Date(backup.createdAt) : null;
+  if (fromCreatedAt && !Number.isNaN(fromCreatedAt.getTime())) return fromCreatedAt;
+  const match = String(backup.id || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  return new Date(y, mo - 1, d, h, mi, s);
+}
+
+/** ISO week (Monday start) of a calendar date, e.g. `2026-W42`. */
+function getIsoWeekKey({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const weekYear = date.getUTCFullYear();
+  const week = Math.ceil(((date - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+  return `${weekYear}-W${pad(week)}`;
+}
+
+/**
+ * Split backups into those the policy keeps and those that expired. Backups whose time cannot be read are kept,
+ * since pruning something we cannot place is not worth the risk.
+ * @returns {{ keep: Array<{ id: string }>, expired: Array<{ id: string }> }}
+ */
+function applyRetention(backups, { timeZone, retention = DEFAULT_RETENTION } = {}) {
+  const dated = [];
+  const keepIds = new Set();
+  (backups || []).forEach((backup) => {
+    const time = getBackupTime(backup);
+    if (time) dated.push({ backup, time });
+    else keepIds.add(backup.id);
+  });
+  dated.sort((a, b) => b.time - a.time);
+
+  const tiers = [
+    { limit: retention.daily, key: (z) => `${z.year}-${pad(z.month)}-${pad(z.day)}` },
+    { limit: retention.weekly, key: (z) => getIsoWeekKey(z) },
+    { limit: retention.monthly, key: (z) => `${z.year}-${pad(z.month)}` },
+  ];
+  tiers.forEach(({ limit, key }) => {
+    const seen = new Set();
+    dated.forEach(({ backup, time }) => {
+      const bucket = key(getZonedDate(time, timeZone));
+      if (seen.has(bucket) || seen.size >= limit) return;
+      // Newest first, so the first backup met in each bucket is the one kept for it.
+      seen.add(bucket);
+      keepIds.add(backup.id);
+    });
+  });
+
+  const byId = new Map((backups || []).map(b => [b.id, b]));
+  [...keepIds].forEach((id) => {
+    let current = byId.get(id);
+    while (current?.kind === 'incremental' && current.baseId && !keepIds.has(current.baseId)) {
+      keepIds.add(current.baseId);
+      current = byId.get(current.baseId);
+    }
+  });
+
+  return {
+    keep: (backups || []).filter(b => keepIds.has(b.id)),
+    expired: (backups || []).filter(b => !keepIds.has(b.id)),
+  };
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  applyRetention,
+  generateBackupId,
+  getBackupTime,
+  getIsoWeekKey,
+};
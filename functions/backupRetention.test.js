@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyRetention, generateBackupId, getBackupTime, getIsoWeekKey } = require('./backupRetention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const keptIds = (result) => result.keep.map((b) => b.id).sort();
+
+/** One backup at noon UTC on each of the `days` days up to and including `lastDay`, ids are the dates. */
+function dailyBackups(lastDay, days) {
+  const last = new Date(`${lastDay}T12:00:00.000Z`).getTime();
+  return Array.from({ length: days }, (_, i) => {
+    const createdAt = new Date(last - i * DAY_MS).toISOString();
+    return { id: createdAt.slice(0, 10), createdAt };
+  });
+}
+
+describe('applyRetention', () => {
+  it('keeps the newest backup of each of the last 7 days, 4 weeks and 12 months', () => {
+    const backups = dailyBackups('2024-06-30', 400);
+    const result = applyRetention(backups, { timeZone: 'UTC' });
+    assert.deepEqual(keptIds(result), [
+      // monthly: last day of each month back to July 2023
+      '2023-07-31', '2023-08-31', '2023-09-30', '2023-10-31', '2023-11-30', '2023-12-31',
+      '2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31',
+      // weekly: the Sundays ending ISO weeks 23-25 (week 26 is covered by the dailies)
+      '2024-06-09', '2024-06-16', '2024-06-23',
+      // daily
+      '2024-06-24', '2024-06-25', '2024-06-26', '2024-06-27', '2024-06-28', '2024-06-29', '2024-06-30',
+    ]);
+    assert.equal(result.keep.length + result.expired.length, 400);
+  });
+
+  it('keeps only the newest backup of a day', () => {
+    const backups = [
+      { id: 'morning', createdAt: '2024-06-30T08:00:00.000Z' },
+      { id: 'evening', createdAt: '2024-06-30T20:00:00.000Z' },
+    ];
+    const result = applyRetention(backups, { timeZone: 'UTC' });
+    assert.deepEqual(keptIds(result), ['evening']);
+    assert.deepEqual(result.expired.map((b) => b.id), ['morning']);
+  });
+
+  it('splits days in the shop time zone', () => {
+    const backups = [
+      { id: 'a', createdAt: '2024-06-30T03:00:00.000Z' },
+      { id: 'b', createdAt: '2024-06-29T20:00:00.000Z' },
+      { id: 'c', createdAt: '2024-06-28T20:00:00.000Z' },
+    ];
+    const retention = { daily: 2, weekly: 0, monthly: 0 };
+    assert.deepEqual(keptIds(applyRetention(backups, { timeZone: 'UTC', retention })), ['a', 'b']);
+    // In Chicago, a and b are both taken on June 29
+    assert.deepEqual(keptIds(applyRetention(backups, { timeZone: 'America/Chicago', retention })), ['a', 'c']);
+  });
+
+  it('keeps the backups a kept incremental builds on', () => {
+    const backups = [
+      { id: 'inc2', kind: 'incremental', baseId: 'inc1', createdAt: '2024-06-30T12:00:00.000Z' },
+      { id: 'inc1', kind: 'incremental', baseId: 'full', createdAt: '2024-06-30T06:00:00.000Z' },
+      { id: 'full', kind: 'full', createdAt: '2024-06-30T01:00:00.000Z' },
+      { id: 'old', kind: 'full', createdAt: '2024-06-29T01:00:00.000Z' },
+    ];
+    const result = applyRetention(backups, { timeZone: 'UTC', retention: { daily: 1, weekly: 0, monthly: 0 } });
+    assert.deepEqual(keptIds(result), ['full', 'inc1', 'inc2']);
+    assert.deepEqual(result.expired.map((b) => b.id), ['old']);
+  });
+
+  it('keeps backups whose time cannot be read', () => {
+    const result = applyRetention([{ id: 'mystery' }, { id: 'bad', createdAt: 'nope' }], { timeZone: 'UTC', retention: { daily: 0, weekly: 0, monthly: 0 } });
+    assert.deepEqual(keptIds(result), ['bad', 'mystery']);
+    assert.deepEqual(applyRetention(undefined, { timeZone: 'UTC' }), { keep: [], expired: [] });
+  });
+});
+
+describe('backup times', () => {
+  it('reads createdAt, else the local time in the id', () => {
+    assert.deepEqual(getBackupTime({ id: 'x', createdAt: '2024-06-30T12:00:00.000Z' }), new Date('2024-06-30T12:00:00.000Z'));
+    assert.deepEqual(getBackupTime({ id: '2024-06-30T08-15-30' }), new Date(2024, 5, 30, 8, 15, 30));
+    assert.equal(getBackupTime({ id: 'manual-backup' }), null);
+  });
+
+  it('writes ids in the shop time zone', () => {
+    assert.equal(generateBackupId(new Date('2024-06-30T03:04:05.000Z'), 'UTC'), '2024-06-30T03-04-05');
+    assert.equal(generateBackupId(new Date('2024-06-30T03:04:05.000Z'), 'America/Chicago'), '2024-06-29T22-04-05');
+  });
+
+  [
+    [{ year: 2024, month: 6, day: 30 }, '2024-W26'],
+    [{ year: 2024, month: 6, day: 24 }, '2024-W26'],
+    [{ year: 2021, month: 1, day: 3 }, '2020-W53'],
+    [{ year: 2024, month: 12, day: 30 }, '2025-W01'],
+  ].forEach(([date, week]) => {
+    it(`puts ${JSON.stringify(date)} in ISO week ${week}`, () => {
+      assert.equal(getIsoWeekKey(date), week);
+    });
+  });
+});
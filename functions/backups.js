@@ -0,0 +1,156 @@
+// functions/backups.js
+// Nightly backup in the same layout as backupCollections() in src/utils/backupService.js (incremental on top of the
+// newest backup, with a full copy every MAX_INCREMENTAL_CHAIN runs), followed by pruning the backups the retention
+// policy no longer keeps. The outcome of each run is written to backups_meta/schedule, which BackupModal shows.
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { applyRetention, DEFAULT_RETENTION, generateBackupId } = require('./backupRetention');
+
+// Same as CHANGE_TRACKED_COLLECTIONS / DELETED_DOCS_COLLECTION in src/constants/changeTracking.js and
+// MAX_INCREMENTAL_CHAIN in src/utils/backupService.js.
+const BACKUP_COLLECTIONS = ['materials', 'inventory', 'inventory_lots', 'usage_logs', 'lot_consumptions'];
+const DELETED_DOCS_COLLECTION = 'deleted_docs';
+const MAX_INCREMENTAL_CHAIN = 13;
+const BATCH_LIMIT = 450;
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+const scheduleStatusRef = (db, appId) => db.doc(`${dataPath(appId)}/backups_meta/schedule`);
+
+async function copyDocs(db, docs, targetPath) {
+  for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_LIMIT).forEach((docSnap) => batch.set(db.doc(`${targetPath}/${docSnap.id}`), docSnap.data()));
+    await batch.commit();
+  }
+}
+
+/**
+ * Copy the backed-up collections under backups/{backupId}: everything, or with a `base` only the docs changed since
+ * its watermark plus the tombstones of docs deleted since.
+ * @returns {Promise<{ totalDocs: number, deletedDocs: number }>}
+ */
+async function copyCollections(db, appId, backupId, base) {
+  const rootPath = `${dataPath(appId)}/backups/${backupId}`;
+  let totalDocs = 0;
+  for (const coll of BACKUP_COLLECTIONS) {
+    const source = db.collection(`${dataPath(appId)}/${coll}`);
+    const snap = await (base ? source.where('updatedAt', '>=', base.watermark) : source).get();
+    await copyDocs(db, snap.docs, `${rootPath}/${coll}`);
+    totalDocs += snap.size;
+  }
+
+  let deletedDocs = 0;
+  if (base) {
+    const tombstones = await db.collection(`${dataPath(appId)}/${DELETED_DOCS_COLLECTION}`).where('deletedAt', '>=', base.watermark).get();
+    const relevant = tombstones.docs.filter((d) => BACKUP_COLLECTIONS.includes(d.get('collection')));
+    await copyDocs(db, relevant, `${rootPath}/${DELETED_DOCS_COLLECTION}`);
+    deletedDocs = relevant.length;
+  }
+  return { totalDocs, deletedDocs };
+}
+
+/** Newest finished backup to build on, or null when the next one should be full. */
+async function findIncrementalBase(db, appId) {
+  const snap = await db.collection(`${dataPath(appId)}/backups`).orderBy('watermark', 'desc').limit(1).get();
+  if (snap.empty) return null;
+  const base = { id: snap.docs[0].id, ...snap.docs[0].data() };
+  return (base.chainLength || 0) < MAX_INCREMENTAL_CHAIN ? base : null;
+}
+
+/**
+ * Delete tombstones older than every backup that is left: increments only ever copy tombstones from the newest
+ * backup's watermark on, so these can no longer be needed.
+ * @returns {Promise<number>}
+ */
+async function pruneTombstones(db, appId, keptBackups) {
+  const watermarks = keptBackups.map((b) => b.watermark).filter(Boolean);
+  if (watermarks.length === 0) return 0;
+  const oldest = watermarks.reduce((min, w) => (w.toMillis() < min.toMillis() ? w : min));
+  const tombstones = db.collection(`${dataPath(appId)}/${DELETED_DOCS_COLLECTION}`);
+  let deleted = 0;
+  for (;;) {
+    const page = await tombstones.where('deletedAt', '<', oldest).limit(BATCH_LIMIT).get();
+    if (page.empty) break;
+    const batch = db.batch();
+    page.docs.forEach((docSnap) => batch.delete(docSnap.ref));
+    await batch.commit();
+    deleted += page.size;
+  }
+  return deleted;
+}
+
+/**
+ * Delete one backup: every doc in each of its subcollections, BATCH_LIMIT at a time so a large backup never needs
+ * more than one batch in memory, then its list doc.
+ * @returns {Promise<number>} docs deleted, the list doc included
+ */
+async function deleteBackup(db, appId, backupId) {
+  const backupRef = db.doc(`${dataPath(appId)}/backups/${backupId}`);
+  let deleted = 0;
+  const subcollections = await backupRef.listCollections();
+  for (const subcollection of subcollections) {
+    for (;;) {
+      const page = await subcollection.limit(BATCH_LIMIT).get();
+      if (page.empty) break;
+      const batch = db.batch();
+      page.docs.forEach((docSnap) => batch.delete(docSnap.ref));
+      await batch.commit();
+      deleted += page.size;
+    }
+  }
+  await backupRef.delete();
+  return deleted + 1;
+}
+
+/** Take tonight's backup, then prune expired ones. Failures are recorded on backups_meta/schedule and rethrown. */
+async function runScheduledBackup(db, appId, { timeZone, retention = DEFAULT_RETENTION, now = new Date() } = {}) {
+  const statusRef = scheduleStatusRef(db, appId);
+  const startedAt = now.toISOString();
+  await statusRef.set({ status: 'running', startedAt, retention }, { merge: true });
+
+  try {
+    const backupId = generateBackupId(now, timeZone);
+    const backupRef = db.doc(`${dataPath(appId)}/backups/${backupId}`);
+    const base = await findIncrementalBase(db, appId);
+    const chain = { kind: base ? 'incremental' : 'full', baseId: base?.id || null, chainLength: base ? (base.chainLength || 0) + 1 : 0 };
+
+    // Server commit time, the same clock `updatedAt` is stamped with (see backupCollections).
+    await backupRef.set({ startedAt: FieldValue.serverTimestamp(), kind: chain.kind, trigger: 'scheduled' }, { merge: true });
+    const watermark = (await backupRef.get()).get('startedAt');
+    const { totalDocs, deletedDocs } = await copyCollections(db, appId, backupId, base);
+    const createdAt = new Date().toISOString();
+    await db.doc(`${dataPath(appId)}/backups_meta/latest`).set({ id: backupId, createdAt, totalDocs, ...chain }, { merge: true });
+    await backupRef.set({ createdAt, totalDocs, deletedDocs, trigger: 'scheduled', ...chain, watermark }, { merge: true });
+
+    const listSnap = await db.collection(`${dataPath(appId)}/backups`).get();
+    const { keep, expired } = applyRetention(listSnap.docs.map(d => ({ id: d.id, ...d.data() })), { timeZone, retention });
+    const pruned = [];
+    let prunedDocs = 0;
+    for (const backup of expired) {
+      prunedDocs += await deleteBackup(db, appId, backup.id);
+      pruned.push(backup.id);
+    }
+    const prunedTombstones = await pruneTombstones(db, appId, keep);
+
+    const result = { backupId, kind: chain.kind, totalDocs, kept: keep.length, pruned, prunedDocs, prunedTombstones };
+    await statusRef.set({
+      status: 'success',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      lastSuccessAt: createdAt,
+      error: null,
+      ...result,
+    }, { merge: true });
+    return result;
+  } catch (err) {
+    await statusRef.set({
+      status: 'error',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      error: err?.message || String(err),
+    }, { merge: true }).catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = { BACKUP_COLLECTIONS, deleteBackup, runScheduledBackup };
@@ -0,0 +1,162 @@
+// functions/index.js
+// Server-maintained stock counters. Every inventory write adjusts its material's doc in `inventory_summaries`, so the
+// dashboard and reorder view read a handful of small docs instead of counting (or listening to) every sheet.
+// Triggers are at-least-once and increments are not idempotent, so a nightly reconciliation recounts from the
+// stock collection and overwrites any material whose counters drifted.
+// Also takes the nightly backup (see backups.js).
+
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { defineString } = require('firebase-functions/params');
+const logger = require('firebase-functions/logger');
+const {
+  buildCountersFromDocs,
+  countersMatch,
+  diffContributions,
+  getSummaryDocId,
+  nestPaths,
+} = require('./summaryCounters');
+const { runScheduledBackup } = require('./backups');
+
+initializeApp();
+const db = getFirestore();
+
+// Same app id and fallback staff as firestore.rules.
+const APP_ID = 'tecnopan-inventory-app';
+const FALLBACK_STAFF_EMAILS = ['joe.barrettoburns@gmail.com', 'sahjin.ribeiro@gmail.com'];
+const SUMMARIES_COLLECTION = 'inventory_summaries';
+// The collection the app reads stock from. Set STOCK_COLLECTION=inventory_lots in functions/.env, redeploy and run the
+// reconciliation when INVENTORY_LOTS_ENABLED is switched on. Both collections have a trigger but only this one counts,
+// since the sheet docs a lot migration leaves in place would otherwise be counted twice.
+const STOCK_COLLECTION = defineString('STOCK_COLLECTION', { default: 'inventory' });
+const BATCH_LIMIT = 450;
+// Schedules run on the shop's clock, and backups are bucketed into its days for retention.
+const TIME_ZONE = 'America/New_York';
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+// A sheet counts 1 and a lot its remaining quantity (getContribution in summaryCounters.js).
+const countStockWrites = (collectionName) => onDocumentWritten(`artifacts/{appId}/public/data/${collectionName}/{itemId}`, async (event) => {
+  if (STOCK_COLLECTION.value() !== collectionName) return;
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  const deltas = diffContributions(before, after);
+  if (deltas.size === 0) return;
+
+  const batch = db.batch();
+  const updatedAt = new Date().toISOString();
+  deltas.forEach((byPath, materialType) => {
+    const increments = nestPaths([...byPath.values()].map(({ path, qty }) => ({ path, value: FieldValue.increment(qty) })));
+    const ref = db.doc(`${dataPath(event.params.appId)}/${SUMMARIES_COLLECTION}/${getSummaryDocId(materialType)}`);
+    batch.set(ref, { ...increments, materialType, updatedAt }, { merge: true });
+  });
+  await batch.commit();
+});
+
+exports.updateInventorySummary = countStockWrites('inventory');
+exports.updateInventoryLotSummary = countStockWrites('inventory_lots');
+
+/**
+ * Recount every material from the stock collection and overwrite the counters that differ; counters for
+ * materials with nothing left are deleted.
+ * @returns {Promise<{ materials: number, repaired: string[], removed: string[] }>}
+ */
+async function reconcileInventorySummaries(appId) {
+  const stockPath = `${dataPath(appId)}/${STOCK_COLLECTION.value()}`;
+  const [onHandSnap, orderedSnap, summariesSnap] = await Promise.all([
+    db.collection(stockPath).where('status', '==', 'On Hand').get(),
+    db.collection(stockPath).where('status', '==', 'Ordered').get(),
+    db.collection(`${dataPath(appId)}/${SUMMARIES_COLLECTION}`).get(),
+  ]);
+  const counters = buildCountersFromDocs([...onHandSnap.docs, ...orderedSnap.docs].map(d => d.data()));
+  const expected = new Map([...counters.values()].map(c => [getSummaryDocId(c.materialType), c]));
+  const stored = new Map(summariesSnap.docs.map(d => [d.id, d.data()]));
+
+  const reconciledAt = new Date().toISOString();
+  const writes = [];
+  const repaired = [];
+  const removed = [];
+  expected.forEach((counter, docId) => {
+    if (stored.has(docId) && countersMatch(stored.get(docId), counter)) return;
+    repaired.push(counter.materialType);
+    writes.push(batch => batch.set(db.doc(`${dataPath(appId)}/${SUMMARIES_COLLECTION}/${docId}`), { ...counter, updatedAt: reconciledAt, reconciledAt }));
+  });
+  stored.forEach((data, docId) => {
+    if (expected.has(docId)) return;
+    removed.push(data.materialType || docId);
+    writes.push(batch => batch.delete(db.doc(`${dataPath(appId)}/${SUMMARIES_COLLECTION}/${docId}`)));
+  });
+
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+
+  const stats = { materials: expected.size, repaired, removed };
+  if (repaired.length || removed.length) logger.warn('Inventory summaries drifted and were repaired', { appId, ...stats });
+  else logger.info('Inventory summaries match inventory', { appId, materials: stats.materials });
+  return stats;
+}
+
+exports.reconcileInventorySummaries = onSchedule({ schedule: 'every day 03:00', timeZone: TIME_ZONE }, async () => {
+  await reconcileInventorySummaries(APP_ID);
+});
+
+// Same normalization as normalizeEmail() in src/constants/authAllowlist.js, applied to the stored list and role keys
+// as well, so an entry saved with different casing or spacing still matches.
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const altEmail = (email) => {
+  if (email.endsWith('@gmail.com')) return email.replace(/@gmail\.com$/, '@googlemail.com');
+  if (email.endsWith('@googlemail.com')) return email.replace(/@googlemail\.com$/, '@gmail.com');
+  return '';
+};
+
+/** The address the rules check (getEmail() in firestore.rules): the token email, else the first identity email. */
+const getTokenEmail = (token) => normalizeEmail(token?.email || token?.firebase?.identities?.email?.[0]);
+
+/**
+ * Same check as isAdmin() in firestore.rules and getRoleForFirebaseUser() in the app: fallback staff, or an
+ * allowlisted email whose saved role (or its Gmail twin's) is admin.
+ */
+async function isAdminEmail(rawEmail) {
+  const email = normalizeEmail(rawEmail);
+  if (!email) return false;
+  const candidates = [email, altEmail(email)].filter(Boolean);
+  if (candidates.some(e => FALLBACK_STAFF_EMAILS.includes(e))) return true;
+
+  const snap = await db.doc(`artifacts/${APP_ID}/config/access_allowlist`).get();
+  const data = snap.exists ? snap.data() : {};
+  const emails = (Array.isArray(data.emails) ? data.emails : []).map(normalizeEmail);
+  const roles = {};
+  Object.entries(data.roles || {}).forEach(([key, role]) => {
+    const normalized = normalizeEmail(key);
+    if (normalized) roles[normalized] = role;
+  });
+  if (!candidates.some(e => emails.includes(e))) return false;
+  return candidates.map(e => roles[e]).find(Boolean) === 'admin';
+}
+
+/** Run the reconciliation now, e.g. right after the first deploy; admins only. */
+exports.reconcileInventorySummariesNow = onCall(async (request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to reconcile stock counters.');
+  if (!(await isAdminEmail(getTokenEmail(request.auth.token)))) {
+    throw new HttpsError('permission-denied', 'Only admins can reconcile stock counters.');
+  }
+  return reconcileInventorySummaries(APP_ID);
+});
+
+// Runs before the 03:00 reconciliation so the two never compete for the same reads.
+exports.scheduledBackup = onSchedule({
+  schedule: 'every day 02:00',
+  timeZone: TIME_ZONE,
+  timeoutSeconds: 540,
+  memory: '512MiB',
+}, async () => {
+  const result = await runScheduledBackup(db, APP_ID, { timeZone: TIME_ZONE });
+  logger.info('Scheduled backup finished', { appId: APP_ID, ...result });
+});
@@ -0,0 +1,140 @@
+// functions/summaryCounters.js
+// Per-material stock counters, one doc per material in `inventory_summaries`:
+//   onHand:   { bySize: { '96x48': n }, remnant: n, total: n }
+//   incoming: { bySize: { '96x48': n }, byArrivalDate: { '<arrivalDate>': n }, total: n }
+// Counts are kept per raw size; the app maps them onto each category's configured sizes (everything else is custom),
+// so changing a category's sizes never needs a recount. Remnants are never counted in bySize.
+
+const DEFAULT_SHEET_WIDTH = 48;
+
+// Same as getSheetSizeKey() in src/utils/sheetSizes.js.
+const getSheetSizeKey = (length, width) => `${Number(length)}x${Number(width) || DEFAULT_SHEET_WIDTH}`;
+
+// Firestore doc ids cannot contain '/', same replacement as material ids and count lines.
+const getSummaryDocId = (materialType) => String(materialType).replace(/\//g, '-');
+
+/**
+ * The counter paths one inventory doc adds to, with how much: 1 for a sheet, the remaining quantity for a lot.
+ * Docs that are neither On Hand nor Ordered count nowhere.
+ * @returns {{ materialType: string, entries: Array<{ path: string[], qty: number }> } | null}
+ */
+function getContribution(data) {
+  if (!data || !data.materialType) return null;
+  const qty = Number.isInteger(data.remainingQty) ? data.remainingQty : 1;
+  if (qty === 0) return null;
+  const sizeKey = getSheetSizeKey(data.length, data.width);
+
+  if (data.status === 'On Hand') {
+    return {
+      materialType: data.materialType,
+      entries: [
+        { path: data.isRemnant ? ['onHand', 'remnant'] : ['onHand', 'bySize', sizeKey], qty },
+        { path: ['onHand', 'total'], qty },
+      ],
+    };
+  }
+  if (data.status === 'Ordered') {
+    return {
+      materialType: data.materialType,
+      entries: [
+        { path: ['incoming', 'bySize', sizeKey], qty },
+        { path: ['incoming', 'total'], qty },
+        ...(data.arrivalDate ? [{ path: ['incoming', 'byArrivalDate', String(data.arrivalDate)], qty }] : []),
+      ],
+    };
+  }
+  return null;
+}
+
+/**
+ * Net change per material between two versions of one inventory doc (either may be missing).
+ * @returns {Map<string, Map<string, { path: string[], qty: number }>>} materialType → path key → delta; zeros dropped
+ */
+function diffContributions(before, after) {
+  const deltas = new Map();
+  const add = (contribution, sign) => {
+    if (!contribution) return;
+    if (!deltas.has(contribution.materialType)) deltas.set(contribution.materialType, new Map());
+    const byPath = deltas.get(contribution.materialType);
+    contribution.entries.forEach(({ path, qty }) => {
+      const key = JSON.stringify(path);
+      const current = byPath.get(key) || { path, qty: 0 };
+      byPath.set(key, { path, qty: current.qty + sign * qty });
+    });
+  };
+  add(getContribution(before), -1);
+  add(getContribution(after), 1);
+
+  deltas.forEach((byPath, materialType) => {
+    byPath.forEach((delta, key) => {
+      if (delta.qty === 0) byPath.delete(key);
+    });
+    if (byPath.size === 0) deltas.delete(materialType);
+  });
+  return deltas;
+}
+
+/** Nest `{ path, value }` pairs into the object shape `set(..., { merge: true })` expects. */
+function nestPaths(pairs) {
+  const root = {};
+  pairs.forEach(({ path, value }) => {
+    let node = root;
+    path.slice(0, -1).forEach(segment => {
+      if (!node[segment]) node[segment] = {};
+      node = node[segment];
+    });
+    node[path[path.length - 1]] = value;
+  });
+  return root;
+}
+
+/** Counters with zero entries removed, so a stored doc and a recount compare equal when the stock matches. */
+function normalizeCounters(doc) {
+  const pruneMap = (map) => Object.fromEntries(Object.entries(map || {}).filter(([, n]) => n).sort(([a], [b]) => a.localeCompare(b)));
+  return {
+    onHand: {
+      bySize: pruneMap(doc?.onHand?.bySize),
+      remnant: doc?.onHand?.remnant || 0,
+      total: doc?.onHand?.total || 0,
+    },
+    incoming: {
+      bySize: pruneMap(doc?.incoming?.bySize),
+      byArrivalDate: pruneMap(doc?.incoming?.byArrivalDate),
+      total: doc?.incoming?.total || 0,
+    },
+  };
+}
+
+const countersMatch = (a, b) => JSON.stringify(normalizeCounters(a)) === JSON.stringify(normalizeCounters(b));
+
+/** Full counters per material from every On Hand / Ordered doc, as the reconciliation job writes them. */
+function buildCountersFromDocs(docs) {
+  const totals = new Map();
+  docs.forEach(data => {
+    const contribution = getContribution(data);
+    if (!contribution) return;
+    if (!totals.has(contribution.materialType)) totals.set(contribution.materialType, new Map());
+    const byPath = totals.get(contribution.materialType);
+    contribution.entries.forEach(({ path, qty }) => {
+      const key = JSON.stringify(path);
+      byPath.set(key, { path, value: (byPath.get(key)?.value || 0) + qty });
+    });
+  });
+
+  const counters = new Map();
+  totals.forEach((byPath, materialType) => {
+    counters.set(materialType, { materialType, ...normalizeCounters(nestPaths([...byPath.values()])) });
+  });
+  return counters;
+}
+
+module.exports = {
+  getSheetSizeKey,
+  getSummaryDocId,
+  getContribution,
+  diffContributions,
+  nestPaths,
+  buildCountersFromDocs,
+  normalizeCounters,
+  countersMatch,
+};
@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildCountersFromDocs,
+  countersMatch,
+  diffContributions,
+  getContribution,
+  getSheetSizeKey,
+  getSummaryDocId,
+  nestPaths,
+} = require('./summaryCounters');
+
+const sheet = (fields) => ({ materialType: 'AL', length: 96, width: 48, status: 'On Hand', ...fields });
+
+/** Deltas as plain objects, `{ AL: { 'onHand.total': -1 } }`, so they compare with deepEqual. */
+const flattenDeltas = (deltas) => Object.fromEntries([...deltas].map(([materialType, byPath]) => [
+  materialType,
+  Object.fromEntries([...byPath.values()].map(({ path, qty }) => [path.join('.'), qty])),
+]));
+
+describe('getContribution', () => {
+  it('counts a sheet once and a lot by what is left of it', () => {
+    assert.deepEqual(getContribution(sheet()), {
+      materialType: 'AL',
+      entries: [
+        { path: ['onHand', 'bySize', '96x48'], qty: 1 },
+        { path: ['onHand', 'total'], qty: 1 },
+      ],
+    });
+    assert.deepEqual(getContribution(sheet({ length: 120, width: null, quantity: 5, remainingQty: 3 })).entries, [
+      { path: ['onHand', 'bySize', '120x48'], qty: 3 },
+      { path: ['onHand', 'total'], qty: 3 },
+    ]);
+  });
+
+  it('counts remnants apart from sizes and incoming stock by arrival date', () => {
+    assert.deepEqual(getContribution(sheet({ isRemnant: true, length: 30 })).entries, [
+      { path: ['onHand', 'remnant'], qty: 1 },
+      { path: ['onHand', 'total'], qty: 1 },
+    ]);
+    assert.deepEqual(getContribution(sheet({ status: 'Ordered', arrivalDate: '2024-07-01' })).entries, [
+      { path: ['incoming', 'bySize', '96x48'], qty: 1 },
+      { path: ['incoming', 'total'], qty: 1 },
+      { path: ['incoming', 'byArrivalDate', '2024-07-01'], qty: 1 },
+    ]);
+  });
+
+  it('counts used, empty and material-less docs nowhere', () => {
+    assert.equal(getContribution(sheet({ status: 'Used' })), null);
+    assert.equal(getContribution(sheet({ quantity: 5, remainingQty: 0 })), null);
+    assert.equal(getContribution(sheet({ materialType: '' })), null);
+    assert.equal(getContribution(undefined), null);
+  });
+
+  it('keys sizes and summary docs the way the app does', () => {
+    assert.equal(getSheetSizeKey('96', ''), '96x48');
+    assert.equal(getSummaryDocId('3/16 AL'), '3-16 AL');
+  });
+});
+
+describe('diffContributions', () => {
+  it('moves a received sheet from incoming to on hand', () => {
+    const before = sheet({ status: 'Ordered', arrivalDate: '2024-07-01' });
+    assert.deepEqual(flattenDeltas(diffContributions(before, sheet({ arrivalDate: '2024-07-01' }))), {
+      AL: {
+        'incoming.bySize.96x48': -1,
+        'incoming.total': -1,
+        'incoming.byArrivalDate.2024-07-01': -1,
+        'onHand.bySize.96x48': 1,
+        'onHand.total': 1,
+      },
+    });
+  });
+
+  it('takes only what was drawn from a lot', () => {
+    const before = sheet({ quantity: 5, remainingQty: 5 });
+    assert.deepEqual(flattenDeltas(diffContributions(before, { ...before, remainingQty: 3 })), {
+      AL: { 'onHand.bySize.96x48': -2, 'onHand.total': -2 },
+    });
+  });
+
+  it('moves a sheet between materials and counts creates and deletes', () => {
+    assert.deepEqual(flattenDeltas(diffContributions(sheet(), sheet({ materialType: 'SS' }))), {
+      AL: { 'onHand.bySize.96x48': -1, 'onHand.total': -1 },
+      SS: { 'onHand.bySize.96x48': 1, 'onHand.total': 1 },
+    });
+    assert.deepEqual(flattenDeltas(diffContributions(null, sheet())), { AL: { 'onHand.bySize.96x48': 1, 'onHand.total': 1 } });
+    assert.deepEqual(flattenDeltas(diffContributions(sheet(), undefined)), { AL: { 'onHand.bySize.96x48': -1, 'onHand.total': -1 } });
+  });
+
+  it('drops changes that leave the counters alone', () => {
+    assert.equal(diffContributions(sheet({ job: 'J-1' }), sheet({ job: 'J-2', updatedAt: 2 })).size, 0);
+    assert.equal(diffContributions(sheet({ status: 'Used' }), null).size, 0);
+  });
+});
+
+describe('reconciliation', () => {
+  const docs = [
+    sheet(),
+    sheet({ quantity: 4, remainingQty: 2 }),
+    sheet({ length: 120 }),
+    sheet({ isRemnant: true, length: 30 }),
+    sheet({ status: 'Ordered', arrivalDate: '2024-07-01' }),
+    sheet({ status: 'Used' }),
+    sheet({ materialType: 'SS', status: 'Ordered' }),
+  ];
+  const counters = buildCountersFromDocs(docs);
+
+  it('recounts every material from its On Hand and Ordered docs', () => {
+    assert.deepEqual([...counters.keys()], ['AL', 'SS']);
+    assert.deepEqual(counters.get('AL'), {
+      materialType: 'AL',
+      onHand: { bySize: { '120x48': 1, '96x48': 3 }, remnant: 1, total: 5 },
+      incoming: { bySize: { '96x48': 1 }, byArrivalDate: { '2024-07-01': 1 }, total: 1 },
+    });
+    assert.deepEqual(counters.get('SS'), {
+      materialType: 'SS',
+      onHand: { bySize: {}, remnant: 0, total: 0 },
+      incoming: { bySize: { '96x48': 1 }, byArrivalDate: {}, total: 1 },
+    });
+  });
+
+  it('matches stored counters that only differ by zero entries and key order', () => {
+    const stored = {
+      updatedAt: 'x',
+      incoming: { total: 1, byArrivalDate: { '2024-06-01': 0, '2024-07-01': 1 }, bySize: { '96x48': 1, '60x48': 0 } },
+      onHand: { total: 5, remnant: 1, bySize: { '96x48': 3, '120x48': 1 } },
+    };
+    assert.equal(countersMatch(stored, counters.get('AL')), true);
+    assert.equal(countersMatch({ ...stored, onHand: { ...stored.onHand, total: 4 } }, counters.get('AL')), false);
+    assert.equal(countersMatch(undefined, counters.get('SS')), false);
+    assert.equal(countersMatch(undefined, { onHand: { bySize: { '96x48': 0 } } }), true);
+  });
+
+  it('nests counter paths for a merge write', () => {
+    assert.deepEqual(nestPaths([
+      { path: ['onHand', 'bySize', '96x48'], value: 2 },
+      { path: ['onHand', 'total'], value: 2 },
+    ]), { onHand: { bySize: { '96x48': 2 }, total: 2 } });
+  });
+});
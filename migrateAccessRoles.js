@@ -0,0 +1,100 @@
+// migrateAccessRoles.js
+// Before roles, every allowlisted email could use and receive stock. The rules now treat emails with no saved
+// role as viewers, so run this before deploying them: it saves shop_floor for every listed email that has no role
+// (for its own spelling or its gmail/googlemail twin). Saved roles are left alone; admins promote purchasers
+// from the Access modal afterwards. Non-admins read their access from copies under access_allowlist/members/
+// (src/utils/allowlistMembers.js), which admins' clients refresh on sign-in; this writes them too, so nobody is
+// locked out between the deploy and an admin's first sign-in. Safe to run again.
+// Prereqs: same credentials as resetFirestoreAdmin.js (GOOGLE_APPLICATION_CREDENTIALS or ADC).
+// Usage:
+//   node migrateAccessRoles.js --dry-run    # list the roles and member copies that would be saved
+//   node migrateAccessRoles.js
+
+const admin = require('firebase-admin');
+
+try {
+  admin.initializeApp({
+    credential: admin.credential.applicationDefault(),
+  });
+} catch (e) {
+  console.error('Failed to initialize Firebase Admin. Ensure credentials are configured.');
+  throw e;
+}
+
+const db = admin.firestore();
+
+// Match the client appId used in the app paths
+const appId = 'tecnopan-inventory-app';
+const allowlistRef = db.doc(`artifacts/${appId}/config/access_allowlist`);
+const membersRef = allowlistRef.collection('members');
+
+// Roles allowlisted emails had in effect before roles existed (ROLES.shopFloor in src/constants/accessRoles.js)
+const EXISTING_MEMBER_ROLE = 'shop_floor';
+const KNOWN_ROLES = ['viewer', 'shop_floor', 'purchaser', 'admin'];
+const DEFAULT_ROLE = 'viewer';
+
+const isDryRun = process.argv.slice(2).includes('--dry-run');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// The email and its gmail/googlemail twin, as gmailEquivalentAddresses() in src/constants/authAllowlist.js
+function equivalentAddresses(email) {
+  if (email.endsWith('@gmail.com')) return [email, email.replace(/@gmail\.com$/, '@googlemail.com')];
+  if (email.endsWith('@googlemail.com')) return [email, email.replace(/@googlemail\.com$/, '@gmail.com')];
+  return [email];
+}
+
+(async () => {
+  console.log(`\nAccess role migration${isDryRun ? ' (dry run)' : ''}`);
+  const snap = await allowlistRef.get();
+  const data = snap.exists ? snap.data() : {};
+  const emails = [...new Set((Array.isArray(data.emails) ? data.emails : []).map(normalizeEmail).filter(Boolean))];
+  const roles = {};
+  Object.entries(data.roles || {}).forEach(([email, role]) => {
+    if (KNOWN_ROLES.includes(role)) roles[normalizeEmail(email)] = role;
+  });
+
+  const missing = emails.filter((email) => !equivalentAddresses(email).some((addr) => roles[addr]));
+  missing.forEach((email) => console.log(`${isDryRun ? '[DRY] ' : ''}${email}: ${EXISTING_MEMBER_ROLE}`));
+  console.log(`${emails.length} listed, ${missing.length} without a role.`);
+
+  if (!isDryRun && missing.length > 0) {
+    const added = Object.fromEntries(missing.map((email) => [email, EXISTING_MEMBER_ROLE]));
+    await allowlistRef.set({ roles: added, updatedAt: new Date().toISOString() }, { merge: true });
+    console.log('Roles saved.');
+  }
+  missing.forEach((email) => { roles[email] = EXISTING_MEMBER_ROLE; });
+
+  // Member copies as buildAllowlistMembers() writes them: the role of the email's own spelling, else its twin's
+  const wanted = new Map(emails.map((email) => {
+    const role = equivalentAddresses(email).map((addr) => roles[addr]).find(Boolean) || DEFAULT_ROLE;
+    return [email, { email, role }];
+  }));
+  const existing = await membersRef.get();
+  const batch = db.batch();
+  let changes = 0;
+  existing.docs.forEach((memberDoc) => {
+    const want = wanted.get(memberDoc.id);
+    if (!want) {
+      batch.delete(memberDoc.ref);
+      changes += 1;
+    } else if (memberDoc.data().role !== want.role || memberDoc.data().email !== want.email) {
+      batch.set(memberDoc.ref, want);
+      changes += 1;
+    }
+    wanted.delete(memberDoc.id);
+  });
+  wanted.forEach((member) => {
+    batch.set(membersRef.doc(member.email), member);
+    changes += 1;
+  });
+  console.log(`${changes} member ${changes === 1 ? 'copy' : 'copies'} to write or remove.`);
+  if (!isDryRun && changes > 0) {
+    await batch.commit();
+    console.log('Member copies saved.');
+  }
+  process.exit(0);
+})().catch((e) => {
+  console.error('Access role migration failed:', e);
+  process.exit(1);
+});
@@ -3,13 +3,18 @@
 import React, { useState, useMemo, useCallback, useEffect, useRef, lazy, Suspense } from 'react';
 import { DndContext, closestCenter } from '@dnd-kit/core';
 import { arrayMove } from '@dnd-kit/sortable';
-import { writeBatch, doc, collection, updateDoc, getDocs, query, where, getDoc, setDoc, onSnapshot, orderBy, limit } from './firebase/firestoreWithTracking';
+import { writeBatch, runTransaction, doc, collection, getDocs, query, where, getDoc, onSnapshot } from './firebase/firestoreWithTracking';
 import Fuse from 'fuse.js';
 import { db, appId, auth, signOut } from './firebase/config';
 import { useFirestoreData } from './hooks/useFirestoreData';
 import { useSuppliersSync } from './hooks/useSuppliersSync';
 import { usePersistentState } from './hooks/usePersistentState';
+import { useStockAlerts } from './hooks/useStockAlerts';
+import { useBuyOrderReceiptSync } from './hooks/useBuyOrderReceiptSync';
+import { useOutbox } from './hooks/useOutbox';
 import {
+    calculateAnalyticsByCategory,
+    calculateCostBySupplier,
     calculateInventorySummary,
     calculateIncomingSummary,
     calculateScheduledOutgoingSummary,
@@ -17,10 +22,59 @@ import {
     getGaugeFromMaterial,
     groupLogsByJob
 } from './utils/dataProcessing';
-import { STANDARD_LENGTHS } from './constants/materials';
+import { DEFAULT_SHEET_SIZES, DEFAULT_SHEET_WIDTH } from './constants/materials';
+import {
+    formatSheetSize,
+    getItemSizeQuantities,
+    getMaterialSheetSizes,
+    getSheetSizeKeyForItem,
+    getSizeQtyField,
+    normalizeSheetSizes,
+    normalizeSizeQtyFields,
+    parseSheetSizeKey,
+} from './utils/sheetSizes';
+import { PERMISSIONS, ROLES, ROLE_LABELS, roleCan } from './constants/accessRoles';
+import { CYCLE_COUNT_SOURCE, COUNT_SESSIONS_COLLECTION, COUNT_SESSION_STATUSES, MANUAL_EDIT_SOURCE } from './utils/cycleCounts';
+import { queueStockAdjustment, verifyStockUnchanged } from './utils/stockAdjustments';
+import { buildSheetHistory, endOfLocalDay, getSheetHistoryStart, sheetsOnHandAt, sheetsOrderedAt } from './utils/inventorySnapshot';
+import { buildRemnantStockData, calculateRemnantPieces, isRemnantSheet, parseCutSize } from './utils/remnants';
+import {
+    STOCK_TRANSACTION_MAX_ATTEMPTS,
+    claimFifoSheets,
+    describeTakenSheet,
+    formatBundleShortMessage,
+    formatNotEnoughStockMessage,
+    fulfillScheduledLog,
+    getFifoCandidates,
+    getUseStockLineQuantities,
+    readSheetReturns,
+    recordStockUse,
+    settleClaimedLots,
+    writeSheetReturns,
+} from './utils/stockConsumption';
+import { getBundleCandidates } from './utils/sheetBundles';
+import { OUTBOX_KINDS, assertQueuedUseStockFits, isOfflineError } from './utils/offlineOutbox';
+import { auditTransaction, createAuditedBatch, revertAuditBatch } from './utils/auditTrail';
+import { migrateInventoryToLots } from './utils/inventoryLotMigration';
+import { LOT_CONSUMPTIONS_COLLECTION, STOCK_COLLECTION, buildLotFields, getLotConsumptionId, getRemainingQuantity, getSheetOfLot, isInventoryLot } from './utils/inventoryLots';
 import { buildBuyOrderEmailBody, createSupplierMailtoLink } from './utils/buyOrderUtils';
+import { acknowledgeStockAlert } from './utils/stockAlerts';
+import { calculateSupplierScorecard } from './utils/supplierPerformance';
+import { createNumberedBuyOrder, ensureBuyOrderPoNumber } from './utils/purchaseOrders';
+import {
+    BUY_ORDER_STATES,
+    buildBuyOrderTransition,
+    buildInitialBuyOrderState,
+    canTransitionBuyOrder,
+    getDismissedBuyOrderState,
+    isOpenBuyOrder,
+    LEGACY_OPEN_WORKFLOW_STATUSES,
+    OPEN_BUY_ORDER_STATES,
+    transitionBuyOrder,
+} from './utils/buyOrderLifecycle';
+import { buildBackorderFields, buildReceivedFields, countReceiptSheets, planOrderReceipt, RECEIVED_VIA_MANUAL } from './utils/orderReceiving';
 import { buildMaterialIndicatorSettingsMap, normalizeCategoryIndicatorSettings } from './utils/categoryIndicatorSettings';
-import { AI_ASSISTANT_ENABLED } from './constants/featureFlags';
+import { AI_ASSISTANT_ENABLED, INVENTORY_LOTS_ENABLED, SUMMARY_COUNTERS_ENABLED } from './constants/featureFlags';
 
 // Layout & Common Components
 import { Header } from './components/layout/Header';
@@ -38,9 +92,13 @@ import { DashboardView } from './views/DashboardView';
 const LogsView = lazy(() => import('./views/LogsView').then((m) => ({ default: m.LogsView })));
 const MaterialDetailView = lazy(() => import('./views/MaterialDetailView').then((m) => ({ default: m.MaterialDetailView })));
 const PriceHistoryView = lazy(() => import('./views/PriceHistoryView').then((m) => ({ default: m.PriceHistoryView })));
+const CycleCountView = lazy(() => import('./views/CycleCountView').then((m) => ({ default: m.CycleCountView })));
+const ValuationView = lazy(() => import('./views/ValuationView').then((m) => ({ default: m.ValuationView })));
 const ReorderView = lazy(() => import('./views/ReorderView').then((m) => ({ default: m.ReorderView })));
 const JobOverviewView = lazy(() => import('./views/JobOverviewView').then((m) => ({ default: m.JobOverviewView })));
 const SheetCostCalculatorView = lazy(() => import('./views/SheetCostCalculatorView').then((m) => ({ default: m.SheetCostCalculatorView })));
+const AuditView = lazy(() => import('./views/AuditView').then((m) => ({ default: m.AuditView })));
+const CostAnalyticsView = lazy(() => import('./views/CostAnalyticsView').then((m) => ({ default: m.CostAnalyticsView })));
 
 
 // Modals: lazy-loaded — code loads when opened (smaller initial bundle).
@@ -52,12 +110,48 @@ const BackupModal = lazy(() => import('./components/modals/BackupModal').then((m
 const AuthenticationModal = lazy(() => import('./components/modals/AuthenticationModal').then((m) => ({ default: m.AuthenticationModal })));
 const ManageSuppliersModal = lazy(() => import('./components/modals/ManageSuppliersModal').then((m) => ({ default: m.ManageSuppliersModal })));
 const BuyOrderDraftsModal = lazy(() => import('./components/modals/BuyOrderDraftsModal').then((m) => ({ default: m.BuyOrderDraftsModal })));
+const PurchaseOrderModal = lazy(() => import('./components/modals/PurchaseOrderModal').then((m) => ({ default: m.PurchaseOrderModal })));
+const ReceiveOrderModal = lazy(() => import('./components/modals/ReceiveOrderModal').then((m) => ({ default: m.ReceiveOrderModal })));
+const BundleLabelsModal = lazy(() => import('./components/modals/BundleLabelsModal').then((m) => ({ default: m.BundleLabelsModal })));
+const CsvImportModal = lazy(() => import('./components/modals/CsvImportModal').then((m) => ({ default: m.CsvImportModal })));
+const ExportWorkbookModal = lazy(() => import('./components/modals/ExportWorkbookModal').then((m) => ({ default: m.ExportWorkbookModal })));
+const OutboxModal = lazy(() => import('./components/modals/OutboxModal').then((m) => ({ default: m.OutboxModal })));
+const StockAlertsModal = lazy(() => import('./components/modals/StockAlertsModal').then((m) => ({ default: m.StockAlertsModal })));
 
 const AIAssistant = lazy(() => import('./components/assistant/AIAssistant').then((m) => ({ default: m.AIAssistant })));
 const DebugPanel = lazy(() => import('./components/debug/DebugPanel').then((m) => ({ default: m.DebugPanel })));
 
+/** Minimum role to open each modal; anything not listed is read-only and open to every role. */
+const MODAL_PERMISSIONS = {
+    add: PERMISSIONS.manageOrders,
+    buy: PERMISSIONS.manageOrders,
+    'edit-order': PERMISSIONS.manageOrders,
+    'purchase-order': PERMISSIONS.manageOrders,
+    'manage-suppliers': PERMISSIONS.manageOrders,
+    'buy-order-drafts': PERMISSIONS.manageOrders,
+    'confirm-clear-buy-orders': PERMISSIONS.manageOrders,
+    'confirm-delete-buy-order': PERMISSIONS.manageOrders,
+    use: PERMISSIONS.useStock,
+    // Editing a log returns sheets and drops their offcuts, which the rules only let purchasers delete
+    'edit-log': PERMISSIONS.adjustStock,
+    'receive-order': PERMISSIONS.useStock,
+    'manage-categories': PERMISSIONS.editCatalog,
+    'confirm-delete-categories': PERMISSIONS.deleteCatalog,
+    backup: PERMISSIONS.createBackups,
+    'csv-import': PERMISSIONS.importData,
+    authentication: PERMISSIONS.manageAccess,
+    'confirm-lot-migration': PERMISSIONS.migrateData,
+};
+
+const resolveUseStockJobLabel = (job) => {
+    const fromParts = formatUseStockJobLabel(job.jobNumber, job.jobSection, job.joinWith);
+    if (fromParts) return fromParts;
+    return (job.jobName || '').trim() || 'N/A';
+};
+
 const BUY_ORDERS_PATH = `artifacts/${appId}/public/data/buy_orders`;
-const LATEST_BUY_ORDER_LIMIT = 15;
+
+const LOG_CHANGED_ELSEWHERE_MESSAGE = 'This log was fulfilled, edited or removed in another session. Close it and open it again to see the current version.';
 
 function getTodayDateInputValue() {
     return new Date().toISOString().split('T')[0];
@@ -70,9 +164,9 @@ function createManualEditSessionId() {
 function normalizeOrderItemsForStorage(items = []) {
     return items.map((item) => ({
         materialType: item.materialType || '',
-        qty96: String(item.qty96 || ''),
-        qty120: String(item.qty120 || ''),
-        qty144: String(item.qty144 || ''),
+        ...Object.fromEntries(
+            Object.entries(normalizeSizeQtyFields(item)).map(([field, value]) => [field, String(value || '')])
+        ),
         customWidth: String(item.customWidth || ''),
         customLength: String(item.customLength || ''),
         customQty: String(item.customQty || ''),
@@ -92,6 +186,29 @@ function getBuyOrderPrimarySupplier(buyOrder) {
     return '';
 }
 
+function buildBuyOrderEmailDrafts(suppliers, items, requestedEmailSubject, supplierInfoOverrides) {
+    const customBody = buildBuyOrderEmailBody(items);
+    return suppliers.map((supplier) => ({
+        supplier,
+        ...createSupplierMailtoLink({
+            supplier,
+            supplierInfoOverrides,
+            customBody,
+            customSubject: requestedEmailSubject,
+        }),
+    }));
+}
+
+function getStoredEmailDrafts(emailDrafts) {
+    return emailDrafts.map(({ supplier, subject, body, info }) => ({
+        supplier,
+        email: info?.email || '',
+        ccEmail: info?.ccEmail || '',
+        subject,
+        body,
+    }));
+}
+
 function openMailtoLinks(emailDrafts = []) {
     const validDrafts = emailDrafts.filter((draft) => draft?.mailto);
     if (validDrafts.length === 0) {
@@ -135,12 +252,18 @@ export default function App() {
     const [fuse, setFuse] = useState(null);
     const [isAssistantVisible, setIsAssistantVisible] = useState(false);
     const [openBuyOrders, setOpenBuyOrders] = useState([]);
+    // `YYYY-MM-DD` while the dashboard shows a past day's stock; null for live counts.
+    const [dashboardAsOfDate, setDashboardAsOfDate] = useState(null);
     // Full inventory + live inventory listeners are heavy; delay until a view needs them or after idle warmup.
     const shouldLoadInventoryDetails = useMemo(() => {
-        const lightweightViews = new Set(['dashboard', 'sheet-calculator']);
-        const inventoryDependentModals = new Set(['use', 'edit-log', 'edit-order']);
-        return !lightweightViews.has(activeView) || isEditMode || inventoryDependentModals.has(modal.type);
-    }, [activeView, isEditMode, modal.type]);
+        // With server counters the reorder view needs no sheets either.
+        const lightweightViews = new Set(['dashboard', 'sheet-calculator', 'audit', ...(SUMMARY_COUNTERS_ENABLED ? ['reorder'] : [])]);
+        const inventoryDependentModals = new Set(['use', 'edit-log', 'edit-order', 'purchase-order', 'export-workbook']);
+        return !lightweightViews.has(activeView)
+            || isEditMode
+            || inventoryDependentModals.has(modal.type)
+            || (activeView === 'dashboard' && Boolean(dashboardAsOfDate));
+    }, [activeView, isEditMode, modal.type, dashboardAsOfDate]);
 
     const [inventoryDetailsWarmup, setInventoryDetailsWarmup] = useState(false);
     const loadInventoryDetails = shouldLoadInventoryDetails || inventoryDetailsWarmup;
@@ -151,11 +274,13 @@ export default function App() {
         materials,
         inventorySummaryData,
         incomingSummaryData,
+        summariesComplete,
         inventoryReady,
         loading,
         error,
         userId,
         authUser,
+        authRole,
         authReady,
         authAccessDenied,
         authDeniedDetail,
@@ -197,6 +322,9 @@ export default function App() {
     const { suppliers, setSuppliers, supplierInfo, setSupplierInfo } = useSuppliersSync(userId);
 
     const closeModal = useCallback(() => setModal({ type: null, data: null, error: null }), []);
+    const can = useCallback((permission) => roleCan(authRole, permission), [authRole]);
+    // Audited stand-in for writeBatch; records before/after of each write under the signed-in user.
+    const createAuditedWrite = (action, summary) => createAuditedBatch(db, appId, { action, summary, actor: authUser });
 
     useEffect(() => {
         if (!userId) {
@@ -204,26 +332,33 @@ export default function App() {
             return undefined;
         }
 
-        const buyOrdersQuery = query(
-            collection(db, BUY_ORDERS_PATH),
-            orderBy('openedEmailAt', 'desc'),
-            limit(LATEST_BUY_ORDER_LIMIT)
-        );
-
-        return onSnapshot(
+        // Open orders by state, however old; orders saved before the state machine are found by `workflowStatus`.
+        // A legacy order moved on since carries a `state` too, so the merged list is filtered on the effective state.
+        const buyOrdersRef = collection(db, BUY_ORDERS_PATH);
+        const byQuery = { current: new Map(), legacy: new Map() };
+        const publish = () => {
+            const merged = new Map([...byQuery.legacy, ...byQuery.current]);
+            setOpenBuyOrders([...merged.values()].filter(isOpenBuyOrder));
+        };
+        const listen = (key, buyOrdersQuery) => onSnapshot(
             buyOrdersQuery,
             (snapshot) => {
-                const openBuyOrders = snapshot.docs
-                    .map((buyOrderDoc) => ({ id: buyOrderDoc.id, ...buyOrderDoc.data() }))
-                    .filter((buyOrder) => !buyOrder.workflowStatus || buyOrder.workflowStatus === 'emailed');
-
-                setOpenBuyOrders(openBuyOrders);
+                byQuery[key] = new Map(snapshot.docs.map((buyOrderDoc) => [buyOrderDoc.id, { id: buyOrderDoc.id, ...buyOrderDoc.data() }]));
+                publish();
             },
             (err) => {
                 console.error('Failed to load buy orders:', err);
-                setOpenBuyOrders([]);
+                byQuery[key] = new Map();
+                publish();
             }
         );
+
+        const unsubCurrent = listen('current', query(buyOrdersRef, where('state', 'in', OPEN_BUY_ORDER_STATES)));
+        const unsubLegacy = listen('legacy', query(buyOrdersRef, where('workflowStatus', 'in', LEGACY_OPEN_WORKFLOW_STATUSES)));
+        return () => {
+            unsubCurrent();
+            unsubLegacy();
+        };
     }, [userId]);
 
     const clearSearch = useCallback(() => {
@@ -290,17 +425,52 @@ export default function App() {
     // Derive material types from Firestore doc IDs (now canonical)
     const materialTypes = useMemo(() => Object.keys(materials), [materials]);
     const allJobs = useMemo(() => groupLogsByJob(inventory, usageLog), [inventory, usageLog]);
-    const calculatedInventorySummary = useMemo(() => calculateInventorySummary(inventory, materialTypes), [inventory, materialTypes]);
-    const calculatedIncomingSummary = useMemo(() => calculateIncomingSummary(inventory, materialTypes), [inventory, materialTypes]);
+    const calculatedInventorySummary = useMemo(() => calculateInventorySummary(inventory, materialTypes, materials), [inventory, materialTypes, materials]);
+    const calculatedIncomingSummary = useMemo(() => calculateIncomingSummary(inventory, materialTypes, materials), [inventory, materialTypes, materials]);
     const inventorySummary = useMemo(() => {
+        if (SUMMARY_COUNTERS_ENABLED) return inventorySummaryData;
         if (inventory.length > 0) return calculatedInventorySummary;
         return Object.keys(inventorySummaryData || {}).length > 0 ? inventorySummaryData : calculatedInventorySummary;
     }, [inventory.length, calculatedInventorySummary, inventorySummaryData]);
     const incomingSummary = useMemo(() => {
+        if (SUMMARY_COUNTERS_ENABLED) return incomingSummaryData;
         if (inventory.length > 0) return calculatedIncomingSummary;
         return Object.keys(incomingSummaryData || {}).length > 0 ? incomingSummaryData : calculatedIncomingSummary;
     }, [inventory.length, calculatedIncomingSummary, incomingSummaryData]);
-    const scheduledOutgoingSummary = useMemo(() => calculateScheduledOutgoingSummary(usageLog, materialTypes), [usageLog, materialTypes]);
+    const scheduledOutgoingSummary = useMemo(() => calculateScheduledOutgoingSummary(usageLog, materialTypes, materials), [usageLog, materialTypes, materials]);
+    const dashboardSheetHistory = useMemo(
+        () => (dashboardAsOfDate ? buildSheetHistory(inventory, usageLog) : null),
+        [dashboardAsOfDate, inventory, usageLog]
+    );
+    const dashboardHistoryStart = useMemo(
+        () => (dashboardSheetHistory ? getSheetHistoryStart(dashboardSheetHistory) : null),
+        [dashboardSheetHistory]
+    );
+    // Past-day counts for the dashboard. Scheduled jobs are a forward-looking plan, so they are not replayed.
+    const dashboardAsOfSummaries = useMemo(() => {
+        if (!dashboardSheetHistory || !inventoryReady) return null;
+        const asOf = endOfLocalDay(dashboardAsOfDate);
+        return {
+            inventory: calculateInventorySummary(sheetsOnHandAt(dashboardSheetHistory, asOf), materialTypes, materials),
+            incoming: calculateIncomingSummary(sheetsOrderedAt(dashboardSheetHistory, asOf), materialTypes, materials),
+            scheduledOutgoing: {},
+        };
+    }, [dashboardSheetHistory, dashboardAsOfDate, inventoryReady, materialTypes, materials]);
+    const supplierAnalytics = useMemo(() => {
+        if (activeView !== 'suppliers') return null;
+        return {
+            costBySupplier: calculateCostBySupplier(inventory, materials),
+            analyticsByCategory: calculateAnalyticsByCategory(inventory, materials),
+            supplierScorecard: calculateSupplierScorecard(inventory, supplierInfo),
+        };
+    }, [activeView, inventory, materials, supplierInfo]);
+    const linkedInventoryByBuyOrder = useBuyOrderReceiptSync({
+        enabled: Boolean(userId) && shouldLoadInventoryDetails && inventoryReady,
+        // Moving an order along is a buy_orders write, which the rules keep to purchasers
+        canSync: can(PERMISSIONS.manageOrders),
+        buyOrders: openBuyOrders,
+        inventory,
+    });
     const showLoading = loading || (shouldLoadInventoryDetails && !inventoryReady);
 
     const handleSignOut = useCallback(async () => {
@@ -314,6 +484,7 @@ export default function App() {
 
     const handleStartEditing = useCallback(() => {
         setManualEditSessionId(createManualEditSessionId());
+        setDashboardAsOfDate(null);
         setIsEditMode(true);
     }, []);
 
@@ -330,23 +501,31 @@ export default function App() {
         if (loading) return;
 
         const commands = [
-            { type: 'command', name: 'Add Stock', aliases: ['add', 'new', 'order'], action: () => setModal({ type: 'add' }) },
-            { type: 'command', name: 'Buy', aliases: ['purchase', 'email supplier'], action: () => setModal({ type: 'buy' }) },
-            { type: 'command', name: 'Use Stock', aliases: ['use'], action: () => setModal({ type: 'use' }) },
-            { type: 'command', name: 'Manage Categories', aliases: ['mc', 'manage cat'], action: () => setModal({ type: 'manage-categories' }) },
-            { type: 'command', name: 'Manage Suppliers', aliases: ['ms', 'manage sup'], action: () => setModal({ type: 'manage-suppliers' }) },
-            { type: 'command', name: 'Edit/Finish', aliases: ['edit', 'finish'], action: () => isEditMode ? handleFinishEditing() : handleStartEditing(), view: 'dashboard' },
+            { type: 'command', name: 'Add Stock', aliases: ['add', 'new', 'order'], action: () => setModal({ type: 'add' }), permission: PERMISSIONS.manageOrders },
+            { type: 'command', name: 'Buy', aliases: ['purchase', 'email supplier'], action: () => setModal({ type: 'buy' }), permission: PERMISSIONS.manageOrders },
+            { type: 'command', name: 'Use Stock', aliases: ['use'], action: () => setModal({ type: 'use' }), permission: PERMISSIONS.useStock },
+            { type: 'command', name: 'Manage Categories', aliases: ['mc', 'manage cat'], action: () => setModal({ type: 'manage-categories' }), permission: PERMISSIONS.editCatalog },
+            { type: 'command', name: 'Manage Suppliers', aliases: ['ms', 'manage sup'], action: () => setModal({ type: 'manage-suppliers' }), permission: PERMISSIONS.manageOrders },
+            { type: 'command', name: 'Import CSV', aliases: ['import', 'csv', 'upload'], action: () => setModal({ type: 'csv-import' }), permission: PERMISSIONS.importData },
+            { type: 'command', name: 'Export Workbook', aliases: ['export', 'excel', 'xlsx', 'spreadsheet'], action: () => setModal({ type: 'export-workbook' }) },
+            { type: 'command', name: 'Edit/Finish', aliases: ['edit', 'finish'], action: () => isEditMode ? handleFinishEditing() : handleStartEditing(), view: 'dashboard', permission: PERMISSIONS.adjustStock },
             { type: 'command', name: 'Sign Out', aliases: ['sign out', 'logout', 'log off'], action: () => handleSignOut() },
-            { type: 'command', name: 'Authentication', aliases: ['auth', 'allowlist', 'whitelist'], action: () => setModal({ type: 'authentication' }) },
-        ];
+            { type: 'command', name: 'Authentication', aliases: ['auth', 'allowlist', 'whitelist'], action: () => setModal({ type: 'authentication' }), permission: PERMISSIONS.manageAccess },
+            { type: 'command', name: 'Migrate Inventory to Lots', aliases: ['lots', 'migrate'], action: () => setModal({ type: 'confirm-lot-migration' }), permission: PERMISSIONS.migrateData },
+            { type: 'command', name: 'Low Stock Alerts', aliases: ['alerts', 'notifications', 'inbox'], action: () => setModal({ type: 'stock-alerts' }) },
+        ].filter(command => !command.permission || can(command.permission));
 
         const views = [
             { type: 'view', name: 'Dashboard', id: 'dashboard' },
             { type: 'view', name: 'Jobs', id: 'jobs' },
             { type: 'view', name: 'Logs', id: 'logs' },
             { type: 'view', name: 'Price History', id: 'price-history' },
+            { type: 'view', name: 'Valuation', id: 'valuation' },
             { type: 'view', name: 'Sheet Calculator', id: 'sheet-calculator' },
             { type: 'view', name: 'Reorder', id: 'reorder' },
+            { type: 'view', name: 'Stocktake', id: 'cycle-count' },
+            { type: 'view', name: 'Suppliers', id: 'suppliers' },
+            { type: 'view', name: 'Audit', id: 'audit' },
         ];
 
         const searchDocs = [
@@ -365,7 +544,7 @@ export default function App() {
 
         setFuse(new Fuse(searchDocs, fuseOptions));
 
-    }, [loading, materials, inventory, usageLog, initialCategories, isEditMode, allJobs, materialTypes, handleFinishEditing, handleStartEditing, handleSignOut]);
+    }, [loading, materials, inventory, usageLog, initialCategories, isEditMode, allJobs, materialTypes, handleFinishEditing, handleStartEditing, handleSignOut, can]);
 
 
     const handleSearchChange = (e) => {
@@ -451,7 +630,7 @@ export default function App() {
             ? matchingPurchases.find((inventoryItem) => inventoryItem.supplier === item.supplier)
             : null;
         const latestPurchase = recentFromSupplier || matchingPurchases[0];
-        const suggestedQty = String(Math.max(5 - (item.count || 0), 1));
+        const suggestedQty = String(item.suggestedQty || Math.max(5 - (item.count || 0), 1));
         const supplier = suppliers.includes(item.supplier)
             ? item.supplier
             : (latestPurchase?.supplier && suppliers.includes(latestPurchase.supplier) ? latestPurchase.supplier : (suppliers[0] || ''));
@@ -463,9 +642,7 @@ export default function App() {
             createdAt: getTodayDateInputValue(),
             items: [{
                 materialType: item.materialType,
-                qty96: item.length === 96 ? suggestedQty : '',
-                qty120: item.length === 120 ? suggestedQty : '',
-                qty144: item.length === 144 ? suggestedQty : '',
+                ...(item.length ? { [getSizeQtyField(item)]: suggestedQty } : {}),
                 customWidth: '',
                 customLength: '',
                 customQty: '',
@@ -478,6 +655,23 @@ export default function App() {
         setModal({ type: 'buy', data: prefill ? { prefill } : null });
     }, []);
 
+    const handleAcknowledgeStockAlert = useCallback(
+        (alertId) => acknowledgeStockAlert(db, appId, alertId, authUser),
+        [authUser]
+    );
+
+    // Top the size back up to the material's high threshold.
+    const handleCreateBuyOrderFromAlert = useCallback((alert, level) => {
+        const available = level ? level.available : (alert.availableAtFire || 0);
+        handleOpenBuyModal(buildBuyOrderPrefillFromReorderItem({
+            materialType: alert.materialType,
+            length: alert.length,
+            width: alert.width,
+            count: available,
+            suggestedQty: level ? Math.max(level.high - available, 1) : null,
+        }));
+    }, [buildBuyOrderPrefillFromReorderItem, handleOpenBuyModal]);
+
     const handleRestock = useCallback((item) => {
         const prefill = typeof item === 'string'
             ? { createdAt: getTodayDateInputValue(), items: [{ materialType: item }], suppliers: suppliers[0] ? [suppliers[0]] : [] }
@@ -499,6 +693,16 @@ export default function App() {
         });
     }, []);
 
+    const handleOpenPurchaseOrder = useCallback(async (buyOrder) => {
+        if (!buyOrder?.id) return;
+        try {
+            const poNumber = buyOrder.poNumber || await ensureBuyOrderPoNumber(db, appId, buyOrder.id);
+            setModal({ type: 'purchase-order', data: { ...buyOrder, poNumber } });
+        } catch (err) {
+            console.error('Failed to assign a PO number:', err);
+        }
+    }, []);
+
     const handleClearAllBuyOrders = useCallback(() => {
         if (openBuyOrders.length === 0) {
             return;
@@ -515,15 +719,15 @@ export default function App() {
         const clearedAt = new Date().toISOString();
 
         openBuyOrders.forEach((buyOrder) => {
-            batch.update(doc(db, BUY_ORDERS_PATH, buyOrder.id), {
-                workflowStatus: 'cleared',
-                clearedAt,
-            });
+            batch.update(
+                doc(db, BUY_ORDERS_PATH, buyOrder.id),
+                buildBuyOrderTransition(buyOrder, getDismissedBuyOrderState(buyOrder), authUser, clearedAt)
+            );
         });
 
         await batch.commit();
         closeModal();
-    }, [openBuyOrders, closeModal]);
+    }, [openBuyOrders, closeModal, authUser]);
 
     const handleDeleteBuyOrder = useCallback((buyOrder) => {
         if (!buyOrder?.id) {
@@ -539,15 +743,12 @@ export default function App() {
             return;
         }
         try {
-            await updateDoc(doc(db, BUY_ORDERS_PATH, buyOrder.id), {
-                workflowStatus: 'cleared',
-                clearedAt: new Date().toISOString(),
-            });
+            await transitionBuyOrder(db, appId, buyOrder.id, getDismissedBuyOrderState(buyOrder), { actor: authUser });
         } catch (err) {
             console.error('Failed to remove buy order:', err);
         }
         closeModal();
-    }, [modal.data, closeModal]);
+    }, [modal.data, closeModal, authUser]);
 
     const handleDragStart = (event) => setActiveCategory(event.active.id);
     const handleDragEnd = (event) => {
@@ -575,10 +776,11 @@ export default function App() {
 
             const allDocRefsToDelete = [
                 ...materialIdsToDelete.map(id => doc(db, `artifacts/${appId}/public/data/materials`, id.replace(/\//g, '-'))),
-                ...inventoryToDelete.map(item => doc(db, `artifacts/${appId}/public/data/inventory`, item.id))
+                ...inventoryToDelete.map(item => doc(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`, item.id))
             ];
 
-            const MAX_BATCH_SIZE = 500;
+            // Each delete also writes its backup tombstone, so 250 deletes fill a 500-write batch
+            const MAX_BATCH_SIZE = 250;
             for (let i = 0; i < allDocRefsToDelete.length; i += MAX_BATCH_SIZE) {
                 const chunk = allDocRefsToDelete.slice(i, i + MAX_BATCH_SIZE);
                 const batch = writeBatch(db);
@@ -603,10 +805,11 @@ export default function App() {
 
             const allDocRefsToDelete = [
                 ...materialIdsToDelete.map(id => doc(db, `artifacts/${appId}/public/data/materials`, id.replace(/\//g, '-'))),
-                ...inventoryToDelete.map(item => doc(db, `artifacts/${appId}/public/data/inventory`, item.id))
+                ...inventoryToDelete.map(item => doc(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`, item.id))
             ];
 
-            const MAX_BATCH_SIZE = 500;
+            // Each delete also writes its backup tombstone, so 250 deletes fill a 500-write batch
+            const MAX_BATCH_SIZE = 250;
             for (let i = 0; i < allDocRefsToDelete.length; i += MAX_BATCH_SIZE) {
                 const chunk = allDocRefsToDelete.slice(i, i + MAX_BATCH_SIZE);
                 const batch = writeBatch(db);
@@ -627,40 +830,52 @@ export default function App() {
         }
     };
 
+    // Offline, Use Stock is checked against the cached stock and queued in the outbox instead of failing.
     const handleUseStock = async (jobs, options) => {
+        if (outbox.online) {
+            try {
+                return await commitUseStock(jobs, options, inventory);
+            } catch (err) {
+                if (!isOfflineError(err)) throw err;
+            }
+        }
+        assertQueuedUseStockFits(jobs, options, { inventory, materials, entries: outbox.entries });
+        const sheetCount = jobs.reduce((sum, job) => sum + job.items.reduce((n, item) =>
+            n + getUseStockLineQuantities(item, materials).reduce((q, line) => q + line.qty, 0) + (item.remnantIds || []).length, 0), 0);
+        outbox.enqueue(OUTBOX_KINDS.useStock, { jobs, options }, {
+            label: `${options.isScheduled ? 'Schedule' : 'Use'} ${sheetCount} sheet${sheetCount === 1 ? '' : 's'} for ${jobs.map(resolveUseStockJobLabel).join(', ')}`,
+            actor: authUser?.email || authUser?.displayName || null,
+        });
+        return undefined;
+    };
+
+    const commitUseStock = async (jobs, options, inventory) => {
         const { isScheduled, scheduledDate } = options;
-        const batch = writeBatch(db);
         const usageLogCollectionRef = collection(db, `artifacts/${appId}/public/data/usage_logs`);
-        const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
+        const stockCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
 
-        const resolveUseStockJobLabel = (job) => {
-            const fromParts = formatUseStockJobLabel(job.jobNumber, job.jobSection, job.joinWith);
-            if (fromParts) return fromParts;
-            return (job.jobName || '').trim() || 'N/A';
-        };
+        const jobLabels = jobs.map(resolveUseStockJobLabel).join(', ');
 
         // If scheduling, we only write the log entries
         if (isScheduled) {
+            const batch = createAuditedWrite('use-schedule', `Scheduled stock for ${jobLabels} on ${scheduledDate}`);
             for (const job of jobs) {
                 const itemsForLog = [];
                 let totalItems = 0;
 
                 for (const item of job.items) {
-                    for (const len of STANDARD_LENGTHS) {
-                        const qty = parseInt(item[`qty${len}`] || 0);
-                        if (qty > 0) {
-                            totalItems += qty;
-                            const materialInfo = materials[item.materialType];
-                            for (let i = 0; i < qty; i++) {
-                                itemsForLog.push({
-                                    materialType: item.materialType,
-                                    length: len,
-                                    width: 48,
-                                    gauge: getGaugeFromMaterial(item.materialType),
-                                    density: materialInfo?.density || 0,
-                                    thickness: materialInfo?.thickness || 0,
-                                });
-                            }
+                    const materialInfo = materials[item.materialType];
+                    for (const { size, qty } of getUseStockLineQuantities(item, materials)) {
+                        totalItems += qty;
+                        for (let i = 0; i < qty; i++) {
+                            itemsForLog.push({
+                                materialType: item.materialType,
+                                length: size.length,
+                                width: size.width,
+                                gauge: getGaugeFromMaterial(item.materialType),
+                                density: materialInfo?.density || 0,
+                                thickness: materialInfo?.thickness || 0,
+                            });
                         }
                     }
                 }
@@ -678,110 +893,141 @@ export default function App() {
                         details: itemsForLog,
                         qty: -totalItems,
                     };
-                    batch.set(logDocRef, logEntry);
+                    batch.create(logDocRef, logEntry);
                 }
             }
             await batch.commit();
             return;
         }
 
-        // Use Now: skip individual transaction reads for speed
-        for (const job of jobs) {
-            const logDocRef = doc(usageLogCollectionRef);
-            const usedItems = [];
+        // Use Now: every sheet is re-read inside one transaction, so two browsers can never take the same sheet.
+        // The transaction writes its own audit events, so what was taken can be reviewed and reverted.
+        return runTransaction(db, async (rawTx) => {
+            const tx = auditTransaction(db, appId, rawTx, { action: 'use-stock', summary: `Used stock for ${jobLabels}`, actor: authUser });
+            const claimed = new Map();
+            const plannedJobs = [];
 
-            for (const item of job.items) {
-                for (const len of STANDARD_LENGTHS) {
-                    const qty = parseInt(item[`qty${len}`] || 0);
-                    if (qty <= 0) continue;
+            // All reads happen before the first write; Firestore rejects reads after writes in a transaction.
+            for (const job of jobs) {
+                const sheetsToMark = [];
 
-                    const matchingSheets = inventory
-                        .filter(i => i.materialType === item.materialType && i.length === len && i.status === 'On Hand')
-                        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+                for (const item of job.items) {
+                    const cut = parseCutSize(item);
+                    const materialInfo = materials[item.materialType];
+
+                    for (const { size, qty } of getUseStockLineQuantities(item, materials)) {
+                        // A scanned bundle is consumed from that bundle alone, never topped up from FIFO.
+                        const candidates = item.bundle
+                            ? getBundleCandidates(inventory, item.bundle)
+                            : getFifoCandidates(inventory, item.materialType, getSheetSizeKeyForItem(size));
+                        const sheets = await claimFifoSheets(tx, stockCollectionRef, candidates, qty, claimed);
+                        if (sheets.length < qty) {
+                            throw new Error(item.bundle
+                                ? formatBundleShortMessage(qty, item.bundle, sheets.length)
+                                : formatNotEnoughStockMessage(qty, item.materialType, size, sheets.length));
+                        }
+                        for (const sheet of sheets) {
+                            const { consumedLength, consumedWidth, pieces } = calculateRemnantPieces(sheet, cut);
+                            sheetsToMark.push({ sheet, cutFields: cut ? { consumedLength, consumedWidth } : {}, pieces, materialInfo });
+                        }
+                    }
 
-                    if (matchingSheets.length < qty) {
-                        throw new Error(`Not enough stock for ${qty}x ${item.materialType} @ ${len}". Only ${matchingSheets.length} available.`);
+                    // Remnants are picked individually — they are never part of the FIFO pool above.
+                    for (const remnantId of item.remnantIds || []) {
+                        const remnantSnap = await tx.get(doc(stockCollectionRef, remnantId));
+                        const remnant = remnantSnap.exists() ? { ...remnantSnap.data(), id: remnantSnap.id } : null;
+                        if (!remnant || remnant.status !== 'On Hand' || !isRemnantSheet(remnant) || claimed.has(remnantId)) {
+                            throw new Error(`Remnant ${remnantId} of ${item.materialType} is no longer on hand.`);
+                        }
+                        claimed.set(remnantId, { data: remnant, taken: 1 });
+                        sheetsToMark.push({ sheet: remnant, cutFields: {}, pieces: [], materialInfo });
                     }
+                }
+
+                plannedJobs.push({ job, sheetsToMark });
+            }
 
-                    const sheetsToUse = matchingSheets.slice(0, qty);
-                    for (const sheet of sheetsToUse) {
-                        const ref = doc(inventoryCollectionRef, sheet.id);
-                        usedItems.push({ id: sheet.id, ...sheet });
-                        batch.update(ref, {
-                            status: 'Used',
+            const nowIso = new Date().toISOString();
+            const takenByJob = [];
+            for (const { job, sheetsToMark } of plannedJobs) {
+                if (sheetsToMark.length === 0) continue;
+                const logDocRef = doc(usageLogCollectionRef);
+                const usageJobLabel = resolveUseStockJobLabel(job);
+                const usedItems = [];
+                const remnantIdsCreated = [];
+
+                recordStockUse(tx, stockCollectionRef, sheetsToMark, {
+                    usageLogId: logDocRef.id,
+                    jobNameUsed: usageJobLabel,
+                    customerUsed: job.customer,
+                    usedAt: nowIso,
+                });
+                for (const { sheet, cutFields, pieces, materialInfo } of sheetsToMark) {
+                    usedItems.push({ ...getSheetOfLot(sheet), ...cutFields });
+                    for (const piece of pieces) {
+                        const remnantRef = doc(stockCollectionRef);
+                        const remnantData = buildRemnantStockData(sheet, piece, {
                             usageLogId: logDocRef.id,
-                            jobNameUsed: resolveUseStockJobLabel(job),
-                            customerUsed: job.customer,
-                            usedAt: new Date().toISOString(),
+                            usageJobLabel,
+                            nowIso,
+                            materialInfo,
                         });
+                        remnantIdsCreated.push(remnantRef.id);
+                        // Each offcut has its own size and history, so it is a lot of one
+                        tx.create(remnantRef, INVENTORY_LOTS_ENABLED ? buildLotFields(remnantData, 1) : remnantData);
                     }
                 }
-            }
 
-            if (usedItems.length > 0) {
-                const nowIso = new Date().toISOString();
-                const logEntry = {
-                    job: resolveUseStockJobLabel(job),
+                tx.create(logDocRef, {
+                    job: usageJobLabel,
                     customer: job.customer,
                     usedAt: nowIso,
                     createdAt: nowIso,
                     status: 'Completed',
                     details: usedItems,
                     qty: -usedItems.length,
-                };
-                batch.set(logDocRef, logEntry);
+                    ...(remnantIdsCreated.length > 0 ? { remnantIds: remnantIdsCreated } : {}),
+                });
+                takenByJob.push({ logId: logDocRef.id, job: usageJobLabel, customer: job.customer, sheets: usedItems });
             }
-        }
+            settleClaimedLots(tx, stockCollectionRef, claimed);
 
-        await batch.commit();
+            return takenByJob;
+        }, { maxAttempts: STOCK_TRANSACTION_MAX_ATTEMPTS });
     };
 
-    const handleFulfillScheduledLog = async (logToFulfill) => {
+    const handleConfirmLotMigration = async () => {
+        setModal({ type: 'fulfill-result', data: { title: 'Migrating inventory', message: 'Writing inventory lots. This can take a minute for a large inventory.' } });
         try {
-            const batch = writeBatch(db);
-            const itemsNeeded = logToFulfill.details.reduce((acc, item) => {
-                const key = `${item.materialType}|${item.length}`;
-                acc[key] = (acc[key] || 0) + 1;
-                return acc;
-            }, {});
-
-            // Prepare selection based on current in-memory inventory
-            const selectedSheets = [];
-            for (const [key, qty] of Object.entries(itemsNeeded)) {
-                const [materialType, lengthStr] = key.split('|');
-                const length = parseInt(lengthStr, 10);
-
-                const availableSheets = inventory
-                    .filter(i => i.materialType === materialType && i.length === length && i.status === 'On Hand')
-                    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-
-                if (availableSheets.length < qty) {
-                    throw new Error(`Cannot fulfill: Not enough stock for ${qty}x ${materialType} @ ${length}". Only ${availableSheets.length} available.`);
-                }
-                selectedSheets.push(...availableSheets.slice(0, qty));
-            }
-
-            const nowIso = new Date().toISOString();
-            for (const s of selectedSheets) {
-                const r = doc(db, `artifacts/${appId}/public/data/inventory`, s.id);
-                batch.update(r, {
-                    status: 'Used',
-                    usageLogId: logToFulfill.id,
-                    jobNameUsed: logToFulfill.job || 'N/A',
-                    customerUsed: logToFulfill.customer || 'N/A',
-                    usedAt: nowIso,
-                });
-            }
-
-            const logDocRef = doc(db, `artifacts/${appId}/public/data/usage_logs`, logToFulfill.id);
-            batch.update(logDocRef, {
-                status: 'Completed',
-                details: selectedSheets,
-                qty: -selectedSheets.length,
-                fulfilledAt: nowIso,
+            const stats = await migrateInventoryToLots(db, appId);
+            setModal({
+                type: 'fulfill-result',
+                data: {
+                    title: 'Inventory lots written',
+                    message: `Grouped ${stats.sheets} sheet docs into ${stats.lots} lots with ${stats.consumptions} consumption records. The sheet docs were left in place.`,
+                },
             });
+        } catch (error) {
+            console.error('Lot migration failed:', error);
+            setModal({ type: 'fulfill-error', data: { message: `Lot migration failed: ${error?.message || error}` } });
+        }
+    };
 
-            await batch.commit();
+    const handleFulfillScheduledLog = async (logToFulfill) => {
+        try {
+            const takenSheets = await fulfillScheduledLog(db, appId, logToFulfill, inventory, { actor: authUser });
+            setModal({
+                type: 'fulfill-result',
+                data: takenSheets
+                    ? {
+                        title: `Fulfilled ${logToFulfill.job || 'scheduled usage'}`,
+                        message: `Took ${takenSheets.length} sheet${takenSheets.length === 1 ? '' : 's'}:\n${takenSheets.map(describeTakenSheet).join('\n')}`,
+                    }
+                    : {
+                        title: 'Already fulfilled',
+                        message: 'This scheduled usage was already fulfilled or removed from another session. No stock was taken.',
+                    },
+            });
         } catch (error) {
             console.error("Fulfillment Error:", error);
             setModal({
@@ -791,9 +1037,12 @@ export default function App() {
         }
     };
 
-    const handleManageCategory = async (categoryName, materialsFromModal, mode) => {
+    const handleManageCategory = async (categoryName, materialsFromModal, mode, sheetSizes = DEFAULT_SHEET_SIZES) => {
+        // Sheet sizes are a category setting, written onto every material doc in the category.
+        const sheetSizesForStorage = sheetSizes.map(size => ({ length: size.length, width: size.width }));
+        const sheetSizesChanged = (material) => JSON.stringify(normalizeSheetSizes(material.sheetSizes)) !== JSON.stringify(normalizeSheetSizes(sheetSizesForStorage));
         const materialsCollectionRef = collection(db, `artifacts/${appId}/public/data/materials`);
-        const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
+        const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
 
         try {
             const allMaterialsSnapshot = await getDocs(materialsCollectionRef);
@@ -821,6 +1070,7 @@ export default function App() {
                         density: parseFloat(material.density),
                         visualLowThreshold: normalizedIndicatorSettings.low,
                         visualHighThreshold: normalizedIndicatorSettings.high,
+                        sheetSizes: sheetSizesForStorage,
                     });
                     batchHasWrites = true;
                 }
@@ -882,6 +1132,7 @@ export default function App() {
                         density: newDensity,
                         visualLowThreshold: normalizedIndicatorSettings.low,
                         visualHighThreshold: normalizedIndicatorSettings.high,
+                        sheetSizes: sheetSizesForStorage,
                     });
                     batchHasWrites = true;
                     continue;
@@ -909,6 +1160,7 @@ export default function App() {
                         density: newDensity,
                         visualLowThreshold: normalizedIndicatorSettings.low,
                         visualHighThreshold: normalizedIndicatorSettings.high,
+                        sheetSizes: sheetSizesForStorage,
                     });
                     batchHasWrites = true;
 
@@ -933,13 +1185,15 @@ export default function App() {
                     existing.thickness !== newThickness ||
                     existing.density !== newDensity ||
                     existing.visualLowThreshold !== normalizedIndicatorSettings.low ||
-                    existing.visualHighThreshold !== normalizedIndicatorSettings.high
+                    existing.visualHighThreshold !== normalizedIndicatorSettings.high ||
+                    sheetSizesChanged(existing)
                 ) {
                     batch.update(doc(materialsCollectionRef, originalDocId), {
                         thickness: newThickness,
                         density: newDensity,
                         visualLowThreshold: normalizedIndicatorSettings.low,
                         visualHighThreshold: normalizedIndicatorSettings.high,
+                        sheetSizes: sheetSizesForStorage,
                     });
                     batchHasWrites = true;
                 }
@@ -977,12 +1231,16 @@ export default function App() {
 
     const handleAddOrEditOrder = async (jobs, originalOrderGroup = null, options = {}) => {
         const isEditing = !!originalOrderGroup;
-        const batch = writeBatch(db);
+        const orderLabel = jobs.map(job => job.jobName.trim() || 'N/A').join(', ');
+        const batch = createAuditedWrite(
+            isEditing ? 'order-edit' : 'order-add',
+            `${isEditing ? 'Edited' : 'Added'} order ${orderLabel}`
+        );
 
         if (isEditing) {
             (originalOrderGroup.details || []).forEach(item => {
                 if (!item?.id) return;
-                const docRef = doc(db, `artifacts/${appId}/public/data/inventory`, item.id);
+                const docRef = doc(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`, item.id);
                 batch.delete(docRef);
             });
             (originalOrderGroup.sourceLogIds || []).forEach(logId => {
@@ -990,7 +1248,21 @@ export default function App() {
             });
         }
 
-        const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
+        const stockCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
+        // One doc per sheet, or one lot per line and size
+        const createStock = (sheetFields, qty) => {
+            if (INVENTORY_LOTS_ENABLED) {
+                batch.create(doc(stockCollectionRef), buildLotFields(sheetFields, qty));
+                return;
+            }
+            for (let i = 0; i < qty; i++) batch.create(doc(stockCollectionRef), sheetFields);
+        };
+        // Sheets keep a link to the buy order they came from, including through later edits.
+        const linkedBuyOrder = options.linkedBuyOrderId ? openBuyOrders.find(buyOrder => buyOrder.id === options.linkedBuyOrderId) : null;
+        const previousLink = (originalOrderGroup?.details || []).find(item => item?.buyOrderId);
+        const buyOrderLink = linkedBuyOrder
+            ? { buyOrderId: linkedBuyOrder.id, poNumber: linkedBuyOrder.poNumber || null }
+            : previousLink ? { buyOrderId: previousLink.buyOrderId, poNumber: previousLink.poNumber || null } : {};
         jobs.forEach(job => {
             const jobName = job.jobName.trim() || 'N/A';
             job.items.forEach(item => {
@@ -1007,38 +1279,57 @@ export default function App() {
                     status: job.status,
                     arrivalDate: job.status === 'Ordered' && localDate ? localDate.toISOString() : null,
                     dateReceived: null,
+                    ...buyOrderLink,
                 };
 
-                STANDARD_LENGTHS.forEach(len => {
-                    const qty = parseInt(item[`qty${len}`] || 0);
-                    for (let i = 0; i < qty; i++) {
-                        const newDocRef = doc(inventoryCollectionRef);
-                        batch.set(newDocRef, { ...stockData, width: 48, length: len });
-                    }
+                getItemSizeQuantities(item, getMaterialSheetSizes(materials, item.materialType)).forEach(({ size, qty }) => {
+                    if (qty > 0) createStock({ ...stockData, width: size.width, length: size.length }, qty);
                 });
 
                 const customQty = parseInt(item.customQty || 0, 10);
                 const customWidth = parseFloat(item.customWidth || 0);
                 const customLength = parseFloat(item.customLength || 0);
                 if (customQty > 0 && customWidth > 0 && customLength > 0) {
-                    for (let i = 0; i < customQty; i++) {
-                        const newDocRef = doc(inventoryCollectionRef);
-                        batch.set(newDocRef, { ...stockData, width: customWidth, length: customLength });
-                    }
+                    createStock({ ...stockData, width: customWidth, length: customLength }, customQty);
                 }
             });
         });
-        if (options.linkedBuyOrderId) {
-            batch.update(doc(db, BUY_ORDERS_PATH, options.linkedBuyOrderId), {
-                workflowStatus: 'received',
-                receivedAt: new Date().toISOString(),
+        if (linkedBuyOrder) {
+            // Sheets on order mean the supplier confirmed it; sheets already on hand mean it arrived.
+            const nextState = jobs.every(job => job.status === 'On Hand') ? BUY_ORDER_STATES.RECEIVED : BUY_ORDER_STATES.ACKNOWLEDGED;
+            const inventoryLinkedAt = new Date().toISOString();
+            batch.update(doc(db, BUY_ORDERS_PATH, linkedBuyOrder.id), {
+                ...(canTransitionBuyOrder(linkedBuyOrder, nextState) ? buildBuyOrderTransition(linkedBuyOrder, nextState, authUser, inventoryLinkedAt) : {}),
+                inventoryLinkedAt,
+                ...(nextState === BUY_ORDER_STATES.RECEIVED ? { receivedAt: inventoryLinkedAt } : {}),
             });
         }
 
         await batch.commit();
     };
 
-    const handleSubmitBuyOrder = useCallback(async (jobs) => {
+    /** Write a plan from the CSV import wizard as one audited (and revertible) batch. */
+    const handleCsvImport = async (plan, { importType, fileName, onProgress }) => {
+        const label = fileName ? ` from ${fileName}` : '';
+        const summary = importType === 'materials'
+            ? `Imported ${plan.materials.length} material(s)${label}`
+            : `Imported ${plan.sheets.length} ${importType === 'orders' ? 'ordered' : 'on-hand'} sheet(s)${label}`;
+        const batch = createAuditedWrite('csv-import', summary);
+
+        const materialsCollectionRef = collection(db, `artifacts/${appId}/public/data/materials`);
+        plan.materials.forEach(({ id, data }) => batch.set(doc(materialsCollectionRef, id), data, { merge: true }));
+        const stockCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
+        if (INVENTORY_LOTS_ENABLED) {
+            plan.lots.forEach(({ data, qty }) => batch.create(doc(stockCollectionRef), buildLotFields(data, qty)));
+        } else {
+            plan.sheets.forEach(data => batch.create(doc(stockCollectionRef), data));
+        }
+
+        await batch.commit({ onProgress });
+        if (plan.materials.length > 0 && refetchMaterials) await refetchMaterials();
+    };
+
+    const handleSubmitBuyOrder = useCallback(async (jobs, _initialData, options = {}) => {
         const job = jobs?.[0];
         if (!job) {
             throw new Error('A buy order requires at least one job.');
@@ -1051,43 +1342,29 @@ export default function App() {
         }
 
         const normalizedItems = normalizeOrderItemsForStorage(job.items);
-        const customBody = buildBuyOrderEmailBody(normalizedItems);
         const createdAt = new Date().toISOString();
         const requestedEmailSubject = (job.emailSubject || '').trim();
-        const emailDrafts = selectedSuppliers.map((supplier) => ({
-            supplier,
-            ...createSupplierMailtoLink({
-                supplier,
-                supplierInfoOverrides: supplierInfo,
-                customBody,
-                customSubject: requestedEmailSubject,
-            }),
-        }));
-        const blockedEmailDrafts = openMailtoLinks(emailDrafts);
+        const emailDrafts = buildBuyOrderEmailDrafts(selectedSuppliers, normalizedItems, requestedEmailSubject, supplierInfo);
+        // Drafts are saved without emailing; Send on the Reorder view opens the emails later.
+        const blockedEmailDrafts = options.asDraft ? [] : openMailtoLinks(emailDrafts);
 
         const buyOrderRef = doc(collection(db, BUY_ORDERS_PATH));
-        await setDoc(buyOrderRef, {
+        await createNumberedBuyOrder(db, appId, buyOrderRef, {
             jobName: '',
             customer: job.customer || '',
             supplier: selectedSuppliers[0] || '',
             suppliers: selectedSuppliers,
             status: 'Ordered',
-            workflowStatus: 'emailed',
+            ...buildInitialBuyOrderState(options.asDraft ? BUY_ORDER_STATES.DRAFT : BUY_ORDER_STATES.SENT, authUser, createdAt),
             createdAt,
             arrivalDate: null,
-            openedEmailAt: createdAt,
+            openedEmailAt: options.asDraft ? null : createdAt,
             receivedAt: null,
             items: normalizedItems,
             requestedEmailSubject,
             emailSubject: requestedEmailSubject || (emailDrafts[0]?.subject || 'Quote Request'),
-            emailBody: emailDrafts[0]?.body || customBody,
-            emailDrafts: emailDrafts.map(({ supplier, subject, body, info }) => ({
-                supplier,
-                email: info?.email || '',
-                ccEmail: info?.ccEmail || '',
-                subject,
-                body,
-            })),
+            emailBody: emailDrafts[0]?.body || buildBuyOrderEmailBody(normalizedItems),
+            emailDrafts: getStoredEmailDrafts(emailDrafts),
         });
         if (blockedEmailDrafts.length > 0) {
             setModal({ type: 'buy-order-drafts', data: { drafts: blockedEmailDrafts } });
@@ -1095,16 +1372,45 @@ export default function App() {
             closeModal();
         }
         return { closeModalOnSuccess: false };
-    }, [closeModal, supplierInfo]);
+    }, [closeModal, supplierInfo, authUser]);
+
+    // Emails a saved draft to its suppliers and marks it Sent.
+    const handleSendBuyOrder = useCallback(async (buyOrder) => {
+        const orderSuppliers = Array.isArray(buyOrder?.suppliers) && buyOrder.suppliers.length > 0
+            ? buyOrder.suppliers.filter(Boolean)
+            : [getBuyOrderPrimarySupplier(buyOrder)].filter(Boolean);
+        const emailDrafts = buildBuyOrderEmailDrafts(orderSuppliers, buyOrder.items || [], buyOrder.requestedEmailSubject || '', supplierInfo);
+        const blockedEmailDrafts = openMailtoLinks(emailDrafts);
+        const sentAt = new Date().toISOString();
+        try {
+            await transitionBuyOrder(db, appId, buyOrder.id, BUY_ORDER_STATES.SENT, {
+                actor: authUser,
+                extra: { openedEmailAt: sentAt, emailDrafts: getStoredEmailDrafts(emailDrafts) },
+            });
+        } catch (err) {
+            console.error('Failed to mark buy order as sent:', err);
+        }
+        if (blockedEmailDrafts.length > 0) {
+            setModal({ type: 'buy-order-drafts', data: { drafts: blockedEmailDrafts } });
+        }
+    }, [supplierInfo, authUser]);
+
+    const handleTransitionBuyOrder = useCallback(async (buyOrder, nextState) => {
+        try {
+            await transitionBuyOrder(db, appId, buyOrder.id, nextState, { actor: authUser });
+        } catch (err) {
+            console.error('Buy order state change failed:', err);
+        }
+    }, [authUser]);
 
     const handleDeleteInventoryGroup = async (group) => {
         const details = group?.details || [];
         const sourceLogIds = group?.sourceLogIds || [];
         if (!details.length && !sourceLogIds.length) return;
-        const batch = writeBatch(db);
+        const batch = createAuditedWrite('inventory-group-delete', `Deleted ${group.job || 'inventory'} group (${details.length} sheets)`);
         details.forEach(item => {
             if (!item?.id) return;
-            const docRef = doc(db, `artifacts/${appId}/public/data/inventory`, item.id);
+            const docRef = doc(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`, item.id);
             batch.delete(docRef);
         });
         sourceLogIds.forEach(logId => {
@@ -1120,117 +1426,167 @@ export default function App() {
             return;
         }
 
-        const logData = logSnap.data();
-        const isCompleted = (logData.status || 'Completed') === 'Completed';
-        const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
-        const batch = writeBatch(db);
+        const stockCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
+        // Queries cannot run inside a transaction: what the log took and cut is looked up here, then re-read in it.
+        const [usedSnap, remnantSnap, consumptionSnap] = await Promise.all([
+            getDocs(query(stockCollectionRef, where('usageLogId', '==', logId))),
+            getDocs(query(stockCollectionRef, where('sourceUsageLogId', '==', logId))),
+            INVENTORY_LOTS_ENABLED
+                ? getDocs(query(collection(db, `artifacts/${appId}/public/data/${LOT_CONSUMPTIONS_COLLECTION}`), where('usageLogId', '==', logId)))
+                : null,
+        ]);
+        // Per-sheet docs go back whole; lots get back every sheet this log took from them
+        const returned = new Map(usedSnap.docs.map(sheetDoc => [sheetDoc.id, 1]));
+        consumptionSnap?.docs.forEach(consumptionDoc => returned.set(consumptionDoc.data().lotId, Infinity));
+
+        await runTransaction(db, async (rawTx) => {
+            const tx = auditTransaction(db, appId, rawTx, { action: 'log-delete', summary: `Deleted usage log ${logSnap.data().job || logId}`, actor: authUser });
+            const latestSnap = await tx.get(logDocRef);
+            if (!latestSnap.exists()) return;
+
+            if ((latestSnap.data().status || 'Completed') === 'Completed') {
+                const returns = await readSheetReturns(tx, stockCollectionRef, logId, returned, remnantSnap.docs.map(remnantDoc => remnantDoc.id));
+                writeSheetReturns(tx, stockCollectionRef, returns);
+            }
+            tx.delete(logDocRef);
+        }, { maxAttempts: STOCK_TRANSACTION_MAX_ATTEMPTS });
+    };
 
-        if (isCompleted) {
-            const usedInventorySnap = await getDocs(
-                query(inventoryCollectionRef, where('usageLogId', '==', logId))
-            );
+    const handlePrintBundleLabels = (orderGroup) => {
+        setModal({ type: 'bundle-labels', data: orderGroup });
+    };
 
-            usedInventorySnap.forEach((itemDoc) => {
-                batch.update(doc(inventoryCollectionRef, itemDoc.id), {
-                    status: 'On Hand',
-                    usageLogId: null,
-                    jobNameUsed: null,
-                    customerUsed: null,
-                    usedAt: null
-                });
+    const handleReceiveOrder = (orderGroup) => {
+        setModal({ type: 'receive-order', data: orderGroup });
+    };
+
+    // Receives the counted sheets of each line; whatever the supplier still owes stays Ordered for the new date.
+    // Offline, the receipt is queued with the time it was counted and applied when the tablet reconnects.
+    const handleSubmitReceipt = async (orderGroup, lines, receivedQtyByKey, remainderArrivalDate) => {
+        const { toReceive, toBackorder } = planOrderReceipt(lines, receivedQtyByKey);
+        if (toReceive.length === 0 && toBackorder.length === 0) return;
+
+        const toQueuedItem = ({ id, arrivalDate, promisedArrivalDate, qty }) => ({
+            id,
+            arrivalDate: arrivalDate || null,
+            promisedArrivalDate: promisedArrivalDate || null,
+            ...(qty != null ? { qty } : {}),
+        });
+        const receivedCount = countReceiptSheets(toReceive);
+        const receipt = {
+            orderJob: orderGroup.job,
+            toReceive: toReceive.map(toQueuedItem),
+            toBackorder: toBackorder.map(toQueuedItem),
+            remainderArrivalDate,
+            receivedAt: new Date().toISOString(),
+        };
+        if (outbox.online) {
+            await commitReceipt(receipt);
+        } else {
+            outbox.enqueue(OUTBOX_KINDS.receive, receipt, {
+                label: `Receive ${receivedCount} sheet${receivedCount === 1 ? '' : 's'} on order ${orderGroup.job}`,
+                actor: authUser?.email || authUser?.displayName || null,
             });
         }
+        closeModal();
+    };
 
-        batch.delete(logDocRef);
+    const commitReceipt = async ({ orderJob, toReceive, toBackorder, remainderArrivalDate, receivedAt }) => {
+        const now = new Date(receivedAt);
+        const receivedCount = countReceiptSheets(toReceive);
+        const summary = toBackorder.length > 0
+            ? `Received ${receivedCount} of ${receivedCount + countReceiptSheets(toBackorder)} sheets on order ${orderJob}`
+            : `Received order ${orderJob}`;
+        const batch = createAuditedWrite('order-receive', summary);
+        const stockCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
+        const receivedFields = buildReceivedFields(RECEIVED_VIA_MANUAL, now);
+        // A lot that arrived in part splits: the sheets received become a new lot, the rest stay on order under its id.
+        const splitLotIds = new Set(toBackorder.filter(item => item.qty != null).map(item => item.id));
+        for (const item of toReceive) {
+            const ref = doc(stockCollectionRef, item.id);
+            if (!splitLotIds.has(item.id)) {
+                batch.update(ref, receivedFields);
+                continue;
+            }
+            const lotSnap = await getDoc(ref);
+            if (!lotSnap.exists()) throw new Error(`Lot ${item.id} on order ${orderJob} no longer exists.`);
+            batch.create(doc(stockCollectionRef), buildLotFields({ ...getSheetOfLot(lotSnap.data()), ...receivedFields }, item.qty));
+        }
+        if (toBackorder.length > 0) {
+            const arrivalDate = new Date(`${remainderArrivalDate}T00:00:00`).toISOString();
+            toBackorder.forEach(item => batch.update(doc(stockCollectionRef, item.id), {
+                ...buildBackorderFields(item, arrivalDate, now),
+                ...(splitLotIds.has(item.id) ? { quantity: item.qty, remainingQty: item.qty } : {}),
+            }));
+        }
         await batch.commit();
     };
 
-    const handleReceiveOrder = async (orderGroup) => {
-        const batch = writeBatch(db);
-        orderGroup.details.forEach(item => {
-            if (item.id) {
-                const docRef = doc(db, `artifacts/${appId}/public/data/inventory`, item.id);
-                batch.update(docRef, { status: 'On Hand', dateReceived: new Date().toISOString().split('T')[0] });
+    /**
+     * Apply one outbox entry now that the tablet is back online. Replays can run from the dashboard, where the
+     * inventory listener is off, so the sheets they touch are re-read from the server first.
+     */
+    const replayOutboxEntry = async (entry) => {
+        const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
+        if (entry.kind === OUTBOX_KINDS.receive) {
+            const { orderJob, toReceive, toBackorder } = entry.payload;
+            // A lot must still have every sheet the receipt counted on order
+            const expectedById = new Map();
+            [...toReceive, ...toBackorder].forEach(item => expectedById.set(item.id, (expectedById.get(item.id) || 0) + (item.qty ?? 1)));
+            const snaps = await Promise.all([...expectedById.keys()].map(id => getDoc(doc(inventoryCollectionRef, id))));
+            const moved = snaps.filter(snap => !snap.exists() || snap.data().status !== 'Ordered'
+                || getRemainingQuantity(snap.data()) !== expectedById.get(snap.id)).length;
+            if (moved > 0) {
+                throw new Error(`${moved} sheet${moved === 1 ? '' : 's'} on order ${orderJob} ${moved === 1 ? 'was' : 'were'} received or removed elsewhere after this receipt was queued.`);
             }
-        });
-        await batch.commit();
+            await commitReceipt(entry.payload);
+            return;
+        }
+        const { jobs, options } = entry.payload;
+        const materialTypesUsed = [...new Set(jobs.flatMap(job => job.items.map(item => item.materialType)))];
+        const snaps = await Promise.all(materialTypesUsed.map(materialType => getDocs(query(
+            inventoryCollectionRef,
+            where('materialType', '==', materialType),
+            where('status', '==', 'On Hand')
+        ))));
+        await commitUseStock(jobs, options, snaps.flatMap(snap => snap.docs.map(d => ({ ...d.data(), id: d.id }))));
     };
+    const outbox = useOutbox({ enabled: Boolean(userId) && can(PERMISSIONS.useStock), replay: replayOutboxEntry });
+    const { alerts: stockAlerts, lowStockLevels } = useStockAlerts({
+        enabled: Boolean(userId) && !loading,
+        canSync: can(PERMISSIONS.useStock),
+        online: outbox.online,
+        // Counts worked out from the full inventory listener are complete whatever happened to the count queries
+        summariesComplete: SUMMARY_COUNTERS_ENABLED ? summariesComplete : (inventory.length > 0 || summariesComplete),
+        materials,
+        inventorySummary,
+        incomingSummary,
+        materialIndicatorSettings,
+    });
+    const openStockAlertCount = useMemo(() => stockAlerts.filter(alert => alert.status === 'open').length, [stockAlerts]);
 
-    const handleStockEdit = async (materialType, length, newQuantity) => {
-        const currentQuantity = inventorySummary[materialType]?.[length] || 0;
+    const handleStockEdit = async (materialType, sizeKey, newQuantity) => {
+        const currentQuantity = inventorySummary[materialType]?.[sizeKey] || 0;
+        const size = parseSheetSizeKey(sizeKey);
+        if (!size) throw new Error(`Unknown sheet size "${sizeKey}".`);
         const diff = newQuantity - currentQuantity;
 
         if (diff === 0) return;
 
-        const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
-        const usageLogCollectionRef = collection(db, `artifacts/${appId}/public/data/usage_logs`);
-        const batch = writeBatch(db);
-        const nowIso = new Date().toISOString();
-        const editSessionId = manualEditSessionId || createManualEditSessionId();
-
-        if (diff > 0) {
-            const materialInfo = materials[materialType];
-            const stockData = {
-                materialType: materialType,
-                gauge: getGaugeFromMaterial(materialType),
-                supplier: 'Manual Edit',
-                costPerPound: 0,
-                createdAt: nowIso,
-                job: `MODIFICATION: ADD`,
-                status: 'On Hand',
-                dateReceived: nowIso.split('T')[0],
-                width: 48,
-                length: length,
-                density: materialInfo?.density || 0,
-                thickness: materialInfo?.thickness || 0,
-                manualEditSessionId: editSessionId,
-            };
-            for (let i = 0; i < diff; i++) {
-                const newDocRef = doc(inventoryCollectionRef);
-                batch.set(newDocRef, stockData);
-            }
-        } else {
-            const sheetsToRemove = Math.abs(diff);
-            const availableSheets = inventory
-                .filter(
-                    item => item.materialType === materialType &&
-                        item.length === length &&
-                        item.status === 'On Hand'
-                )
-                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-
-            if (availableSheets.length < sheetsToRemove) {
-                throw new Error(`Cannot remove ${sheetsToRemove} sheets. Only ${availableSheets.length} available.`);
-            }
-
-            const sheetsToUse = availableSheets.slice(0, sheetsToRemove);
-            const logDocRef = doc(usageLogCollectionRef);
-
-            for (const sheet of sheetsToUse) {
-                const sheetRef = doc(inventoryCollectionRef, sheet.id);
-                batch.update(sheetRef, {
-                    status: 'Used',
-                    usageLogId: logDocRef.id,
-                    jobNameUsed: 'MODIFICATION: REMOVE',
-                    customerUsed: 'Manual Edit',
-                    usedAt: nowIso,
-                    manualEditSessionId: editSessionId,
-                });
-            }
-
-            batch.set(logDocRef, {
-                job: 'MODIFICATION: REMOVE',
-                customer: 'Manual Edit',
-                usedAt: nowIso,
-                createdAt: nowIso,
-                status: 'Completed',
-                details: sheetsToUse,
-                qty: -sheetsToUse.length,
-                manualEditSessionId: editSessionId,
-            });
-        }
+        const batch = createAuditedWrite('stock-edit', `Stock edit: ${materialType} @ ${formatSheetSize(size)} ${currentQuantity} → ${newQuantity}`);
+        const relied = queueStockAdjustment(batch, {
+            stockCollectionRef: collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`),
+            usageLogCollectionRef: collection(db, `artifacts/${appId}/public/data/usage_logs`),
+            inventory,
+            materials,
+            materialType,
+            size,
+            diff,
+            source: MANUAL_EDIT_SOURCE,
+            tags: { manualEditSessionId: manualEditSessionId || createManualEditSessionId() },
+        });
 
-        await batch.commit();
+        await batch.commit({ verify: verifyStockUnchanged(relied) });
     };
 
     const handleEditOutgoingLog = async (originalLog, newLogData) => {
@@ -1240,24 +1596,22 @@ export default function App() {
         const latestSnap = await getDoc(logDocRef);
         const latestLog = latestSnap.exists() ? { id: latestSnap.id, ...latestSnap.data() } : originalLog;
         const latestStatus = (latestLog.status || 'Completed');
+        const logEditSummary = `Edited usage log ${newLogData.jobName.trim() || latestLog.job || 'N/A'}`;
 
         if (latestStatus === 'Scheduled') {
             const newDetails = [];
             let totalItems = 0;
             for (const item of newLogData.items) {
-                for (const len of STANDARD_LENGTHS) {
-                    const qty = parseInt(item[`qty${len}`] || 0);
-                    if (qty > 0) {
-                        totalItems += qty;
-                        const materialInfo = materials[item.materialType];
-                        for (let i = 0; i < qty; i++) {
-                            newDetails.push({
-                                materialType: item.materialType, length: len, width: 48,
-                                gauge: getGaugeFromMaterial(item.materialType),
-                                density: materialInfo?.density || 0,
-                                thickness: materialInfo?.thickness || 0,
-                            });
-                        }
+                const materialInfo = materials[item.materialType];
+                for (const { size, qty } of getItemSizeQuantities(item, getMaterialSheetSizes(materials, item.materialType))) {
+                    totalItems += qty;
+                    for (let i = 0; i < qty; i++) {
+                        newDetails.push({
+                            materialType: item.materialType, length: size.length, width: size.width,
+                            gauge: getGaugeFromMaterial(item.materialType),
+                            density: materialInfo?.density || 0,
+                            thickness: materialInfo?.thickness || 0,
+                        });
                     }
                 }
             }
@@ -1268,56 +1622,16 @@ export default function App() {
 
             // If the scheduled date is today or earlier, fulfill immediately
             if (targetDate <= now) {
-                const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
-                const batch = writeBatch(db);
-
-                // Determine items needed by type/length
-                const itemsNeeded = newDetails.reduce((acc, d) => {
-                    const key = `${d.materialType}|${d.length}`;
-                    acc[key] = (acc[key] || 0) + 1;
-                    return acc;
-                }, {});
-
-                const selectedSheets = [];
-                for (const [key, qty] of Object.entries(itemsNeeded)) {
-                    const [materialType, lengthStr] = key.split('|');
-                    const length = parseInt(lengthStr, 10);
-                    const availableSheets = inventory
-                        .filter(i => i.materialType === materialType && i.length === length && i.status === 'On Hand')
-                        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-                    if (availableSheets.length < qty) {
-                        throw new Error(`Cannot fulfill: Not enough stock for ${qty}x ${materialType} @ ${length}". Only ${availableSheets.length} available.`);
-                    }
-                    selectedSheets.push(...availableSheets.slice(0, qty));
-                }
-
-                // Store the concrete sheet snapshots so the inventory timeline can keep the original add counts.
-                const usedAtIso = new Date().toISOString();
-                for (const sheet of selectedSheets) {
-                    batch.update(doc(inventoryCollectionRef, sheet.id), {
-                        status: 'Used',
-                        usageLogId: latestLog.id,
-                        jobNameUsed: newLogData.jobName.trim() || 'N/A',
-                        customerUsed: newLogData.customer,
-                        usedAt: usedAtIso,
-                    });
-                }
-
-                batch.update(logDocRef, {
-                    job: newLogData.jobName.trim() || 'N/A',
-                    customer: newLogData.customer,
-                    status: 'Completed',
-                    details: selectedSheets,
-                    qty: -selectedSheets.length,
-                    usedAt: usedAtIso,
-                    fulfilledAt: usedAtIso,
+                const taken = await fulfillScheduledLog(db, appId, latestLog, inventory, {
+                    actor: authUser,
+                    changes: { job: newLogData.jobName.trim() || 'N/A', customer: newLogData.customer, details: newDetails },
                 });
-
-                await batch.commit();
+                if (!taken) throw new Error(LOG_CHANGED_ELSEWHERE_MESSAGE);
             } else {
                 // Save as scheduled at end-of-day to avoid immediate auto-fulfill
                 const scheduledUsedAtIso = new Date(`${newLogData.date}T23:59:59`).toISOString();
-                await updateDoc(logDocRef, {
+                const batch = createAuditedWrite('log-edit', logEditSummary);
+                batch.update(logDocRef, {
                     job: newLogData.jobName.trim() || 'N/A',
                     customer: newLogData.customer,
                     usedAt: scheduledUsedAtIso,
@@ -1326,6 +1640,7 @@ export default function App() {
                     status: 'Scheduled',
                     fulfilledAt: null,
                 });
+                await batch.commit();
             }
         } else {
             // Logic for editing a COMPLETED log
@@ -1333,65 +1648,63 @@ export default function App() {
             // Build target date at local midnight to avoid timezone drift
             const targetDate = newLogData.date ? new Date(`${newLogData.date}T00:00:00`) : null;
             const shouldRevertToScheduled = targetDate && targetDate > now;
+            const stockCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
+            const consumptionsRef = collection(db, `artifacts/${appId}/public/data/${LOT_CONSUMPTIONS_COLLECTION}`);
+            const detailKey = (item) => `${item.materialType}|${getSheetSizeKeyForItem(item)}`;
+            // Sheets per stock doc id: a lot's id appears once for each of its sheets on the log
+            const countDetailIds = (details) => details.reduce((acc, d) => acc.set(d.id, (acc.get(d.id) || 0) + 1), new Map());
+
+            // Queries cannot run inside a transaction, so the log's offcuts are looked up here and re-read in it.
+            const remnantSnap = await getDocs(query(stockCollectionRef, where('sourceUsageLogId', '==', latestLog.id)));
+            const remnantIds = remnantSnap.docs.map(remnantDoc => remnantDoc.id);
+
+            // Every sheet is re-read inside the transaction, as in Use Stock, so an edit never takes a sheet
+            // another browser has just used or gives back one that is no longer this log's.
+            const edited = await runTransaction(db, async (rawTx) => {
+                const tx = auditTransaction(db, appId, rawTx, { action: 'log-edit', summary: logEditSummary, actor: authUser });
+                const logSnap = await tx.get(logDocRef);
+                if (!logSnap.exists() || (logSnap.data().status || 'Completed') !== 'Completed') return false;
+                const originalDetails = (logSnap.data().details || []).filter(d => d.id);
+
+                if (shouldRevertToScheduled) {
+                    // Return every sheet of this log back to On Hand
+                    const returns = await readSheetReturns(tx, stockCollectionRef, latestLog.id, countDetailIds(originalDetails), remnantIds);
+                    writeSheetReturns(tx, stockCollectionRef, returns, { returnedByLogEdit: true });
+
+                    // Sheets deleted since they were used come back as new On Hand sheets
+                    const missingIds = new Set(returns.missingIds);
+                    const nowIso = new Date().toISOString();
+                    for (const d of originalDetails.filter(detail => missingIds.has(detail.id))) {
+                        const recreated = {
+                            materialType: d.materialType,
+                            gauge: d.gauge ?? getGaugeFromMaterial(d.materialType),
+                            supplier: d.supplier || 'Rescheduled Return',
+                            costPerPound: d.costPerPound || 0,
+                            createdAt: nowIso,
+                            job: d.job || 'N/A',
+                            status: 'On Hand',
+                            arrivalDate: null,
+                            dateReceived: nowIso.slice(0, 10),
+                            width: d.width || DEFAULT_SHEET_WIDTH,
+                            length: d.length,
+                            density: d.density ?? materials[d.materialType]?.density ?? 0,
+                            thickness: d.thickness ?? materials[d.materialType]?.thickness ?? 0,
+                        };
+                        tx.create(doc(stockCollectionRef), INVENTORY_LOTS_ENABLED ? buildLotFields(recreated, 1) : recreated);
+                    }
 
-            if (shouldRevertToScheduled) {
-                const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
-                const batch = writeBatch(db);
-
-                // Return currently used items for this log (that still exist) back to On Hand
-                const originalItemIds = (latestLog.details || []).map(d => d.id).filter(Boolean);
-                const returnRefs = originalItemIds.map((id) => doc(inventoryCollectionRef, id));
-
-                // WRITES: make them On Hand
-                for (const r of returnRefs) {
-                    batch.update(r, {
-                        status: 'On Hand',
-                        usageLogId: null,
-                        jobNameUsed: null,
-                        customerUsed: null,
-                        usedAt: null,
-                        returnedByLogEdit: true,
-                    });
-                }
-
-                // For any items that no longer exist or are not revertable, recreate a matching sheet back to On Hand
-                const validReturnIds = new Set(returnRefs.map(ref => ref.id));
-                const missingDetails = (latestLog.details || []).filter(d => d.id && !validReturnIds.has(d.id));
-                const nowIso = new Date().toISOString();
-                for (const d of missingDetails) {
-                    const recreated = {
-                        materialType: d.materialType,
-                        gauge: d.gauge ?? getGaugeFromMaterial(d.materialType),
-                        supplier: d.supplier || 'Rescheduled Return',
-                        costPerPound: d.costPerPound || 0,
-                        createdAt: nowIso,
-                        job: d.job || 'N/A',
-                        status: 'On Hand',
-                        arrivalDate: null,
-                        dateReceived: nowIso.slice(0, 10),
-                        width: d.width || 48,
-                        length: d.length,
-                        density: d.density ?? materials[d.materialType]?.density ?? 0,
-                        thickness: d.thickness ?? materials[d.materialType]?.thickness ?? 0,
-                    };
-                    const newRef = doc(inventoryCollectionRef);
-                    batch.set(newRef, recreated);
-                }
-
-                // Build new scheduled details (no concrete sheet IDs)
-                const newDetails = [];
-                let totalItems = 0;
-                for (const item of newLogData.items) {
-                    for (const len of STANDARD_LENGTHS) {
-                        const qty = parseInt(item[`qty${len}`] || 0);
-                        if (qty > 0) {
+                    // Build new scheduled details (no concrete sheet IDs)
+                    const newDetails = [];
+                    let totalItems = 0;
+                    for (const item of newLogData.items) {
+                        const materialInfo = materials[item.materialType];
+                        for (const { size, qty } of getItemSizeQuantities(item, getMaterialSheetSizes(materials, item.materialType))) {
                             totalItems += qty;
-                            const materialInfo = materials[item.materialType];
                             for (let i = 0; i < qty; i++) {
                                 newDetails.push({
                                     materialType: item.materialType,
-                                    length: len,
-                                    width: 48,
+                                    length: size.length,
+                                    width: size.width,
                                     gauge: getGaugeFromMaterial(item.materialType),
                                     density: materialInfo?.density || 0,
                                     thickness: materialInfo?.thickness || 0,
@@ -1399,172 +1712,149 @@ export default function App() {
                             }
                         }
                     }
-                }
 
-                // Schedule at end-of-day to avoid immediate auto-fulfill
-                const localYmd = `${targetDate.getFullYear()}-${String(targetDate.getMonth() + 1).padStart(2, '0')}-${String(targetDate.getDate()).padStart(2, '0')}`;
-                const scheduledUsedAtIso = new Date(`${localYmd}T23:59:59`).toISOString();
-                batch.update(logDocRef, {
-                    job: newLogData.jobName.trim() || 'N/A',
-                    customer: newLogData.customer,
-                    usedAt: scheduledUsedAtIso,
-                    details: newDetails,
-                    qty: -totalItems,
-                    status: 'Scheduled',
-                    fulfilledAt: null,
-                });
-                
-                await batch.commit();
-                return;
-            }
-
-            const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
+                    // Schedule at end-of-day to avoid immediate auto-fulfill
+                    const localYmd = `${targetDate.getFullYear()}-${String(targetDate.getMonth() + 1).padStart(2, '0')}-${String(targetDate.getDate()).padStart(2, '0')}`;
+                    const scheduledUsedAtIso = new Date(`${localYmd}T23:59:59`).toISOString();
+                    tx.update(logDocRef, {
+                        job: newLogData.jobName.trim() || 'N/A',
+                        customer: newLogData.customer,
+                        usedAt: scheduledUsedAtIso,
+                        details: newDetails,
+                        qty: -totalItems,
+                        status: 'Scheduled',
+                        fulfilledAt: null,
+                        remnantIds: returns.keptRemnantIds.length > 0 ? returns.keptRemnantIds : null,
+                    });
+                    return true;
+                }
 
-                const netChange = {};
-                (latestLog.details || []).forEach(item => {
-                    const key = `${item.materialType}|${item.length}`;
-                    netChange[key] = (netChange[key] || 0) + 1;
-                });
+                const desiredCounts = {};
                 newLogData.items.forEach(item => {
-                    STANDARD_LENGTHS.forEach(len => {
-                        const qty = parseInt(item[`qty${len}`] || 0);
-                        if (qty > 0) {
-                            const key = `${item.materialType}|${len}`;
-                            netChange[key] = (netChange[key] || 0) - qty;
-                        }
+                    getItemSizeQuantities(item, getMaterialSheetSizes(materials, item.materialType)).forEach(({ size, qty }) => {
+                        const key = detailKey({ materialType: item.materialType, ...size });
+                        desiredCounts[key] = (desiredCounts[key] || 0) + qty;
                     });
                 });
 
-                for (const key in netChange) {
-                    if (netChange[key] < 0) {
-                        const [materialType, lengthStr] = key.split('|');
-                        const length = parseInt(lengthStr, 10);
-                        const needed = Math.abs(netChange[key]);
-
-                        const currentStock = inventory.filter(i =>
-                            i.materialType === materialType &&
-                            i.length === length &&
-                            i.status === 'On Hand'
-                        ).length;
-
-                        if (currentStock < needed) {
-                            throw new Error(`Not enough stock for ${materialType} @ ${length}". Needed: ${needed}, Available: ${currentStock}.`);
-                        }
-                    }
-                }
-
-                const originalDetails = (latestLog.details || []).filter(d => d.id);
-                const originalItemIds = originalDetails.map(d => d.id);
+                // Keep the sheets already on this log for lines that still want them; the extras go back.
                 const originalItemsByKey = {};
-                const desiredCounts = {};
-
                 originalDetails.forEach(detail => {
-                    const key = `${detail.materialType}|${detail.length}`;
+                    const key = detailKey(detail);
                     if (!originalItemsByKey[key]) originalItemsByKey[key] = [];
                     originalItemsByKey[key].push(detail);
                 });
-
-                newLogData.items.forEach(item => {
-                    STANDARD_LENGTHS.forEach(len => {
-                        const qty = parseInt(item[`qty${len}`] || 0, 10);
-                        if (qty > 0) {
-                            const key = `${item.materialType}|${len}`;
-                            desiredCounts[key] = (desiredCounts[key] || 0) + qty;
-                        }
-                    });
-                });
-
                 const keptOriginalDetails = [];
-                const returnDetailIds = new Set();
-
+                const returnedDetails = [];
                 Object.entries(originalItemsByKey).forEach(([key, details]) => {
-                    const desiredQty = desiredCounts[key] || 0;
-                    const keepCount = Math.min(details.length, desiredQty);
+                    const keepCount = Math.min(details.length, desiredCounts[key] || 0);
                     keptOriginalDetails.push(...details.slice(0, keepCount));
-                    details.slice(keepCount).forEach(detail => returnDetailIds.add(detail.id));
+                    returnedDetails.push(...details.slice(keepCount));
                 });
 
-                const keptOriginalRefs = keptOriginalDetails.map(detail => doc(inventoryCollectionRef, detail.id));
-                const returnRefs = Array.from(returnDetailIds).map(id => doc(inventoryCollectionRef, id));
-
-                // Only allocate additional stock for the deficit after reusing matching sheets already on this log.
-                const plannedNewRefs = [];
-                Object.entries(desiredCounts).forEach(([key, desiredQty]) => {
-                    const keptCount = keptOriginalDetails.filter(detail => `${detail.materialType}|${detail.length}` === key).length;
-                    const neededQty = desiredQty - keptCount;
-                    if (neededQty <= 0) return;
-
-                    const [materialType, lengthStr] = key.split('|');
-                    const len = parseInt(lengthStr, 10);
-                    const matchingSheets = inventory
-                        .filter(i => i.materialType === materialType && i.length === len && i.status === 'On Hand' && !originalItemIds.includes(i.id))
-                        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-
-                    const sheetsToUse = matchingSheets.slice(0, neededQty);
-                    if (sheetsToUse.length < neededQty) {
-                        throw new Error(`Concurrency Error: Not enough stock for ${materialType} @ ${len}" during edit.`);
-                    }
-                    sheetsToUse.forEach(sheet => plannedNewRefs.push(doc(inventoryCollectionRef, sheet.id)));
-                });
-
-                const batch = writeBatch(db);
-                
-                const keptItemsForLog = keptOriginalDetails;
-                const updatedUsedItemsForLog = [];
-                const validReturnRefs = returnRefs;
-
-                for (const r of plannedNewRefs) {
-                    const sheet = inventory.find(i => i.id === r.id);
-                    if (sheet) {
-                        updatedUsedItemsForLog.push({ id: r.id, ...sheet });
+                // Only claim additional stock for the deficit, oldest first like Use Stock. A lot already on this log
+                // can give more; its record for the log grows.
+                const originalItemIds = new Set(originalDetails.map(d => d.id));
+                const claimed = new Map();
+                const addedSheets = [];
+                for (const [key, desiredQty] of Object.entries(desiredCounts)) {
+                    const neededQty = desiredQty - keptOriginalDetails.filter(detail => detailKey(detail) === key).length;
+                    if (neededQty <= 0) continue;
+                    const [materialType, sizeKey] = key.split('|');
+                    const candidates = getFifoCandidates(inventory, materialType, sizeKey).filter(i => isInventoryLot(i) || !originalItemIds.has(i.id));
+                    const sheets = await claimFifoSheets(tx, stockCollectionRef, candidates, neededQty, claimed);
+                    if (sheets.length < neededQty) {
+                        throw new Error(formatNotEnoughStockMessage(neededQty, materialType, parseSheetSizeKey(sizeKey), sheets.length));
                     }
+                    addedSheets.push(...sheets);
                 }
 
-                const usedAtIso = newLogData.date
-                    ? new Date(newLogData.date + 'T00:00:00').toISOString()
-                    : (latestLog.usedAt || new Date().toISOString());
-                const usageUpdate = {
-                    status: 'Used',
+                const keptSnaps = (await Promise.all([...new Set(keptOriginalDetails.map(d => d.id))].map(id => tx.get(doc(stockCollectionRef, id)))))
+                    .filter(snap => snap.exists());
+                const keptLotIds = keptSnaps.filter(snap => isInventoryLot(snap.data())).map(snap => snap.id);
+                const keptConsumptionSnaps = (await Promise.all(keptLotIds.map(lotId => tx.get(doc(consumptionsRef, getLotConsumptionId(lotId, latestLog.id))))))
+                    .filter(snap => snap.exists());
+                // Kept sheets keep their cut and offcuts; returned sheets lose theirs.
+                const returns = await readSheetReturns(tx, stockCollectionRef, latestLog.id, countDetailIds(returnedDetails), remnantIds);
+
+                // WRITES: return extras, refresh kept items, then use newly claimed sheets
+                writeSheetReturns(tx, stockCollectionRef, returns, { returnedByLogEdit: true });
+                const usage = {
                     usageLogId: latestLog.id,
                     jobNameUsed: newLogData.jobName,
                     customerUsed: newLogData.customer,
-                    usedAt: usedAtIso,
-                    returnedByLogEdit: null,
+                    usedAt: newLogData.date
+                        ? new Date(newLogData.date + 'T00:00:00').toISOString()
+                        : (latestLog.usedAt || new Date().toISOString()),
                 };
-
-                // WRITES: return extras, refresh kept items, then use newly allocated sheets
-                for (const r of validReturnRefs) {
-                    batch.update(r, {
-                        status: 'On Hand',
-                        usageLogId: null,
-                        jobNameUsed: null,
-                        customerUsed: null,
-                        usedAt: null,
-                        returnedByLogEdit: true,
-                    });
-                }
-
-                for (const r of keptOriginalRefs) {
-                    batch.update(r, usageUpdate);
-                }
-
-                for (const r of plannedNewRefs) {
-                    batch.update(r, usageUpdate);
-                }
-
-                const finalUsedItemsForLog = [...keptItemsForLog, ...updatedUsedItemsForLog];
-                batch.update(logDocRef, {
+                keptSnaps.filter(snap => !isInventoryLot(snap.data())).forEach(snap => tx.update(snap.ref, { status: 'Used', ...usage, returnedByLogEdit: null }));
+                // A kept lot stays as it is; its record for this log takes the new job and date
+                keptConsumptionSnaps.forEach(snap => tx.update(snap.ref, { job: usage.jobNameUsed || null, customer: usage.customerUsed || null, usedAt: usage.usedAt }));
+                recordStockUse(tx, stockCollectionRef, addedSheets.map(sheet => ({
+                    sheet,
+                    cutFields: isInventoryLot(sheet) ? {} : { returnedByLogEdit: null },
+                })), usage, new Map(keptConsumptionSnaps.map(snap => [snap.data().lotId, snap.data().qty])));
+                settleClaimedLots(tx, stockCollectionRef, claimed);
+
+                const finalUsedItemsForLog = [...keptOriginalDetails, ...addedSheets.map(getSheetOfLot)];
+                tx.update(logDocRef, {
                     job: newLogData.jobName,
                     customer: newLogData.customer,
                     details: finalUsedItemsForLog,
                     qty: -finalUsedItemsForLog.length,
-                    usedAt: usedAtIso,
+                    usedAt: usage.usedAt,
+                    remnantIds: returns.keptRemnantIds.length > 0 ? returns.keptRemnantIds : null,
                 });
-                
-                await batch.commit();
+                return true;
+            }, { maxAttempts: STOCK_TRANSACTION_MAX_ATTEMPTS });
+            if (!edited) throw new Error(LOG_CHANGED_ELSEWHERE_MESSAGE);
         }
     };
 
+    /** Apply a stocktake's variances on top of live stock in one audited batch and close the session. */
+    const handleApplyCountSession = async (session, rows) => {
+        const nowIso = new Date().toISOString();
+        const adjustments = rows
+            .filter(row => row.variance !== null)
+            .map(row => ({
+                lineId: row.lineId,
+                materialType: row.materialType,
+                sizeKey: row.sizeKey,
+                systemQty: row.systemQty,
+                countedQty: row.countedQty,
+                liveQty: row.liveQty,
+                diff: row.targetQty - row.liveQty,
+            }));
+        const changed = adjustments.filter(adjustment => adjustment.diff !== 0);
+
+        const batch = createAuditedWrite('cycle-count', `Cycle count: ${session.category} (${changed.length} adjustment${changed.length === 1 ? '' : 's'})`);
+        const stockCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
+        const usageLogCollectionRef = collection(db, `artifacts/${appId}/public/data/usage_logs`);
+        const relied = changed.flatMap(adjustment => queueStockAdjustment(batch, {
+            stockCollectionRef,
+            usageLogCollectionRef,
+            inventory,
+            materials,
+            materialType: adjustment.materialType,
+            size: parseSheetSizeKey(adjustment.sizeKey),
+            diff: adjustment.diff,
+            source: CYCLE_COUNT_SOURCE,
+            tags: { countSessionId: session.id },
+            nowIso,
+        }));
+        batch.update(doc(db, `artifacts/${appId}/public/data/${COUNT_SESSIONS_COLLECTION}`, session.id), {
+            status: COUNT_SESSION_STATUSES.applied,
+            appliedAt: nowIso,
+            appliedBy: authUser?.email || authUser?.displayName || null,
+            auditBatchId: batch.batchId,
+            adjustments,
+        });
+        await batch.commit({ verify: verifyStockUnchanged(relied) });
+    };
+
+    const handleRevertAuditBatch = (batchId, { force = false } = {}) =>
+        revertAuditBatch(db, appId, batchId, { actor: authUser, force });
+
     const openModalForEdit = (transaction) => {
         const modalType = transaction.isAddition ? 'edit-order' : 'edit-log';
         setModal({ type: modalType, data: transaction });
@@ -1572,7 +1862,9 @@ export default function App() {
 
 
 
-    const buyPanelInDashboard = modal.type === 'buy' && activeView === 'dashboard';
+    // Entry points are hidden by role; this also keeps a disallowed modal from opening through any other path.
+    const modalType = can(MODAL_PERMISSIONS[modal.type] || ROLES.viewer) ? modal.type : null;
+    const buyPanelInDashboard = modalType === 'buy' && activeView === 'dashboard';
 
     const prevActiveViewRef = useRef(activeView);
     useEffect(() => {
@@ -1596,10 +1888,14 @@ export default function App() {
                         <div className="flex flex-col xl:flex-row gap-8 items-stretch xl:items-start">
                             <div className="min-w-0 flex-1">
                                 <DashboardView
-                                    inventorySummary={inventorySummary}
-                                    incomingSummary={incomingSummary}
-                                    scheduledOutgoingSummary={scheduledOutgoingSummary}
-                                    isEditMode={isEditMode}
+                                    inventorySummary={dashboardAsOfSummaries?.inventory || inventorySummary}
+                                    incomingSummary={dashboardAsOfSummaries?.incoming || incomingSummary}
+                                    scheduledOutgoingSummary={dashboardAsOfSummaries?.scheduledOutgoing || scheduledOutgoingSummary}
+                                    isEditMode={isEditMode && !dashboardAsOfDate}
+                                    asOfDate={dashboardAsOfDate}
+                                    onAsOfDateChange={setDashboardAsOfDate}
+                                    asOfHistoryStart={dashboardHistoryStart}
+                                    asOfReady={Boolean(dashboardAsOfSummaries)}
                                     materials={materials}
                                     categories={categories}
                                     onSave={handleStockEdit}
@@ -1611,7 +1907,7 @@ export default function App() {
                                         }
                                     }}
                                     activeCategory={activeCategory}
-                                    onDeleteCategory={handleToggleCategoryForDeletion}
+                                    onDeleteCategory={can(PERMISSIONS.deleteCatalog) ? handleToggleCategoryForDeletion : undefined}
                                     categoriesToDelete={categoriesToDelete}
                                     searchQuery={searchQuery}
                                     materialIndicatorSettings={materialIndicatorSettings}
@@ -1638,6 +1934,7 @@ export default function App() {
             case 'jobs':
                 return <JobOverviewView
                     userId={userId}
+                    userEmail={authUser?.email || null}
                     allJobs={allJobs}
                     inventory={inventory}
                     usageLog={usageLog}
@@ -1653,19 +1950,41 @@ export default function App() {
                     materials={materials}
                     onFulfillLog={handleFulfillScheduledLog}
                     onReceiveOrder={handleReceiveOrder}
+                    onPrintLabels={handlePrintBundleLabels}
                     searchQuery={searchQuery}
                 />;
             case 'price-history':
                 return <PriceHistoryView inventory={inventory} materials={materials} searchQuery={searchQuery} />;
+            case 'cycle-count':
+                return <CycleCountView
+                    userId={userId}
+                    authUser={authUser}
+                    materials={materials}
+                    categories={categories}
+                    inventorySummary={inventorySummary}
+                    inventoryReady={inventoryReady}
+                    onApplyCountSession={can(PERMISSIONS.adjustStock) ? handleApplyCountSession : undefined}
+                    canCount={can(PERMISSIONS.countStock)}
+                    searchQuery={searchQuery}
+                />;
+            case 'valuation':
+                return <ValuationView inventory={inventory} usageLog={usageLog} materials={materials} searchQuery={searchQuery} />;
             case 'sheet-calculator':
                 return <SheetCostCalculatorView />;
             case 'reorder':
                 return <ReorderView
                     inventorySummary={inventorySummary}
+                    incomingSummary={incomingSummary}
+                    scheduledOutgoingSummary={scheduledOutgoingSummary}
+                    usageLog={usageLog}
                     materials={materials}
                     onRestock={handleRestock}
                     buyOrders={openBuyOrders}
                     onAddBuyOrderToInventory={handleAddBuyOrderToInventory}
+                    onOpenPurchaseOrder={handleOpenPurchaseOrder}
+                    onSendBuyOrder={handleSendBuyOrder}
+                    onTransitionBuyOrder={handleTransitionBuyOrder}
+                    linkedInventoryByBuyOrder={linkedInventoryByBuyOrder}
                     onClearAllBuyOrders={handleClearAllBuyOrders}
                     onDeleteBuyOrder={handleDeleteBuyOrder}
                     searchQuery={searchQuery}
@@ -1673,6 +1992,13 @@ export default function App() {
                     suppliers={suppliers}
                     supplierInfoOverrides={supplierInfo}
                 />;
+            case 'suppliers':
+                return <CostAnalyticsView
+                    {...supplierAnalytics}
+                    onApplyLeadTime={(supplier, days) => handleUpdateSupplierInfo(supplier, { leadTimeDays: days })}
+                />;
+            case 'audit':
+                return <AuditView onRevertBatch={can(PERMISSIONS.revertAudit) ? handleRevertAuditBatch : undefined} searchQuery={searchQuery} />;
             default:
                 if (initialCategories.includes(activeView)) {
                     return <MaterialDetailView
@@ -1711,20 +2037,28 @@ export default function App() {
             <div className="container mx-auto p-4 md:p-8">
                 <Header
                     ref={searchInputRef}
-                    onAdd={() => setModal({ type: 'add' })}
-                    onBuy={() => handleOpenBuyModal()}
-                    onUse={() => setModal({ type: 'use' })}
-                    onEdit={() => isEditMode ? handleFinishEditing() : handleStartEditing()}
+                    onAdd={can(PERMISSIONS.manageOrders) ? () => setModal({ type: 'add' }) : undefined}
+                    onBuy={can(PERMISSIONS.manageOrders) ? () => handleOpenBuyModal() : undefined}
+                    onUse={can(PERMISSIONS.useStock) ? () => setModal({ type: 'use' }) : undefined}
+                    onEdit={can(PERMISSIONS.adjustStock) ? () => (isEditMode ? handleFinishEditing() : handleStartEditing()) : undefined}
                     onSignOut={handleSignOut}
                     isEditMode={isEditMode}
-                    onManageCategories={() => setModal({ type: 'manage-categories' })}
-                    onManageSuppliers={() => setModal({ type: 'manage-suppliers' })}
+                    onManageCategories={can(PERMISSIONS.editCatalog) ? () => setModal({ type: 'manage-categories' }) : undefined}
+                    onManageSuppliers={can(PERMISSIONS.manageOrders) ? () => setModal({ type: 'manage-suppliers' }) : undefined}
                     searchQuery={searchQuery}
                     onSearchChange={handleSearchChange}
                     onKeyDown={handleSearchKeyDown}
-                    onOpenBackup={() => setModal({ type: 'backup' })}
-                    onOpenAuthentication={() => setModal({ type: 'authentication' })}
+                    onOpenBackup={can(PERMISSIONS.createBackups) ? () => setModal({ type: 'backup' }) : undefined}
+                    onOpenImport={can(PERMISSIONS.importData) ? () => setModal({ type: 'csv-import' }) : undefined}
+                    onOpenExport={() => setModal({ type: 'export-workbook' })}
+                    onOpenAuthentication={can(PERMISSIONS.manageAccess) ? () => setModal({ type: 'authentication' }) : undefined}
+                    onOpenAlerts={() => setModal({ type: 'stock-alerts' })}
+                    openAlertCount={openStockAlertCount}
+                    syncStatus={outbox.syncStatus}
+                    outboxCount={outbox.entries.length}
+                    onOpenOutbox={() => setModal({ type: 'outbox' })}
                     onLogoClick={() => setActiveView('dashboard')}
+                    roleLabel={ROLE_LABELS[authRole]}
                 />
 
                 <div className="relative">
@@ -1792,8 +2126,8 @@ export default function App() {
 
 
 
-            {modal.type === 'add' && <AddOrderModal onClose={closeModal} onSave={(jobs) => handleAddOrEditOrder(jobs, null, { linkedBuyOrderId: modal.data?.linkedBuyOrderId })} materialTypes={materialTypes} materials={materials} suppliers={suppliers} prefill={modal.data?.prefill} />}
-            {modal.type === 'buy' && !buyPanelInDashboard && (
+            {modalType === 'add' && <AddOrderModal onClose={closeModal} onSave={(jobs) => handleAddOrEditOrder(jobs, null, { linkedBuyOrderId: modal.data?.linkedBuyOrderId })} materialTypes={materialTypes} materials={materials} suppliers={suppliers} prefill={modal.data?.prefill} />}
+            {modalType === 'buy' && !buyPanelInDashboard && (
                 <AddOrderModal
                     onClose={closeModal}
                     onSave={handleSubmitBuyOrder}
@@ -1805,23 +2139,24 @@ export default function App() {
                     mode="buy"
                 />
             )}
-            {modal.type === 'edit-order' && <AddOrderModal onClose={closeModal} onSave={(jobs) => handleAddOrEditOrder(jobs, modal.data)} initialData={modal.data} title="Edit Stock Order" materialTypes={materialTypes} materials={materials} suppliers={suppliers} />}
-            {modal.type === 'use' && <UseStockModal onClose={closeModal} onSave={handleUseStock} inventory={inventory} materialTypes={materialTypes} materials={materials} inventorySummary={inventorySummary} incomingSummary={incomingSummary} suppliers={suppliers} />}
-            {modal.type === 'edit-log' && <EditOutgoingLogModal isOpen={true} onClose={closeModal} logEntry={modal.data} onSave={handleEditOutgoingLog} inventory={inventory} materialTypes={materialTypes} />}
-            {modal.type === 'manage-categories' && (
+            {modalType === 'edit-order' && <AddOrderModal onClose={closeModal} onSave={(jobs) => handleAddOrEditOrder(jobs, modal.data)} initialData={modal.data} title="Edit Stock Order" materialTypes={materialTypes} materials={materials} suppliers={suppliers} />}
+            {modalType === 'use' && <UseStockModal onClose={closeModal} onSave={handleUseStock} inventory={inventory} materialTypes={materialTypes} materials={materials} inventorySummary={inventorySummary} incomingSummary={incomingSummary} suppliers={suppliers} />}
+            {modalType === 'edit-log' && <EditOutgoingLogModal isOpen={true} onClose={closeModal} logEntry={modal.data} onSave={handleEditOutgoingLog} inventory={inventory} materialTypes={materialTypes} materials={materials} />}
+            {modalType === 'manage-categories' && (
                 <ManageCategoriesModal
                     onClose={closeModal}
                     onSave={handleManageCategory}
-                    onDeleteCategory={handleDeleteSingleCategory}
+                    onDeleteCategory={can(PERMISSIONS.deleteCatalog) ? handleDeleteSingleCategory : undefined}
+                    canDeleteMaterials={can(PERMISSIONS.deleteCatalog)}
                     categories={manageCategoriesCategoryOptions}
                     materials={materials}
                     refetchMaterials={refetchMaterials}
                     materialIndicatorSettings={materialIndicatorSettings}
                 />
             )}
-            {modal.type === 'manage-suppliers' && <ManageSuppliersModal onClose={closeModal} suppliers={suppliers} supplierInfo={supplierInfo} onAddSupplier={handleAddSupplier} onDeleteSupplier={handleDeleteSupplier} onUpdateSupplierInfo={handleUpdateSupplierInfo} />}
-            {modal.type === 'buy-order-drafts' && <BuyOrderDraftsModal onClose={closeModal} drafts={modal.data?.drafts || []} />}
-            {modal.type === 'confirm-delete-categories' &&
+            {modalType === 'manage-suppliers' && <ManageSuppliersModal onClose={closeModal} suppliers={suppliers} supplierInfo={supplierInfo} onAddSupplier={handleAddSupplier} onDeleteSupplier={handleDeleteSupplier} onUpdateSupplierInfo={handleUpdateSupplierInfo} />}
+            {modalType === 'buy-order-drafts' && <BuyOrderDraftsModal onClose={closeModal} drafts={modal.data?.drafts || []} />}
+            {modalType === 'confirm-delete-categories' &&
                 <ConfirmationModal
                     isOpen={true}
                     onClose={closeModal}
@@ -1830,25 +2165,25 @@ export default function App() {
                     message={`Are you sure you want to delete ${modal.data.length} categor${modal.data.length > 1 ? 'ies' : 'y'} and all associated materials/inventory? This action cannot be undone.`}
                 />
             }
-            {modal.type === 'confirm-clear-buy-orders' && (
+            {modalType === 'confirm-clear-buy-orders' && (
                 <ConfirmationModal
                     isOpen={true}
                     onClose={closeModal}
                     onConfirm={handleConfirmClearAllBuyOrders}
                     title="Clear buy orders"
-                    message={`Clear all ${openBuyOrders.length} open buy order${openBuyOrders.length === 1 ? '' : 's'}? They will be marked as cleared and removed from this queue.`}
+                    message={`Clear all ${openBuyOrders.length} open buy order${openBuyOrders.length === 1 ? '' : 's'}? Orders with nothing received are cancelled and the rest are closed; all of them leave this queue.`}
                 />
             )}
-            {modal.type === 'confirm-delete-buy-order' && (
+            {modalType === 'confirm-delete-buy-order' && (
                 <ConfirmationModal
                     isOpen={true}
                     onClose={closeModal}
                     onConfirm={handleConfirmDeleteBuyOrder}
                     title="Remove buy order"
-                    message="Remove this buy order from the queue? It will be marked as cleared."
+                    message="Remove this buy order from the queue? It will be cancelled, or closed if anything on it was received."
                 />
             )}
-            {modal.type === 'fulfill-error' && (
+            {modalType === 'fulfill-error' && (
                 <ConfirmationModal
                     isOpen={true}
                     onClose={closeModal}
@@ -1860,8 +2195,84 @@ export default function App() {
                     confirmVariant="primary"
                 />
             )}
-            {modal.type === 'backup' && <BackupModal onClose={closeModal} />}
-            {modal.type === 'authentication' && <AuthenticationModal onClose={closeModal} />}
+            {modalType === 'confirm-lot-migration' && (
+                <ConfirmationModal
+                    isOpen={true}
+                    onClose={closeModal}
+                    onConfirm={handleConfirmLotMigration}
+                    title="Migrate inventory to lots"
+                    message="Group every sheet doc into inventory lots and consumption records? Sheet docs are not changed or deleted, and running this again rewrites the same lots."
+                    confirmLabel="Migrate"
+                    confirmVariant="primary"
+                />
+            )}
+            {modalType === 'fulfill-result' && (
+                <ConfirmationModal
+                    isOpen={true}
+                    onClose={closeModal}
+                    onConfirm={closeModal}
+                    title={modal.data?.title}
+                    message={modal.data?.message}
+                    showCancel={false}
+                    confirmLabel="OK"
+                    confirmVariant="primary"
+                />
+            )}
+            {modalType === 'purchase-order' && (
+                <PurchaseOrderModal
+                    onClose={closeModal}
+                    buyOrder={modal.data}
+                    materials={materials}
+                    inventory={inventory}
+                    supplierInfoOverrides={supplierInfo}
+                />
+            )}
+            {modalType === 'receive-order' && (
+                <ReceiveOrderModal
+                    onClose={closeModal}
+                    orderGroup={modal.data}
+                    onSubmit={handleSubmitReceipt}
+                />
+            )}
+            {modalType === 'bundle-labels' && (
+                <BundleLabelsModal
+                    onClose={closeModal}
+                    orderGroup={modal.data}
+                />
+            )}
+            {modalType === 'stock-alerts' && (
+                <StockAlertsModal
+                    onClose={closeModal}
+                    alerts={stockAlerts}
+                    lowStockLevels={lowStockLevels}
+                    onAcknowledge={can(PERMISSIONS.useStock) ? handleAcknowledgeStockAlert : undefined}
+                    onCreateBuyOrder={can(PERMISSIONS.manageOrders) ? handleCreateBuyOrderFromAlert : undefined}
+                />
+            )}
+            {modalType === 'outbox' && (
+                <OutboxModal
+                    onClose={closeModal}
+                    entries={outbox.entries}
+                    online={outbox.online}
+                    syncing={outbox.syncing}
+                    onSyncNow={can(PERMISSIONS.useStock) ? outbox.flush : undefined}
+                    onRetry={can(PERMISSIONS.useStock) ? outbox.retryEntry : undefined}
+                    onDiscard={outbox.discardEntry}
+                />
+            )}
+            {modalType === 'backup' && <BackupModal onClose={closeModal} canRestore={can(PERMISSIONS.restoreBackups)} />}
+            {modalType === 'export-workbook' && (
+                <ExportWorkbookModal
+                    onClose={closeModal}
+                    inventory={inventory}
+                    usageLog={usageLog}
+                    materials={materials}
+                    allJobs={allJobs}
+                    inventoryReady={inventoryReady}
+                />
+            )}
+            {modalType === 'csv-import' && <CsvImportModal onClose={closeModal} onImport={handleCsvImport} materials={materials} suppliers={suppliers} />}
+            {modalType === 'authentication' && <AuthenticationModal onClose={closeModal} />}
             </Suspense>
         </div>
     );
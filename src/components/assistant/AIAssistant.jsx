@@ -7,6 +7,7 @@ import React, { useState, useRef, useEffect } from 'react';
 import { Bot, User, CornerDownLeft, Loader, X, PlusCircle } from 'lucide-react';
 import { Button } from '../common/Button';
 import { AI_ASSISTANT_ENABLED } from '../../constants/featureFlags';
+import { formatSheetSize, getSizeQtyField } from '../../utils/sheetSizes';
 
 export const AIAssistant = ({ isVisible, onClose, inventory, materials, suppliers, usageLog, onExecuteOrder, onOpenModal }) => {
     const [messages, setMessages] = useState([]);
@@ -152,9 +153,18 @@ export const AIAssistant = ({ isVisible, onClose, inventory, materials, supplier
                                     type: "OBJECT",
                                     properties: {
                                         materialType: { type: "STRING" },
-                                        qty96: { type: "NUMBER" },
-                                        qty120: { type: "NUMBER" },
-                                        qty144: { type: "NUMBER" },
+                                        sheets: {
+                                            type: "ARRAY",
+                                            items: {
+                                                type: "OBJECT",
+                                                properties: {
+                                                    length: { type: "NUMBER" },
+                                                    width: { type: "NUMBER" },
+                                                    qty: { type: "NUMBER" }
+                                                },
+                                                required: ["length", "width", "qty"]
+                                            }
+                                        },
                                         costPerPound: { type: "NUMBER" }
                                     },
                                     required: ["materialType", "costPerPound"]
@@ -216,7 +226,12 @@ export const AIAssistant = ({ isVisible, onClose, inventory, materials, supplier
         if (!orderToConfirm) return;
         setIsLoading(true);
         try {
-            await onExecuteOrder([orderToConfirm]);
+            // The order form keys quantities by sheet size, e.g. qty120x48.
+            const items = (orderToConfirm.items || []).map(({ sheets = [], ...item }) => ({
+                ...item,
+                ...Object.fromEntries(sheets.map(sheet => [getSizeQtyField(sheet), String(sheet.qty)])),
+            }));
+            await onExecuteOrder([{ ...orderToConfirm, items }]);
             const successMessage = { sender: 'ai', text: "Order created successfully!" };
             setMessages(prev => [...prev, successMessage]);
         } catch (error) {
@@ -272,9 +287,9 @@ export const AIAssistant = ({ isVisible, onClose, inventory, materials, supplier
                                     <li key={i} className="mt-2 pl-2 border-l border-zinc-600">
                                         <strong>{item.materialType}</strong>
                                         <ul className="text-xs list-disc list-inside pl-4">
-                                            {item.qty96 > 0 && <li>96" Sheets: {item.qty96}</li>}
-                                            {item.qty120 > 0 && <li>120" Sheets: {item.qty120}</li>}
-                                            {item.qty144 > 0 && <li>144" Sheets: {item.qty144}</li>}
+                                            {(item.sheets || []).filter(sheet => sheet.qty > 0).map(sheet => (
+                                                <li key={getSizeQtyField(sheet)}>{formatSheetSize(sheet)} Sheets: {sheet.qty}</li>
+                                            ))}
                                             <li>Cost/lb: ${item.costPerPound}</li>
                                         </ul>
                                     </li>
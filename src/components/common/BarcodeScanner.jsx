@@ -0,0 +1,118 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Camera, CameraOff, ScanLine } from 'lucide-react';
+
+// The camera sees the same label many times a second; ignore repeats for a moment.
+const REPEAT_SCAN_WINDOW_MS = 2000;
+const CAMERA_SCAN_INTERVAL_MS = 250;
+
+const cameraScanSupported = () =>
+    typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+/**
+ * QR / barcode input for the shop floor. A keyboard-wedge scanner types the code into the focused
+ * field and presses Enter; where the browser has BarcodeDetector, the device camera can be used instead.
+ */
+export const BarcodeScanner = ({ onScan, placeholder = 'Scan a label…' }) => {
+    const [value, setValue] = useState('');
+    const [cameraOn, setCameraOn] = useState(false);
+    const [cameraError, setCameraError] = useState('');
+    const inputRef = useRef(null);
+    const videoRef = useRef(null);
+    const onScanRef = useRef(onScan);
+    onScanRef.current = onScan;
+
+    useEffect(() => {
+        inputRef.current?.focus();
+    }, []);
+
+    useEffect(() => {
+        if (!cameraOn) return undefined;
+        let stream = null;
+        let timer = null;
+        let cancelled = false;
+        let last = { text: '', at: 0 };
+
+        const start = async () => {
+            try {
+                const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+                stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+                if (cancelled) return;
+                videoRef.current.srcObject = stream;
+                await videoRef.current.play();
+
+                const tick = async () => {
+                    if (cancelled) return;
+                    try {
+                        const [code] = await detector.detect(videoRef.current);
+                        const now = Date.now();
+                        if (code?.rawValue && (code.rawValue !== last.text || now - last.at > REPEAT_SCAN_WINDOW_MS)) {
+                            last = { text: code.rawValue, at: now };
+                            onScanRef.current(code.rawValue);
+                        }
+                    } catch (err) {
+                        console.warn('Barcode detection failed:', err);
+                    }
+                    timer = setTimeout(tick, CAMERA_SCAN_INTERVAL_MS);
+                };
+                tick();
+            } catch (err) {
+                console.error('Camera scan failed:', err);
+                if (!cancelled) {
+                    setCameraError('Could not start the camera. Use a handheld scanner or type the code.');
+                    setCameraOn(false);
+                }
+            }
+        };
+        start();
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, [cameraOn]);
+
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Enter') return;
+        // Keep the wedge's Enter from submitting the surrounding form.
+        e.preventDefault();
+        const text = value.trim();
+        if (!text) return;
+        setValue('');
+        onScan(text);
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center gap-2">
+                <div className="relative flex-1">
+                    <ScanLine size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-zinc-400 pointer-events-none" aria-hidden />
+                    <input
+                        ref={inputRef}
+                        type="text"
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        placeholder={placeholder}
+                        autoComplete="off"
+                        spellCheck={false}
+                        className="w-full p-2 pl-9 bg-zinc-700 border border-zinc-600 rounded-lg text-white font-mono text-sm"
+                        aria-label="Scanned code"
+                    />
+                </div>
+                {cameraScanSupported() && (
+                    <button
+                        type="button"
+                        onClick={() => { setCameraError(''); setCameraOn(on => !on); }}
+                        className="p-2 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-white"
+                        title={cameraOn ? 'Stop camera' : 'Scan with camera'}
+                    >
+                        {cameraOn ? <CameraOff size={18} /> : <Camera size={18} />}
+                    </button>
+                )}
+            </div>
+            {cameraOn && <video ref={videoRef} className="w-full max-h-64 rounded-lg bg-black object-cover" muted playsInline />}
+            {cameraError && <p className="text-xs text-amber-300">{cameraError}</p>}
+        </div>
+    );
+};
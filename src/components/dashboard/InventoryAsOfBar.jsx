@@ -0,0 +1,86 @@
+// src/components/dashboard/InventoryAsOfBar.jsx
+
+import React from 'react';
+import { History, X } from 'lucide-react';
+import { toLocalDateString } from '../../utils/inventorySnapshot';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseLocalDate = (dateString) => new Date(`${dateString}T00:00:00`);
+
+/** Whole local days from `start` to `end`, safe across daylight-saving changes. */
+const daysBetween = (start, end) => Math.round(
+    (Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) - Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / DAY_MS
+);
+
+/**
+ * Dashboard control for "Inventory as of": off shows live counts; on replays history to the end of the
+ * chosen day. The slider scrubs one day per step from the first recorded sheet to today.
+ */
+export const InventoryAsOfBar = ({ asOfDate, onChange, historyStart, ready }) => {
+    const today = new Date();
+    const todayString = toLocalDateString(today);
+
+    if (!asOfDate) {
+        return (
+            <div className="flex justify-end">
+                <button
+                    type="button"
+                    onClick={() => onChange(todayString)}
+                    className="inline-flex items-center gap-2 rounded-lg bg-zinc-800 border border-zinc-700 px-3 py-2 text-sm text-zinc-300 hover:bg-zinc-700 hover:text-white"
+                >
+                    <History size={16} /> Inventory as of…
+                </button>
+            </div>
+        );
+    }
+
+    const start = historyStart && historyStart < today ? historyStart : today;
+    const span = Math.max(daysBetween(start, today), 0);
+    const offset = Math.min(Math.max(daysBetween(start, parseLocalDate(asOfDate)), 0), span);
+
+    const handleSlide = (e) => {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + Number(e.target.value));
+        onChange(toLocalDateString(date));
+    };
+
+    return (
+        <div className="rounded-2xl border border-sky-700/60 bg-sky-950/30 p-4 space-y-3">
+            <div className="flex flex-wrap items-center gap-3">
+                <History size={18} className="text-sky-300" />
+                <span className="font-semibold text-white">Inventory as of</span>
+                <input
+                    type="date"
+                    value={asOfDate}
+                    min={toLocalDateString(start)}
+                    max={todayString}
+                    onChange={(e) => e.target.value && onChange(e.target.value)}
+                    className="p-1.5 bg-zinc-700 border border-zinc-600 rounded-lg text-white text-sm"
+                />
+                <span className="text-sm text-zinc-400">{parseLocalDate(asOfDate).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}, end of day</span>
+                <button
+                    type="button"
+                    onClick={() => onChange(null)}
+                    className="ml-auto inline-flex items-center gap-1 rounded-lg px-2 py-1 text-sm text-zinc-300 hover:bg-zinc-700 hover:text-white"
+                >
+                    <X size={16} /> Back to live
+                </button>
+            </div>
+            <input
+                type="range"
+                min={0}
+                max={span}
+                value={offset}
+                onChange={handleSlide}
+                disabled={!ready || span === 0}
+                className="w-full accent-sky-400"
+                aria-label="Scrub inventory history by day"
+            />
+            <div className="flex justify-between text-xs text-zinc-500">
+                <span>{start.toLocaleDateString()}</span>
+                <span>{ready ? 'Counts are replayed from receipts and usage logs; editing is off for past dates.' : 'Loading inventory history…'}</span>
+                <span>Today</span>
+            </div>
+        </div>
+    );
+};
@@ -4,7 +4,7 @@ import React, { useState, useMemo, useRef } from 'react';
 import { DndContext, closestCenter } from '@dnd-kit/core';
 import { SortableContext, verticalListSortingStrategy, useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { STANDARD_LENGTHS } from '../../constants/materials';
+import { formatSheetSize, getCategorySheetSizes, getSheetSizeKey, parseSheetSizeKey } from '../../utils/sheetSizes';
 import { GripVertical, Trash2, RotateCcw, Pencil } from 'lucide-react';
 import { useFirestoreDnd } from '../../hooks/useFirestoreDnd';
 import { normalizeCategoryIndicatorSettings } from '../../utils/categoryIndicatorSettings';
@@ -51,9 +51,15 @@ export const MaterialCategoryCard = ({ id, category, inventorySummary, incomingS
         return materialsInCategory.some(m => (inventorySummary[m]?.custom || 0) > 0 || (incomingSummary[m]?.lengths?.custom || 0) > 0);
     }, [materialsInCategory, inventorySummary, incomingSummary]);
 
+    const hasRemnants = useMemo(() => {
+        return materialsInCategory.some(m => (inventorySummary[m]?.remnant || 0) > 0);
+    }, [materialsInCategory, inventorySummary]);
+
     const displayLengths = useMemo(() => {
-        return hasCustomItems ? [...STANDARD_LENGTHS, 'custom'] : STANDARD_LENGTHS;
-    }, [hasCustomItems]);
+        const sizeKeys = getCategorySheetSizes(safeMaterials, category).map(size => getSheetSizeKey(size.length, size.width));
+        const lengths = hasCustomItems ? [...sizeKeys, 'custom'] : sizeKeys;
+        return hasRemnants ? [...lengths, 'remnant'] : lengths;
+    }, [safeMaterials, category, hasCustomItems, hasRemnants]);
 
     // Enable drag-to-reorder materials within this category and persist to Firestore
     const {
@@ -188,7 +194,7 @@ export const MaterialCategoryCard = ({ id, category, inventorySummary, incomingS
                                     <th className="p-2 font-semibold text-zinc-400">Material</th>
                                     {displayLengths.map(len => (
                                         <th key={len} className="p-2 font-semibold text-center text-zinc-400 border-l border-zinc-700">
-                                            {len === 'custom' ? 'Custom' : `${len}"x48"`}
+                                            {len === 'custom' ? 'Custom' : len === 'remnant' ? 'Remnants' : formatSheetSize(parseSheetSizeKey(len))}
                                         </th>
                                     ))}
                                 </tr>
@@ -249,18 +255,19 @@ function SortableMaterialRow({ id, isEditMode, matType, onMaterialClick, invento
             </td>
             {displayLengths.map(len => {
                 const isCustom = len === 'custom';
+                const isRemnant = len === 'remnant';
+                // Custom and remnant buckets mix sizes, so they are read-only here.
+                const isBucket = isCustom || isRemnant;
                 const isEditingCell = isEditMode && editingCell?.matType === matType && editingCell?.len === len;
                 
-                const stockCount = isCustom 
-                    ? (inventorySummary[matType]?.custom || 0)
-                    : (inventorySummary[matType]?.[len] || 0);
+                const stockCount = inventorySummary[matType]?.[len] || 0;
                 
-                const incomingCount = isCustom
-                    ? (incomingSummary[matType]?.lengths?.custom || 0)
-                    : (incomingSummary[matType]?.lengths[len] || 0);
+                const incomingCount = isRemnant
+                    ? 0
+                    : (incomingSummary[matType]?.lengths?.[len] || 0);
                 
-                const scheduledOutCount = isCustom
-                    ? (scheduledOutgoingSummary?.[matType]?.lengths?.custom || 0)
+                const scheduledOutCount = isRemnant
+                    ? 0
                     : (scheduledOutgoingSummary?.[matType]?.lengths?.[len] || 0);
 
                 const { style: stockStyle, textColor } = getStockStyle(stockCount, matType);
@@ -279,32 +286,34 @@ function SortableMaterialRow({ id, isEditMode, matType, onMaterialClick, invento
                             />
                         ) : (
                             <div
-                                role={isEditMode && !isCustom ? 'button' : undefined}
-                                tabIndex={isEditMode && !isCustom ? 0 : undefined}
+                                role={isEditMode && !isBucket ? 'button' : undefined}
+                                tabIndex={isEditMode && !isBucket ? 0 : undefined}
                                 onClick={() => {
-                                    if (isEditMode && !isCustom) {
+                                    if (isEditMode && !isBucket) {
                                         setEditingCell({ matType, len });
                                         setEditValue(String(stockCount));
                                     }
                                 }}
                                 onKeyDown={(e) => {
-                                    if (!isEditMode || isCustom) return;
+                                    if (!isEditMode || isBucket) return;
                                     if (e.key === 'Enter' || e.key === ' ') {
                                         e.preventDefault();
                                         setEditingCell({ matType, len });
                                         setEditValue(String(stockCount));
                                     }
                                 }}
-                                className={`group/cell relative flex items-center justify-center gap-2 rounded-md px-1 py-0.5 -mx-1 transition-colors ${isEditMode && !isCustom ? 'cursor-pointer hover:bg-zinc-600/60 focus:outline-none focus:ring-2 focus:ring-amber-400/80' : ''}`}
+                                className={`group/cell relative flex items-center justify-center gap-2 rounded-md px-1 py-0.5 -mx-1 transition-colors ${isEditMode && !isBucket ? 'cursor-pointer hover:bg-zinc-600/60 focus:outline-none focus:ring-2 focus:ring-amber-400/80' : ''}`}
                                 title={
                                     isCustom
                                         ? `${stockCount} custom/non-standard sheets`
+                                        : isRemnant
+                                            ? `${stockCount} remnant pieces`
                                         : isEditMode
                                             ? `${stockCount} sheets on hand — click to edit`
                                             : `${stockCount} sheets on hand`
                                 }
                             >
-                                {isEditMode && !isCustom && (
+                                {isEditMode && !isBucket && (
                                     <Pencil
                                         className="h-3.5 w-3.5 shrink-0 text-zinc-400 opacity-0 transition-opacity group-hover/row:opacity-70 group-hover/cell:opacity-70"
                                         aria-hidden
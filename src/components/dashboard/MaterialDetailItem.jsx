@@ -4,7 +4,15 @@ import React, { useState, useMemo, forwardRef } from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import { calculateMaterialTransactions } from '../../utils/dataProcessing';
-import { STANDARD_LENGTHS } from '../../constants/materials';
+import { isStockCorrectionSource } from '../../utils/cycleCounts';
+import {
+    buildEmptySizeCounts,
+    formatSheetSize,
+    getMaterialSheetSizes,
+    getSheetSizeKey,
+    getSheetSizeKeyForItem,
+    isConfiguredSheetSize,
+} from '../../utils/sheetSizes';
 import { LogDetailModal } from '../modals/LogDetailModal';
 import { ConfirmationModal } from '../modals/ConfirmationModal';
 import { Truck, Edit, Trash2, GripVertical } from 'lucide-react';
@@ -27,7 +35,12 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
         zIndex: isDragging ? 10 : 'auto',
     };
 
-    const transactions = useMemo(() => calculateMaterialTransactions([matType], inventory, usageLog), [matType, inventory, usageLog]);
+    const transactions = useMemo(() => calculateMaterialTransactions([matType], inventory, usageLog, materials), [matType, inventory, usageLog, materials]);
+    const sheetSizes = useMemo(() => getMaterialSheetSizes(materials, matType), [materials, matType]);
+    const sizeColumns = useMemo(
+        () => sheetSizes.map(size => ({ key: getSheetSizeKey(size.length, size.width), label: formatSheetSize(size) })),
+        [sheetSizes]
+    );
 
     const [detailLog, setDetailLog] = useState(null);
     const [logToDelete, setLogToDelete] = useState(null);
@@ -36,7 +49,7 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
     const matTransactions = (transactions[matType] || []).filter((t) => {
         const job = t.job || '';
         if (!job.startsWith('MODIFICATION')) return true;
-        return t.customer === 'Manual Edit' || t.supplier === 'Manual Edit';
+        return isStockCorrectionSource(t.customer) || isStockCorrectionSource(t.supplier);
     });
     const visibleTransactions = matTransactions.slice(0, numToShow);
     const totalIncomingSheets = incomingSummary[matType]?.totalCount || 0;
@@ -44,20 +57,21 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
 
     // Compute FUTURE USE (scheduled) summary for this material
     const futureUseByLength = useMemo(() => {
-        const totals = { 96: 0, 120: 0, 144: 0 };
+        const totals = buildEmptySizeCounts(sheetSizes);
         (usageLog || [])
             .filter(log => (log.status || 'Completed') === 'Scheduled' && Array.isArray(log.details))
             .forEach(log => {
                 log.details.forEach(d => {
-                    if (d.materialType === matType && STANDARD_LENGTHS.includes(d.length)) {
-                        totals[d.length] = (totals[d.length] || 0) + 1;
+                    if (d.materialType === matType && isConfiguredSheetSize(sheetSizes, d)) {
+                        const key = getSheetSizeKeyForItem(d);
+                        totals[key] = (totals[key] || 0) + 1;
                     }
                 });
             });
         return totals;
-    }, [usageLog, matType]);
+    }, [usageLog, matType, sheetSizes]);
 
-    const totalFutureUseSheets = (futureUseByLength[96] || 0) + (futureUseByLength[120] || 0) + (futureUseByLength[144] || 0);
+    const totalFutureUseSheets = Object.values(futureUseByLength).reduce((sum, count) => sum + count, 0);
     const nextScheduledUse = useMemo(() => {
         const dates = (usageLog || [])
             .filter(log => (log.status || 'Completed') === 'Scheduled' && Array.isArray(log.details) && log.details.some(d => d.materialType === matType))
@@ -102,10 +116,10 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
                         <div>
                             <h4 className="text-sm font-semibold text-zinc-400 mb-1">CURRENT INVENTORY</h4>
                             <div className="flex gap-4">
-                                {STANDARD_LENGTHS.map(len => (
-                                    <div key={len} className="text-center">
-                                        <div className="text-xs text-zinc-500">{len}"x48"</div>
-                                        <div className="text-2xl font-bold text-green-300">{inventorySummary[matType]?.[len] || 0}</div>
+                                {sizeColumns.map(({ key, label }) => (
+                                    <div key={key} className="text-center">
+                                        <div className="text-xs text-zinc-500">{label}</div>
+                                        <div className="text-2xl font-bold text-green-300">{inventorySummary[matType]?.[key] || 0}</div>
                                     </div>
                                 ))}
                             </div>
@@ -114,13 +128,13 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
                             <div>
                                 <h4 className="text-sm font-semibold text-zinc-400 mb-1">FUTURE INVENTORY</h4>
                                 <div className="flex gap-4">
-                                    {STANDARD_LENGTHS.map(len => {
-                                        const currentStock = inventorySummary[matType]?.[len] || 0;
-                                        const incomingStock = incomingSummary[matType]?.lengths[len] || 0;
+                                    {sizeColumns.map(({ key, label }) => {
+                                        const currentStock = inventorySummary[matType]?.[key] || 0;
+                                        const incomingStock = incomingSummary[matType]?.lengths?.[key] || 0;
                                         const projectedTotal = currentStock + incomingStock;
                                         return (
-                                            <div key={len} className="text-center">
-                                                <div className="text-xs text-zinc-500">{len}"x48"</div>
+                                            <div key={key} className="text-center">
+                                                <div className="text-xs text-zinc-500">{label}</div>
                                                 <div className="text-2xl font-bold text-yellow-300">
                                                     {projectedTotal}
                                                 </div>
@@ -139,11 +153,11 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
                             <div>
                                 <h4 className="text-sm font-semibold text-zinc-400 mb-1">FUTURE USE</h4>
                                 <div className="flex gap-4">
-                                    {STANDARD_LENGTHS.map(len => (
-                                        <div key={len} className="text-center">
-                                            <div className="text-xs text-zinc-500">{len}"x48"</div>
+                                    {sizeColumns.map(({ key, label }) => (
+                                        <div key={key} className="text-center">
+                                            <div className="text-xs text-zinc-500">{label}</div>
                                             <div className="text-2xl font-bold text-purple-300">
-                                                {futureUseByLength[len] || 0}
+                                                {futureUseByLength[key] || 0}
                                             </div>
                                         </div>
                                     ))}
@@ -176,7 +190,7 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
                                 <th className="p-3 font-semibold text-zinc-400">ORDER/JOB</th>
                                 <th className="p-3 font-semibold text-zinc-400">DATE</th>
                                 <th className="p-3 font-semibold text-zinc-400">CUSTOMER/SUPPLIER</th>
-                                {STANDARD_LENGTHS.map(len => (<th key={len} className="p-3 font-semibold text-zinc-400 text-center">{len}"x48"</th>))}
+                                {sizeColumns.map(({ key, label }) => (<th key={key} className="p-3 font-semibold text-zinc-400 text-center">{label}</th>))}
                                 <th className="p-3 font-semibold text-zinc-400 text-center">Actions</th>
                             </tr>
                         </thead>
@@ -194,15 +208,15 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
                                         <td className="p-3 whitespace-nowrap">{t.job}</td>
                                         <td className="p-3 whitespace-nowrap">{displayDate ? new Date(displayDate).toLocaleDateString() : 'N/A'}</td>
                                         <td className="p-3 whitespace-nowrap">{t.customer}</td>
-                                        {STANDARD_LENGTHS.map(len => (
-                                            <td key={len} className={`p-3 text-center font-mono ${t[len] < 0 ? 'text-red-400' : 'text-zinc-300'}`}>{t[len] || ''}</td>
+                                        {sizeColumns.map(({ key }) => (
+                                            <td key={key} className={`p-3 text-center font-mono ${t[key] < 0 ? 'text-red-400' : 'text-zinc-300'}`}>{t[key] || ''}</td>
                                         ))}
                                         <td className="p-3 text-center">
                                             {t.isFuture && t.isAddition && <button title="Receive Order" onClick={(e) => { e.stopPropagation(); onReceiveOrder(t); }} className="text-green-500 hover:text-green-400 mr-2"><Truck size={16} /></button>}
                                             {t.isFulfillable && <button title="Fulfill Scheduled Usage" onClick={(e) => { e.stopPropagation(); onFulfillLog(t); }} className="text-purple-400 hover:text-purple-300 mr-2"><Truck size={16} /></button>}
                                             {t.isDeletable && (
                                                 <>
-                                                    <button title="Edit" onClick={(e) => { e.stopPropagation(); onEditOrder(t); }} className="text-blue-500 hover:text-blue-400 mr-2"><Edit size={16} /></button>
+                                                    {!t.isRemnantGroup && <button title="Edit" onClick={(e) => { e.stopPropagation(); onEditOrder(t); }} className="text-blue-500 hover:text-blue-400 mr-2"><Edit size={16} /></button>}
                                                     <button title="Delete" onClick={(e) => { e.stopPropagation(); setLogToDelete(t); }} className="text-red-500 hover:text-red-400"><Trash2 size={16} /></button>
                                                 </>
                                             )}
@@ -213,7 +227,7 @@ export const MaterialDetailItem = forwardRef(({ id, matType, inventory, usageLog
                         </tbody>
                     </table>
                     <LogDetailModal isOpen={!!detailLog} onClose={() => setDetailLog(null)} logEntry={detailLog} materials={materials} />
-                    <ConfirmationModal isOpen={!!logToDelete} onClose={() => setLogToDelete(null)} onConfirm={handleConfirmDelete} title="Delete Entry" message="Are you sure you want to delete this entry? This action cannot be undone." />
+                    <ConfirmationModal isOpen={!!logToDelete} onClose={() => setLogToDelete(null)} onConfirm={handleConfirmDelete} title="Delete Entry" message="Are you sure you want to delete this entry? It can be reverted from the Audit view." />
                 </div>
             )}
         </div>
@@ -4,9 +4,10 @@ import { useOrderForm } from '../../hooks/useOrderForm';
 import { FormInput } from '../common/FormInput';
 import { Button } from '../common/Button';
 import { ErrorMessage } from '../common/ErrorMessage';
+import { formatSheetSize, getItemSizeQuantities, getMaterialSheetSizes, getSizeQtyField } from '../../utils/sheetSizes';
 
-export const AddStockForm = ({ materialTypes, suppliers, onSave }) => {
-    const { jobs, setJobField, setItemField, addMaterial, removeMaterial, resetForm } = useOrderForm(null, materialTypes, suppliers);
+export const AddStockForm = ({ materialTypes, materials = {}, suppliers, onSave }) => {
+    const { jobs, setJobField, setItemField, addMaterial, removeMaterial, resetForm } = useOrderForm(null, materialTypes, suppliers, null, { materials });
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
     const [successMessage, setSuccessMessage] = useState('');
@@ -29,7 +30,7 @@ export const AddStockForm = ({ materialTypes, suppliers, onSave }) => {
                     return;
                 }
 
-                const hasQuantity = parseInt(item.qty96 || 0) > 0 || parseInt(item.qty120 || 0) > 0 || parseInt(item.qty144 || 0) > 0;
+                const hasQuantity = getItemSizeQuantities(item, getMaterialSheetSizes(materials, item.materialType)).length > 0;
                 if (!hasQuantity) {
                     setError(`At least one quantity must be entered for "${item.materialType}".`);
                     return;
@@ -78,9 +79,10 @@ export const AddStockForm = ({ materialTypes, suppliers, onSave }) => {
                         <FormInput label={`Material Type #${itemIndex + 1}`} name="materialType" value={item.materialType} onChange={(e) => setItemField(jobIndex, itemIndex, 'materialType', e.target.value)} as="select">{materialTypes.map(type => <option key={type}>{type}</option>)}</FormInput>
                         <p className="text-sm font-medium text-zinc-300 mt-2">Standard Quantities:</p>
                         <div className="grid grid-cols-3 gap-2">
-                            <FormInput label='96"x48"' name="qty96" type="number" placeholder="0" value={item.qty96} onChange={(e) => setItemField(jobIndex, itemIndex, 'qty96', e.target.value)} />
-                            <FormInput label='120"x48"' name="qty120" type="number" placeholder="0" value={item.qty120} onChange={(e) => setItemField(jobIndex, itemIndex, 'qty120', e.target.value)} />
-                            <FormInput label='144"x48"' name="qty144" type="number" placeholder="0" value={item.qty144} onChange={(e) => setItemField(jobIndex, itemIndex, 'qty144', e.target.value)} />
+                            {getMaterialSheetSizes(materials, item.materialType).map(size => {
+                                const field = getSizeQtyField(size);
+                                return <FormInput key={field} label={formatSheetSize(size)} name={field} type="number" placeholder="0" value={item[field] ?? ''} onChange={(e) => setItemField(jobIndex, itemIndex, field, e.target.value)} />;
+                            })}
                         </div>
                         <FormInput label="Cost per Pound ($)" name="costPerPound" type="number" value={item.costPerPound} onChange={(e) => setItemField(jobIndex, itemIndex, 'costPerPound', e.target.value)} step="0.01" required />
                     </div>
@@ -3,13 +3,12 @@ import { X, Plus, Calendar, Minus } from 'lucide-react';
 import { Button } from '../common/Button';
 import { FormInput } from '../common/FormInput';
 import { ErrorMessage } from '../common/ErrorMessage';
-import { STANDARD_LENGTHS } from '../../constants/materials';
+import { formatSheetSize, getMaterialSheetSizes, getSizeQtyField } from '../../utils/sheetSizes';
 import { formatUseStockJobLabel } from '../../utils/dataProcessing';
 
-export const UseStockForm = ({ onSave, inventory, materialTypes, inventorySummary, incomingSummary, suppliers }) => {
+export const UseStockForm = ({ onSave, inventory, materialTypes, materials = {}, inventorySummary, incomingSummary, suppliers }) => {
     const createNewItem = () => ({
         materialType: materialTypes[0] || '',
-        ...STANDARD_LENGTHS.reduce((acc, len) => ({ ...acc, [`qty${len}`]: '' }), {})
     });
 
     const createNewJob = () => ({
@@ -122,14 +121,14 @@ export const UseStockForm = ({ onSave, inventory, materialTypes, inventorySummar
                             ))}
                         </FormInput>
                         <div className="grid grid-cols-3 gap-2 mt-2">
-                            {STANDARD_LENGTHS.map(len => (
+                            {getMaterialSheetSizes(materials, item.materialType).map(size => (
                                 <FormInput
-                                    key={len}
-                                    label={`${len}"x48"`}
+                                    key={getSizeQtyField(size)}
+                                    label={formatSheetSize(size)}
                                     type="number"
                                     placeholder="0"
-                                    value={item[`qty${len}`]}
-                                    onChange={(e) => handleItemChange(jobIndex, itemIndex, `qty${len}`, e.target.value)}
+                                    value={item[getSizeQtyField(size)] ?? ''}
+                                    onChange={(e) => handleItemChange(jobIndex, itemIndex, getSizeQtyField(size), e.target.value)}
                                 />
                             ))}
                         </div>
@@ -1,8 +1,17 @@
 // src/components/layout/Header.jsx
 
 import React, { forwardRef, useState, useRef, useEffect } from 'react';
-import { Plus, Minus, Edit, Box, Users, LogOut, Database, ShoppingCart, Shield, Settings } from 'lucide-react';
+import { Plus, Minus, Edit, Box, Users, LogOut, Database, ShoppingCart, Shield, Settings, Bell, FileUp, FileSpreadsheet, Cloud, CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
 import { Button } from '../common/Button';
+import { SYNC_STATUSES } from '../../utils/offlineOutbox';
+
+const SYNC_INDICATORS = {
+    [SYNC_STATUSES.synced]: { Icon: Cloud, label: 'Synced', className: 'text-green-400' },
+    [SYNC_STATUSES.offline]: { Icon: CloudOff, label: 'Offline', className: 'text-amber-400' },
+    [SYNC_STATUSES.syncing]: { Icon: RefreshCw, label: 'Syncing', className: 'text-blue-300 animate-spin' },
+    [SYNC_STATUSES.pending]: { Icon: RefreshCw, label: 'Waiting to sync', className: 'text-blue-300' },
+    [SYNC_STATUSES.conflict]: { Icon: AlertTriangle, label: 'Sync conflict', className: 'text-red-400' },
+};
 
 export const Header = forwardRef(({
     searchQuery,
@@ -16,9 +25,17 @@ export const Header = forwardRef(({
     onManageCategories,
     onManageSuppliers,
     onOpenBackup,
+    onOpenImport,
+    onOpenExport,
     onOpenAuthentication,
+    onOpenAlerts,
+    openAlertCount = 0,
+    syncStatus = SYNC_STATUSES.synced,
+    outboxCount = 0,
+    onOpenOutbox,
     onSignOut,
-    onLogoClick
+    onLogoClick,
+    roleLabel
 }, ref) => {
     const [moreOpen, setMoreOpen] = useState(false);
     const moreMenuRef = useRef(null);
@@ -46,6 +63,9 @@ export const Header = forwardRef(({
         return undefined;
     }, [moreOpen]);
 
+    const syncIndicator = SYNC_INDICATORS[syncStatus] || SYNC_INDICATORS[SYNC_STATUSES.synced];
+    const SyncIcon = syncIndicator.Icon;
+
     const menuItemClass =
         'w-full flex items-center gap-2 px-4 py-2.5 text-left text-sm text-zinc-200 hover:bg-zinc-700 transition-colors';
 
@@ -57,13 +77,39 @@ export const Header = forwardRef(({
                     <h1 onClick={onLogoClick} className="text-2xl sm:text-3xl md:text-4xl font-bold text-white text-center sm:text-left cursor-pointer">TecnoPan Inventory</h1>
                 </div>
                 <div className="flex flex-wrap justify-center md:justify-end gap-2">
-                    <Button onClick={onAdd} className="px-3 py-2 md:px-5 md:py-3"><Plus size={20} /> <span className="hidden sm:inline">Add Stock</span></Button>
-                    <Button onClick={onBuy} variant="secondary" className="px-3 py-2 md:px-5 md:py-3">
-                        <ShoppingCart size={20} /> <span className="hidden sm:inline">Buy</span>
+                    {onAdd && <Button onClick={onAdd} className="px-3 py-2 md:px-5 md:py-3"><Plus size={20} /> <span className="hidden sm:inline">Add Stock</span></Button>}
+                    {onBuy && (
+                        <Button onClick={onBuy} variant="secondary" className="px-3 py-2 md:px-5 md:py-3">
+                            <ShoppingCart size={20} /> <span className="hidden sm:inline">Buy</span>
+                        </Button>
+                    )}
+                    {onUse && <Button onClick={onUse} variant="secondary" className="px-3 py-2 md:px-5 md:py-3"><Minus size={20} /> <span className="hidden sm:inline">Use Stock</span></Button>}
+                    {onEdit && (
+                        <Button onClick={onEdit} variant={isEditMode ? 'success' : 'warning'} className="px-3 py-2 md:px-5 md:py-3">
+                            <Edit size={20} /> <span className="hidden sm:inline">{isEditMode ? 'Finish Editing' : 'Edit'}</span>
+                        </Button>
+                    )}
+
+                    <Button
+                        onClick={onOpenOutbox}
+                        variant={syncStatus === SYNC_STATUSES.conflict ? 'danger' : 'secondary'}
+                        className="px-3 py-2 md:px-5 md:py-3"
+                        title={syncIndicator.label}
+                        aria-label={outboxCount > 0 ? `${syncIndicator.label}, ${outboxCount} queued changes` : syncIndicator.label}
+                    >
+                        <SyncIcon size={20} className={syncStatus === SYNC_STATUSES.conflict ? '' : syncIndicator.className} />
+                        <span className="hidden lg:inline text-sm">{syncIndicator.label}</span>
+                        {outboxCount > 0 && <span className="text-sm font-bold">{outboxCount}</span>}
                     </Button>
-                    <Button onClick={onUse} variant="secondary" className="px-3 py-2 md:px-5 md:py-3"><Minus size={20} /> <span className="hidden sm:inline">Use Stock</span></Button>
-                    <Button onClick={onEdit} variant={isEditMode ? 'success' : 'warning'} className="px-3 py-2 md:px-5 md:py-3">
-                        <Edit size={20} /> <span className="hidden sm:inline">{isEditMode ? 'Finish Editing' : 'Edit'}</span>
+
+                    <Button
+                        onClick={onOpenAlerts}
+                        variant={openAlertCount > 0 ? 'danger' : 'secondary'}
+                        className="px-3 py-2 md:px-5 md:py-3"
+                        aria-label={openAlertCount > 0 ? `${openAlertCount} open low stock alerts` : 'Low stock alerts'}
+                    >
+                        <Bell size={20} />
+                        {openAlertCount > 0 && <span className="text-sm font-bold">{openAlertCount}</span>}
                     </Button>
 
                     <div className="relative" ref={moreMenuRef}>
@@ -84,23 +130,42 @@ export const Header = forwardRef(({
                                 role="menu"
                                 className="absolute right-0 z-50 mt-2 min-w-[14rem] rounded-xl border border-zinc-600 bg-zinc-800 py-1 shadow-xl"
                             >
-                                <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onManageCategories(); setMoreOpen(false); }}>
-                                    <Box size={18} className="shrink-0 text-zinc-400" />
-                                    <span>Manage Categories</span>
-                                </button>
-                                <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onManageSuppliers(); setMoreOpen(false); }}>
-                                    <Users size={18} className="shrink-0 text-zinc-400" />
-                                    <span>Manage Suppliers</span>
-                                </button>
-                                <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onOpenAuthentication(); setMoreOpen(false); }}>
-                                    <Shield size={18} className="shrink-0 text-zinc-400" />
-                                    <span>Authentication</span>
-                                </button>
-                                <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onOpenBackup(); setMoreOpen(false); }}>
-                                    <Database size={18} className="shrink-0 text-zinc-400" />
-                                    <span>Backups</span>
+                                {onManageCategories && (
+                                    <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onManageCategories(); setMoreOpen(false); }}>
+                                        <Box size={18} className="shrink-0 text-zinc-400" />
+                                        <span>Manage Categories</span>
+                                    </button>
+                                )}
+                                {onManageSuppliers && (
+                                    <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onManageSuppliers(); setMoreOpen(false); }}>
+                                        <Users size={18} className="shrink-0 text-zinc-400" />
+                                        <span>Manage Suppliers</span>
+                                    </button>
+                                )}
+                                {onOpenAuthentication && (
+                                    <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onOpenAuthentication(); setMoreOpen(false); }}>
+                                        <Shield size={18} className="shrink-0 text-zinc-400" />
+                                        <span>Authentication</span>
+                                    </button>
+                                )}
+                                {onOpenBackup && (
+                                    <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onOpenBackup(); setMoreOpen(false); }}>
+                                        <Database size={18} className="shrink-0 text-zinc-400" />
+                                        <span>Backups</span>
+                                    </button>
+                                )}
+                                {onOpenImport && (
+                                    <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onOpenImport(); setMoreOpen(false); }}>
+                                        <FileUp size={18} className="shrink-0 text-zinc-400" />
+                                        <span>Import CSV</span>
+                                    </button>
+                                )}
+                                <button type="button" role="menuitem" className={menuItemClass} onClick={() => { onOpenExport(); setMoreOpen(false); }}>
+                                    <FileSpreadsheet size={18} className="shrink-0 text-zinc-400" />
+                                    <span>Export Workbook</span>
                                 </button>
                                 <div className="my-1 border-t border-zinc-700" role="separator" />
+                                {roleLabel && <p className="px-4 py-1.5 text-xs text-zinc-500">Role: {roleLabel}</p>}
                                 <button type="button" role="menuitem" className={`${menuItemClass} text-red-300 hover:bg-red-950/50`} onClick={() => { onSignOut(); setMoreOpen(false); }}>
                                     <LogOut size={18} className="shrink-0" />
                                     <span>Sign Out</span>
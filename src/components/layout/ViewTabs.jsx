@@ -23,8 +23,12 @@ export const ViewTabs = ({ activeView, setActiveView, categories }) => {
         { label: 'Jobs', view: 'jobs' },
         { label: 'Logs', view: 'logs' },
         { label: 'Price History', view: 'price-history' },
+        { label: 'Valuation', view: 'valuation' },
         { label: 'Sheet Calculator', view: 'sheet-calculator' },
-        { label: 'Reorder', view: 'reorder' }
+        { label: 'Reorder', view: 'reorder' },
+        { label: 'Stocktake', view: 'cycle-count' },
+        { label: 'Suppliers', view: 'suppliers' },
+        { label: 'Audit', view: 'audit' }
     ];
 
     const categoryViews = categories || [];
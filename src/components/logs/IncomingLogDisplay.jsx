@@ -1,8 +1,9 @@
 // src/components/logs/IncomingLogDisplay.jsx
 
 import React, { useMemo } from 'react';
-import { Edit, Trash2, Truck } from 'lucide-react';
+import { AlertTriangle, Edit, QrCode, Trash2, Truck } from 'lucide-react';
 import { LogItemSummary } from './LogItemSummary';
+import { isShortShipped } from '../../utils/orderReceiving';
 
 // Helper function to generate a detailed description with shortened names
 const generateDescription = (details) => {
@@ -24,7 +25,7 @@ const generateDescription = (details) => {
     }).join(', ');
 };
 
-export const IncomingLogDisplay = ({ incomingItems, materials, onRowClick, onDelete, onEdit, onReceiveOrder, ordersToShow }) => {
+export const IncomingLogDisplay = ({ incomingItems, materials, onRowClick, onDelete, onEdit, onReceiveOrder, onPrintLabels, ordersToShow }) => {
     const processedItems = useMemo(() => {
         return incomingItems.map(item => {
             const displayDetails = item.displayDetails || item.details || [];
@@ -38,15 +39,24 @@ export const IncomingLogDisplay = ({ incomingItems, materials, onRowClick, onDel
                     null
                 );
 
+            const shortItems = displayDetails.filter(isShortShipped);
+
             return {
                 ...item,
                 displayDetails,
+                shortQty: shortItems.length,
+                shortDueDate: shortItems.reduce(
+                    (latest, curr) => !latest || new Date(curr.arrivalDate) > new Date(latest) ? curr.arrivalDate : latest,
+                    null
+                ),
                 description: generateDescription(displayDetails),
                 dateOrdered: item.date,
                 customer: item.supplier,
                 qty: displayDetails.length,
-                isEditable: (item.details || []).length > 0,
+                // Offcuts were created by a cut, not an order, so there is no order form to edit them in.
+                isEditable: (item.details || []).length > 0 && !item.isRemnantGroup,
                 isDeletable: (item.details || []).length > 0,
+                isLabelable: !item.isRemnantGroup && (item.details || []).some(d => d.status !== 'Ordered'),
                 dateIncoming: latestIncomingDate,
             };
         });
@@ -91,11 +101,24 @@ export const IncomingLogDisplay = ({ incomingItems, materials, onRowClick, onDel
                             <td className="px-3 py-2 truncate text-zinc-300 whitespace-nowrap">
                                 {item.dateIncoming ? new Date(item.dateIncoming).toLocaleDateString() : 'N/A'}
                             </td>
-                            <td className="px-3 py-2 text-green-400 font-mono text-center">+{item.qty}</td>
+                            <td className="px-3 py-2 text-green-400 font-mono text-center">
+                                +{item.qty}
+                                {item.shortQty > 0 && (
+                                    <div
+                                        title={`Short-shipped: ${item.shortQty} still on order${item.shortDueDate ? `, due ${new Date(item.shortDueDate).toLocaleDateString()}` : ''}`}
+                                        className="mt-1 inline-flex items-center gap-1 rounded bg-amber-900/40 px-1.5 py-0.5 text-xs text-amber-300 whitespace-nowrap"
+                                    >
+                                        <AlertTriangle size={12} /> {item.shortQty} short
+                                    </div>
+                                )}
+                            </td>
                             <td className="px-3 py-2 text-center whitespace-nowrap w-24">
                                 {item.isFuture && (item.details || []).length > 0 && (
                                     <button title="Receive Order" onClick={(e) => { e.stopPropagation(); onReceiveOrder(item); }} className="inline-flex align-middle text-green-500 hover:text-green-400 mr-2"><Truck size={16} /></button>
                                 )}
+                                {item.isLabelable && onPrintLabels && (
+                                    <button title="Print Bundle Labels" onClick={(e) => { e.stopPropagation(); onPrintLabels(item); }} className="inline-flex align-middle text-zinc-300 hover:text-white mr-2"><QrCode size={16} /></button>
+                                )}
                                 {item.isEditable && (
                                     <button title="Edit" onClick={(e) => { e.stopPropagation(); onEdit(item); }} className="inline-flex align-middle text-blue-500 hover:text-blue-400 mr-2"><Edit size={16} /></button>
                                 )}
@@ -8,19 +8,21 @@ import { FormInput } from '../common/FormInput';
 import { Button } from '../common/Button';
 import { ErrorMessage } from '../common/ErrorMessage';
 import { calculateSheetCost } from '../../utils/dataProcessing';
+import { isStockCorrectionSource } from '../../utils/cycleCounts';
+import { formatSheetSize, getItemSizeQuantities, getMaterialSheetSizes, getSizeQtyField } from '../../utils/sheetSizes';
 
-function formatSheetPriceLabel(length, item, materials) {
+function formatSheetPriceLabel(size, item, materials) {
     const sheetPrice = calculateSheetCost(
         {
             materialType: item.materialType,
-            length,
-            width: 48,
+            length: size.length,
+            width: size.width,
             costPerPound: parseFloat(item.costPerPound || 0),
         },
         materials
     );
 
-    const baseLabel = `${length}"x48"`;
+    const baseLabel = formatSheetSize(size);
     if (!sheetPrice || sheetPrice <= 0) return baseLabel;
 
     return `${baseLabel} ($${sheetPrice.toFixed(2)}/sheet)`;
@@ -67,7 +69,7 @@ export const AddOrderModal = ({
         materialTypes,
         suppliers,
         prefill,
-        { multiSupplier: mode === 'buy' }
+        { multiSupplier: mode === 'buy', materials }
     );
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
@@ -75,7 +77,7 @@ export const AddOrderModal = ({
     const submitLabel = mode === 'buy' ? 'Open Email' : 'Submit Order';
     const isManualEditOrder = Boolean(
         initialData &&
-        ((initialData.job || '').startsWith('MODIFICATION') || initialData.supplier === 'Manual Edit')
+        ((initialData.job || '').startsWith('MODIFICATION') || isStockCorrectionSource(initialData.supplier))
     );
     const shouldShowCustomSheets = mode === 'buy' || jobs.some((currentJob) =>
         currentJob.items.some((item) => item.customWidth || item.customLength || item.customQty)
@@ -131,7 +133,7 @@ export const AddOrderModal = ({
         }));
     };
 
-    const handleSubmit = async (e) => {
+    const handleSubmit = async (e, saveOptions = {}) => {
         e.preventDefault();
 
         for (const job of jobs) {
@@ -167,7 +169,7 @@ export const AddOrderModal = ({
                     return;
                 }
 
-                const hasStandardQuantity = parseInt(item.qty96 || 0, 10) > 0 || parseInt(item.qty120 || 0, 10) > 0 || parseInt(item.qty144 || 0, 10) > 0;
+                const hasStandardQuantity = getItemSizeQuantities(item, getMaterialSheetSizes(materials, item.materialType)).length > 0;
                 const customQty = parseInt(item.customQty || 0, 10);
                 const hasCustomQuantity = shouldShowCustomSheets && customQty > 0;
                 const customWidth = parseFloat(item.customWidth || 0);
@@ -195,7 +197,7 @@ export const AddOrderModal = ({
         setIsSubmitting(true);
         setError('');
         try {
-            const result = await onSave(jobs, initialData);
+            const result = await onSave(jobs, initialData, saveOptions);
             if (mode !== 'buy' || result?.closeModalOnSuccess !== false) {
                 onClose();
             }
@@ -380,9 +382,12 @@ export const AddOrderModal = ({
                                 </div>
                                 <p className="text-sm font-medium text-zinc-300 mt-2">Standard Quantities:</p>
                                 <div className="grid grid-cols-3 gap-2">
-                                    <FormInput label={mode === 'buy' ? '96"x48"' : formatSheetPriceLabel(96, item, materials)} name="qty96" type="number" placeholder="0" value={item.qty96} onChange={(e) => setItemField(jobIndex, itemIndex, 'qty96', e.target.value)} />
-                                    <FormInput label={mode === 'buy' ? '120"x48"' : formatSheetPriceLabel(120, item, materials)} name="qty120" type="number" placeholder="0" value={item.qty120} onChange={(e) => setItemField(jobIndex, itemIndex, 'qty120', e.target.value)} />
-                                    <FormInput label={mode === 'buy' ? '144"x48"' : formatSheetPriceLabel(144, item, materials)} name="qty144" type="number" placeholder="0" value={item.qty144} onChange={(e) => setItemField(jobIndex, itemIndex, 'qty144', e.target.value)} />
+                                    {getMaterialSheetSizes(materials, item.materialType).map(size => {
+                                        const field = getSizeQtyField(size);
+                                        return (
+                                            <FormInput key={field} label={mode === 'buy' ? formatSheetSize(size) : formatSheetPriceLabel(size, item, materials)} name={field} type="number" placeholder="0" value={item[field] ?? ''} onChange={(e) => setItemField(jobIndex, itemIndex, field, e.target.value)} />
+                                        );
+                                    })}
                                 </div>
                                 {shouldShowCustomSheets && (
                                     <>
@@ -439,6 +444,11 @@ export const AddOrderModal = ({
                             + Add Material
                         </Button>
                     )}
+                    {mode === 'buy' && (
+                        <Button variant="secondary" disabled={isSubmitting} onClick={(e) => handleSubmit(e, { asDraft: true })}>
+                            Save Draft
+                        </Button>
+                    )}
                     <Button type="submit" disabled={isSubmitting}>
                         {mode === 'buy' && !isSubmitting && <Mail size={16} />}
                         {isSubmitting ? 'Submitting...' : submitLabel}
@@ -11,14 +11,17 @@ import {
     fetchSignInMethodsForEmail,
     signOut as firebaseSignOut,
 } from 'firebase/auth';
-import { doc, onSnapshot, setDoc } from '../../firebase/firestoreWithTracking';
+import { deleteField, doc, onSnapshot, setDoc } from '../../firebase/firestoreWithTracking';
 import { auth, db, appId, secondaryAuth } from '../../firebase/config';
 import {
     FALLBACK_ALLOWED_EMAILS,
     normalizeEmail,
     isValidEmailFormat,
     getFirebaseEmailAuthErrorMessage,
+    normalizeRolesMap,
 } from '../../constants/authAllowlist';
+import { DEFAULT_ROLE, ROLES, ROLE_DESCRIPTIONS, ROLE_LABELS, ROLE_ORDER } from '../../constants/accessRoles';
+import { syncAllowlistMembers } from '../../utils/allowlistMembers';
 import { Mail, Shield, Trash2, UserPlus } from 'lucide-react';
 
 const ALLOWLIST_REF = doc(db, `artifacts/${appId}/config/access_allowlist`);
@@ -45,6 +48,7 @@ function buildMergedAllowlistRows(firestoreEmails) {
 
 export const AuthenticationModal = ({ onClose }) => {
     const [emails, setEmails] = useState([]);
+    const [rolesByEmail, setRolesByEmail] = useState({});
     const [loadingList, setLoadingList] = useState(true);
     const [newEmail, setNewEmail] = useState('');
     const [error, setError] = useState('');
@@ -79,6 +83,8 @@ export const AuthenticationModal = ({ onClose }) => {
             ALLOWLIST_REF,
             (snap) => {
                 setLoadError(null);
+                const roles = normalizeRolesMap(snap.data()?.roles);
+                setRolesByEmail(roles);
                 const raw = snap.data()?.emails;
                 if (Array.isArray(raw)) {
                     const normalized = [...new Set(raw.map((e) => normalizeEmail(String(e))).filter(Boolean))];
@@ -96,6 +102,9 @@ export const AuthenticationModal = ({ onClose }) => {
                 } else {
                     setEmails([]);
                 }
+                // Each saved change comes back through here, so the per-email copies users read follow it
+                syncAllowlistMembers(db, appId, Array.isArray(raw) ? raw : [], roles)
+                    .catch((e) => console.warn('Allowlist members sync:', e));
                 setLoadingList(false);
             },
             (err) => {
@@ -161,6 +170,19 @@ export const AuthenticationModal = ({ onClose }) => {
         }
     }, []);
 
+    const handleRoleChange = async (email, role) => {
+        setSaving(true);
+        setError('');
+        try {
+            await setDoc(ALLOWLIST_REF, { roles: { [email]: role }, updatedAt: new Date().toISOString() }, { merge: true });
+        } catch (e) {
+            console.error(e);
+            setError(e?.message || 'Failed to save role.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
     const handleAddEmail = async () => {
         const n = normalizeEmail(newEmail);
         if (!n) {
@@ -183,7 +205,10 @@ export const AuthenticationModal = ({ onClose }) => {
         const n = normalizeEmail(removeAddr);
         if (!inFirestore) return;
         const next = emails.filter((e) => normalizeEmail(e) !== n);
-        await persistEmails(next);
+        const ok = await persistEmails(next);
+        if (ok && rolesByEmail[n]) {
+            await setDoc(ALLOWLIST_REF, { roles: { [n]: deleteField() } }, { merge: true }).catch((e) => console.warn('Allowlist role cleanup:', e));
+        }
     };
 
     const handleCreateEmailPasswordUser = async () => {
@@ -282,6 +307,7 @@ export const AuthenticationModal = ({ onClose }) => {
                     <div className="rounded-lg border border-zinc-700 overflow-hidden mb-4">
                         <div className="grid grid-cols-[minmax(0,1fr)_minmax(4rem,auto)_minmax(5.5rem,auto)_2.5rem] gap-x-2 bg-zinc-800/80 px-3 py-2 text-[10px] font-semibold uppercase tracking-wide text-zinc-500 border-b border-zinc-700">
                             <span>Email</span>
+                            <span>Role</span>
                             <span className="text-center">Source</span>
                             <span className="text-right">Sign-in</span>
                             <span className="sr-only">Remove</span>
@@ -314,6 +340,23 @@ export const AuthenticationModal = ({ onClose }) => {
                                         className="grid grid-cols-[minmax(0,1fr)_minmax(4rem,auto)_minmax(5.5rem,auto)_2.5rem] gap-x-2 items-center px-3 py-2.5 bg-zinc-900/40 text-xs"
                                     >
                                         <span className="font-mono text-zinc-200 break-all min-w-0">{row.display}</span>
+                                        {row.inFallback ? (
+                                            <span className="text-zinc-400 text-[11px]" title="Rule fallback addresses are always admins">
+                                                {ROLE_LABELS[ROLES.admin]}
+                                            </span>
+                                        ) : (
+                                            <select
+                                                value={rolesByEmail[key] || DEFAULT_ROLE}
+                                                onChange={(ev) => handleRoleChange(key, ev.target.value)}
+                                                disabled={saving}
+                                                className="bg-zinc-800 border border-zinc-600 rounded-md px-1.5 py-1 text-[11px] text-zinc-200"
+                                                aria-label={`Role for ${row.display}`}
+                                            >
+                                                {ROLE_ORDER.map((role) => (
+                                                    <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                                                ))}
+                                            </select>
+                                        )}
                                         <span className="text-zinc-500 text-center whitespace-nowrap text-[11px]">
                                             {row.inFallback && row.inFirestore ? (
                                                 <span title="In rules and Firestore">Both</span>
@@ -362,6 +405,15 @@ export const AuthenticationModal = ({ onClose }) => {
                     </div>
                 ) : null}
 
+                <ul className="text-xs text-zinc-500 mb-4 space-y-0.5">
+                    {ROLE_ORDER.map((role) => (
+                        <li key={role}>
+                            <span className="text-zinc-300">{ROLE_LABELS[role]}:</span> {ROLE_DESCRIPTIONS[role]}
+                        </li>
+                    ))}
+                    <li>Role changes are enforced right away and show in that person's app the next time they sign in.</li>
+                </ul>
+
                 {allSignInMethodsEmpty && !methodsLoading && mergedAllowlistRows.length > 0 && (
                     <p className="text-xs text-amber-200/90 bg-amber-950/35 border border-amber-800/50 rounded-md px-3 py-2 mb-4">
                         Sign-in column shows “Unknown” when Firebase hides registration info. Open{' '}
@@ -1,22 +1,263 @@
 // src/components/modals/BackupModal.jsx
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { BaseModal } from './BaseModal';
 import { Button } from '../common/Button';
 import { ErrorMessage } from '../common/ErrorMessage';
-import { HardDriveDownload, RotateCcw, Upload, Download, List } from 'lucide-react';
-import { backupCollections, getLatestBackupInfo, restoreCollectionsFromBackup, listBackups, backfillBackupIndex } from '../../utils/backupService';
+import { HardDriveDownload, RotateCcw, Upload, Download, List, CalendarClock, GitCompare, ChevronDown, ChevronRight } from 'lucide-react';
+import {
+  backupCollections,
+  getLatestBackupInfo,
+  getScheduledBackupStatus,
+  restoreCollectionsFromBackup,
+  listBackups,
+  backfillBackupIndex,
+  diffBackupWithLive,
+  restoreBackupDocuments,
+} from '../../utils/backupService';
+import { BACKUP_DIFF_STATUSES, filterBackupDiff, getBackupDiffFilterOptions } from '../../utils/backupDiff';
+import { CHANGE_TRACKED_COLLECTIONS } from '../../constants/changeTracking';
 import { exportToCSV } from '../../utils/csvExport';
 import { collection, onSnapshot } from '../../firebase/firestoreWithTracking';
 import { db, appId, auth, onAuthStateChanged } from '../../firebase/config';
 
-export const BackupModal = ({ onClose }) => {
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+// Last nightly run as recorded by the scheduledBackup function
+const ScheduledBackupStatus = ({ status }) => {
+  const retention = status?.retention;
+  return (
+    <div className="p-3 rounded-lg border border-zinc-700 bg-zinc-900/50 space-y-1">
+      <div className="flex items-center gap-2 text-sm text-zinc-300">
+        <CalendarClock size={16} className="text-zinc-400" />
+        <span>Scheduled Backups</span>
+      </div>
+      {!status && <p className="text-xs text-zinc-500">No scheduled run recorded yet. Nightly backups start once the Cloud Functions are deployed.</p>}
+      {status?.status === 'running' && <p className="text-xs text-zinc-400">Running since {formatTime(status.startedAt)}…</p>}
+      {status?.status === 'success' && (
+        <p className="text-xs text-green-400">
+          Last run {formatTime(status.finishedAt)}: {status.backupId} ({status.totalDocs} docs)
+          {status.pruned?.length > 0 ? `, pruned ${status.pruned.length} expired backup${status.pruned.length === 1 ? '' : 's'}` : ', nothing to prune'}.
+        </p>
+      )}
+      {status?.status === 'error' && (
+        <>
+          <p className="text-xs text-red-400">Last run failed {formatTime(status.finishedAt)}: {status.error}</p>
+          <p className="text-xs text-zinc-500">Last successful backup: {formatTime(status.lastSuccessAt)}</p>
+        </>
+      )}
+      {retention && (
+        <p className="text-xs text-zinc-500">
+          Keeps the newest backup of each of the last {retention.daily} days, {retention.weekly} weeks and {retention.monthly} months; older ones are pruned after each run.
+        </p>
+      )}
+    </div>
+  );
+};
+
+const BACKUP_COLLECTIONS = CHANGE_TRACKED_COLLECTIONS;
+
+/** Staged restore progress: an equal share per collection, part of it once its docs are read or being written. */
+const getRestoreProgress = (p) => {
+  const share = 100 / BACKUP_COLLECTIONS.length;
+  const base = Math.max(0, BACKUP_COLLECTIONS.indexOf(p.collection)) * share;
+  const bump = p.phase === 'collection-complete' ? share : (p.phase?.includes('progress') ? share / 2 : share / 4);
+  return Math.min(100, Math.floor(base + bump));
+};
+
+const DIFF_STATUS_LABELS = {
+  [BACKUP_DIFF_STATUSES.added]: { label: 'Added since', className: 'text-green-400' },
+  [BACKUP_DIFF_STATUSES.removed]: { label: 'Removed since', className: 'text-red-400' },
+  [BACKUP_DIFF_STATUSES.changed]: { label: 'Changed', className: 'text-amber-400' },
+};
+
+const formatDiffValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value?.toDate === 'function') return value.toDate().toISOString();
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+const diffEntryKey = (entry) => `${entry.collection}/${entry.docId}`;
+
+// What a row is about, so a sheet or log can be recognised without expanding it
+const describeDiffEntry = ({ backup, live }) => {
+  const data = live || backup || {};
+  return [data.materialType, data.job || data.jobNameUsed, data.status].filter(Boolean).join(' • ');
+};
+
+const DiffEntryRow = ({ entry, selectable, selected, onToggle }) => {
+  const [expanded, setExpanded] = useState(false);
+  const status = DIFF_STATUS_LABELS[entry.status];
+  return (
+    <div className="p-2 bg-zinc-900/60 rounded-lg border border-zinc-700">
+      <div className="flex items-center gap-2">
+        {selectable && <input type="checkbox" checked={selected} onChange={() => onToggle(entry)} />}
+        <button type="button" className="flex items-center gap-1 min-w-0 text-left" onClick={() => setExpanded((v) => !v)}>
+          {entry.fields.length > 0 ? (expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />) : <span className="w-3.5" />}
+          <span className={`text-xs font-semibold uppercase ${status.className}`}>{status.label}</span>
+          <span className="text-sm font-mono text-zinc-200 truncate">{entry.docId}</span>
+        </button>
+        <span className="ml-auto text-xs text-zinc-500 truncate">{describeDiffEntry(entry)}</span>
+      </div>
+      {expanded && entry.fields.length > 0 && (
+        <table className="mt-2 w-full text-xs">
+          <thead>
+            <tr className="text-zinc-500">
+              <th className="text-left font-normal pr-3">Field</th>
+              <th className="text-left font-normal pr-3">Backup</th>
+              <th className="text-left font-normal">Live</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entry.fields.map(({ field, before, after }) => (
+              <tr key={field} className="border-t border-zinc-800">
+                <td className="py-1 pr-3 text-zinc-400 whitespace-nowrap">{field}</td>
+                <td className="py-1 pr-3 text-red-300 break-all">{formatDiffValue(before)}</td>
+                <td className="py-1 text-green-300 break-all">{formatDiffValue(after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Backup vs live data, per collection, with restore of just the ticked documents
+const BackupDiffPanel = ({ backupId, canRestore }) => {
+  const [diff, setDiff] = useState(null);
+  const [loadingMsg, setLoadingMsg] = useState('');
+  const [error, setError] = useState('');
+  const [material, setMaterial] = useState('');
+  const [job, setJob] = useState('');
+  const [selected, setSelected] = useState(() => new Set());
+
+  const loadDiff = useCallback(async () => {
+    setLoadingMsg('Comparing with live data...');
+    setError('');
+    try {
+      const result = await diffBackupWithLive(db, appId, backupId, BACKUP_COLLECTIONS, (p) => {
+        if (p?.phase === 'chain-read') setLoadingMsg(`Reading ${p.collection} from ${p.backupId}...`);
+      });
+      setDiff(result);
+      setSelected(new Set());
+    } catch (e) {
+      setError(e?.message || 'Comparison failed');
+    } finally {
+      setLoadingMsg('');
+    }
+  }, [backupId]);
+
+  useEffect(() => {
+    setDiff(null);
+    loadDiff();
+  }, [loadDiff]);
+
+  const options = useMemo(() => getBackupDiffFilterOptions(diff), [diff]);
+  const shown = useMemo(() => Object.fromEntries(
+    BACKUP_COLLECTIONS.map((coll) => [coll, filterBackupDiff(diff?.[coll] || [], { material, job })])
+  ), [diff, material, job]);
+  const shownEntries = useMemo(() => BACKUP_COLLECTIONS.flatMap((coll) => shown[coll]), [shown]);
+  const selectedEntries = shownEntries.filter((entry) => selected.has(diffEntryKey(entry)));
+
+  const toggleEntry = (entry) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      const key = diffEntryKey(entry);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const handleRestoreSelected = async () => {
+    if (selectedEntries.length === 0) return;
+    if (!window.confirm(`Put ${selectedEntries.length} document(s) back to how they were in ${backupId}? Nothing else is changed.`)) return;
+    try {
+      setLoadingMsg('Restoring selected documents...');
+      const res = await restoreBackupDocuments(db, appId, selectedEntries, (written, total) => {
+        setLoadingMsg(`Restoring selected documents... ${written}/${total}`);
+      });
+      await loadDiff();
+      setLoadingMsg(`Restored ${res.restored} and removed ${res.deleted} document(s).`);
+      setTimeout(() => setLoadingMsg(''), 4000);
+    } catch (e) {
+      setLoadingMsg('');
+      setError(e?.message || 'Restore failed');
+    }
+  };
+
+  return (
+    <div className="space-y-3 p-3 rounded-lg border border-zinc-700">
+      <div className="flex flex-wrap items-center gap-2">
+        <GitCompare size={16} className="text-zinc-400" />
+        <span className="text-sm text-zinc-300">{backupId} compared with live data</span>
+        <Button variant="secondary" onClick={loadDiff} disabled={!!loadingMsg} className="ml-auto py-1 px-2 text-xs">Refresh</Button>
+      </div>
+      {diff && (
+        <div className="flex flex-wrap gap-2">
+          <select value={material} onChange={(e) => setMaterial(e.target.value)} className="p-2 bg-zinc-700 rounded-lg text-sm">
+            <option value="">All materials</option>
+            {options.materials.map((m) => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <select value={job} onChange={(e) => setJob(e.target.value)} className="p-2 bg-zinc-700 rounded-lg text-sm">
+            <option value="">All jobs</option>
+            {options.jobs.map((j) => <option key={j} value={j}>{j}</option>)}
+          </select>
+        </div>
+      )}
+      {diff && BACKUP_COLLECTIONS.map((coll) => {
+        const entries = shown[coll];
+        const count = (status) => entries.filter((entry) => entry.status === status).length;
+        return (
+          <div key={coll} className="space-y-1">
+            <p className="text-sm text-zinc-300">
+              {coll}
+              <span className="text-xs text-zinc-500 ml-2">
+                {entries.length === 0
+                  ? 'no differences'
+                  : `${count(BACKUP_DIFF_STATUSES.added)} added • ${count(BACKUP_DIFF_STATUSES.removed)} removed • ${count(BACKUP_DIFF_STATUSES.changed)} changed`}
+              </span>
+            </p>
+            <div className="max-h-56 overflow-y-auto space-y-1">
+              {entries.map((entry) => (
+                <DiffEntryRow
+                  key={diffEntryKey(entry)}
+                  entry={entry}
+                  selectable={canRestore}
+                  selected={selected.has(diffEntryKey(entry))}
+                  onToggle={toggleEntry}
+                />
+              ))}
+            </div>
+          </div>
+        );
+      })}
+      {diff && canRestore && shownEntries.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          <Button variant="secondary" className="py-1 px-2 text-xs" onClick={() => setSelected(new Set(shownEntries.map(diffEntryKey)))}>Select All Shown</Button>
+          <Button variant="secondary" className="py-1 px-2 text-xs" onClick={() => setSelected(new Set())}>Clear</Button>
+          <Button className="py-1 px-2 text-xs" onClick={handleRestoreSelected} disabled={selectedEntries.length === 0 || !!loadingMsg}>
+            <RotateCcw size={14} /> Restore Selected ({selectedEntries.length})
+          </Button>
+        </div>
+      )}
+      {!!loadingMsg && <p className="text-xs text-zinc-400">{loadingMsg}</p>}
+      {error && <ErrorMessage message={error} />}
+    </div>
+  );
+};
+
+export const BackupModal = ({ onClose, canRestore = true }) => {
   const [busyMsg, setBusyMsg] = useState('');
   const [error, setError] = useState('');
   const [latest, setLatest] = useState(null);
+  const [scheduleStatus, setScheduleStatus] = useState(null);
   const [backups, setBackups] = useState([]);
   const [selectedBackupId, setSelectedBackupId] = useState('');
   const [progress, setProgress] = useState(0);
+  const [diffBackupId, setDiffBackupId] = useState('');
 
   const [authReady, setAuthReady] = useState(!!auth?.currentUser);
 
@@ -35,6 +276,8 @@ export const BackupModal = ({ onClose }) => {
       } catch {}
     }).catch(() => {});
 
+    getScheduledBackupStatus(db, appId).then(setScheduleStatus).catch(() => {});
+
     // Live updates from current backups location
     const currRef = collection(db, `artifacts/${appId}/public/data/backups`);
     const unsubCurr = onSnapshot(currRef, (snap) => {
@@ -73,13 +316,16 @@ export const BackupModal = ({ onClose }) => {
     }
   }, [backups, selectedBackupId]);
 
-  const handleBackupNow = async () => {
+  // Incremental when there is a backup to build on; `full` copies everything and starts a new chain
+  const handleBackupNow = async (full = false) => {
     try {
-      setBusyMsg('Backing up...');
-      const res = await backupCollections(db, appId, ['materials', 'inventory', 'usage_logs']);
-      setBusyMsg(`Backup created: ${res.backupId} (${res.totalDocs} docs)`);
+      setBusyMsg(full ? 'Taking full backup...' : 'Backing up changes...');
+      const res = await backupCollections(db, appId, BACKUP_COLLECTIONS, { full });
+      setBusyMsg(res.kind === 'incremental'
+        ? `Incremental backup created: ${res.backupId} (${res.totalDocs} changed docs since ${res.baseId})`
+        : `Full backup created: ${res.backupId} (${res.totalDocs} docs)`);
       setSelectedBackupId(res.backupId);
-      setLatest({ id: res.backupId, createdAt: new Date().toISOString(), totalDocs: res.totalDocs });
+      setLatest({ id: res.backupId, createdAt: new Date().toISOString(), totalDocs: res.totalDocs, kind: res.kind });
     } catch (e) {
       setBusyMsg('');
       setError(e.message || 'Backup failed');
@@ -94,16 +340,12 @@ export const BackupModal = ({ onClose }) => {
       if (!window.confirm('This will overwrite current data with the latest backup. Continue?')) return;
       setBusyMsg('Restoring from latest backup...');
       setProgress(0);
-      await restoreCollectionsFromBackup(db, appId, latest.id, ['materials', 'inventory', 'usage_logs'], (p) => {
+      await restoreCollectionsFromBackup(db, appId, latest.id, BACKUP_COLLECTIONS, (p) => {
         if (!p) return;
         if (p.phase === 'read') setBusyMsg(`Restoring ${p.collection}: found ${p.count} docs...`);
         if (p.phase?.includes('progress')) setBusyMsg(`Restoring ${p.collection}...`);
         if (p.phase === 'collection-complete') setBusyMsg(`Finished ${p.collection}...`);
-        // Simple staged progress: 3 collections → ~33% per collection
-        const stageIndex = { materials: 0, inventory: 1, usage_logs: 2 }[p.collection] ?? 0;
-        const base = stageIndex * 33.34; // 0, 33.34, 66.68
-        const bump = p.phase === 'collection-complete' ? 33.34 : (p.phase?.includes('progress') ? 16.67 : 8);
-        setProgress((prev) => Math.min(100, Math.max(prev, Math.floor(base + bump))));
+        setProgress((prev) => Math.max(prev, getRestoreProgress(p)));
       });
       setProgress(100);
       setBusyMsg(`Restore complete from ${latest.id}`);
@@ -121,15 +363,12 @@ export const BackupModal = ({ onClose }) => {
       if (!window.confirm(`Overwrite current data with backup ${selectedBackupId}?`)) return;
       setBusyMsg(`Restoring ${selectedBackupId}...`);
       setProgress(0);
-      await restoreCollectionsFromBackup(db, appId, selectedBackupId, ['materials', 'inventory', 'usage_logs'], (p) => {
+      await restoreCollectionsFromBackup(db, appId, selectedBackupId, BACKUP_COLLECTIONS, (p) => {
         if (!p) return;
         if (p.phase === 'read') setBusyMsg(`Restoring ${p.collection}: found ${p.count} docs...`);
         if (p.phase?.includes('progress')) setBusyMsg(`Restoring ${p.collection}...`);
         if (p.phase === 'collection-complete') setBusyMsg(`Finished ${p.collection}...`);
-        const stageIndex = { materials: 0, inventory: 1, usage_logs: 2 }[p.collection] ?? 0;
-        const base = stageIndex * 33.34;
-        const bump = p.phase === 'collection-complete' ? 33.34 : (p.phase?.includes('progress') ? 16.67 : 8);
-        setProgress((prev) => Math.min(100, Math.max(prev, Math.floor(base + bump))));
+        setProgress((prev) => Math.max(prev, getRestoreProgress(p)));
       });
       setProgress(100);
       setBusyMsg(`Restore complete from ${selectedBackupId}`);
@@ -270,14 +509,23 @@ export const BackupModal = ({ onClose }) => {
     <BaseModal onClose={onClose} title="Backups">
       <div className="space-y-4">
         <div className="flex flex-wrap gap-2">
-          <Button onClick={handleBackupNow}><HardDriveDownload size={16} /> Backup Now</Button>
-          <Button variant="secondary" onClick={handleRestoreLatest}><RotateCcw size={16} /> Restore Latest</Button>
+          <Button onClick={() => handleBackupNow(false)}><HardDriveDownload size={16} /> Backup Now</Button>
+          <Button variant="secondary" onClick={() => handleBackupNow(true)}><HardDriveDownload size={16} /> Full Backup</Button>
+          {canRestore && <Button variant="secondary" onClick={handleRestoreLatest}><RotateCcw size={16} /> Restore Latest</Button>}
           <Button variant="secondary" onClick={handleExportLocal}><Download size={16} /> Save Local Backup (JSON + CSV)</Button>
-          <label className="inline-flex items-center gap-2 px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg cursor-pointer">
-            <Upload size={16} /> Restore From Local (JSON)
-            <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => e.target.files?.[0] && handleImportLocal(e.target.files[0])} />
-          </label>
+          {canRestore && (
+            <label className="inline-flex items-center gap-2 px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg cursor-pointer">
+              <Upload size={16} /> Restore From Local (JSON)
+              <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => e.target.files?.[0] && handleImportLocal(e.target.files[0])} />
+            </label>
+          )}
         </div>
+        {!canRestore && <p className="text-xs text-zinc-500">Restoring a backup needs the Admin role.</p>}
+        <p className="text-xs text-zinc-500">
+          Backup Now copies only what changed since the last backup. Restoring any backup rebuilds the data as it was at that
+          point from the last full backup and the changes after it, so keep the backups it builds on.
+        </p>
+        <ScheduledBackupStatus status={scheduleStatus} />
         <div className="mt-2">
           <div className="flex items-center gap-2 mb-2">
             <List size={16} className="text-zinc-400" />
@@ -310,7 +558,11 @@ export const BackupModal = ({ onClose }) => {
               >
                 <div className="flex items-center justify-between gap-2">
                   <span className="font-mono text-sm">{b.id}</span>
-                  <span className="text-xs text-zinc-400">{b.totalDocs ? `${b.totalDocs} docs` : ''}</span>
+                  <span className="text-xs text-zinc-400">
+                    {b.trigger === 'scheduled' ? 'nightly • ' : ''}
+                    {b.kind === 'incremental' ? `changes since ${b.baseId} • ` : ''}
+                    {b.totalDocs ? `${b.totalDocs} docs` : ''}
+                  </span>
                 </div>
                 {b.createdAt && (
                   <div className="text-xs text-zinc-500 mt-0.5">{b.createdAt}</div>
@@ -318,12 +570,16 @@ export const BackupModal = ({ onClose }) => {
               </button>
             ))}
           </div>
-          <div className="mt-2">
-            <Button variant="secondary" onClick={handleRestoreSpecific} disabled={!selectedBackupId}><RotateCcw size={16} /> Restore Selected</Button>
+          <div className="mt-2 flex flex-wrap gap-2">
+            {canRestore && (
+              <Button variant="secondary" onClick={handleRestoreSpecific} disabled={!selectedBackupId}><RotateCcw size={16} /> Restore Selected</Button>
+            )}
+            <Button variant="secondary" onClick={() => setDiffBackupId(selectedBackupId)} disabled={!selectedBackupId}><GitCompare size={16} /> Compare With Live</Button>
           </div>
         </div>
+        {diffBackupId && <BackupDiffPanel backupId={diffBackupId} canRestore={canRestore} />}
         {latest && (
-          <p className="text-sm text-zinc-400">Latest: {latest.id} • {latest.createdAt} • {latest.totalDocs} docs</p>
+          <p className="text-sm text-zinc-400">Latest: {latest.id} • {latest.createdAt} • {latest.totalDocs} {latest.kind === 'incremental' ? 'changed ' : ''}docs</p>
         )}
         {!!busyMsg && <p className="text-xs text-zinc-400">{busyMsg}</p>}
         {progress > 0 && (
@@ -0,0 +1,81 @@
+// src/components/modals/BundleLabelsModal.jsx
+
+import React, { useMemo, useRef, useState } from 'react';
+import { Printer } from 'lucide-react';
+import { BaseModal } from './BaseModal';
+import { Button } from '../common/Button';
+import { buildBundleLabels } from '../../utils/sheetBundles';
+import { buildBundleLabelsHtml } from '../../utils/bundleLabelDocument';
+import { formatSheetSize } from '../../utils/sheetSizes';
+
+export const BundleLabelsModal = ({ onClose, orderGroup }) => {
+    const labels = useMemo(() => buildBundleLabels(orderGroup), [orderGroup]);
+    const [excludedKeys, setExcludedKeys] = useState(() => new Set());
+    const [copiesPerBundle, setCopiesPerBundle] = useState(1);
+    const previewRef = useRef(null);
+
+    const selectedLabels = useMemo(() => labels.filter(label => !excludedKeys.has(label.key)), [labels, excludedKeys]);
+    const html = useMemo(() => buildBundleLabelsHtml(selectedLabels, { copiesPerBundle }), [selectedLabels, copiesPerBundle]);
+
+    const toggleLabel = (key) => {
+        setExcludedKeys(prev => {
+            const next = new Set(prev);
+            if (next.has(key)) next.delete(key);
+            else next.add(key);
+            return next;
+        });
+    };
+
+    const handlePrint = () => {
+        previewRef.current?.contentWindow?.print();
+    };
+
+    return (
+        <BaseModal onClose={onClose} title={`Bundle Labels — ${orderGroup?.job || 'Order'}`} maxWidthClass="max-w-5xl">
+            {labels.length === 0 ? (
+                <p className="text-center text-zinc-400 py-8">This order has no received sheets to label yet.</p>
+            ) : (
+                <div className="space-y-4">
+                    <div className="flex flex-col md:flex-row md:items-start justify-between gap-3">
+                        <ul className="space-y-1 text-sm text-zinc-300">
+                            {labels.map(label => (
+                                <li key={label.key}>
+                                    <label className="flex items-center gap-2">
+                                        <input type="checkbox" checked={!excludedKeys.has(label.key)} onChange={() => toggleLabel(label.key)} />
+                                        <span className="font-semibold text-white">{label.materialType}</span>
+                                        <span>{formatSheetSize(label)}</span>
+                                        <span className="text-zinc-500">
+                                            {label.supplier || 'Unknown supplier'} · {label.onHandCount} of {label.sheetCount} on hand
+                                        </span>
+                                    </label>
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="flex items-center gap-3">
+                            <label className="flex items-center gap-2 text-sm text-zinc-300">
+                                <span>Copies</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="10"
+                                    value={copiesPerBundle}
+                                    onChange={(e) => setCopiesPerBundle(Math.min(10, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                                    className="w-16 p-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white"
+                                />
+                            </label>
+                            <Button className="px-3 py-2 text-sm" onClick={handlePrint} disabled={selectedLabels.length === 0}>
+                                <Printer size={16} /> <span>Print</span>
+                            </Button>
+                        </div>
+                    </div>
+                    <iframe
+                        ref={previewRef}
+                        title="Bundle label preview"
+                        srcDoc={html}
+                        className="w-full h-[55vh] rounded-lg bg-white"
+                    />
+                </div>
+            )}
+        </BaseModal>
+    );
+};
@@ -0,0 +1,277 @@
+// src/components/modals/CsvImportModal.jsx
+
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, ArrowLeft, CircleCheck, FileUp } from 'lucide-react';
+import { BaseModal } from './BaseModal';
+import { Button } from '../common/Button';
+import { ErrorMessage } from '../common/ErrorMessage';
+import {
+    IMPORT_TYPES,
+    MAX_IMPORT_SHEETS,
+    buildImportPlan,
+    guessColumnMapping,
+    parseCSV,
+    validateImportRows,
+} from '../../utils/csvImport';
+
+const STEPS = ['source', 'mapping', 'preview', 'done'];
+const PREVIEW_ROW_LIMIT = 200;
+
+export const CsvImportModal = ({ onClose, onImport, materials, suppliers }) => {
+    const [step, setStep] = useState('source');
+    const [importType, setImportType] = useState('orders');
+    const [fileName, setFileName] = useState('');
+    const [rawText, setRawText] = useState('');
+    const [mapping, setMapping] = useState({});
+    const [skipInvalid, setSkipInvalid] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+
+    const { fields } = IMPORT_TYPES[importType];
+    const parsed = useMemo(() => parseCSV(rawText), [rawText]);
+    const headers = parsed[0] || [];
+    const dataRows = useMemo(() => parsed.slice(1), [parsed]);
+
+    const validation = useMemo(
+        () => (step === 'preview' ? validateImportRows(importType, dataRows, mapping, { materials, suppliers }) : null),
+        [step, importType, dataRows, mapping, materials, suppliers]
+    );
+    const validRows = useMemo(() => (validation ? validation.rows.filter(r => r.errors.length === 0) : []), [validation]);
+    const warningCount = validation ? validation.rows.filter(r => r.warnings.length > 0).length : 0;
+    const newMaterialCount = importType === 'materials' ? validRows.filter(r => r.record.isNew).length : 0;
+    const tooManySheets = validation ? validation.sheetCount > MAX_IMPORT_SHEETS : false;
+    const canImport = validation
+        && validRows.length > 0
+        && (skipInvalid || validation.errorCount === 0)
+        && !tooManySheets
+        && !isImporting;
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        setError('');
+        try {
+            setRawText(await file.text());
+            setFileName(file.name);
+        } catch (err) {
+            console.error('Failed to read CSV file:', err);
+            setError('Could not read that file.');
+        }
+    };
+
+    const goToMapping = () => {
+        if (parsed.length < 2) {
+            setError('The CSV needs a header row and at least one data row.');
+            return;
+        }
+        setError('');
+        setMapping(guessColumnMapping(headers, importType));
+        setStep('mapping');
+    };
+
+    const goToPreview = () => {
+        const unmapped = fields.filter(f => f.required && mapping[f.key] === undefined);
+        if (unmapped.length > 0) {
+            setError(`Map a column for: ${unmapped.map(f => f.label).join(', ')}.`);
+            return;
+        }
+        setError('');
+        setSkipInvalid(false);
+        setStep('preview');
+    };
+
+    const handleMappingChange = (fieldKey, value) => {
+        setMapping(prev => {
+            const next = { ...prev };
+            if (value === '') delete next[fieldKey];
+            else next[fieldKey] = Number(value);
+            return next;
+        });
+    };
+
+    const handleImport = async () => {
+        if (!canImport) return;
+        setError('');
+        setIsImporting(true);
+        setProgress(0);
+        try {
+            const plan = buildImportPlan(importType, validRows, materials);
+            await onImport(plan, {
+                importType,
+                fileName,
+                onProgress: (written, total) => setProgress(Math.round((written / total) * 100)),
+            });
+            setResult({
+                materials: plan.materials.length,
+                sheets: plan.sheets.length,
+                skipped: validation.errorCount,
+            });
+            setStep('done');
+        } catch (err) {
+            console.error('CSV import failed:', err);
+            setError(err?.message || 'The import failed. Check the audit log for any part that was written before retrying.');
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const stepIndex = STEPS.indexOf(step);
+
+    return (
+        <BaseModal onClose={isImporting ? () => {} : onClose} title="Import CSV" maxWidthClass="max-w-5xl">
+            <div className="space-y-4">
+                <ol className="flex gap-2 text-xs uppercase tracking-wide">
+                    {['Source', 'Columns', 'Preview', 'Done'].map((label, i) => (
+                        <li key={label} className={`px-2 py-1 rounded ${i === stepIndex ? 'bg-blue-800 text-white' : i < stepIndex ? 'text-zinc-300' : 'text-zinc-500'}`}>
+                            {i + 1}. {label}
+                        </li>
+                    ))}
+                </ol>
+
+                {step === 'source' && (
+                    <div className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                            {Object.entries(IMPORT_TYPES).map(([key, type]) => (
+                                <label key={key} className={`p-3 rounded-lg border cursor-pointer ${importType === key ? 'border-blue-500 bg-blue-900/20' : 'border-zinc-600 hover:bg-zinc-700/50'}`}>
+                                    <input type="radio" name="csv-import-type" className="sr-only" checked={importType === key} onChange={() => setImportType(key)} />
+                                    <span className="block font-semibold text-white">{type.label}</span>
+                                    <span className="block text-xs text-zinc-400 mt-1">{type.description}</span>
+                                </label>
+                            ))}
+                        </div>
+                        <p className="text-xs text-zinc-400">
+                            Columns: {fields.map(f => `${f.label}${f.required ? '*' : ''}`).join(', ')}. Dates may be YYYY-MM-DD or M/D/YYYY.
+                        </p>
+                        <label className="flex items-center gap-3 p-3 rounded-lg border border-dashed border-zinc-600 cursor-pointer hover:bg-zinc-700/40">
+                            <FileUp size={20} className="text-zinc-300" />
+                            <span className="text-sm text-zinc-300">{fileName || 'Choose a .csv file'}</span>
+                            <input type="file" accept=".csv,text/csv" className="sr-only" onChange={handleFile} />
+                        </label>
+                        <textarea
+                            value={rawText}
+                            onChange={(e) => { setRawText(e.target.value); setFileName(''); }}
+                            placeholder="…or paste CSV here"
+                            rows={6}
+                            className="w-full p-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white font-mono text-xs"
+                        />
+                        <div className="flex justify-end">
+                            <Button onClick={goToMapping} disabled={!rawText.trim()}>Next</Button>
+                        </div>
+                    </div>
+                )}
+
+                {step === 'mapping' && (
+                    <div className="space-y-4">
+                        <p className="text-sm text-zinc-400">{dataRows.length} data row{dataRows.length === 1 ? '' : 's'} found. Match each field to a column in the file.</p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            {fields.map(field => (
+                                <label key={field.key} className="flex items-center justify-between gap-3 text-sm text-zinc-300">
+                                    <span>{field.label}{field.required && <span className="text-red-400">*</span>}</span>
+                                    <select
+                                        value={mapping[field.key] ?? ''}
+                                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                                        className="w-56 p-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white"
+                                    >
+                                        <option value="">— not in file —</option>
+                                        {headers.map((header, index) => (
+                                            <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+                        <div className="flex justify-between">
+                            <Button variant="secondary" onClick={() => setStep('source')}><ArrowLeft size={16} /> Back</Button>
+                            <Button onClick={goToPreview}>Preview</Button>
+                        </div>
+                    </div>
+                )}
+
+                {step === 'preview' && validation && (
+                    <div className="space-y-4">
+                        <div className="flex flex-wrap gap-4 text-sm">
+                            <span className="text-green-400">{validation.validCount} valid</span>
+                            <span className={validation.errorCount ? 'text-red-400' : 'text-zinc-400'}>{validation.errorCount} with errors</span>
+                            <span className={warningCount ? 'text-amber-300' : 'text-zinc-400'}>{warningCount} with warnings</span>
+                            {importType === 'materials'
+                                ? <span className="text-zinc-300">{newMaterialCount} new, {validRows.length - newMaterialCount} updated</span>
+                                : <span className="text-zinc-300">{validation.sheetCount} sheets</span>}
+                        </div>
+                        <p className="text-xs text-zinc-500">Dry run: nothing has been written yet.</p>
+                        {tooManySheets && (
+                            <p className="text-sm text-red-400">This file adds more than {MAX_IMPORT_SHEETS} sheets. Split it into smaller files.</p>
+                        )}
+                        <div className="overflow-x-auto max-h-[40vh] border border-zinc-700 rounded-lg">
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-zinc-900/60 text-zinc-400 sticky top-0">
+                                    <tr>
+                                        <th className="px-3 py-2">Row</th>
+                                        {fields.map(f => <th key={f.key} className="px-3 py-2 whitespace-nowrap">{f.label}</th>)}
+                                        <th className="px-3 py-2">Issues</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {validation.rows.slice(0, PREVIEW_ROW_LIMIT).map(row => (
+                                        <tr key={row.rowNumber} className={`border-t border-zinc-700 ${row.errors.length ? 'bg-red-900/20' : ''}`}>
+                                            <td className="px-3 py-1 text-zinc-500">{row.rowNumber}</td>
+                                            {fields.map(f => (
+                                                <td key={f.key} className="px-3 py-1 text-zinc-300 whitespace-nowrap">
+                                                    {mapping[f.key] === undefined ? '' : dataRows[row.rowNumber - 2][mapping[f.key]]}
+                                                </td>
+                                            ))}
+                                            <td className="px-3 py-1 text-xs">
+                                                {row.errors.map(msg => <div key={msg} className="text-red-300">{msg}</div>)}
+                                                {row.warnings.map(msg => <div key={msg} className="text-amber-300">{msg}</div>)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {validation.rows.length > PREVIEW_ROW_LIMIT && (
+                            <p className="text-xs text-zinc-500">Showing the first {PREVIEW_ROW_LIMIT} of {validation.rows.length} rows.</p>
+                        )}
+                        {validation.errorCount > 0 && (
+                            <label className="flex items-center gap-2 text-sm text-zinc-300">
+                                <input type="checkbox" checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)} />
+                                <AlertTriangle size={14} className="text-amber-300" />
+                                Skip the {validation.errorCount} row{validation.errorCount === 1 ? '' : 's'} with errors and import the rest
+                            </label>
+                        )}
+                        {isImporting && (
+                            <div className="w-full h-2 bg-zinc-900 rounded overflow-hidden">
+                                <div className="h-full bg-blue-600 transition-all" style={{ width: `${progress}%` }} />
+                            </div>
+                        )}
+                        <div className="flex justify-between">
+                            <Button variant="secondary" onClick={() => setStep('mapping')} disabled={isImporting}><ArrowLeft size={16} /> Back</Button>
+                            <Button variant="success" onClick={handleImport} disabled={!canImport}>
+                                {isImporting ? 'Importing…' : `Import ${validRows.length} row${validRows.length === 1 ? '' : 's'}`}
+                            </Button>
+                        </div>
+                    </div>
+                )}
+
+                {step === 'done' && result && (
+                    <div className="space-y-4 text-center py-6">
+                        <CircleCheck size={40} className="mx-auto text-green-400" />
+                        <p className="text-white">
+                            {importType === 'materials'
+                                ? `Imported ${result.materials} material${result.materials === 1 ? '' : 's'}.`
+                                : `Imported ${result.sheets} sheet${result.sheets === 1 ? '' : 's'}.`}
+                            {result.skipped > 0 && ` Skipped ${result.skipped} row${result.skipped === 1 ? '' : 's'} with errors.`}
+                        </p>
+                        <p className="text-xs text-zinc-400">The import is in the audit log and can be reverted from there.</p>
+                        <div className="flex justify-center">
+                            <Button onClick={onClose}>Close</Button>
+                        </div>
+                    </div>
+                )}
+
+                {error && <ErrorMessage message={error} />}
+            </div>
+        </BaseModal>
+    );
+};
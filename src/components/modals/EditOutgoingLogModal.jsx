@@ -5,10 +5,10 @@ import { BaseModal } from './BaseModal';
 import { FormInput } from '../common/FormInput';
 import { Button } from '../common/Button';
 import { ErrorMessage } from '../common/ErrorMessage';
-import { STANDARD_LENGTHS } from '../../constants/materials';
+import { formatSheetSize, getMaterialSheetSizes, getSizeQtyField, isConfiguredSheetSize } from '../../utils/sheetSizes';
 import { splitUseStockJobFields, formatUseStockJobLabel } from '../../utils/dataProcessing';
 
-export const EditOutgoingLogModal = ({ isOpen, onClose, logEntry, onSave, inventory, materialTypes }) => {
+export const EditOutgoingLogModal = ({ isOpen, onClose, logEntry, onSave, inventory, materialTypes, materials }) => {
     const [jobData, setJobData] = useState({
         jobNumber: '',
         jobSection: '',
@@ -27,11 +27,15 @@ export const EditOutgoingLogModal = ({ isOpen, onClose, logEntry, onSave, invent
 
             details.forEach(item => {
                 const key = item.materialType;
+                const sizes = getMaterialSheetSizes(materials, item.materialType);
                 if (!itemsByMaterial[key]) {
-                    itemsByMaterial[key] = { materialType: item.materialType, qty96: 0, qty120: 0, qty144: 0 };
+                    itemsByMaterial[key] = {
+                        materialType: item.materialType,
+                        ...Object.fromEntries(sizes.map(size => [getSizeQtyField(size), 0])),
+                    };
                 }
-                if (STANDARD_LENGTHS.includes(item.length)) {
-                    itemsByMaterial[key][`qty${item.length}`]++;
+                if (isConfiguredSheetSize(sizes, item)) {
+                    itemsByMaterial[key][getSizeQtyField(item)]++;
                 }
             });
 
@@ -58,7 +62,7 @@ export const EditOutgoingLogModal = ({ isOpen, onClose, logEntry, onSave, invent
                 date: dateForInput,
             });
         }
-    }, [logEntry]);
+    }, [logEntry, materials]);
 
     if (!isOpen) return null;
 
@@ -132,9 +136,12 @@ export const EditOutgoingLogModal = ({ isOpen, onClose, logEntry, onSave, invent
                         <div key={itemIndex} className="border border-slate-700 p-4 rounded-lg bg-slate-800">
                             <FormInput label={`Material Type #${itemIndex + 1}`} name="materialType" value={item.materialType} as="select" disabled>{materialTypes.map(type => <option key={type}>{type}</option>)}</FormInput>
                             <div className="grid grid-cols-3 gap-2 mt-2">
-                                <FormInput label='96"x48" Qty' name="qty96" type="number" value={item.qty96} onChange={(e) => handleItemChange(itemIndex, 'qty96', e.target.value)} />
-                                <FormInput label='120"x48" Qty' name="qty120" type="number" value={item.qty120} onChange={(e) => handleItemChange(itemIndex, 'qty120', e.target.value)} />
-                                <FormInput label='144"x48" Qty' name="qty144" type="number" value={item.qty144} onChange={(e) => handleItemChange(itemIndex, 'qty144', e.target.value)} />
+                                {getMaterialSheetSizes(materials, item.materialType).map(size => {
+                                    const field = getSizeQtyField(size);
+                                    return (
+                                        <FormInput key={field} label={`${formatSheetSize(size)} Qty`} name={field} type="number" value={item[field] ?? ''} onChange={(e) => handleItemChange(itemIndex, field, e.target.value)} />
+                                    );
+                                })}
                             </div>
                         </div>
                     ))}
@@ -0,0 +1,56 @@
+// src/components/modals/ExportWorkbookModal.jsx
+
+import React, { useState } from 'react';
+import { FileSpreadsheet } from 'lucide-react';
+import { BaseModal } from './BaseModal';
+import { Button } from '../common/Button';
+import { ErrorMessage } from '../common/ErrorMessage';
+import { WORKBOOK_SHEETS, buildInventoryWorkbookSheets } from '../../utils/inventoryWorkbook';
+import { exportToXlsx } from '../../utils/xlsxWorkbook';
+
+export const ExportWorkbookModal = ({ onClose, inventory, usageLog, materials, allJobs, inventoryReady }) => {
+    const [selectedIds, setSelectedIds] = useState(() => WORKBOOK_SHEETS.map(s => s.id));
+    const [error, setError] = useState('');
+
+    const toggleSheet = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    const handleExport = () => {
+        setError('');
+        try {
+            const sheets = buildInventoryWorkbookSheets({ inventory, usageLog, materials, allJobs }, selectedIds);
+            const date = new Date().toISOString().split('T')[0];
+            exportToXlsx(sheets, `inventory_workbook_${date}.xlsx`);
+            onClose();
+        } catch (err) {
+            console.error('Workbook export failed:', err);
+            setError('Could not build the workbook. Please try again.');
+        }
+    };
+
+    return (
+        <BaseModal onClose={onClose} title="Export Workbook" maxWidthClass="max-w-md">
+            <div className="space-y-4">
+                <p className="text-sm text-zinc-400">One Excel file with a tab for each section. Quantities, costs and dates are real number and date cells.</p>
+                <ul className="space-y-2">
+                    {WORKBOOK_SHEETS.map(sheet => (
+                        <li key={sheet.id}>
+                            <label className="flex items-center gap-2 text-zinc-200">
+                                <input type="checkbox" checked={selectedIds.includes(sheet.id)} onChange={() => toggleSheet(sheet.id)} />
+                                <span>{sheet.label}</span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+                {!inventoryReady && <p className="text-xs text-zinc-500">Loading inventory…</p>}
+                <div className="flex justify-end">
+                    <Button onClick={handleExport} disabled={!inventoryReady || selectedIds.length === 0}>
+                        <FileSpreadsheet size={16} /> <span>Download .xlsx</span>
+                    </Button>
+                </div>
+                {error && <ErrorMessage message={error} />}
+            </div>
+        </BaseModal>
+    );
+};
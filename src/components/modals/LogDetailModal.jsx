@@ -15,7 +15,7 @@ export const LogDetailModal = ({ isOpen, onClose, logEntry, materials }) => {
 
         const groups = {};
         sourceDetails.forEach(item => {
-            const key = `${item.materialType}|${item.width}|${item.length}|${item.costPerPound}|${logEntry.isAddition ? (item.arrivalDate || '') : ''}`;
+            const key = `${item.materialType}|${item.width}|${item.length}|${item.costPerPound}|${logEntry.isAddition ? (item.arrivalDate || '') : ''}|${item.consumedLength || ''}x${item.consumedWidth || ''}`;
             if (!groups[key]) {
                 groups[key] = { ...item, count: 0 };
             }
@@ -66,7 +66,8 @@ export const LogDetailModal = ({ isOpen, onClose, logEntry, materials }) => {
                             return (
                                 <div key={index} className="bg-slate-700/50 p-3 rounded-lg">
                                     <p><strong className="text-blue-400">{item.materialType}</strong></p>
-                                    <p>Size: {item.width}" x {item.length}"</p>
+                                    <p>Size: {item.width}" x {item.length}"{item.isRemnant ? ' (remnant)' : ''}</p>
+                                    {item.consumedLength && <p>Cut: {item.consumedWidth}" x {item.consumedLength}" (rest returned as remnant)</p>}
                                     {logEntry.isAddition && item.arrivalDate && <p>Expected Arrival: {new Date(item.arrivalDate).toLocaleDateString()}</p>}
                                     <p>Quantity: {quantity}</p>
                                     <p>Weight: {totalWeight.toFixed(2)} lbs ({weightPerSheet.toFixed(2)} lbs/sheet)</p>
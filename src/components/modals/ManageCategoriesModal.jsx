@@ -9,6 +9,8 @@ import { db, appId } from '../../firebase/config';
 import { repairInventoryMaterialKeys } from '../../utils/backupService';
 import { rebuildMissingMaterialsFromInventory } from '../../utils/recoveryService';
 import { DEFAULT_CATEGORY_INDICATOR_SETTINGS, normalizeCategoryIndicatorSettings } from '../../utils/categoryIndicatorSettings';
+import { formatSheetSizesInput, getCategorySheetSizes, parseSheetSizesInput } from '../../utils/sheetSizes';
+import { DEFAULT_SHEET_SIZES } from '../../constants/materials';
 import { DeleteCategoryModal } from './DeleteCategoryModal';
 
 function createEmptyMaterialRow() {
@@ -22,11 +24,12 @@ function createEmptyMaterialRow() {
 	};
 }
 
-export const ManageCategoriesModal = ({ onClose, onSave, onDeleteCategory, categories, materials, refetchMaterials, materialIndicatorSettings }) => {
+export const ManageCategoriesModal = ({ onClose, onSave, onDeleteCategory, canDeleteMaterials = true, categories, materials, refetchMaterials, materialIndicatorSettings }) => {
 	const [mode, setMode] = useState('edit'); // 'edit' or 'add'
 	const [selectedCategory, setSelectedCategory] = useState(categories[0] || '');
 	const [newCategoryName, setNewCategoryName] = useState('');
 	const [categoryMaterials, setCategoryMaterials] = useState([]);
+	const [sheetSizesText, setSheetSizesText] = useState(formatSheetSizesInput(DEFAULT_SHEET_SIZES));
 	const [isSubmitting, setIsSubmitting] = useState(false);
 	const [error, setError] = useState('');
 	const [busyMsg, setBusyMsg] = useState('');
@@ -40,6 +43,12 @@ export const ManageCategoriesModal = ({ onClose, onSave, onDeleteCategory, categ
 		}
 	}, [categories, selectedCategory]);
 
+	useEffect(() => {
+		setSheetSizesText(formatSheetSizesInput(
+			mode === 'edit' ? getCategorySheetSizes(materials, selectedCategory) : DEFAULT_SHEET_SIZES
+		));
+	}, [mode, materials, selectedCategory]);
+
 	useEffect(() => {
 		if (mode !== 'edit') {
 			setCategoryMaterials([createEmptyMaterialRow()]);
@@ -117,12 +126,17 @@ export const ManageCategoriesModal = ({ onClose, onSave, onDeleteCategory, categ
 			setError('Each material must have an indicator low of 0 or more, and a high greater than low.');
 			return;
 		}
+		const sheetSizes = parseSheetSizesInput(sheetSizesText);
+		if (!sheetSizes) {
+			setError('Sheet sizes must be a comma-separated list of length x width in inches, e.g. 96x48, 120x60.');
+			return;
+		}
 
 		setIsSubmitting(true);
 		setError('');
 
 		try {
-			await onSave(finalCategoryName, categoryMaterials, mode);
+			await onSave(finalCategoryName, categoryMaterials, mode, sheetSizes);
             if (refetchMaterials) {
                 await refetchMaterials();
             }
@@ -243,18 +257,29 @@ export const ManageCategoriesModal = ({ onClose, onSave, onDeleteCategory, categ
 					/>
 				)}
 
+				<FormInput
+					label="Sheet Sizes (length x width, inches)"
+					name="sheetSizes"
+					value={sheetSizesText}
+					onChange={(e) => setSheetSizesText(e.target.value)}
+					placeholder="e.g., 96x48, 120x48, 144x48, 168x60"
+				/>
+
 				<div className="space-y-4 max-h-[50vh] overflow-y-auto pr-2 border-t border-b border-slate-700 py-4">
 					<h4 className="text-lg font-semibold text-white">Materials in {mode === 'edit' ? selectedCategory : newCategoryName || 'New Category'}</h4>
 					{categoryMaterials.map((material, index) => (
 						<div key={index} className="p-4 border border-slate-700 rounded-lg bg-slate-900/50 relative">
-							<button
-								type="button"
-								onClick={() => removeMaterialRow(index)}
-								className="absolute top-2 right-2 text-red-400 hover:text-red-300"
-								title={categoryMaterials.length === 1 ? 'Remove material (save to apply, or delete category)' : 'Remove row'}
-							>
-								{categoryMaterials.length === 1 ? <Trash2 size={18} /> : <X size={18} />}
-							</button>
+							{/* Removing or renaming a saved material deletes its doc, which needs delete rights. */}
+							{(material.isNew || canDeleteMaterials) && (
+								<button
+									type="button"
+									onClick={() => removeMaterialRow(index)}
+									className="absolute top-2 right-2 text-red-400 hover:text-red-300"
+									title={categoryMaterials.length === 1 ? 'Remove material (save to apply, or delete category)' : 'Remove row'}
+								>
+									{categoryMaterials.length === 1 ? <Trash2 size={18} /> : <X size={18} />}
+								</button>
+							)}
 							<div className="grid grid-cols-1 md:grid-cols-[180px_minmax(0,1fr)] gap-4 items-start">
 								<div className="rounded-lg border border-slate-700 bg-slate-950/50 p-3">
 									<p className="text-xs font-semibold uppercase tracking-wide text-zinc-400">High / Low</p>
@@ -264,7 +289,7 @@ export const ManageCategoriesModal = ({ onClose, onSave, onDeleteCategory, categ
 									</div>
 								</div>
 								<div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-									<FormInput label="Material Name" value={material.name} onChange={(e) => handleMaterialChange(index, 'name', e.target.value)} required placeholder="e.g., 16GA-CRS" />
+									<FormInput label="Material Name" value={material.name} onChange={(e) => handleMaterialChange(index, 'name', e.target.value)} required placeholder="e.g., 16GA-CRS" disabled={!material.isNew && !canDeleteMaterials} />
 									<FormInput label="Thickness (in)" type="number" value={material.thickness} onChange={(e) => handleMaterialChange(index, 'thickness', e.target.value)} required step="0.001" />
 									<FormInput label="Density (lbs/inł)" type="number" value={material.density} onChange={(e) => handleMaterialChange(index, 'density', e.target.value)} required step="0.0001" />
 								</div>
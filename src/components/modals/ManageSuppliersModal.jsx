@@ -5,7 +5,8 @@ import { Button } from '../common/Button';
 import { ErrorMessage } from '../common/ErrorMessage';
 import { X, Save, Mail, RotateCcw } from 'lucide-react';
 import { SUPPLIER_INFO as DEFAULT_SUPPLIER_INFO, CC_EMAIL } from '../../constants/suppliers';
-import { getDefaultSupplierEmailBody, normalizeEmailPlainText } from '../../utils/buyOrderUtils';
+import { formatBlankSizeLines, getDefaultSupplierEmailBody, normalizeEmailPlainText } from '../../utils/buyOrderUtils';
+import { DEFAULT_LEAD_TIME_DAYS, parseLeadTimeDays } from '../../utils/reorderForecast';
 
 const EMAIL_BODY_TEXTAREA_CLASS =
     'w-full mt-1 p-2 bg-zinc-700 border border-zinc-600 text-white rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-sans text-sm leading-relaxed';
@@ -39,12 +40,7 @@ export const ManageSuppliersModal = ({ onClose, suppliers, supplierInfo, onAddSu
     const buildDefaultBodyTemplate = (material) => {
         const mat = (material || '').trim();
         if (!mat) return '';
-        return (
-            `${mat}\n` +
-            `144"x48" -QTY:\n` +
-            `120"x48" -QTY:\n` +
-            `96"x48" -QTY:`
-        );
+        return [mat, ...formatBlankSizeLines()].join('\n');
     };
 
     const buildMailtoLink = (name) => {
@@ -97,12 +93,17 @@ export const ManageSuppliersModal = ({ onClose, suppliers, supplierInfo, onAddSu
     const handleSaveEdit = (supplierName) => {
         setError('');
         const data = edits[supplierName] || {};
-        const { email, subject, contactName, bodyMaterial, bodyTemplate, ccEmail, emailBody } = data;
+        const { email, subject, contactName, bodyMaterial, bodyTemplate, ccEmail, emailBody, leadTimeDays } = data;
         const allProvided = [email, subject, contactName, bodyMaterial, emailBody].every(v => (v || '').trim() !== '');
         if (!allProvided) {
             setError(`Email, subject, contact name, default material, and full email body are required for ${supplierName}.`);
             return;
         }
+        const hasLeadTime = String(leadTimeDays ?? '').trim() !== '';
+        if (hasLeadTime && parseLeadTimeDays(leadTimeDays) === null) {
+            setError(`Lead time for ${supplierName} must be a whole number of days.`);
+            return;
+        }
         onUpdateSupplierInfo(supplierName, {
             email: email.trim(),
             subject: subject.trim(),
@@ -110,6 +111,7 @@ export const ManageSuppliersModal = ({ onClose, suppliers, supplierInfo, onAddSu
             bodyMaterial: bodyMaterial.trim(),
             ccEmail: (ccEmail || CC_EMAIL).trim(),
             emailBody: normalizeEmailPlainText(emailBody),
+            leadTimeDays: hasLeadTime ? parseLeadTimeDays(leadTimeDays) : null,
             ...(bodyTemplate ? { bodyTemplate: bodyTemplate.trim() } : {}),
         });
     };
@@ -175,6 +177,7 @@ export const ManageSuppliersModal = ({ onClose, suppliers, supplierInfo, onAddSu
                                     <FormInput label="Contact Name" name={`contact_${selected}`} value={edits[selected]?.contactName || ''} onChange={(e) => handleEditChange(selected, 'contactName', e.target.value)} placeholder="Contact name" />
                                     <FormInput label="Default Material" name={`mat_${selected}`} value={edits[selected]?.bodyMaterial || ''} onChange={(e) => handleEditChange(selected, 'bodyMaterial', e.target.value)} placeholder="Default material line for email body" />
                                     <FormInput label="Cc" name={`cc_${selected}`} value={edits[selected]?.ccEmail ?? CC_EMAIL} onChange={(e) => handleEditChange(selected, 'ccEmail', e.target.value)} placeholder={CC_EMAIL} />
+                                    <FormInput label="Lead Time (days)" name={`lead_${selected}`} type="number" min="0" step="1" value={edits[selected]?.leadTimeDays ?? ''} onChange={(e) => handleEditChange(selected, 'leadTimeDays', e.target.value)} placeholder={`${DEFAULT_LEAD_TIME_DAYS} (default)`} />
                                     <div className="md:col-span-2">
                                         <label className="block text-sm font-medium text-zinc-300">Email body (full message)</label>
                                         <p className="text-xs text-zinc-500 mt-0.5">Edit greeting, intro, and material lines in one place. Saved to your account and syncs across devices when signed in.</p>
@@ -0,0 +1,74 @@
+// src/components/modals/OutboxModal.jsx
+
+import React from 'react';
+import { AlertTriangle, CloudOff, RefreshCw, RotateCcw, Trash2 } from 'lucide-react';
+import { BaseModal } from './BaseModal';
+import { Button } from '../common/Button';
+import { OUTBOX_STATUSES } from '../../utils/offlineOutbox';
+
+const formatTimestamp = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+export const OutboxModal = ({ onClose, entries, online, syncing, onSyncNow, onRetry, onDiscard }) => {
+    const pendingCount = entries.filter(entry => entry.status === OUTBOX_STATUSES.pending).length;
+
+    return (
+        <BaseModal onClose={onClose} title="Offline Outbox" maxWidthClass="max-w-3xl">
+            <div className="space-y-4">
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                    <p className="text-sm text-zinc-400 flex items-center gap-2">
+                        {!online && <CloudOff size={16} className="text-amber-400" />}
+                        {online
+                            ? 'Online. Queued changes are applied in the order they were taken.'
+                            : 'Offline. Use Stock and receipts are saved on this device and applied when the connection returns.'}
+                    </p>
+                    {onSyncNow && (
+                        <Button variant="secondary" className="px-3 py-2 text-sm shrink-0" disabled={!online || syncing || pendingCount === 0} onClick={onSyncNow}>
+                            <RefreshCw size={16} className={syncing ? 'animate-spin' : ''} /> <span>{syncing ? 'Syncing…' : 'Sync Now'}</span>
+                        </Button>
+                    )}
+                </div>
+
+                {entries.length === 0 && <p className="text-zinc-400">Nothing waiting to sync.</p>}
+                {entries.map(entry => {
+                    const isConflict = entry.status === OUTBOX_STATUSES.conflict;
+                    return (
+                        <div key={entry.id} className={`p-4 rounded-lg border ${isConflict ? 'border-red-700 bg-red-950/30' : 'border-zinc-700 bg-zinc-900/50'}`}>
+                            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                                <div>
+                                    <p className="font-semibold text-white flex items-center gap-2">
+                                        {isConflict && <AlertTriangle size={16} className="text-red-400" />}
+                                        {entry.label}
+                                    </p>
+                                    <p className="text-xs text-zinc-500">
+                                        Taken {formatTimestamp(entry.createdAt)}{entry.createdBy && ` by ${entry.createdBy}`}
+                                        {isConflict ? ' · Needs attention' : ' · Waiting to sync'}
+                                    </p>
+                                    {isConflict && <p className="text-sm text-red-300 mt-1">{entry.error}</p>}
+                                </div>
+                                {isConflict && (
+                                    <div className="flex gap-2 shrink-0">
+                                        {onRetry && (
+                                            <Button variant="secondary" className="px-3 py-2 text-sm" onClick={() => onRetry(entry.id)}>
+                                                <RotateCcw size={16} /> <span>Retry</span>
+                                            </Button>
+                                        )}
+                                        <Button variant="danger" className="px-3 py-2 text-sm" onClick={() => onDiscard(entry.id)}>
+                                            <Trash2 size={16} /> <span>Discard</span>
+                                        </Button>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+
+                {entries.some(entry => entry.status === OUTBOX_STATUSES.conflict) && (
+                    <p className="text-xs text-zinc-500">
+                        A conflict means stock changed while this device was offline (for example the sheets were used or received
+                        elsewhere). Retry once the stock is there again, or discard the change and enter it again with current counts.
+                    </p>
+                )}
+            </div>
+        </BaseModal>
+    );
+};
@@ -0,0 +1,92 @@
+// src/components/modals/PurchaseOrderModal.jsx
+
+import React, { useMemo, useRef, useState } from 'react';
+import { Download, Mail, Printer } from 'lucide-react';
+import { BaseModal } from './BaseModal';
+import { Button } from '../common/Button';
+import { buildBuyOrderEmailBody, createSupplierMailtoLink } from '../../utils/buyOrderUtils';
+import { getLatestCostPerPoundByMaterial } from '../../utils/purchaseOrders';
+import { buildPurchaseOrderDocument, buildPurchaseOrderHtml, buildPurchaseOrderPdf } from '../../utils/purchaseOrderDocument';
+import { downloadBlob } from '../../utils/csvExport';
+
+const getOrderSuppliers = (buyOrder) => {
+    const suppliers = Array.isArray(buyOrder?.suppliers) ? buyOrder.suppliers.filter(Boolean) : [];
+    if (suppliers.length > 0) return suppliers;
+    return buyOrder?.supplier ? [buyOrder.supplier] : ['Supplier'];
+};
+
+export const PurchaseOrderModal = ({ onClose, buyOrder, materials, inventory, supplierInfoOverrides }) => {
+    const suppliers = useMemo(() => getOrderSuppliers(buyOrder), [buyOrder]);
+    const [supplier, setSupplier] = useState(suppliers[0]);
+    const previewRef = useRef(null);
+
+    const latestCostPerPound = useMemo(() => getLatestCostPerPoundByMaterial(inventory), [inventory]);
+    const po = useMemo(
+        () => buildPurchaseOrderDocument({ buyOrder, supplier, supplierInfoOverrides, materials, latestCostPerPound }),
+        [buyOrder, supplier, supplierInfoOverrides, materials, latestCostPerPound]
+    );
+    const html = useMemo(() => buildPurchaseOrderHtml(po), [po]);
+    const pdfFilename = `${po.poNumber} ${supplier}.pdf`.replace(/[\\/:*?"<>|]+/g, '-');
+
+    const handlePrint = () => {
+        previewRef.current?.contentWindow?.print();
+    };
+
+    const handleDownloadPdf = () => {
+        downloadBlob(buildPurchaseOrderPdf(po), pdfFilename);
+    };
+
+    // mailto: cannot carry attachments, so save the PDF first and let the user attach it to the draft.
+    const handleEmail = () => {
+        handleDownloadPdf();
+        const { mailto } = createSupplierMailtoLink({
+            supplier,
+            supplierInfoOverrides,
+            customSubject: `Purchase Order ${po.poNumber}`,
+            customBody: `Please see attached purchase order ${po.poNumber}.\n\n${buildBuyOrderEmailBody(buyOrder.items)}`,
+        });
+        window.location.href = mailto;
+    };
+
+    return (
+        <BaseModal onClose={onClose} title={`Purchase Order ${po.poNumber}`} maxWidthClass="max-w-5xl">
+            <div className="space-y-4">
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                    {suppliers.length > 1 ? (
+                        <label className="flex items-center gap-2 text-sm text-zinc-300">
+                            <span>Supplier</span>
+                            <select
+                                value={supplier}
+                                onChange={(e) => setSupplier(e.target.value)}
+                                className="p-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white"
+                            >
+                                {suppliers.map(name => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                        </label>
+                    ) : (
+                        <p className="text-sm text-zinc-400">
+                            {po.totals.sheets} sheet{po.totals.sheets === 1 ? '' : 's'} for {supplier}
+                        </p>
+                    )}
+                    <div className="flex flex-wrap gap-2">
+                        <Button variant="secondary" className="px-3 py-2 text-sm" onClick={handlePrint}>
+                            <Printer size={16} /> <span>Print</span>
+                        </Button>
+                        <Button variant="secondary" className="px-3 py-2 text-sm" onClick={handleDownloadPdf}>
+                            <Download size={16} /> <span>Download PDF</span>
+                        </Button>
+                        <Button className="px-3 py-2 text-sm" onClick={handleEmail} title="Downloads the PDF, then opens an email to attach it to">
+                            <Mail size={16} /> <span>Email with PDF</span>
+                        </Button>
+                    </div>
+                </div>
+                <iframe
+                    ref={previewRef}
+                    title={`Purchase order ${po.poNumber}`}
+                    srcDoc={html}
+                    className="w-full h-[60vh] rounded-lg bg-white"
+                />
+            </div>
+        </BaseModal>
+    );
+};
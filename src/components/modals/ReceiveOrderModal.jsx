@@ -0,0 +1,143 @@
+// src/components/modals/ReceiveOrderModal.jsx
+
+import React, { useMemo, useState } from 'react';
+import { PackageCheck } from 'lucide-react';
+import { BaseModal } from './BaseModal';
+import { Button } from '../common/Button';
+import { FormInput } from '../common/FormInput';
+import { ErrorMessage } from '../common/ErrorMessage';
+import { formatSheetSize } from '../../utils/sheetSizes';
+import { getReceivableLines } from '../../utils/orderReceiving';
+
+const DEFAULT_BACKORDER_DAYS = 7;
+
+const toDateInputValue = (date) => {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().split('T')[0];
+};
+
+// The remainder needs a date after today, otherwise auto-receive would flip it to On Hand straight away.
+const getDefaultRemainderDate = (lines) => {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(0, 0, 0, 0);
+    const latestPromised = lines
+        .flatMap(line => line.items.map(item => new Date(item.arrivalDate)))
+        .filter(date => Number.isFinite(date.getTime()))
+        .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+    if (latestPromised && latestPromised >= tomorrow) return toDateInputValue(latestPromised);
+    const fallback = new Date();
+    fallback.setDate(fallback.getDate() + DEFAULT_BACKORDER_DAYS);
+    return toDateInputValue(fallback);
+};
+
+export const ReceiveOrderModal = ({ onClose, orderGroup, onSubmit }) => {
+    const lines = useMemo(() => getReceivableLines(orderGroup?.details), [orderGroup]);
+    const [receivedQtyByKey, setReceivedQtyByKey] = useState(
+        () => Object.fromEntries(lines.map(line => [line.key, String(line.qty)]))
+    );
+    const [remainderArrivalDate, setRemainderArrivalDate] = useState(() => getDefaultRemainderDate(lines));
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const shortByKey = useMemo(() => Object.fromEntries(lines.map(line => {
+        const received = parseInt(receivedQtyByKey[line.key], 10);
+        return [line.key, line.qty - (Number.isFinite(received) ? received : 0)];
+    })), [lines, receivedQtyByKey]);
+    const totalShort = Object.values(shortByKey).reduce((sum, short) => sum + Math.max(short, 0), 0);
+
+    const handleQtyChange = (key, value) => {
+        setReceivedQtyByKey(prev => ({ ...prev, [key]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        const invalidLine = lines.find(line => {
+            const received = Number(receivedQtyByKey[line.key]);
+            return !Number.isInteger(received) || received < 0 || received > line.qty;
+        });
+        if (invalidLine) {
+            setError(`Received quantity for ${invalidLine.materialType} @ ${formatSheetSize(invalidLine)} must be between 0 and ${invalidLine.qty}.`);
+            return;
+        }
+        if (totalShort > 0 && (!remainderArrivalDate || remainderArrivalDate <= toDateInputValue(new Date()))) {
+            setError('Pick an expected arrival date after today for the sheets still on order.');
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            await onSubmit(orderGroup, lines, receivedQtyByKey, remainderArrivalDate);
+        } catch (err) {
+            console.error('Receive failed:', err);
+            setError(err?.message || 'Failed to receive order.');
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <BaseModal onClose={onClose} title={`Receive ${orderGroup?.job || 'Order'}`} maxWidthClass="max-w-2xl">
+            {lines.length === 0 ? (
+                <p className="text-zinc-400">Nothing on this order is still waiting to be received.</p>
+            ) : (
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    {error && <ErrorMessage message={error} />}
+                    <p className="text-sm text-zinc-400">
+                        Enter how many sheets of each line actually arrived. Anything short stays on order for the new date.
+                    </p>
+                    <table className="w-full text-sm">
+                        <thead className="text-zinc-400 text-left">
+                            <tr>
+                                <th className="py-2 pr-3">Material</th>
+                                <th className="py-2 pr-3">Size</th>
+                                <th className="py-2 pr-3 text-right">Ordered</th>
+                                <th className="py-2 pr-3 text-right">Received</th>
+                                <th className="py-2 text-right">Short</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {lines.map(line => (
+                                <tr key={line.key} className="border-t border-zinc-700 text-zinc-300">
+                                    <td className="py-2 pr-3">{line.materialType}</td>
+                                    <td className="py-2 pr-3">{formatSheetSize(line)}</td>
+                                    <td className="py-2 pr-3 text-right font-mono">{line.qty}</td>
+                                    <td className="py-2 pr-3 text-right">
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max={line.qty}
+                                            value={receivedQtyByKey[line.key]}
+                                            onChange={(e) => handleQtyChange(line.key, e.target.value)}
+                                            className="w-20 p-1 bg-zinc-700 border border-zinc-600 rounded text-right text-white"
+                                        />
+                                    </td>
+                                    <td className={`py-2 text-right font-mono ${shortByKey[line.key] > 0 ? 'text-amber-400' : 'text-zinc-500'}`}>
+                                        {Math.max(shortByKey[line.key], 0)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {totalShort > 0 && (
+                        <FormInput
+                            label={`Expected arrival for the ${totalShort} short sheet${totalShort === 1 ? '' : 's'}`}
+                            name="remainderArrivalDate"
+                            type="date"
+                            value={remainderArrivalDate}
+                            onChange={(e) => setRemainderArrivalDate(e.target.value)}
+                        />
+                    )}
+
+                    <div className="flex justify-end gap-4">
+                        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+                        <Button type="submit" variant="success" disabled={isSaving}>
+                            <PackageCheck size={18} /> <span>{totalShort > 0 ? 'Receive Partial' : 'Receive All'}</span>
+                        </Button>
+                    </div>
+                </form>
+            )}
+        </BaseModal>
+    );
+};
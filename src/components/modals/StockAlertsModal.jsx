@@ -0,0 +1,127 @@
+// src/components/modals/StockAlertsModal.jsx
+
+import React, { useMemo, useState } from 'react';
+import { Bell, Check, ShoppingCart } from 'lucide-react';
+import { BaseModal } from './BaseModal';
+import { Button } from '../common/Button';
+import { ErrorMessage } from '../common/ErrorMessage';
+import { formatSheetSize } from '../../utils/sheetSizes';
+import { isActiveStockAlert } from '../../utils/stockAlerts';
+
+const HISTORY_LIMIT = 50;
+
+const formatTimestamp = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+export const StockAlertsModal = ({ onClose, alerts, lowStockLevels, onAcknowledge, onCreateBuyOrder }) => {
+    const [error, setError] = useState('');
+    const [busyAlertId, setBusyAlertId] = useState(null);
+
+    const levelsById = useMemo(
+        () => Object.fromEntries((lowStockLevels || []).map(level => [level.alertId, level])),
+        [lowStockLevels]
+    );
+
+    const activeAlerts = useMemo(() => (alerts || [])
+        .filter(isActiveStockAlert)
+        .sort((a, b) => {
+            if (a.status !== b.status) return a.status === 'open' ? -1 : 1;
+            return new Date(b.firedAt) - new Date(a.firedAt);
+        }), [alerts]);
+
+    const history = useMemo(() => (alerts || [])
+        .flatMap(alert => [
+            ...(alert.status === 'resolved' ? [{ ...alert, key: `${alert.id}-current` }] : []),
+            ...(alert.history || []).map((entry, index) => ({ ...alert, ...entry, key: `${alert.id}-${index}` })),
+        ])
+        .sort((a, b) => new Date(b.firedAt) - new Date(a.firedAt))
+        .slice(0, HISTORY_LIMIT), [alerts]);
+
+    const handleAcknowledge = async (alertId) => {
+        setBusyAlertId(alertId);
+        setError('');
+        try {
+            await onAcknowledge(alertId);
+        } catch (err) {
+            console.error('Acknowledge failed:', err);
+            setError(err?.message || 'Failed to acknowledge alert.');
+        } finally {
+            setBusyAlertId(null);
+        }
+    };
+
+    return (
+        <BaseModal onClose={onClose} title="Low Stock Alerts" maxWidthClass="max-w-3xl">
+            <div className="space-y-6">
+                {error && <ErrorMessage message={error} />}
+
+                <div className="space-y-3">
+                    {activeAlerts.length === 0 && <p className="text-zinc-400">No materials are below their low threshold.</p>}
+                    {activeAlerts.map(alert => {
+                        const level = levelsById[alert.id];
+                        return (
+                            <div key={alert.id} className={`p-4 rounded-lg border ${alert.status === 'open' ? 'border-red-700 bg-red-950/30' : 'border-zinc-700 bg-zinc-900/50'}`}>
+                                <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                                    <div>
+                                        <p className="font-semibold text-white flex items-center gap-2">
+                                            {alert.status === 'open' && <Bell size={16} className="text-red-400" />}
+                                            {alert.materialType} @ {formatSheetSize(alert)}
+                                        </p>
+                                        <p className="text-sm text-zinc-400">
+                                            {level
+                                                ? `${level.available} available (${level.onHand} on hand + ${level.incoming} incoming), low threshold ${level.low}`
+                                                : `${alert.availableAtFire} available when raised, low threshold ${alert.low}`}
+                                        </p>
+                                        <p className="text-xs text-zinc-500">
+                                            Raised {formatTimestamp(alert.firedAt)}
+                                            {alert.status === 'acknowledged' && ` · Acknowledged by ${alert.acknowledgedBy || 'unknown'} ${formatTimestamp(alert.acknowledgedAt)}`}
+                                        </p>
+                                    </div>
+                                    <div className="flex gap-2 shrink-0">
+                                        {alert.status === 'open' && onAcknowledge && (
+                                            <Button variant="secondary" className="px-3 py-2 text-sm" disabled={busyAlertId === alert.id} onClick={() => handleAcknowledge(alert.id)}>
+                                                <Check size={16} /> <span>Acknowledge</span>
+                                            </Button>
+                                        )}
+                                        {onCreateBuyOrder && (
+                                            <Button className="px-3 py-2 text-sm" onClick={() => onCreateBuyOrder(alert, level)}>
+                                                <ShoppingCart size={16} /> <span>Buy Order</span>
+                                            </Button>
+                                        )}
+                                    </div>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div>
+                    <h4 className="text-lg font-semibold text-white mb-2">History</h4>
+                    {history.length === 0 ? (
+                        <p className="text-sm text-zinc-400">No resolved alerts yet.</p>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead className="text-zinc-400 text-left">
+                                <tr>
+                                    <th className="py-1 pr-3">Material</th>
+                                    <th className="py-1 pr-3">Raised</th>
+                                    <th className="py-1 pr-3">Acknowledged</th>
+                                    <th className="py-1">Resolved</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {history.map(entry => (
+                                    <tr key={entry.key} className="border-t border-zinc-700 text-zinc-300">
+                                        <td className="py-1 pr-3">{entry.materialType} @ {formatSheetSize(entry)}</td>
+                                        <td className="py-1 pr-3">{formatTimestamp(entry.firedAt)}</td>
+                                        <td className="py-1 pr-3">{entry.acknowledgedAt ? `${entry.acknowledgedBy || 'unknown'}, ${formatTimestamp(entry.acknowledgedAt)}` : '—'}</td>
+                                        <td className="py-1">{formatTimestamp(entry.resolvedAt)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </BaseModal>
+    );
+};
@@ -3,15 +3,21 @@
 import React, { useMemo, useState } from 'react';
 import { useOrderForm } from '../../hooks/useOrderForm';
 import { formatUseStockJobLabel } from '../../utils/dataProcessing';
+import { isRemnantSheet } from '../../utils/remnants';
+import { describeTakenSheet, getUseStockLineQuantities } from '../../utils/stockConsumption';
+import { getBundleCandidates, parseBundlePayload } from '../../utils/sheetBundles';
+import { formatSheetSize, getMaterialSheetSizes, getSheetSizeKey, getSizeQtyField } from '../../utils/sheetSizes';
 import { BaseModal } from './BaseModal';
 import { FormInput } from '../common/FormInput';
 import { Button } from '../common/Button';
 import { ErrorMessage } from '../common/ErrorMessage';
-import { X, Calendar, Minus } from 'lucide-react';
+import { BarcodeScanner } from '../common/BarcodeScanner';
+import { X, Calendar, Minus, ScanLine } from 'lucide-react';
 
-export const UseStockModal = ({ onClose, onSave, materialTypes, materials, inventorySummary, incomingSummary, suppliers }) => {
+export const UseStockModal = ({ onClose, onSave, inventory, materialTypes, materials, inventorySummary, incomingSummary, suppliers }) => {
     const {
         jobs,
+        setJobs,
         setJobField,
         setItemField,
         addMaterial,
@@ -21,7 +27,65 @@ export const UseStockModal = ({ onClose, onSave, materialTypes, materials, inven
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
     const [scheduleSuggestion, setScheduleSuggestion] = useState(null);
+    // Set after a Use Now commit: the exact sheets the transaction took, per job.
+    const [takenByJob, setTakenByJob] = useState(null);
+    const [isScanning, setIsScanning] = useState(false);
+    const [lastScan, setLastScan] = useState('');
     const categories = useMemo(() => [...new Set(Object.values(materials || {}).map(m => m.category))], [materials]);
+    const remnantsByMaterial = useMemo(() => {
+        return (inventory || [])
+            .filter(i => i.status === 'On Hand' && isRemnantSheet(i))
+            .sort((a, b) => (b.length * b.width) - (a.length * a.width))
+            .reduce((acc, remnant) => {
+                if (!acc[remnant.materialType]) acc[remnant.materialType] = [];
+                acc[remnant.materialType].push(remnant);
+                return acc;
+            }, {});
+    }, [inventory]);
+
+    const toggleRemnant = (itemIndex, item, remnantId) => {
+        const selected = item.remnantIds || [];
+        const next = selected.includes(remnantId)
+            ? selected.filter(id => id !== remnantId)
+            : [...selected, remnantId];
+        setItemField(jobIndex, itemIndex, 'remnantIds', next);
+        clearError();
+    };
+
+    // A scan adds a line that takes sheets from that bundle only; scanning the same label again adds one more sheet.
+    const handleScan = (text) => {
+        const bundle = parseBundlePayload(text);
+        if (!bundle) {
+            setError('That code is not a sheet bundle label.');
+            return;
+        }
+        const onHand = getBundleCandidates(inventory, bundle).length;
+        if (onHand === 0) {
+            setError(`No sheets from that ${bundle.materialType} @ ${formatSheetSize(bundle)} bundle are on hand.`);
+            return;
+        }
+        clearError();
+
+        const payload = text.trim();
+        setJobs(prevJobs => prevJobs.map((j, ji) => {
+            if (ji !== jobIndex) return j;
+            const existingIndex = j.items.findIndex(it => it.bundle?.payload === payload);
+            if (existingIndex >= 0) {
+                return {
+                    ...j,
+                    items: j.items.map((it, i) => i === existingIndex
+                        ? { ...it, bundleQty: String(Math.min(onHand, (parseInt(it.bundleQty, 10) || 0) + 1)) }
+                        : it),
+                };
+            }
+            const line = { materialType: bundle.materialType, bundle: { ...bundle, payload }, bundleQty: '1', cutLength: '', cutWidth: '', remnantIds: [] };
+            const onlyLineIsBlank = j.items.length === 1
+                && getUseStockLineQuantities(j.items[0], materials).length === 0
+                && (j.items[0].remnantIds || []).length === 0;
+            return { ...j, items: onlyLineIsBlank ? [line] : [...j.items, line] };
+        }));
+        setLastScan(`${bundle.materialType} @ ${formatSheetSize(bundle)} from ${bundle.supplier || 'unknown supplier'} — ${onHand} on hand`);
+    };
 
     const clearError = () => {
         setError('');
@@ -49,8 +113,12 @@ export const UseStockModal = ({ onClose, onSave, materialTypes, materials, inven
         clearError();
 
         try {
-            await onSave(jobs, currentOptions);
-            onClose();
+            const taken = await onSave(jobs, currentOptions);
+            if (taken?.length > 0) {
+                setTakenByJob(taken);
+            } else {
+                onClose();
+            }
         } catch (err) {
             console.error('Transaction failed:', err);
             setError(err.message || 'Failed to update stock.');
@@ -88,6 +156,27 @@ export const UseStockModal = ({ onClose, onSave, materialTypes, materials, inven
     const [options, setOptions] = useState({ isScheduled: false, scheduledDate: '' });
     if (!job) return null;
 
+    if (takenByJob) {
+        return (
+            <BaseModal onClose={onClose} title="Stock Used">
+                <div className="space-y-4">
+                    {takenByJob.map(({ logId, job: jobLabel, customer, sheets }) => (
+                        <div key={logId} className="p-4 border border-slate-700 rounded-lg bg-slate-900/50">
+                            <p className="font-semibold text-white">{jobLabel} <span className="text-zinc-400 font-normal">— {customer}</span></p>
+                            <p className="text-sm text-zinc-400 mb-2">Took {sheets.length} sheet{sheets.length === 1 ? '' : 's'}:</p>
+                            <ul className="space-y-1 text-sm text-zinc-300">
+                                {sheets.map(sheet => <li key={sheet.id}>{describeTakenSheet(sheet)}</li>)}
+                            </ul>
+                        </div>
+                    ))}
+                    <div className="flex justify-end pt-2">
+                        <Button type="button" onClick={onClose}>Done</Button>
+                    </div>
+                </div>
+            </BaseModal>
+        );
+    }
+
     return (
         <BaseModal onClose={onClose} title="Use Stock for Jobs">
             <form onSubmit={handleSubmit} className="space-y-6">
@@ -98,11 +187,47 @@ export const UseStockModal = ({ onClose, onSave, materialTypes, materials, inven
                             <FormInput label="Job #" name="jobNumber" value={job.jobNumber} onChange={(e) => { const v = e.target.value.toUpperCase(); setJobField(jobIndex, 'jobNumber', v); clearError(); }} required style={{ textTransform: 'uppercase' }} placeholder="e.g. J5851 or 5851" />
                             <FormInput label="Section" name="jobSection" value={job.jobSection} onChange={(e) => { const v = e.target.value.toUpperCase(); setJobField(jobIndex, 'jobSection', v); clearError(); }} style={{ textTransform: 'uppercase' }} placeholder="Optional (e.g. EXT, PART-A)" />
                         </div>
+                        {!options.isScheduled && (
+                            <div className="mt-4">
+                                <button type="button" onClick={() => setIsScanning(on => !on)} className={`flex items-center gap-2 text-sm font-semibold ${isScanning ? 'text-sky-300' : 'text-slate-300 hover:text-white'}`}>
+                                    <ScanLine size={16} /> {isScanning ? 'Scanning bundle labels' : 'Scan a bundle label'}
+                                </button>
+                                {isScanning && (
+                                    <div className="mt-2 space-y-1">
+                                        <BarcodeScanner onScan={handleScan} placeholder="Scan or type a bundle label code" />
+                                        {lastScan && <p className="text-xs text-sky-300">Added {lastScan}</p>}
+                                    </div>
+                                )}
+                            </div>
+                        )}
                         <div className="mt-4 space-y-2">
                             {job.items.map((item, itemIndex) => {
-                                const stock96 = inventorySummary[item.materialType]?.[96] || 0;
-                                const stock120 = inventorySummary[item.materialType]?.[120] || 0;
-                                const stock144 = inventorySummary[item.materialType]?.[144] || 0;
+                                if (item.bundle) {
+                                    const bundleOnHand = getBundleCandidates(inventory, item.bundle).length;
+                                    return (
+                                        <div key={itemIndex} className="border border-sky-700/70 p-4 rounded-lg bg-slate-800 relative">
+                                            {job.items.length > 1 && (<button type="button" onClick={() => removeMaterial(jobIndex, itemIndex)} className="absolute top-2 right-2 text-red-400 hover:text-red-300"><X size={18} /></button>)}
+                                            <p className="text-xs font-semibold uppercase tracking-wide text-sky-300 flex items-center gap-1"><ScanLine size={14} /> Scanned bundle</p>
+                                            <p className="mt-1 text-white font-semibold">
+                                                {item.bundle.materialType} <span className="text-slate-300 font-normal">@ {formatSheetSize(item.bundle)}</span>
+                                            </p>
+                                            <p className="text-sm text-slate-400">
+                                                {item.bundle.supplier || 'Unknown supplier'} · batch {item.bundle.batchId} · {bundleOnHand} on hand
+                                            </p>
+                                            <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-2">
+                                                <FormInput label="Sheets from bundle" name={`bundleQty-${itemIndex}`} type="number" min="1" max={bundleOnHand} value={item.bundleQty} onChange={(e) => { setItemField(jobIndex, itemIndex, 'bundleQty', e.target.value); clearError(); }} />
+                                                {!options.isScheduled && (
+                                                    <>
+                                                        <FormInput label="Cut Length (in)" name="cutLength" type="number" placeholder="Full length" value={item.cutLength} onChange={(e) => { setItemField(jobIndex, itemIndex, 'cutLength', e.target.value); clearError(); }} />
+                                                        <FormInput label="Cut Width (in)" name="cutWidth" type="number" placeholder="Full width" value={item.cutWidth} onChange={(e) => { setItemField(jobIndex, itemIndex, 'cutWidth', e.target.value); clearError(); }} />
+                                                    </>
+                                                )}
+                                            </div>
+                                        </div>
+                                    );
+                                }
+                                const sheetSizes = getMaterialSheetSizes(materials, item.materialType);
+                                const availableRemnants = remnantsByMaterial[item.materialType] || [];
 
                                 return (
                                     <div key={itemIndex} className="border border-slate-700 p-4 rounded-lg bg-slate-800 relative">
@@ -116,6 +241,7 @@ export const UseStockModal = ({ onClose, onSave, materialTypes, materials, inven
                                                     const newCategory = e.target.value;
                                                     const firstInCat = materialTypes.find(t => (materials[t]?.category) === newCategory) || '';
                                                     setItemField(jobIndex, itemIndex, 'materialType', firstInCat);
+                                                    setItemField(jobIndex, itemIndex, 'remnantIds', []);
                                                     clearError();
                                                 }}
                                                 as="select"
@@ -126,7 +252,7 @@ export const UseStockModal = ({ onClose, onSave, materialTypes, materials, inven
                                                 label={`Material Type`}
                                                 name={`materialType-${itemIndex}`}
                                                 value={item.materialType}
-                                                onChange={(e) => { setItemField(jobIndex, itemIndex, 'materialType', e.target.value); clearError(); }}
+                                                onChange={(e) => { setItemField(jobIndex, itemIndex, 'materialType', e.target.value); setItemField(jobIndex, itemIndex, 'remnantIds', []); clearError(); }}
                                                 as="select"
                                             >
                                                 {materialTypes
@@ -136,10 +262,40 @@ export const UseStockModal = ({ onClose, onSave, materialTypes, materials, inven
                                         </div>
                                         <p className="text-sm font-medium text-slate-300 mt-2">Quantities to Use (On Hand):</p>
                                         <div className="grid grid-cols-3 gap-2">
-                                            <FormInput label={`96"x48" (${stock96})`} name="qty96" type="number" placeholder="0" value={item.qty96} onChange={(e) => { setItemField(jobIndex, itemIndex, 'qty96', e.target.value); clearError(); }} />
-                                            <FormInput label={`120"x48" (${stock120})`} name="qty120" type="number" placeholder="0" value={item.qty120} onChange={(e) => { setItemField(jobIndex, itemIndex, 'qty120', e.target.value); clearError(); }} />
-                                            <FormInput label={`144"x48" (${stock144})`} name="qty144" type="number" placeholder="0" value={item.qty144} onChange={(e) => { setItemField(jobIndex, itemIndex, 'qty144', e.target.value); clearError(); }} />
+                                            {sheetSizes.map(size => {
+                                                const field = getSizeQtyField(size);
+                                                const stock = inventorySummary[item.materialType]?.[getSheetSizeKey(size.length, size.width)] || 0;
+                                                return (
+                                                    <FormInput key={field} label={`${formatSheetSize(size)} (${stock})`} name={field} type="number" placeholder="0" value={item[field] ?? ''} onChange={(e) => { setItemField(jobIndex, itemIndex, field, e.target.value); clearError(); }} />
+                                                );
+                                            })}
                                         </div>
+                                        {!options.isScheduled && (
+                                            <>
+                                                <p className="text-sm font-medium text-slate-300 mt-2">Cut per sheet (optional — leftover goes back to stock as a remnant):</p>
+                                                <div className="grid grid-cols-2 gap-2">
+                                                    <FormInput label="Cut Length (in)" name="cutLength" type="number" placeholder="Full length" value={item.cutLength} onChange={(e) => { setItemField(jobIndex, itemIndex, 'cutLength', e.target.value); clearError(); }} />
+                                                    <FormInput label="Cut Width (in)" name="cutWidth" type="number" placeholder="Full width" value={item.cutWidth} onChange={(e) => { setItemField(jobIndex, itemIndex, 'cutWidth', e.target.value); clearError(); }} />
+                                                </div>
+                                                {availableRemnants.length > 0 && (
+                                                    <div className="mt-2">
+                                                        <p className="text-sm font-medium text-slate-300">Use Remnants:</p>
+                                                        <div className="mt-1 grid grid-cols-2 gap-1">
+                                                            {availableRemnants.map(remnant => (
+                                                                <label key={remnant.id} className="flex items-center gap-2 text-sm text-slate-300">
+                                                                    <input
+                                                                        type="checkbox"
+                                                                        checked={(item.remnantIds || []).includes(remnant.id)}
+                                                                        onChange={() => toggleRemnant(itemIndex, item, remnant.id)}
+                                                                    />
+                                                                    {remnant.length}"x{remnant.width}" <span className="text-slate-500 truncate">{remnant.job}</span>
+                                                                </label>
+                                                            ))}
+                                                        </div>
+                                                    </div>
+                                                )}
+                                            </>
+                                        )}
                                     </div>
                                 )
                             })}
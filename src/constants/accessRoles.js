@@ -0,0 +1,58 @@
+// src/constants/accessRoles.js
+
+/**
+ * Roles stored per email in `access_allowlist.roles`, lowest to highest. Each role can do everything the
+ * ones before it can. Must stay in sync with roleRank() in firestore.rules.
+ */
+export const ROLES = Object.freeze({
+    viewer: 'viewer',
+    shopFloor: 'shop_floor',
+    purchaser: 'purchaser',
+    admin: 'admin',
+});
+
+export const ROLE_ORDER = [ROLES.viewer, ROLES.shopFloor, ROLES.purchaser, ROLES.admin];
+
+export const ROLE_LABELS = {
+    [ROLES.viewer]: 'Viewer',
+    [ROLES.shopFloor]: 'Shop floor',
+    [ROLES.purchaser]: 'Purchaser',
+    [ROLES.admin]: 'Admin',
+};
+
+export const ROLE_DESCRIPTIONS = {
+    [ROLES.viewer]: 'Read-only.',
+    [ROLES.shopFloor]: 'Use and receive stock, scan bundles, enter stocktake counts.',
+    [ROLES.purchaser]: 'Also orders, suppliers, stock corrections, materials and backups.',
+    [ROLES.admin]: 'Everything, including deletes, restores, imports and who has access.',
+};
+
+/** Allowlisted emails with no role saved (or an unknown one) are read-only, as in firestore.rules; fallback staff are always admins. */
+export const DEFAULT_ROLE = ROLES.viewer;
+
+/**
+ * The lowest role allowed to do each thing. Firestore rules enforce the same split per collection, except
+ * adjustStock: corrections write the same stock docs shop floor uses and receives, so only the UI holds it back.
+ */
+export const PERMISSIONS = Object.freeze({
+    useStock: ROLES.shopFloor,
+    countStock: ROLES.shopFloor,
+    adjustStock: ROLES.purchaser,
+    manageOrders: ROLES.purchaser,
+    editCatalog: ROLES.purchaser,
+    createBackups: ROLES.purchaser,
+    deleteCatalog: ROLES.admin,
+    importData: ROLES.admin,
+    restoreBackups: ROLES.admin,
+    revertAudit: ROLES.admin,
+    manageAccess: ROLES.admin,
+    migrateData: ROLES.admin,
+});
+
+export const normalizeRole = (role) => (ROLE_ORDER.includes(role) ? role : DEFAULT_ROLE);
+
+/** `permission` is a value of PERMISSIONS (the minimum role). Unknown or missing roles get nothing. */
+export function roleCan(role, permission) {
+    const rank = ROLE_ORDER.indexOf(role);
+    return rank >= 0 && rank >= ROLE_ORDER.indexOf(permission);
+}
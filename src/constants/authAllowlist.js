@@ -1,3 +1,5 @@
+import { DEFAULT_ROLE, ROLES, normalizeRole } from './accessRoles';
+
 /**
  * Fallback allowlist when Firestore `artifacts/{appId}/config/access_allowlist` is missing
  * or has an empty `emails` array. Must stay in sync with fallbackStaffEmails() in firestore.rules.
@@ -61,7 +63,7 @@ export function getFirebaseEmailAuthErrorMessage(error) {
  * Gmail and googlemail.com are the same mailbox; allowlist may list either form.
  * @param {string} normalizedLower — output of normalizeEmail()
  */
-function gmailEquivalentAddresses(normalizedLower) {
+export function gmailEquivalentAddresses(normalizedLower) {
     if (!normalizedLower) return [];
     if (normalizedLower.endsWith('@googlemail.com')) {
         const local = normalizedLower.slice(0, -'@googlemail.com'.length);
@@ -85,22 +87,51 @@ export function isEmailAllowed(email, allowedLowercased) {
 }
 
 /**
- * Prefer Firebase Auth user.email; also check providerData (Google sometimes differs from primary).
+ * The address firestore.rules checks (getEmail()): the token email, else the first provider email. Matching on any
+ * other provider address would let the client grant access or a role the rules then refuse.
+ * @param {object | null} user — Firebase User
+ */
+export function getRulesEmail(user) {
+    if (!user) return '';
+    const primary = normalizeEmail(user.email);
+    if (primary) return primary;
+    const provider = (user.providerData || []).find((p) => p?.email);
+    return normalizeEmail(provider?.email);
+}
+
+/**
  * @param {object | null} user — Firebase User
  * @param {string[]} allowedLowercased
  */
 export function isFirebaseUserAllowed(user, allowedLowercased) {
-    if (!user) return false;
-    const candidates = [];
-    if (user.email) candidates.push(normalizeEmail(user.email));
-    for (const p of user.providerData || []) {
-        if (p?.email) candidates.push(normalizeEmail(p.email));
+    return isEmailAllowed(getRulesEmail(user), allowedLowercased);
+}
+
+/** `{ email: role }` from the allowlist doc, keyed by normalized email; unknown roles become DEFAULT_ROLE. */
+export function normalizeRolesMap(raw) {
+    const roles = {};
+    if (!raw || typeof raw !== 'object') return roles;
+    for (const [email, role] of Object.entries(raw)) {
+        const key = normalizeEmail(email);
+        if (key) roles[key] = normalizeRole(role);
     }
-    const unique = [...new Set(candidates.filter(Boolean))];
-    for (const c of unique) {
-        if (isEmailAllowed(c, allowedLowercased)) return true;
+    return roles;
+}
+
+/**
+ * Role for a signed-in user: fallback staff are always admins, then the saved role of the address the rules check
+ * (or its Gmail/googlemail twin), else DEFAULT_ROLE.
+ * @param {object | null} user — Firebase User
+ * @param {Record<string, string>} rolesByEmail — output of normalizeRolesMap()
+ */
+export function getRoleForFirebaseUser(user, rolesByEmail) {
+    if (!user) return null;
+    const fallback = FALLBACK_ALLOWED_EMAILS.map(normalizeEmail);
+    if (isFirebaseUserAllowed(user, fallback)) return ROLES.admin;
+    for (const addr of gmailEquivalentAddresses(getRulesEmail(user))) {
+        if (rolesByEmail?.[addr]) return rolesByEmail[addr];
     }
-    return false;
+    return DEFAULT_ROLE;
 }
 
 export function getUnauthorizedMessage() {
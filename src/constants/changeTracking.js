@@ -0,0 +1,13 @@
+// src/constants/changeTracking.js
+
+/**
+ * Collections that backups copy. Every write to them through firestoreWithTracking stamps `updatedAt`, and every
+ * delete leaves a tombstone in DELETED_DOCS_COLLECTION, so an incremental backup only copies what changed.
+ * Keep in sync with BACKUP_COLLECTIONS in functions/backups.js.
+ */
+export const CHANGE_TRACKED_COLLECTIONS = ['materials', 'inventory', 'inventory_lots', 'usage_logs', 'lot_consumptions'];
+
+export const DELETED_DOCS_COLLECTION = 'deleted_docs';
+
+/** One tombstone per deleted doc; deleting it again (after it was re-created) overwrites the same tombstone. */
+export const getTombstoneId = (collectionName, docId) => `${collectionName}__${docId}`;
@@ -5,3 +5,22 @@
  * `REACT_APP_GEMINI_API_KEY` in `.env` (never commit the key) to use again.
  */
 export const AI_ASSISTANT_ENABLED = false;
+
+/**
+ * Keep stock in `inventory_lots` (one doc per lot with a remaining quantity, see utils/inventoryLots.js) instead of
+ * one `inventory` doc per sheet. Run migrateInventoryToLots first. Every stock writer (orders, Use Stock, scheduled
+ * fulfilment, receiving, usage log edits and deletes, stock edits, stocktakes, CSV imports and category changes)
+ * goes through STOCK_COLLECTION, and backups copy both collections. Only the material-key repair tools in Manage
+ * Categories and the local JSON export in Backups still work on per-sheet docs. The stock counters follow STOCK_COLLECTION in functions/index.js,
+ * which switches with it.
+ */
+export const INVENTORY_LOTS_ENABLED = false;
+
+/**
+ * Read dashboard and reorder counts from the per-material `inventory_summaries` docs kept by the Cloud Functions in
+ * functions/ instead of counting stock in the browser. To roll out: deploy the functions, let the nightly
+ * reconcileInventorySummaries run once so every material has its counters (or force it with `gcloud scheduler jobs
+ * run firebase-schedule-reconcileInventorySummaries-us-central1`), then build with REACT_APP_SUMMARY_COUNTERS=true.
+ * A build without it counts in the browser again.
+ */
+export const SUMMARY_COUNTERS_ENABLED = process.env.REACT_APP_SUMMARY_COUNTERS === 'true';
@@ -1,4 +1,10 @@
 // src/constants/materials.js
 
 export const INITIAL_SUPPLIERS = ["RYERSON", "AGWAY", "IDEAL", "ALLIANCE", "DEL METALS", "WELLINGTON PERF", "SAMUEL"];
-export const STANDARD_LENGTHS = [96, 120, 144];
\ No newline at end of file
+export const DEFAULT_SHEET_WIDTH = 48;
+/** Sizes used by categories that have not configured their own list. */
+export const DEFAULT_SHEET_SIZES = Object.freeze([
+    Object.freeze({ length: 96, width: DEFAULT_SHEET_WIDTH }),
+    Object.freeze({ length: 120, width: DEFAULT_SHEET_WIDTH }),
+    Object.freeze({ length: 144, width: DEFAULT_SHEET_WIDTH }),
+]);
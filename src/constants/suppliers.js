@@ -51,4 +51,7 @@ export const SUPPLIER_INFO = {
     }
 };
 
-export const CC_EMAIL = 'RTASSON@TECNOPAN.CA';
\ No newline at end of file
+export const CC_EMAIL = 'RTASSON@TECNOPAN.CA';
+
+/** Buyer shown on purchase order documents. */
+export const PURCHASER_NAME = 'Tecnopan';
\ No newline at end of file
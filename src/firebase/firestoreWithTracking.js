@@ -1,12 +1,43 @@
 // Wraps Firestore API to track reads, writes, deletes for the debug panel.
 // Re-exports everything from firebase/firestore with tracking on key operations.
+// Writes to the backed-up collections also get change tracking for incremental backups (constants/changeTracking.js).
 
 import * as firestore from 'firebase/firestore';
 import { recordRead, recordWrite, recordDelete } from '../utils/firestoreUsageTracker';
+import { CHANGE_TRACKED_COLLECTIONS, DELETED_DOCS_COLLECTION, getTombstoneId } from '../constants/changeTracking';
 
 // Re-export all - we'll override the ones we track
 export * from 'firebase/firestore';
 
+// Only the live collections; backup copies under backups/{id}/inventory have the same collection id but a longer path.
+const CHANGE_TRACKED_PATH = new RegExp(`^(artifacts/[^/]+/public/data)/(${CHANGE_TRACKED_COLLECTIONS.join('|')})$`);
+
+const getChangeTracking = (collectionRef) => {
+    const match = collectionRef?.path?.match(CHANGE_TRACKED_PATH);
+    return match ? { dataPath: match[1], collectionName: match[2] } : null;
+};
+
+// Server time, so every browser stamps on the same clock the backup watermark is read from.
+const withUpdatedAt = (ref, data) => (getChangeTracking(ref.parent) ? { ...data, updatedAt: firestore.serverTimestamp() } : data);
+
+// update() also takes `field, value, ...` pairs instead of an object.
+const withUpdatedAtArgs = (ref, args) => {
+    if (!getChangeTracking(ref.parent)) return args;
+    return typeof args[0] === 'string' || args[0] instanceof firestore.FieldPath
+        ? [...args, 'updatedAt', firestore.serverTimestamp()]
+        : [withUpdatedAt(ref, args[0]), ...args.slice(1)];
+};
+
+/** `[tombstoneRef, data]` for a delete of a tracked doc, or null. */
+const getTombstone = (ref) => {
+    const tracking = getChangeTracking(ref.parent);
+    if (!tracking) return null;
+    return [
+        firestore.doc(ref.firestore, `${tracking.dataPath}/${DELETED_DOCS_COLLECTION}`, getTombstoneId(tracking.collectionName, ref.id)),
+        { collection: tracking.collectionName, docId: ref.id, deletedAt: firestore.serverTimestamp() },
+    ];
+};
+
 // Tracked getDocs
 export async function getDocs(queryConstraint) {
     const snap = await firestore.getDocs(queryConstraint);
@@ -33,30 +64,42 @@ export function writeBatch(db) {
     const batch = firestore.writeBatch(db);
     const counts = { writes: 0, deletes: 0 };
     return {
-        set: (...args) => {
-            batch.set(...args);
+        set: (ref, data, options) => {
+            batch.set(ref, withUpdatedAt(ref, data), options);
             counts.writes++;
         },
-        update: (...args) => {
-            batch.update(...args);
+        update: (ref, ...args) => {
+            batch.update(ref, ...withUpdatedAtArgs(ref, args));
             counts.writes++;
         },
-        delete: (...args) => {
-            batch.delete(...args);
+        delete: (ref) => {
+            batch.delete(ref);
             counts.deletes++;
+            const tombstone = getTombstone(ref);
+            if (tombstone) {
+                batch.set(...tombstone);
+                counts.writes++;
+            }
         },
         commit: () =>
             batch.commit().then(() => {
                 recordWrite(counts.writes);
                 recordDelete(counts.deletes);
             }),
+        // Operations queued so far, tombstones included; a batch takes at most 500
+        get size() {
+            return counts.writes + counts.deletes;
+        },
     };
 }
 
-// Tracked runTransaction - wraps transaction to count get/set/update/delete
-export function runTransaction(db, updateFunction) {
+// Tracked runTransaction - wraps transaction to count get/set/update/delete.
+// Reads accumulate across retried attempts; writes/deletes only count for the attempt that commits.
+export function runTransaction(db, updateFunction, options) {
     const counts = { reads: 0, writes: 0, deletes: 0 };
     const wrappedUpdate = async (transaction) => {
+        counts.writes = 0;
+        counts.deletes = 0;
         const wrappedTx = {
             get: async (ref) => {
                 const snap = await transaction.get(ref);
@@ -64,21 +107,26 @@ export function runTransaction(db, updateFunction) {
                 return snap;
             },
             set: (ref, data, options) => {
-                transaction.set(ref, data, options);
+                transaction.set(ref, withUpdatedAt(ref, data), options);
                 counts.writes++;
             },
-            update: (ref, data) => {
-                transaction.update(ref, data);
+            update: (ref, ...args) => {
+                transaction.update(ref, ...withUpdatedAtArgs(ref, args));
                 counts.writes++;
             },
             delete: (ref) => {
                 transaction.delete(ref);
                 counts.deletes++;
+                const tombstone = getTombstone(ref);
+                if (tombstone) {
+                    transaction.set(...tombstone);
+                    counts.writes++;
+                }
             },
         };
-        await updateFunction(wrappedTx);
+        return updateFunction(wrappedTx);
     };
-    return firestore.runTransaction(db, wrappedUpdate).then((result) => {
+    return firestore.runTransaction(db, wrappedUpdate, options).then((result) => {
         recordRead(counts.reads);
         recordWrite(counts.writes);
         recordDelete(counts.deletes);
@@ -87,19 +135,45 @@ export function runTransaction(db, updateFunction) {
 }
 
 // Tracked updateDoc - single write
-export async function updateDoc(documentRef, data) {
-    const result = await firestore.updateDoc(documentRef, data);
+export async function updateDoc(documentRef, ...args) {
+    const result = await firestore.updateDoc(documentRef, ...withUpdatedAtArgs(documentRef, args));
     recordWrite(1);
     return result;
 }
 
 // Tracked setDoc - single write
 export async function setDoc(documentRef, data, options) {
-    const result = await firestore.setDoc(documentRef, data, options);
+    const result = await firestore.setDoc(documentRef, withUpdatedAt(documentRef, data), options);
     recordWrite(1);
     return result;
 }
 
+// Tracked addDoc - single write
+export async function addDoc(collectionRef, data) {
+    const result = await firestore.addDoc(collectionRef, getChangeTracking(collectionRef)
+        ? { ...data, updatedAt: firestore.serverTimestamp() }
+        : data);
+    recordWrite(1);
+    return result;
+}
+
+// Tracked deleteDoc - a tracked doc is deleted together with its tombstone in one batch
+export async function deleteDoc(documentRef) {
+    const tombstone = getTombstone(documentRef);
+    if (!tombstone) {
+        const result = await firestore.deleteDoc(documentRef);
+        recordDelete(1);
+        return result;
+    }
+    const batch = firestore.writeBatch(documentRef.firestore);
+    batch.delete(documentRef);
+    batch.set(...tombstone);
+    await batch.commit();
+    recordDelete(1);
+    recordWrite(1);
+    return undefined;
+}
+
 // Tracked onSnapshot - each snapshot callback = docs.length reads
 export function onSnapshot(refOrQuery, onNext, onError, onCompletion) {
     return firestore.onSnapshot(
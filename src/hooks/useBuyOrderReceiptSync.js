@@ -0,0 +1,45 @@
+// src/hooks/useBuyOrderReceiptSync.js
+// Moves open buy orders to Partially Received / Received as the inventory sheets linked to them arrive.
+
+import { useEffect, useMemo, useRef } from 'react';
+import { db, appId } from '../firebase/config';
+import {
+    canTransitionBuyOrder,
+    getBuyOrderState,
+    getReceiptStateFromInventory,
+    groupInventoryByBuyOrder,
+    transitionBuyOrder,
+} from '../utils/buyOrderLifecycle';
+
+// Receiving writes many sheets in one go; wait for the snapshot burst to settle.
+const RECEIPT_SYNC_DELAY_MS = 2000;
+
+export function useBuyOrderReceiptSync({ enabled, canSync = true, buyOrders, inventory }) {
+    const linkedByBuyOrder = useMemo(() => groupInventoryByBuyOrder(inventory), [inventory]);
+    const syncInFlightRef = useRef(false);
+
+    useEffect(() => {
+        if (!enabled || !canSync) return undefined;
+        const pending = (buyOrders || [])
+            .map(buyOrder => ({ buyOrder, target: getReceiptStateFromInventory(linkedByBuyOrder[buyOrder.id]) }))
+            .filter(({ buyOrder, target }) => target && target !== getBuyOrderState(buyOrder) && canTransitionBuyOrder(buyOrder, target));
+        if (pending.length === 0) return undefined;
+
+        const timer = setTimeout(async () => {
+            if (syncInFlightRef.current) return;
+            syncInFlightRef.current = true;
+            try {
+                for (const { buyOrder, target } of pending) {
+                    await transitionBuyOrder(db, appId, buyOrder.id, target, { ifAllowed: true });
+                }
+            } catch (err) {
+                console.warn('Buy order receipt sync failed:', err);
+            } finally {
+                syncInFlightRef.current = false;
+            }
+        }, RECEIPT_SYNC_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [enabled, canSync, buyOrders, linkedByBuyOrder]);
+
+    return linkedByBuyOrder;
+}
@@ -0,0 +1,97 @@
+// src/hooks/useCountSessions.js
+// Live stocktake sessions and the counted lines of the one being worked on, shared by everyone counting.
+
+import { useState, useEffect, useCallback } from 'react';
+import { collection, deleteDoc, doc, limit, onSnapshot, orderBy, query, setDoc, updateDoc } from '../firebase/firestoreWithTracking';
+import { db, appId } from '../firebase/config';
+import {
+    COUNT_ENTRIES_COLLECTION,
+    COUNT_SESSIONS_COLLECTION,
+    COUNT_SESSION_STATUSES,
+    buildCountSheet,
+    createCountSessionId,
+} from '../utils/cycleCounts';
+
+const SESSION_LIMIT = 50;
+
+const sessionsPath = () => `artifacts/${appId}/public/data/${COUNT_SESSIONS_COLLECTION}`;
+const sessionRef = (sessionId) => doc(db, sessionsPath(), sessionId);
+const entriesPath = (sessionId) => `${sessionsPath()}/${sessionId}/${COUNT_ENTRIES_COLLECTION}`;
+
+const toActor = (authUser) => authUser?.email || authUser?.displayName || null;
+
+export function useCountSessions({ userId, authUser, activeSessionId }) {
+    const [sessions, setSessions] = useState([]);
+    const [sessionsReady, setSessionsReady] = useState(false);
+    const [entriesByLineId, setEntriesByLineId] = useState({});
+
+    useEffect(() => {
+        if (!userId) {
+            setSessions([]);
+            setSessionsReady(false);
+            return undefined;
+        }
+        const unsub = onSnapshot(
+            query(collection(db, sessionsPath()), orderBy('createdAt', 'desc'), limit(SESSION_LIMIT)),
+            (snap) => {
+                setSessions(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+                setSessionsReady(true);
+            },
+            (err) => {
+                console.error('count_sessions listener:', err);
+                setSessionsReady(true);
+            }
+        );
+        return () => unsub();
+    }, [userId]);
+
+    useEffect(() => {
+        setEntriesByLineId({});
+        if (!userId || !activeSessionId) return undefined;
+        const unsub = onSnapshot(
+            collection(db, entriesPath(activeSessionId)),
+            (snap) => setEntriesByLineId(Object.fromEntries(snap.docs.map(d => [d.id, d.data()]))),
+            (err) => console.error('count entries listener:', err)
+        );
+        return () => unsub();
+    }, [userId, activeSessionId]);
+
+    /** Freeze the category's current counts into a new open session and return its id. */
+    const startCountSession = useCallback(async (category, materials, inventorySummary) => {
+        const sessionId = createCountSessionId();
+        await setDoc(sessionRef(sessionId), {
+            category,
+            status: COUNT_SESSION_STATUSES.open,
+            lines: buildCountSheet(category, materials, inventorySummary),
+            createdAt: new Date().toISOString(),
+            createdBy: toActor(authUser),
+        });
+        return sessionId;
+    }, [authUser]);
+
+    /** Record one line's counted quantity; null removes the entry. */
+    const saveCountEntry = useCallback(async (sessionId, line, countedQty) => {
+        const ref = doc(db, entriesPath(sessionId), line.lineId);
+        if (countedQty === null) {
+            await deleteDoc(ref);
+            return;
+        }
+        await setDoc(ref, {
+            materialType: line.materialType,
+            sizeKey: line.sizeKey,
+            countedQty,
+            countedBy: toActor(authUser),
+            countedAt: new Date().toISOString(),
+        });
+    }, [authUser]);
+
+    const cancelCountSession = useCallback(async (sessionId) => {
+        await updateDoc(sessionRef(sessionId), {
+            status: COUNT_SESSION_STATUSES.cancelled,
+            cancelledAt: new Date().toISOString(),
+            cancelledBy: toActor(authUser),
+        });
+    }, [authUser]);
+
+    return { sessions, sessionsReady, entriesByLineId, startCountSession, saveCountEntry, cancelCountSession };
+}
@@ -9,49 +9,83 @@ import {
     onSnapshot,
     doc,
     getDoc,
+    getDocFromCache,
     setDoc,
     writeBatch,
     getDocs,
     getCountFromServer
 } from '../firebase/firestoreWithTracking';
 import { db, appId, auth, onAuthStateChanged, signInWithCustomToken, signOut } from '../firebase/config';
-import { STANDARD_LENGTHS } from '../constants/materials';
 import {
+    buildEmptySizeCounts,
+    getMaterialSheetSizes,
+    getSheetSizeKey,
+    getSheetSizeKeyForItem,
+    isConfiguredSheetSize,
+} from '../utils/sheetSizes';
+import { isRemnantSheet } from '../utils/remnants';
+import { fulfillScheduledLog } from '../utils/stockConsumption';
+import { buildReceivedFields, RECEIVED_VIA_AUTO } from '../utils/orderReceiving';
+import { isOfflineError } from '../utils/offlineOutbox';
+import { STOCK_COLLECTION, getRemainingQuantity } from '../utils/inventoryLots';
+import { INVENTORY_SUMMARIES_COLLECTION, applySummaryCounters } from '../utils/inventorySummaryCounters';
+import { INVENTORY_LOTS_ENABLED, SUMMARY_COUNTERS_ENABLED } from '../constants/featureFlags';
+import {
+    getRoleForFirebaseUser,
+    getRulesEmail,
     getUnauthorizedMessage,
     isFirebaseUserAllowed,
     FALLBACK_ALLOWED_EMAILS,
     normalizeEmail,
+    normalizeRolesMap,
 } from '../constants/authAllowlist';
+import { PERMISSIONS, roleCan } from '../constants/accessRoles';
+import { fetchOwnAllowlistMember, syncAllowlistMembers } from '../utils/allowlistMembers';
 
 const ACCESS_ALLOWLIST_DOC = () => doc(db, `artifacts/${appId}/config/access_allowlist`);
-
-async function fetchAllowedEmailsLowercased() {
+/** Per-sheet docs, or lots once INVENTORY_LOTS_ENABLED is on; both have `status`, `materialType` and a size. */
+const STOCK_COLLECTION_PATH = `artifacts/${appId}/public/data/${STOCK_COLLECTION}`;
+
+/**
+ * Allowed emails (lowercased, fallback included) and saved roles by email. Only admins can read the list: their
+ * sign-in lowercases miscased entries (the rules compare emails exactly) and refreshes the member copies
+ * (allowlistMembers.js) that everyone else reads their own entry from.
+ */
+async function fetchAccessAllowlist(signedInEmail) {
     const fallback = FALLBACK_ALLOWED_EMAILS.map((e) => normalizeEmail(e));
     try {
-        const snap = await getDoc(ACCESS_ALLOWLIST_DOC());
-        if (snap.exists()) {
+        // Offline, the cached copy decides, so a floor tablet that drops Wi-Fi is not signed out.
+        const snap = await getDoc(ACCESS_ALLOWLIST_DOC()).catch((e) => {
+            if (e?.code === 'permission-denied') return null;
+            if (!isOfflineError(e)) throw e;
+            return getDocFromCache(ACCESS_ALLOWLIST_DOC()).catch(() => null);
+        });
+        if (!snap) {
+            const member = await fetchOwnAllowlistMember(db, appId, signedInEmail);
+            if (member?.email) {
+                return {
+                    emails: [...new Set([...fallback, normalizeEmail(member.email)])],
+                    roles: normalizeRolesMap({ [member.email]: member.role }),
+                };
+            }
+        } else if (snap.exists()) {
             const raw = snap.data()?.emails;
+            const roles = normalizeRolesMap(snap.data()?.roles);
             if (Array.isArray(raw) && raw.length > 0) {
                 const fromFs = [...new Set(raw.map((e) => normalizeEmail(String(e))).filter(Boolean))];
                 const merged = [...new Set([...fallback, ...fromFs])];
                 const casingMismatch = raw.some(
                     (e) => normalizeEmail(String(e)) !== String(e).trim()
                 );
-                if (casingMismatch && fromFs.length > 0) {
-                    try {
-                        await setDoc(
-                            ACCESS_ALLOWLIST_DOC(),
-                            { emails: fromFs, updatedAt: new Date().toISOString() },
-                            { merge: true }
-                        );
-                    } catch (e) {
-                        console.warn('Could not normalize allowlist emails in Firestore (needs staff write):', e);
-                    }
+                if (casingMismatch) {
+                    setDoc(ACCESS_ALLOWLIST_DOC(), { emails: fromFs, updatedAt: new Date().toISOString() }, { merge: true })
+                        .catch((e) => console.warn('Could not normalize allowlist casing in Firestore:', e));
                 }
+                syncAllowlistMembers(db, appId, fromFs, roles).catch((e) => console.warn('Could not update allowlist members:', e));
                 // #region agent log
                 fetch('http://127.0.0.1:7496/ingest/c991b8ad-d2e7-4957-a523-2d962e494a95',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'98f95f'},body:JSON.stringify({sessionId:'98f95f',runId:'usage-permission-pre',hypothesisId:'H2',location:'src/hooks/useFirestoreData.js:60',message:'allowlist resolved from firestore',data:{appId,fallbackCount:fallback.length,firestoreCount:fromFs.length,mergedCount:merged.length,casingMismatch},timestamp:Date.now()})}).catch(()=>{});
                 // #endregion
-                return merged;
+                return { emails: merged, roles };
             }
         }
     } catch (e) {
@@ -60,7 +94,7 @@ async function fetchAllowedEmailsLowercased() {
     // #region agent log
     fetch('http://127.0.0.1:7496/ingest/c991b8ad-d2e7-4957-a523-2d962e494a95',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'98f95f'},body:JSON.stringify({sessionId:'98f95f',runId:'usage-permission-pre',hypothesisId:'H2',location:'src/hooks/useFirestoreData.js:67',message:'allowlist fallback used',data:{appId,fallbackCount:fallback.length},timestamp:Date.now()})}).catch(()=>{});
     // #endregion
-    return fallback;
+    return { emails: fallback, roles: {} };
 }
 
 /** Sort usage log docs by createdAt (Firestore Timestamp, Date, or string). */
@@ -107,21 +141,24 @@ function gmailAlternateEmail(email) {
 
 const INVENTORY_CACHE_KEY = `inventory_cache_${appId}`;
 const INVENTORY_CACHE_TTL_MS = 10 * 60 * 1000;
-const SUMMARY_CACHE_KEY = `inventory_summary_cache_${appId}`;
+// v2: buckets are keyed by `LxW` sheet size instead of bare length.
+const SUMMARY_CACHE_KEY = `inventory_summary_cache_v2_${appId}`;
 const SUMMARY_CACHE_TTL_MS = 10 * 60 * 1000;
 
-function buildEmptySummaries(materialIds) {
+function buildEmptySummaries(materialIds, materialsMap) {
     const inventorySummary = {};
     const incomingSummary = {};
 
     materialIds.forEach((type) => {
+        const sizeCounts = buildEmptySizeCounts(getMaterialSheetSizes(materialsMap, type));
         inventorySummary[type] = {
-            ...STANDARD_LENGTHS.reduce((acc, len) => ({ ...acc, [len]: 0 }), {}),
+            ...sizeCounts,
             custom: 0,
+            remnant: 0,
             total: 0,
         };
         incomingSummary[type] = {
-            lengths: { ...STANDARD_LENGTHS.reduce((acc, len) => ({ ...acc, [len]: 0 }), {}), custom: 0 },
+            lengths: { ...sizeCounts, custom: 0 },
             totalCount: 0,
             latestArrivalDate: null,
         };
@@ -184,29 +221,34 @@ function getMaterialIdsForSummary(inventoryItems, materialsMap) {
     return Array.from(new Set((inventoryItems || []).map((item) => item.materialType).filter(Boolean)));
 }
 
-function buildSummariesFromInventory(items, materialIds) {
-    const { inventorySummary, incomingSummary } = buildEmptySummaries(materialIds);
+function buildSummariesFromInventory(items, materialIds, materialsMap) {
+    const { inventorySummary, incomingSummary } = buildEmptySummaries(materialIds, materialsMap);
 
     (items || []).forEach((item) => {
         if (!item?.materialType) return;
         const mat = item.materialType;
+        const sizes = getMaterialSheetSizes(materialsMap, mat);
+
+        const qty = getRemainingQuantity(item);
 
         if (item.status === 'On Hand' && inventorySummary[mat]) {
-            if (STANDARD_LENGTHS.includes(item.length)) {
-                inventorySummary[mat][item.length] += 1;
+            if (isRemnantSheet(item)) {
+                inventorySummary[mat].remnant += qty;
+            } else if (isConfiguredSheetSize(sizes, item)) {
+                inventorySummary[mat][getSheetSizeKeyForItem(item)] += qty;
             } else {
-                inventorySummary[mat].custom += 1;
+                inventorySummary[mat].custom += qty;
             }
-            inventorySummary[mat].total += 1;
+            inventorySummary[mat].total += qty;
         }
 
         if (item.status === 'Ordered' && incomingSummary[mat]) {
-            if (STANDARD_LENGTHS.includes(item.length)) {
-                incomingSummary[mat].lengths[item.length] += 1;
+            if (isConfiguredSheetSize(sizes, item)) {
+                incomingSummary[mat].lengths[getSheetSizeKeyForItem(item)] += qty;
             } else {
-                incomingSummary[mat].lengths.custom += 1;
+                incomingSummary[mat].lengths.custom += qty;
             }
-            incomingSummary[mat].totalCount += 1;
+            incomingSummary[mat].totalCount += qty;
             if (item.arrivalDate) {
                 const prev = incomingSummary[mat].latestArrivalDate;
                 if (!prev || new Date(item.arrivalDate) > new Date(prev)) {
@@ -225,11 +267,14 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
     const [materials, setMaterials] = useState({});
     const [inventorySummaryData, setInventorySummaryData] = useState({});
     const [incomingSummaryData, setIncomingSummaryData] = useState({});
+    // False while the summaries hold zeros from count queries that failed (e.g. offline) rather than real counts.
+    const [summariesComplete, setSummariesComplete] = useState(false);
     const [inventoryReady, setInventoryReady] = useState(false);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [userId, setUserId] = useState(null);
     const [authUser, setAuthUser] = useState(null);
+    const [authRole, setAuthRole] = useState(null);
     const [authReady, setAuthReady] = useState(false);
     const [authAccessDenied, setAuthAccessDenied] = useState(false);
     const [authDeniedDetail, setAuthDeniedDetail] = useState('');
@@ -245,6 +290,9 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
     const inventoryUnsubRef = useRef(null);
     const inventoryDetailsEnabledRef = useRef(false);
     const materialsSnapshotRef = useRef({});
+    const summaryCounterDocsRef = useRef(null);
+    // Background receive/fulfil writes stock, so only clients whose role may do that run them.
+    const canAutoProcessRef = useRef(false);
 
     useEffect(() => {
         // #region agent log
@@ -254,9 +302,10 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
 
     useEffect(() => {
         const unsubAuth = onAuthStateChanged(auth, async (user) => {
+            canAutoProcessRef.current = false;
             if (user) {
                 try {
-                    const allowed = await fetchAllowedEmailsLowercased();
+                    const { emails: allowed, roles } = await fetchAccessAllowlist(getRulesEmail(user));
                     const clientAllowed = isFirebaseUserAllowed(user, allowed);
                     const tokenResult = await user.getIdTokenResult(false).catch(() => null);
                     const tokenIdentityEmails = Array.isArray(tokenResult?.claims?.firebase?.identities?.email)
@@ -293,6 +342,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                         );
                         setUserId(null);
                         setAuthUser(null);
+                        setAuthRole(null);
                         setAuthReady(true);
                         setLoading(false);
                         return;
@@ -300,6 +350,9 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
 
                     setAuthAccessDenied(false);
                     setAuthDeniedDetail('');
+                    const role = getRoleForFirebaseUser(user, roles);
+                    canAutoProcessRef.current = roleCan(role, PERMISSIONS.useStock);
+                    setAuthRole(role);
                     setUserId(user.uid);
                     setAuthUser({
                         uid: user.uid,
@@ -315,6 +368,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                     setError(error?.message || 'Authentication failed.');
                     setUserId(null);
                     setAuthUser(null);
+                    setAuthRole(null);
                     setLoading(false);
                     setAuthReady(true);
                 }
@@ -325,6 +379,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                     } else {
                         setUserId(null);
                         setAuthUser(null);
+                        setAuthRole(null);
                         setLoading(false);
                         setAuthReady(true);
                     }
@@ -333,6 +388,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                     setError('Authentication failed.');
                     setUserId(null);
                     setAuthUser(null);
+                    setAuthRole(null);
                     setLoading(false);
                     setAuthReady(true);
                 }
@@ -343,10 +399,17 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
 
     useEffect(() => {
         materialsSnapshotRef.current = materials;
+        // Counters are per raw size, so a change to a material's configured sizes only needs a re-map.
+        if (SUMMARY_COUNTERS_ENABLED && summaryCounterDocsRef.current) {
+            const empty = buildEmptySummaries(Object.keys(materials), materials);
+            const summaries = applySummaryCounters(empty, summaryCounterDocsRef.current, materials);
+            setInventorySummaryData(summaries.inventorySummary);
+            setIncomingSummaryData(summaries.incomingSummary);
+        }
     }, [materials]);
 
     const handleAutoReceive = useCallback((inventoryData) => {
-        if (autoReceiveInFlightRef.current) return;
+        if (autoReceiveInFlightRef.current || !canAutoProcessRef.current) return;
         const now = new Date();
         const itemsToReceive = inventoryData.filter(
             (item) => item.status === 'Ordered' && item.arrivalDate && new Date(item.arrivalDate) <= now
@@ -356,8 +419,8 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             autoReceiveInFlightRef.current = true;
             const batch = writeBatch(db);
             itemsToReceive.forEach((item) => {
-                const docRef = doc(db, `artifacts/${appId}/public/data/inventory`, item.id);
-                batch.update(docRef, { status: 'On Hand', dateReceived: now.toISOString().split('T')[0] });
+                const docRef = doc(db, STOCK_COLLECTION_PATH, item.id);
+                batch.update(docRef, buildReceivedFields(RECEIVED_VIA_AUTO, now));
             });
             batch
                 .commit()
@@ -369,6 +432,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
     }, []);
 
     const handleAutoFulfillScheduledUsage = useCallback((usageData, currentInventory) => {
+        if (!canAutoProcessRef.current) return;
         const now = new Date();
         const logsToFulfill = usageData.filter(
             (log) =>
@@ -383,60 +447,10 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             scheduledFulfillInFlightRef.current.add(log.id);
             (async () => {
                 try {
-                    const batch = writeBatch(db);
-                    const itemsNeeded = log.details.reduce((acc, item) => {
-                        const key = `${item.materialType}|${item.length}`;
-                        acc[key] = (acc[key] || 0) + 1;
-                        return acc;
-                    }, {});
-
-                    let canFulfill = true;
-                    const selectedSheets = [];
-
-                    for (const [key, qty] of Object.entries(itemsNeeded)) {
-                        const [materialType, lengthStr] = key.split('|');
-                        const length = parseInt(lengthStr, 10);
-
-                        const availableSheets = currentInventory
-                            .filter((i) => i.materialType === materialType && i.length === length && i.status === 'On Hand')
-                            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-
-                        if (availableSheets.length < qty) {
-                            canFulfill = false;
-                            console.warn(
-                                `Cannot fulfill scheduled log ${log.id}: Not enough stock for ${qty}x ${materialType} @ ${length}". Only ${availableSheets.length} available.`
-                            );
-                            break;
-                        }
-                        selectedSheets.push(...availableSheets.slice(0, qty));
-                    }
-
-                    if (!canFulfill) return;
-
-                    const usedAtIso = now.toISOString();
-
-                    for (const s of selectedSheets) {
-                        const r = doc(db, `artifacts/${appId}/public/data/inventory`, s.id);
-                        batch.update(r, {
-                            status: 'Used',
-                            usageLogId: log.id,
-                            jobNameUsed: log.job || 'N/A',
-                            customerUsed: log.customer || 'N/A',
-                            usedAt: usedAtIso,
-                        });
-                    }
-
-                    const logDocRef = doc(db, `artifacts/${appId}/public/data/usage_logs`, log.id);
-                    batch.update(logDocRef, {
-                        status: 'Completed',
-                        details: selectedSheets,
-                        qty: -selectedSheets.length,
-                        fulfilledAt: usedAtIso,
-                    });
-
-                    await batch.commit();
+                    // Another open browser may fulfill the same log; the transaction makes only one of them take stock.
+                    await fulfillScheduledLog(db, appId, log, currentInventory, { actor: auth.currentUser });
                 } catch (error) {
-                    console.error(`Auto-fulfill failed for log ${log.id}:`, error);
+                    console.warn(`Auto-fulfill failed for log ${log.id}:`, error?.message || error);
                 } finally {
                     scheduledFulfillInFlightRef.current.delete(log.id);
                 }
@@ -462,6 +476,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
         let hasUsage = false;
         let hasMaterials = false;
         let hasSummaries = false;
+        let unsubSummaryCounters = () => {};
 
         const markReady = () => {
             if (isActive && hasUsage && hasMaterials && hasSummaries) {
@@ -476,16 +491,17 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             }
         };
 
-        const fetchLightweightSummaries = async (materialIds) => {
+        const fetchLightweightSummaries = async (materialIds, materialsMap) => {
             if (!materialIds.length) {
                 setInventorySummaryData({});
                 setIncomingSummaryData({});
+                setSummariesComplete(true);
                 return;
             }
 
             const cachedSummary = readSummaryCache();
             if (cachedSummary?.inventorySummary && cachedSummary?.incomingSummary) {
-                const empty = buildEmptySummaries(materialIds);
+                const empty = buildEmptySummaries(materialIds, materialsMap);
                 const mergedInventory = { ...empty.inventorySummary };
                 const mergedIncoming = { ...empty.incomingSummary };
                 materialIds.forEach((id) => {
@@ -508,11 +524,25 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                 });
                 setInventorySummaryData(mergedInventory);
                 setIncomingSummaryData(mergedIncoming);
+                setSummariesComplete(true);
+                return;
+            }
+
+            // Open lots are few enough to read outright, which replaces the per-material, per-size count queries.
+            if (INVENTORY_LOTS_ENABLED) {
+                const lotsSnap = await getDocs(query(collection(db, STOCK_COLLECTION_PATH), where('status', 'in', ['On Hand', 'Ordered'])));
+                const summaries = buildSummariesFromInventory(lotsSnap.docs.map((d) => d.data()), materialIds, materialsMap);
+                if (!isActive) return;
+                setInventorySummaryData(summaries.inventorySummary);
+                setIncomingSummaryData(summaries.incomingSummary);
+                setSummariesComplete(true);
+                writeSummaryCache(summaries.inventorySummary, summaries.incomingSummary);
                 return;
             }
 
-            const { inventorySummary, incomingSummary } = buildEmptySummaries(materialIds);
+            const { inventorySummary, incomingSummary } = buildEmptySummaries(materialIds, materialsMap);
             const tasks = [];
+            let failedCounts = 0;
 
             materialIds.forEach((materialType) => {
                 tasks.push(async () => {
@@ -527,6 +557,24 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                         inventorySummary[materialType].total = onHandTotalSnap.data().count || 0;
                     } catch (err) {
                         console.warn(`Summary count failed for On Hand total (${materialType})`, err);
+                        failedCounts += 1;
+                    }
+                });
+
+                tasks.push(async () => {
+                    try {
+                        const remnantSnap = await getCountFromServer(
+                            query(
+                                inventoryCollectionRef,
+                                where('status', '==', 'On Hand'),
+                                where('materialType', '==', materialType),
+                                where('isRemnant', '==', true)
+                            )
+                        );
+                        inventorySummary[materialType].remnant = remnantSnap.data().count || 0;
+                    } catch (err) {
+                        console.warn(`Summary count failed for On Hand remnants (${materialType})`, err);
+                        failedCounts += 1;
                     }
                 });
 
@@ -542,10 +590,12 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                         incomingSummary[materialType].totalCount = orderedTotalSnap.data().count || 0;
                     } catch (err) {
                         console.warn(`Summary count failed for Ordered total (${materialType})`, err);
+                        failedCounts += 1;
                     }
                 });
 
-                STANDARD_LENGTHS.forEach((len) => {
+                getMaterialSheetSizes(materialsMap, materialType).forEach((size) => {
+                    const sizeKey = getSheetSizeKey(size.length, size.width);
                     tasks.push(async () => {
                         try {
                             const onHandLenSnap = await getCountFromServer(
@@ -553,12 +603,14 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                                     inventoryCollectionRef,
                                     where('status', '==', 'On Hand'),
                                     where('materialType', '==', materialType),
-                                    where('length', '==', len)
+                                    where('length', '==', size.length),
+                                    where('width', '==', size.width)
                                 )
                             );
-                            inventorySummary[materialType][len] = onHandLenSnap.data().count || 0;
+                            inventorySummary[materialType][sizeKey] = onHandLenSnap.data().count || 0;
                         } catch (err) {
-                            console.warn(`Summary count failed for On Hand ${materialType} @ ${len}"`, err);
+                            console.warn(`Summary count failed for On Hand ${materialType} @ ${sizeKey}`, err);
+                            failedCounts += 1;
                         }
                     });
 
@@ -569,12 +621,14 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                                     inventoryCollectionRef,
                                     where('status', '==', 'Ordered'),
                                     where('materialType', '==', materialType),
-                                    where('length', '==', len)
+                                    where('length', '==', size.length),
+                                    where('width', '==', size.width)
                                 )
                             );
-                            incomingSummary[materialType].lengths[len] = orderedLenSnap.data().count || 0;
+                            incomingSummary[materialType].lengths[sizeKey] = orderedLenSnap.data().count || 0;
                         } catch (err) {
-                            console.warn(`Summary count failed for Ordered ${materialType} @ ${len}"`, err);
+                            console.warn(`Summary count failed for Ordered ${materialType} @ ${sizeKey}`, err);
+                            failedCounts += 1;
                         }
                     });
                 });
@@ -583,17 +637,20 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             await runTasksInBatches(tasks, 20);
 
             materialIds.forEach((materialType) => {
-                const onHandKnownLengths = STANDARD_LENGTHS.reduce(
-                    (sum, len) => sum + (inventorySummary[materialType][len] || 0),
+                const sizeKeys = getMaterialSheetSizes(materialsMap, materialType)
+                    .map((size) => getSheetSizeKey(size.length, size.width));
+                const onHandKnownLengths = sizeKeys.reduce(
+                    (sum, key) => sum + (inventorySummary[materialType][key] || 0),
                     0
                 );
+                // Size counts can include offcuts cut to a configured size; the full listeners correct this once inventory loads.
                 inventorySummary[materialType].custom = Math.max(
                     0,
-                    (inventorySummary[materialType].total || 0) - onHandKnownLengths
+                    (inventorySummary[materialType].total || 0) - onHandKnownLengths - (inventorySummary[materialType].remnant || 0)
                 );
 
-                const orderedKnownLengths = STANDARD_LENGTHS.reduce(
-                    (sum, len) => sum + (incomingSummary[materialType].lengths[len] || 0),
+                const orderedKnownLengths = sizeKeys.reduce(
+                    (sum, key) => sum + (incomingSummary[materialType].lengths[key] || 0),
                     0
                 );
                 incomingSummary[materialType].lengths.custom = Math.max(
@@ -605,7 +662,9 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             if (!isActive) return;
             setInventorySummaryData(inventorySummary);
             setIncomingSummaryData(incomingSummary);
-            writeSummaryCache(inventorySummary, incomingSummary);
+            setSummariesComplete(failedCounts === 0);
+            // Never cache zeros standing in for failed counts
+            if (failedCounts === 0) writeSummaryCache(inventorySummary, incomingSummary);
         };
 
         const loadUsageLogsViaFullRead = async () => {
@@ -676,11 +735,47 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             }
         );
 
+        // One small doc per material, kept by the updateInventorySummary function; replaces the count queries.
+        const subscribeSummaryCounters = (materialIds, materialsMap) => {
+            unsubSummaryCounters = onSnapshot(
+                collection(db, `artifacts/${appId}/public/data/${INVENTORY_SUMMARIES_COLLECTION}`),
+                (snap) => {
+                    if (!isActive) return;
+                    summaryCounterDocsRef.current = snap.docs.map((d) => d.data());
+                    const currentMaterials = materialsSnapshotRef.current;
+                    const ids = Object.keys(currentMaterials).length > 0 ? Object.keys(currentMaterials) : materialIds;
+                    const materialsForSizes = Object.keys(currentMaterials).length > 0 ? currentMaterials : materialsMap;
+                    const summaries = applySummaryCounters(
+                        buildEmptySummaries(ids, materialsForSizes),
+                        summaryCounterDocsRef.current,
+                        materialsForSizes
+                    );
+                    setInventorySummaryData(summaries.inventorySummary);
+                    setIncomingSummaryData(summaries.incomingSummary);
+                    setSummariesComplete(true);
+                    hasSummaries = true;
+                    markReady();
+                },
+                (err) => {
+                    console.warn('inventory_summaries listener failed; falling back to count queries.', err);
+                    setSummariesComplete(false);
+                    unsubSummaryCounters();
+                    summaryCounterDocsRef.current = null;
+                    fetchLightweightSummaries(materialIds, materialsMap)
+                        .catch((fallbackErr) => console.warn('Lightweight summary query failed.', fallbackErr))
+                        .finally(() => {
+                            hasSummaries = true;
+                            markReady();
+                        });
+                }
+            );
+        };
+
         const fetchMaterialsAndSummaries = async () => {
             let materialIds = [];
+            const materialsData = {};
             try {
                 const snap = await getDocs(materialsRef);
-                const materialsData = {};
                 snap.docs.forEach((d) => {
                     const name = d.id;
                     materialsData[name] = { id: d.id, name, ...d.data() };
@@ -703,14 +798,20 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
                 return;
             }
 
+            if (SUMMARY_COUNTERS_ENABLED) {
+                subscribeSummaryCounters(materialIds, materialsData);
+                return;
+            }
+
             try {
-                await fetchLightweightSummaries(materialIds);
+                await fetchLightweightSummaries(materialIds, materialsData);
             } catch (err) {
                 console.warn('Lightweight summary query failed; using empty fallback.', err);
                 if (isActive) {
-                    const empty = buildEmptySummaries(materialIds);
+                    const empty = buildEmptySummaries(materialIds, materialsData);
                     setInventorySummaryData(empty.inventorySummary);
                     setIncomingSummaryData(empty.incomingSummary);
+                    setSummariesComplete(false);
                 }
             } finally {
                 hasSummaries = true;
@@ -723,6 +824,8 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
         return () => {
             isActive = false;
             unsubUsageLog();
+            unsubSummaryCounters();
+            summaryCounterDocsRef.current = null;
         };
     }, [userId, handleAutoFulfillScheduledUsage]);
 
@@ -740,7 +843,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             setInventoryReady(false);
         }
 
-        const inventoryCollectionRef = collection(db, `artifacts/${appId}/public/data/inventory`);
+        const inventoryCollectionRef = collection(db, STOCK_COLLECTION_PATH);
         const qOnHand = query(inventoryCollectionRef, where('status', '==', 'On Hand'));
         const qOrdered = query(inventoryCollectionRef, where('status', '==', 'Ordered'));
         // #region agent log
@@ -751,6 +854,17 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
         const onHandRef = { current: [] };
         const orderedRef = { current: [] };
 
+        // With server counters on, they stay the source for summaries; the full listener only feeds the detail views.
+        const applyInventorySummaries = (items) => {
+            if (SUMMARY_COUNTERS_ENABLED) return;
+            const materialIds = getMaterialIdsForSummary(items, materialsSnapshotRef.current);
+            const summaries = buildSummariesFromInventory(items, materialIds, materialsSnapshotRef.current);
+            setInventorySummaryData(summaries.inventorySummary);
+            setIncomingSummaryData(summaries.incomingSummary);
+            setSummariesComplete(true);
+            writeSummaryCache(summaries.inventorySummary, summaries.incomingSummary);
+        };
+
         const loadInventoryFallback = async () => {
             const [onHandSnap, orderedSnap] = await Promise.all([
                 getDocs(query(inventoryCollectionRef, where('status', '==', 'On Hand'))),
@@ -769,11 +883,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             setInventory(deduped);
             inventoryRef.current = deduped;
             writeInventoryCache(deduped);
-            const materialIds = getMaterialIdsForSummary(deduped, materialsSnapshotRef.current);
-            const summaries = buildSummariesFromInventory(deduped, materialIds);
-            setInventorySummaryData(summaries.inventorySummary);
-            setIncomingSummaryData(summaries.incomingSummary);
-            writeSummaryCache(summaries.inventorySummary, summaries.incomingSummary);
+            applyInventorySummaries(deduped);
             handleAutoReceive(deduped);
             setInventoryReady(true);
         };
@@ -787,11 +897,7 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
             setInventory(deduped);
             inventoryRef.current = deduped;
             writeInventoryCache(deduped);
-            const materialIds = getMaterialIdsForSummary(deduped, materialsSnapshotRef.current);
-            const summaries = buildSummariesFromInventory(deduped, materialIds);
-            setInventorySummaryData(summaries.inventorySummary);
-            setIncomingSummaryData(summaries.incomingSummary);
-            writeSummaryCache(summaries.inventorySummary, summaries.incomingSummary);
+            applyInventorySummaries(deduped);
             handleAutoReceive(deduped);
             setInventoryReady(true);
         };
@@ -879,11 +985,13 @@ export function useFirestoreData({ loadInventoryDetails = true } = {}) {
         materials,
         inventorySummaryData,
         incomingSummaryData,
+        summariesComplete,
         inventoryReady,
         loading,
         error,
         userId,
         authUser,
+        authRole,
         authReady,
         authAccessDenied,
         authDeniedDetail,
@@ -0,0 +1,66 @@
+// src/hooks/useJobBudgets.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { doc, onSnapshot, setDoc, deleteField } from '../firebase/firestoreWithTracking';
+import { db, appId } from '../firebase/config';
+import { normalizeJobBudget } from '../utils/jobBudgets';
+
+const budgetsDocRef = () => doc(db, 'artifacts', appId, 'public', 'data', 'job_budgets', 'settings');
+
+/** Quoted material budgets per PO base key (see parseJobPoParts), shared by everyone on the app. */
+export function useJobBudgets(userId) {
+    const [budgetsByBaseKey, setBudgetsByBaseKey] = useState(() => new Map());
+    const [ready, setReady] = useState(false);
+
+    useEffect(() => {
+        if (!userId) {
+            setBudgetsByBaseKey(new Map());
+            setReady(false);
+            return undefined;
+        }
+
+        const ref = budgetsDocRef();
+        const unsub = onSnapshot(
+            ref,
+            (snap) => {
+                const budgets = snap.exists() ? snap.data()?.budgets : null;
+                const next = new Map();
+                if (budgets && typeof budgets === 'object') {
+                    for (const [k, raw] of Object.entries(budgets)) {
+                        const key = k.trim().toUpperCase();
+                        const budget = normalizeJobBudget(raw);
+                        if (key && budget) next.set(key, { ...budget, updatedAt: raw.updatedAt || null, updatedBy: raw.updatedBy || null });
+                    }
+                }
+                setBudgetsByBaseKey(next);
+                setReady(true);
+            },
+            (err) => {
+                console.error('job_budgets listener:', err);
+                setReady(true);
+            }
+        );
+        return () => unsub();
+    }, [userId]);
+
+    /** Save `{ sheets, cost }` for a PO base; an empty budget removes it. */
+    const saveJobBudget = useCallback(async (baseKeyRaw, values, actorEmail = null) => {
+        const k = String(baseKeyRaw ?? '').trim().toUpperCase();
+        if (!k) return;
+        const budget = normalizeJobBudget(values);
+        await setDoc(
+            budgetsDocRef(),
+            {
+                budgets: {
+                    [k]: budget
+                        ? { ...budget, updatedAt: new Date().toISOString(), updatedBy: actorEmail }
+                        : deleteField(),
+                },
+                updatedAt: new Date().toISOString(),
+            },
+            { merge: true }
+        );
+    }, []);
+
+    return { budgetsByBaseKey, budgetsReady: ready, saveJobBudget };
+}
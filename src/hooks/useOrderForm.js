@@ -1,5 +1,11 @@
 import { useState, useCallback } from 'react';
-import { STANDARD_LENGTHS } from '../constants/materials';
+import { DEFAULT_SHEET_WIDTH } from '../constants/materials';
+import {
+    getMaterialSheetSizes,
+    getSizeQtyField,
+    isConfiguredSheetSize,
+    normalizeSizeQtyFields,
+} from '../utils/sheetSizes';
 
 function toInputDate(value) {
     if (!value) return '';
@@ -11,7 +17,7 @@ function toInputDate(value) {
 }
 
 export function useOrderForm(initialData, materialTypes, suppliers, prefill = null, options = {}) {
-    const { multiSupplier = false } = options;
+    const { multiSupplier = false, materials = {} } = options;
 
     const getDefaultSupplier = useCallback((preferredSupplier) => {
         if (preferredSupplier && suppliers.includes(preferredSupplier)) {
@@ -34,14 +40,15 @@ export function useOrderForm(initialData, materialTypes, suppliers, prefill = nu
 
     const createNewItem = useCallback((materialTypeOverride, itemOverride = {}, defaultArrivalDate = '') => ({
         materialType: materialTypeOverride || itemOverride.materialType || (materialTypes && materialTypes.length > 0 ? materialTypes[0] : ''),
-        qty96: itemOverride.qty96 ?? '',
-        qty120: itemOverride.qty120 ?? '',
-        qty144: itemOverride.qty144 ?? '',
+        ...normalizeSizeQtyFields(itemOverride),
         customWidth: itemOverride.customWidth ?? '',
         customLength: itemOverride.customLength ?? '',
         customQty: itemOverride.customQty ?? '',
         costPerPound: itemOverride.costPerPound ?? '',
-        arrivalDate: toInputDate(itemOverride.arrivalDate) || defaultArrivalDate || ''
+        arrivalDate: toInputDate(itemOverride.arrivalDate) || defaultArrivalDate || '',
+        cutLength: itemOverride.cutLength ?? '',
+        cutWidth: itemOverride.cutWidth ?? '',
+        remnantIds: Array.isArray(itemOverride.remnantIds) ? itemOverride.remnantIds : []
     }), [materialTypes]);
 
     const createNewJob = useCallback((jobOverride = {}) => {
@@ -102,19 +109,16 @@ export function useOrderForm(initialData, materialTypes, suppliers, prefill = nu
 
         const itemsByKey = {};
         (data.details || []).forEach(item => {
-            const isStandardLength = STANDARD_LENGTHS.includes(item.length);
+            const isStandardLength = isConfiguredSheetSize(getMaterialSheetSizes(materials, item.materialType), item);
             const itemArrivalDate = toInputDate(item.arrivalDate);
             const key = isStandardLength
                 ? `${item.materialType}|standard|${itemArrivalDate}`
-                : `${item.materialType}|custom|${item.width || 48}|${item.length}|${itemArrivalDate}`;
+                : `${item.materialType}|custom|${item.width || DEFAULT_SHEET_WIDTH}|${item.length}|${itemArrivalDate}`;
 
             if (!itemsByKey[key]) {
                 itemsByKey[key] = {
                     materialType: item.materialType,
                     costPerPound: item.costPerPound ?? '',
-                    qty96: '',
-                    qty120: '',
-                    qty144: '',
                     customWidth: '',
                     customLength: '',
                     customQty: '',
@@ -123,10 +127,10 @@ export function useOrderForm(initialData, materialTypes, suppliers, prefill = nu
             }
 
             if (isStandardLength) {
-                const field = `qty${item.length}`;
+                const field = getSizeQtyField({ length: item.length, width: item.width || DEFAULT_SHEET_WIDTH });
                 itemsByKey[key][field] = String((parseInt(itemsByKey[key][field] || 0, 10) + 1));
             } else {
-                itemsByKey[key].customWidth = String(item.width || 48);
+                itemsByKey[key].customWidth = String(item.width || DEFAULT_SHEET_WIDTH);
                 itemsByKey[key].customLength = String(item.length || '');
                 itemsByKey[key].customQty = String((parseInt(itemsByKey[key].customQty || 0, 10) + 1));
             }
@@ -134,7 +138,7 @@ export function useOrderForm(initialData, materialTypes, suppliers, prefill = nu
 
         jobData.items = Object.values(itemsByKey);
         return [createNewJob(jobData)];
-    }, [createNewJob, suppliers]);
+    }, [createNewJob, materials, suppliers]);
 
     const transformPrefill = useCallback((data) => {
         if (!data) return null;
@@ -142,9 +146,6 @@ export function useOrderForm(initialData, materialTypes, suppliers, prefill = nu
         const items = Array.isArray(data.items) && data.items.length > 0
             ? data.items.map((item) => ({
                 ...item,
-                qty96: item.qty96 ?? '',
-                qty120: item.qty120 ?? '',
-                qty144: item.qty144 ?? '',
                 customWidth: item.customWidth ?? '',
                 customLength: item.customLength ?? '',
                 customQty: item.customQty ?? '',
@@ -0,0 +1,116 @@
+// src/hooks/useOutbox.js
+// Browser online state plus the offline outbox: queued operations are replayed in order when the connection returns.
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+    OUTBOX_STATUSES,
+    createOutboxEntry,
+    getSyncStatus,
+    isOfflineError,
+    loadOutbox,
+    saveOutbox,
+} from '../utils/offlineOutbox';
+
+// Give the Firestore listeners a moment to catch up after reconnecting, so replays check current stock.
+const RECONNECT_FLUSH_DELAY_MS = 2000;
+// The browser can report online while Firestore still cannot reach the server; try again on this interval.
+const OFFLINE_RETRY_DELAY_MS = 30000;
+
+const isBrowserOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * `replay(entry)` applies one queued entry and throws when it cannot; it is read at flush time, so it may close
+ * over the latest inventory. Nothing is replayed until `enabled` (signed in with a role that may write stock).
+ */
+export function useOutbox({ enabled, replay }) {
+    const [entries, setEntries] = useState(loadOutbox);
+    const [online, setOnline] = useState(isBrowserOnline);
+    const [syncing, setSyncing] = useState(false);
+    const [offlineFailures, setOfflineFailures] = useState(0);
+    const entriesRef = useRef(entries);
+    const replayRef = useRef(replay);
+    const flushingRef = useRef(false);
+
+    useEffect(() => {
+        replayRef.current = replay;
+    }, [replay]);
+
+    useEffect(() => {
+        entriesRef.current = entries;
+        saveOutbox(entries);
+    }, [entries]);
+
+    useEffect(() => {
+        const handleOnline = () => {
+            setOnline(true);
+            setOfflineFailures(0);
+        };
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    const enqueue = useCallback((kind, payload, meta) => {
+        const entry = createOutboxEntry(kind, payload, meta);
+        setEntries(prev => [...prev, entry]);
+        return entry;
+    }, []);
+
+    /** Replay pending entries oldest first. Stops at the first offline error; any other error parks that entry as a conflict. */
+    const flush = useCallback(async () => {
+        if (flushingRef.current || !enabled) return;
+        flushingRef.current = true;
+        setSyncing(true);
+        try {
+            const queue = entriesRef.current.filter(entry => entry.status === OUTBOX_STATUSES.pending);
+            for (const entry of queue) {
+                try {
+                    await replayRef.current(entry);
+                    setEntries(prev => prev.filter(e => e.id !== entry.id));
+                    setOfflineFailures(0);
+                } catch (err) {
+                    if (isOfflineError(err)) {
+                        setOfflineFailures(n => n + 1);
+                        break;
+                    }
+                    console.error('Outbox replay failed:', err);
+                    setEntries(prev => prev.map(e => (e.id === entry.id
+                        ? { ...e, status: OUTBOX_STATUSES.conflict, error: err?.message || 'Could not apply this change.', attempts: e.attempts + 1 }
+                        : e)));
+                }
+            }
+        } finally {
+            flushingRef.current = false;
+            setSyncing(false);
+        }
+    }, [enabled]);
+
+    const hasPending = entries.some(entry => entry.status === OUTBOX_STATUSES.pending);
+    useEffect(() => {
+        if (!online || !enabled || !hasPending) return undefined;
+        const timer = setTimeout(flush, offlineFailures > 0 ? OFFLINE_RETRY_DELAY_MS : RECONNECT_FLUSH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [online, enabled, hasPending, flush, offlineFailures]);
+
+    /** Put a conflicted entry back in the queue; it is replayed with the next flush. */
+    const retryEntry = useCallback((entryId) => {
+        setEntries(prev => prev.map(e => (e.id === entryId ? { ...e, status: OUTBOX_STATUSES.pending, error: null } : e)));
+    }, []);
+
+    const discardEntry = useCallback((entryId) => {
+        setEntries(prev => prev.filter(e => e.id !== entryId));
+    }, []);
+
+    // Until a replay gets through, a failed attempt counts as offline even if the browser says otherwise.
+    const reachable = online && offlineFailures === 0;
+    const syncStatus = useMemo(
+        () => getSyncStatus({ online: reachable, syncing, entries }),
+        [reachable, syncing, entries]
+    );
+
+    return { entries, online: reachable, syncing, syncStatus, enqueue, flush, retryEntry, discardEntry };
+}
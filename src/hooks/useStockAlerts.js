@@ -0,0 +1,54 @@
+// src/hooks/useStockAlerts.js
+// Watches on-hand + incoming counts against each material's low threshold and keeps the shared alert inbox in sync.
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { collection, onSnapshot } from '../firebase/firestoreWithTracking';
+import { db, appId } from '../firebase/config';
+import { STOCK_ALERTS_COLLECTION, findLowStockLevels, syncStockAlerts } from '../utils/stockAlerts';
+
+// Let bursts of summary updates (e.g. a large receive) settle before writing alerts.
+const ALERT_SYNC_DELAY_MS = 2000;
+
+/**
+ * `summariesComplete` is false while any count behind the summaries failed to load; those counts read as zero, which
+ * would raise an alert for every material, so the inbox is only synced from complete summaries while online.
+ */
+export function useStockAlerts({ enabled, canSync = true, online = true, summariesComplete = true, materials, inventorySummary, incomingSummary, materialIndicatorSettings }) {
+    const [alerts, setAlerts] = useState([]);
+    const [alertsLoaded, setAlertsLoaded] = useState(false);
+    const syncInFlightRef = useRef(false);
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        const unsub = onSnapshot(
+            collection(db, `artifacts/${appId}/public/data/${STOCK_ALERTS_COLLECTION}`),
+            (snap) => {
+                setAlerts(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+                setAlertsLoaded(true);
+            },
+            (err) => console.error('Failed to load stock alerts:', err)
+        );
+        return () => unsub();
+    }, [enabled]);
+
+    const lowStockLevels = useMemo(
+        () => findLowStockLevels(materials, inventorySummary, incomingSummary, materialIndicatorSettings),
+        [materials, inventorySummary, incomingSummary, materialIndicatorSettings]
+    );
+
+    useEffect(() => {
+        if (!enabled || !canSync || !online || !summariesComplete || !alertsLoaded) return undefined;
+        const timer = setTimeout(() => {
+            if (syncInFlightRef.current) return;
+            syncInFlightRef.current = true;
+            syncStockAlerts(db, appId, lowStockLevels, alerts)
+                .catch(err => console.warn('Stock alert sync failed:', err))
+                .finally(() => {
+                    syncInFlightRef.current = false;
+                });
+        }, ALERT_SYNC_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [enabled, canSync, online, summariesComplete, alertsLoaded, lowStockLevels, alerts]);
+
+    return { alerts, lowStockLevels };
+}
@@ -0,0 +1,58 @@
+// src/utils/allowlistMembers.js
+// Only admins may read the access_allowlist doc (firestore.rules). Everyone else looks up their own access and
+// role in a copy under access_allowlist/members/{email}, which admins' clients keep in step with the list.
+// The rules still decide access from the list itself.
+
+import { collection, doc, getDoc, getDocFromCache, getDocs, writeBatch } from '../firebase/firestoreWithTracking';
+import { gmailEquivalentAddresses, normalizeEmail } from '../constants/authAllowlist';
+import { DEFAULT_ROLE } from '../constants/accessRoles';
+import { isOfflineError } from './offlineOutbox';
+
+export const ALLOWLIST_MEMBERS_COLLECTION = 'members';
+
+const membersRef = (db, appId) => collection(db, `artifacts/${appId}/config/access_allowlist/${ALLOWLIST_MEMBERS_COLLECTION}`);
+
+/**
+ * `{ email: { email, role } }` for every listed email. The role is the one saved for that spelling, else for its
+ * Gmail/googlemail twin, the same order savedRole() in firestore.rules looks them up in.
+ * @param {string[]} emails — lowercased
+ * @param {Record<string, string>} rolesByEmail — output of normalizeRolesMap()
+ */
+export function buildAllowlistMembers(emails, rolesByEmail) {
+    const members = {};
+    (emails || []).map(normalizeEmail).filter(Boolean).forEach((email) => {
+        const saved = gmailEquivalentAddresses(email).map((addr) => rolesByEmail?.[addr]).find(Boolean);
+        members[email] = { email, role: saved || DEFAULT_ROLE };
+    });
+    return members;
+}
+
+/** Writes member docs that are missing or stale and deletes those of emails no longer listed. Admins only. */
+export async function syncAllowlistMembers(db, appId, emails, rolesByEmail) {
+    const wanted = buildAllowlistMembers(emails, rolesByEmail);
+    const snap = await getDocs(membersRef(db, appId));
+    const batch = writeBatch(db);
+    snap.docs.forEach((memberDoc) => {
+        const want = wanted[memberDoc.id];
+        if (!want) batch.delete(memberDoc.ref);
+        else if (memberDoc.data()?.role !== want.role) batch.set(memberDoc.ref, want);
+        delete wanted[memberDoc.id];
+    });
+    Object.values(wanted).forEach((member) => batch.set(doc(membersRef(db, appId), member.email), member));
+    if (batch.size > 0) await batch.commit();
+    return batch.size;
+}
+
+/** The signed-in user's own member doc (or its Gmail twin's) as `{ email, role }`, or null when not listed. */
+export async function fetchOwnAllowlistMember(db, appId, signedInEmail) {
+    for (const addr of gmailEquivalentAddresses(normalizeEmail(signedInEmail))) {
+        const ref = doc(membersRef(db, appId), addr);
+        // Offline, the cached copy decides, as it does for the list itself.
+        const snap = await getDoc(ref).catch((e) => {
+            if (!isOfflineError(e)) throw e;
+            return getDocFromCache(ref).catch(() => null);
+        });
+        if (snap?.exists()) return snap.data();
+    }
+    return null;
+}
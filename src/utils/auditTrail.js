@@ -0,0 +1,311 @@
+// src/utils/auditTrail.js
+
+import { collection, doc, getDoc, getDocs, query, runTransaction, where, writeBatch } from '../firebase/firestoreWithTracking';
+
+export const AUDIT_EVENTS_COLLECTION = 'audit_events';
+
+// A transaction takes at most 500 writes. Each mutation also writes its audit event, and a delete of a backed-up
+// doc its tombstone (firestoreWithTracking.js).
+const MAX_WRITES_PER_COMMIT = 500;
+const writesPerMutation = (op) => (op === 'delete' ? 3 : 2);
+// Marking a reverted batch's events only updates them.
+const MAX_EVENT_UPDATES_PER_COMMIT = 450;
+
+const dataCollectionPath = (appId, collectionName) => `artifacts/${appId}/public/data/${collectionName}`;
+const auditPathKey = (collectionName, docId) => `${collectionName}/${docId}`;
+
+export function createAuditBatchId(date = new Date()) {
+    return `audit-${date.getTime()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** JSON with object keys sorted, so two copies of a Firestore doc compare equal regardless of key order. */
+export function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+// Stamped on every write to a backed-up collection (firestoreWithTracking), so it never counts as a change.
+const withoutUpdatedAt = (data) => {
+    if (!data) return data;
+    const { updatedAt, ...rest } = data;
+    return rest;
+};
+
+/** Top-level fields whose value differs between two document states (either side may be null). */
+export function diffAuditFields(before, after) {
+    const keys = new Set([...Object.keys(withoutUpdatedAt(before) || {}), ...Object.keys(withoutUpdatedAt(after) || {})]);
+    return [...keys]
+        .filter(key => stableStringify(before?.[key]) !== stableStringify(after?.[key]))
+        .sort()
+        .map(key => ({ field: key, before: before?.[key] ?? null, after: after?.[key] ?? null }));
+}
+
+const toAuditActor = (actor) => (actor
+    ? { uid: actor.uid || null, email: actor.email || null, displayName: actor.displayName || null }
+    : null);
+
+/**
+ * Audit the writes of one transaction: `get` remembers each doc as read, and every write made through the returned
+ * object also writes an `audit_events` doc holding the document before and after it. A transaction cannot read after
+ * its first write, so every doc except brand-new ones (`create`) must be read through `get` before it is written.
+ */
+export function auditTransaction(db, appId, tx, { action, summary, actor, batchId = createAuditBatchId(), createdAt = new Date().toISOString(), firstSeq = 0, rollback = false }) {
+    const eventsCollectionRef = collection(db, dataCollectionPath(appId, AUDIT_EVENTS_COLLECTION));
+    const state = new Map();
+    let seq = firstSeq;
+
+    const record = (ref, op, getAfter) => {
+        if (op !== 'create' && !state.has(ref.path)) throw new Error(`Audited ${op} of ${ref.path} before it was read.`);
+        const before = state.get(ref.path) ?? null;
+        const after = getAfter(before);
+        state.set(ref.path, after);
+        tx.set(doc(eventsCollectionRef), {
+            batchId,
+            seq: seq++,
+            action,
+            summary: summary || action,
+            actor: toAuditActor(actor),
+            createdAt,
+            collection: ref.parent.id,
+            docId: ref.id,
+            op,
+            before,
+            after,
+            ...(rollback ? { rollback: true } : {}),
+        });
+    };
+
+    return {
+        batchId,
+        get nextSeq() {
+            return seq;
+        },
+        /** State of every doc read or written so far, by path (null for a missing doc). */
+        get state() {
+            return state;
+        },
+        get: async (ref) => {
+            const snap = await tx.get(ref);
+            if (!state.has(ref.path)) state.set(ref.path, snap.exists() ? snap.data() : null);
+            return snap;
+        },
+        create: (ref, data) => {
+            tx.set(ref, data);
+            record(ref, 'create', () => data);
+        },
+        set: (ref, data, options) => {
+            tx.set(ref, data, options);
+            record(ref, 'set', before => (options?.merge ? { ...(before || {}), ...data } : data));
+        },
+        update: (ref, data) => {
+            tx.update(ref, data);
+            record(ref, 'update', before => ({ ...(before || {}), ...data }));
+        },
+        delete: (ref) => {
+            tx.delete(ref);
+            record(ref, 'delete', () => null);
+        },
+    };
+}
+
+/** Split mutations into runs that each fit in one transaction with their audit events and tombstones. */
+function chunkMutations(mutations) {
+    const chunks = [];
+    let current = [];
+    let writes = 0;
+    mutations.forEach((mutation) => {
+        const cost = writesPerMutation(mutation.op);
+        if (current.length > 0 && writes + cost > MAX_WRITES_PER_COMMIT) {
+            chunks.push(current);
+            current = [];
+            writes = 0;
+        }
+        current.push(mutation);
+        writes += cost;
+    });
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Apply `mutations` in one audited transaction, reading every existing doc inside it first; `verify(readState)` may
+ * throw to abort before anything is written. Returns the doc states read.
+ */
+async function commitAuditedChunk(db, appId, mutations, auditOptions, verify) {
+    return runTransaction(db, async (tx) => {
+        const audited = auditTransaction(db, appId, tx, auditOptions);
+        const refsToRead = new Map();
+        mutations.forEach(({ ref, op }) => {
+            if (op !== 'create') refsToRead.set(ref.path, ref);
+        });
+        await Promise.all([...refsToRead.values()].map(ref => audited.get(ref)));
+        const readState = new Map(audited.state);
+        verify?.(readState);
+
+        mutations.forEach((mutation) => {
+            if (mutation.op === 'create') audited.create(mutation.ref, mutation.data);
+            else if (mutation.op === 'set') audited.set(mutation.ref, mutation.data, mutation.merge ? { merge: true } : undefined);
+            else if (mutation.op === 'update') audited.update(mutation.ref, mutation.data);
+            else audited.delete(mutation.ref);
+        });
+        return { readState, nextSeq: audited.nextSeq };
+    });
+}
+
+/**
+ * Stand-in for writeBatch that also writes one `audit_events` doc per mutation, holding the
+ * document before and after the write plus a shared batch id.
+ * Use `create` for brand-new auto-id docs (no before read); set/update/delete read the doc inside the transaction
+ * that writes it. Everything commits in one transaction when it fits in 500 writes. Bigger batches (imports, long
+ * reverts) commit in several, and if one fails the ones already committed are put back, so the user action either
+ * applies in full or not at all; the rollback is recorded under the same batch id.
+ * `commit({ onProgress, verify })` reports `(writtenCount, totalCount)` after each transaction for long imports, and
+ * passes each transaction's doc states (by path) to `verify`, which may throw to stop before that transaction writes.
+ */
+export function createAuditedBatch(db, appId, { action, summary, actor }) {
+    const batchId = createAuditBatchId();
+    const mutations = [];
+
+    return {
+        batchId,
+        create: (ref, data) => { mutations.push({ ref, op: 'create', data }); },
+        set: (ref, data, options) => { mutations.push({ ref, op: 'set', data, merge: Boolean(options?.merge) }); },
+        update: (ref, data) => { mutations.push({ ref, op: 'update', data }); },
+        delete: (ref) => { mutations.push({ ref, op: 'delete' }); },
+        commit: async ({ onProgress, verify } = {}) => {
+            if (mutations.length === 0) return;
+
+            const createdAt = new Date().toISOString();
+            const auditOptions = { action, summary, actor, batchId, createdAt };
+            // The state of each doc before the first chunk that touched it, for a rollback
+            const originalState = new Map();
+            let firstSeq = 0;
+            let written = 0;
+            try {
+                for (const chunk of chunkMutations(mutations)) {
+                    const result = await commitAuditedChunk(db, appId, chunk, { ...auditOptions, firstSeq }, verify);
+                    chunk.forEach(({ ref, op }) => {
+                        if (!originalState.has(ref.path)) originalState.set(ref.path, { ref, data: op === 'create' ? null : result.readState.get(ref.path) });
+                    });
+                    firstSeq = result.nextSeq;
+                    written += chunk.length;
+                    onProgress?.(written, mutations.length);
+                }
+            } catch (err) {
+                if (originalState.size > 0) {
+                    const undo = [...originalState.values()].map(({ ref, data }) => (data ? { ref, op: 'set', data } : { ref, op: 'delete' }));
+                    try {
+                        for (const chunk of chunkMutations(undo)) {
+                            const result = await commitAuditedChunk(db, appId, chunk, { ...auditOptions, firstSeq, rollback: true });
+                            firstSeq = result.nextSeq;
+                        }
+                    } catch (rollbackErr) {
+                        console.error(`Could not roll back audit batch ${batchId}:`, rollbackErr);
+                        throw new Error(`${err?.message || err} Part of the change was saved and could not be undone (audit batch ${batchId}).`);
+                    }
+                }
+                throw err;
+            }
+        },
+    };
+}
+
+/** Collapse loaded audit events into one row per batch, newest first. */
+export function groupAuditEventsByBatch(events = []) {
+    const batches = new Map();
+    events.forEach(event => {
+        if (!batches.has(event.batchId)) {
+            batches.set(event.batchId, {
+                batchId: event.batchId,
+                action: event.action,
+                summary: event.summary,
+                actor: event.actor,
+                createdAt: event.createdAt,
+                revertedByBatchId: null,
+                rolledBack: false,
+                events: [],
+            });
+        }
+        const group = batches.get(event.batchId);
+        group.events.push(event);
+        if (event.revertedByBatchId) group.revertedByBatchId = event.revertedByBatchId;
+        if (event.rollback) group.rolledBack = true;
+    });
+    return [...batches.values()]
+        .map(group => ({ ...group, events: group.events.sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0)) }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Put every document touched by an audit batch back to its state before the batch.
+ * Documents changed again since then are returned as conflicts and nothing is written,
+ * unless `force` is set. The revert is itself an audited batch, so it can be reverted too.
+ */
+export async function revertAuditBatch(db, appId, batchId, { actor, force = false } = {}) {
+    const eventsCollectionRef = collection(db, dataCollectionPath(appId, AUDIT_EVENTS_COLLECTION));
+    const snap = await getDocs(query(eventsCollectionRef, where('batchId', '==', batchId)));
+    const events = snap.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0));
+
+    if (events.length === 0) throw new Error(`Audit batch ${batchId} was not found.`);
+    if (events.some(event => event.revertedByBatchId)) throw new Error('This batch has already been reverted.');
+    if (events.some(event => event.rollback)) throw new Error('This batch failed part-way and was already rolled back.');
+
+    // A doc written more than once in the batch goes back to the `before` of its first write.
+    const byDoc = new Map();
+    events.forEach(event => {
+        const key = auditPathKey(event.collection, event.docId);
+        const entry = byDoc.get(key);
+        if (entry) entry.last = event;
+        else byDoc.set(key, { first: event, last: event });
+    });
+
+    const targets = [...byDoc.values()].map(({ first, last }) => ({
+        ref: doc(db, dataCollectionPath(appId, first.collection), first.docId),
+        originalState: first.before,
+        batchState: last.after,
+    }));
+    const currentSnaps = await Promise.all(targets.map(target => getDoc(target.ref)));
+    const conflicts = targets
+        .map((target, index) => ({ target, current: currentSnaps[index].exists() ? currentSnaps[index].data() : null }))
+        .filter(({ target, current }) => stableStringify(withoutUpdatedAt(current)) !== stableStringify(withoutUpdatedAt(target.batchState)))
+        .map(({ target }) => auditPathKey(target.ref.parent.id, target.ref.id));
+
+    if (conflicts.length > 0 && !force) return { reverted: false, conflicts };
+
+    const revertBatch = createAuditedBatch(db, appId, {
+        action: 'revert',
+        summary: `Revert: ${events[0].summary || events[0].action}`,
+        actor,
+    });
+    targets.forEach(({ ref, originalState }) => {
+        if (originalState) revertBatch.set(ref, originalState);
+        else revertBatch.delete(ref);
+    });
+    // Checked again inside the revert's transaction, in case a doc changed since the check above.
+    const batchStateByPath = new Map(targets.map(target => [target.ref.path, target.batchState]));
+    await revertBatch.commit({
+        verify: force ? undefined : (readState) => {
+            readState.forEach((current, path) => {
+                if (stableStringify(withoutUpdatedAt(current)) !== stableStringify(withoutUpdatedAt(batchStateByPath.get(path)))) {
+                    throw new Error(`${path} changed while the revert was running. Nothing was reverted; try again.`);
+                }
+            });
+        },
+    });
+
+    const revertedAt = new Date().toISOString();
+    for (let start = 0; start < events.length; start += MAX_EVENT_UPDATES_PER_COMMIT) {
+        const batch = writeBatch(db);
+        events.slice(start, start + MAX_EVENT_UPDATES_PER_COMMIT).forEach(event => {
+            batch.update(doc(eventsCollectionRef, event.id), { revertedByBatchId: revertBatch.batchId, revertedAt });
+        });
+        await batch.commit();
+    }
+
+    return { reverted: true, conflicts, revertBatchId: revertBatch.batchId };
+}
@@ -0,0 +1,89 @@
+// src/utils/backupDiff.js
+// Compare a backup's point-in-time state (resolveBackupState in backupService.js) with live data, document by
+// document, and narrow the result to one material or job for a selective restore.
+
+import { diffAuditFields } from './auditTrail';
+
+export const BACKUP_DIFF_STATUSES = Object.freeze({
+    added: 'added', // live only: created after the backup; restoring deletes it
+    removed: 'removed', // backup only: deleted since; restoring puts it back
+    changed: 'changed', // in both with different fields; restoring overwrites live
+});
+
+/**
+ * One entry per document that differs, per collection. `fields` lists backup → live values for changed docs;
+ * `updatedAt` alone never makes a doc differ.
+ * @returns {Object<string, Array<{ collection, docId, status, backup, live, fields }>>}
+ */
+export function diffBackupState(backupState, liveState) {
+    const result = {};
+    Object.keys(backupState).forEach((coll) => {
+        const backupDocs = backupState[coll] || new Map();
+        const liveDocs = liveState[coll] || new Map();
+        const entries = [];
+
+        backupDocs.forEach((backup, docId) => {
+            const live = liveDocs.get(docId);
+            if (!live) {
+                entries.push({ collection: coll, docId, status: BACKUP_DIFF_STATUSES.removed, backup, live: null, fields: [] });
+                return;
+            }
+            const fields = diffAuditFields(backup, live);
+            if (fields.length > 0) entries.push({ collection: coll, docId, status: BACKUP_DIFF_STATUSES.changed, backup, live, fields });
+        });
+        liveDocs.forEach((live, docId) => {
+            if (!backupDocs.has(docId)) {
+                entries.push({ collection: coll, docId, status: BACKUP_DIFF_STATUSES.added, backup: null, live, fields: [] });
+            }
+        });
+
+        result[coll] = entries.sort((a, b) => a.docId.localeCompare(b.docId));
+    });
+    return result;
+}
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/** Whether one version of a doc belongs to `material`: the material doc itself, its sheets, or logs that used it. */
+function versionMatchesMaterial(coll, docId, data, material) {
+    if (coll === 'materials') return docId === material;
+    if (!data) return false;
+    if (data.materialType === material) return true;
+    return coll === 'usage_logs' && (data.details || []).some(detail => detail?.materialType === material);
+}
+
+/** Whether one version of a doc belongs to `job`: sheets ordered or used for it, or its usage logs. */
+function versionMatchesJob(coll, data, job) {
+    if (!data || coll === 'materials') return false;
+    if (sameName(data.job, job) || sameName(data.jobNameUsed, job)) return true;
+    return coll === 'usage_logs' && (data.details || []).some(detail => sameName(detail?.job, job));
+}
+
+/** Entries whose backup or live version matches the filter; an empty filter keeps everything. */
+export function filterBackupDiff(entries, { material = '', job = '' } = {}) {
+    return entries.filter(({ collection: coll, docId, backup, live }) => {
+        if (material && !versionMatchesMaterial(coll, docId, backup, material) && !versionMatchesMaterial(coll, docId, live, material)) return false;
+        if (job && !versionMatchesJob(coll, backup, job) && !versionMatchesJob(coll, live, job)) return false;
+        return true;
+    });
+}
+
+/** Materials and jobs named anywhere in the diff, for the filters. */
+export function getBackupDiffFilterOptions(diff) {
+    const materials = new Set();
+    const jobs = new Set();
+    Object.values(diff || {}).flat().forEach(({ collection: coll, docId, backup, live }) => {
+        if (coll === 'materials') materials.add(docId);
+        [backup, live].forEach((data) => {
+            if (!data) return;
+            [data.materialType, ...(data.details || []).map(detail => detail?.materialType)]
+                .filter(Boolean)
+                .forEach(material => materials.add(material));
+            [data.job, data.jobNameUsed, ...(data.details || []).map(detail => detail?.job)]
+                .filter(Boolean)
+                .forEach(job => jobs.add(String(job).trim()));
+        });
+    });
+    const sorted = (set) => [...set].sort((a, b) => a.localeCompare(b));
+    return { materials: sorted(materials), jobs: sorted(jobs) };
+}
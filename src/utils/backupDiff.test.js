@@ -0,0 +1,75 @@
+import { BACKUP_DIFF_STATUSES, diffBackupState, filterBackupDiff, getBackupDiffFilterOptions } from './backupDiff';
+
+const docs = (entries) => new Map(Object.entries(entries));
+
+describe('diffBackupState', () => {
+    const backupState = {
+        inventory: docs({
+            s1: { materialType: 'AL', job: 'J-1', status: 'On Hand', updatedAt: 1 },
+            s2: { materialType: 'AL', job: 'J-1', status: 'On Hand', dims: { length: 96, width: 48 } },
+            s3: { materialType: 'SS', job: 'J-2', status: 'Ordered' },
+        }),
+        usage_logs: docs({
+            l1: { job: 'J-2', details: [{ materialType: 'SS', job: 'J-2' }] },
+        }),
+        materials: docs({ AL: { category: 'Aluminum', thickness: 0.1 } }),
+    };
+    const liveState = {
+        inventory: docs({
+            s1: { materialType: 'AL', job: 'J-1', status: 'On Hand', updatedAt: 2 },
+            s2: { dims: { width: 48, length: 96 }, materialType: 'AL', job: 'J-1', status: 'Used', note: 'cut' },
+            s4: { materialType: 'BR', jobNameUsed: 'J-3', status: 'On Hand' },
+        }),
+        materials: docs({ AL: { category: 'Aluminum', thickness: 0.125 } }),
+    };
+    const diff = diffBackupState(backupState, liveState);
+
+    it('reports changed fields as backup and live values, ignoring key order and updatedAt', () => {
+        expect(diff.inventory.find(entry => entry.docId === 's2')).toMatchObject({
+            status: BACKUP_DIFF_STATUSES.changed,
+            fields: [
+                { field: 'note', before: null, after: 'cut' },
+                { field: 'status', before: 'On Hand', after: 'Used' },
+            ],
+        });
+        expect(diff.materials).toEqual([{
+            collection: 'materials',
+            docId: 'AL',
+            status: BACKUP_DIFF_STATUSES.changed,
+            backup: backupState.materials.get('AL'),
+            live: liveState.materials.get('AL'),
+            fields: [{ field: 'thickness', before: 0.1, after: 0.125 }],
+        }]);
+    });
+
+    it('lists docs removed since the backup and added after it, sorted by id', () => {
+        expect(diff.inventory.map(entry => [entry.docId, entry.status])).toEqual([
+            ['s2', 'changed'],
+            ['s3', 'removed'],
+            ['s4', 'added'],
+        ]);
+        expect(diff.inventory[1]).toMatchObject({ live: null, fields: [] });
+        expect(diff.inventory[2]).toMatchObject({ backup: null, fields: [] });
+        // No live usage logs at all
+        expect(diff.usage_logs).toEqual([expect.objectContaining({ docId: 'l1', status: 'removed' })]);
+    });
+
+    it('filters by material on either version, including usage log details', () => {
+        expect(filterBackupDiff(diff.inventory, { material: 'AL' }).map(e => e.docId)).toEqual(['s2']);
+        expect(filterBackupDiff(diff.usage_logs, { material: 'SS' }).map(e => e.docId)).toEqual(['l1']);
+        expect(filterBackupDiff(diff.materials, { material: 'AL' }).map(e => e.docId)).toEqual(['AL']);
+        expect(filterBackupDiff(diff.materials, { material: 'SS' })).toEqual([]);
+    });
+
+    it('filters by job ignoring case and spacing, and never matches materials', () => {
+        expect(filterBackupDiff(diff.inventory, { job: ' j-3 ' }).map(e => e.docId)).toEqual(['s4']);
+        expect(filterBackupDiff(diff.inventory, { material: 'AL', job: 'J-2' })).toEqual([]);
+        expect(filterBackupDiff(diff.materials, { job: 'J-1' })).toEqual([]);
+        expect(filterBackupDiff(diff.inventory)).toHaveLength(3);
+    });
+
+    it('offers every material and job named in the diff', () => {
+        expect(getBackupDiffFilterOptions(diff)).toEqual({ materials: ['AL', 'BR', 'SS'], jobs: ['J-1', 'J-2', 'J-3'] });
+        expect(getBackupDiffFilterOptions(null)).toEqual({ materials: [], jobs: [] });
+    });
+});
@@ -1,6 +1,21 @@
 // src/utils/backupService.js
 
-import { collection, doc, getDocs, writeBatch, setDoc, getDoc, collectionGroup } from '../firebase/firestoreWithTracking';
+import {
+  collection,
+  doc,
+  getDocs,
+  writeBatch,
+  setDoc,
+  getDoc,
+  collectionGroup,
+  query,
+  where,
+  orderBy,
+  limit,
+  serverTimestamp,
+} from '../firebase/firestoreWithTracking';
+import { CHANGE_TRACKED_COLLECTIONS, DELETED_DOCS_COLLECTION } from '../constants/changeTracking';
+import { diffBackupState } from './backupDiff';
 
 export function generateBackupId(date = new Date()) {
   // YYYY-MM-DDTHH-mm-ss
@@ -14,47 +29,81 @@ export function generateBackupId(date = new Date()) {
   return `${yyyy}-${mm}-${dd}T${HH}-${MM}-${SS}`;
 }
 
-export async function backupCollections(db, appId, collectionsToBackup) {
+const BATCH_LIMIT = 450;
+// After this many increments in a row the next backup is a full copy, so a restore never replays a long chain
+export const MAX_INCREMENTAL_CHAIN = 13;
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+// Chunks by queued operations, not by writes: deleting a tracked doc also queues its tombstone
+async function commitInChunks(db, writes, onChunk) {
+  let batch = writeBatch(db);
+  for (let i = 0; i < writes.length; i += 1) {
+    writes[i](batch);
+    if (batch.size >= BATCH_LIMIT || i === writes.length - 1) {
+      await batch.commit();
+      onChunk?.(i + 1);
+      batch = writeBatch(db);
+    }
+  }
+}
+
+// Newest finished backup that recorded a watermark; older backups (and ones still running) have none
+async function findIncrementalBase(db, appId) {
+  const snap = await getDocs(query(collection(db, `${dataPath(appId)}/backups`), orderBy('watermark', 'desc'), limit(1)));
+  return snap.empty ? null : { id: snap.docs[0].id, ...snap.docs[0].data() };
+}
+
+/**
+ * Copy collections under backups/{backupId}. When an earlier backup has a watermark (and the chain is not too long)
+ * only docs whose `updatedAt` is at or after it are copied, plus the tombstones of docs deleted since; pass
+ * `full: true` to copy everything. Writes that bypass firestoreWithTracking (admin scripts) carry no `updatedAt`,
+ * so take a full backup after running one.
+ * @returns {Promise<{ backupId: string, totalDocs: number, kind: 'full' | 'incremental', baseId: string | null }>}
+ */
+export async function backupCollections(db, appId, collectionsToBackup, { full = false, trigger = 'manual' } = {}) {
   const backupId = generateBackupId();
   // Store backups under public/data to match existing structure and permissions
-  const rootPath = `artifacts/${appId}/public/data/backups/${backupId}`;
+  const rootPath = `${dataPath(appId)}/backups/${backupId}`;
+  const backupDocRef = doc(db, `${dataPath(appId)}/backups`, backupId);
 
-  let totalDocs = 0;
+  const previous = full ? null : await findIncrementalBase(db, appId);
+  const base = previous && (previous.chainLength || 0) < MAX_INCREMENTAL_CHAIN ? previous : null;
+  const kind = base ? 'incremental' : 'full';
+
+  // Read the start time back from the server: writes committed after it get a later `updatedAt`, so the next
+  // increment, which copies from this watermark, cannot miss them whatever the clocks in the shop say.
+  await setDoc(backupDocRef, { startedAt: serverTimestamp(), kind, trigger }, { merge: true });
+  const watermark = (await getDoc(backupDocRef)).data()?.startedAt;
+  if (!watermark) throw new Error('Could not read the backup start time from the server.');
 
+  let totalDocs = 0;
   for (const coll of collectionsToBackup) {
-    const srcRef = collection(db, `artifacts/${appId}/public/data/${coll}`);
-    const snap = await getDocs(srcRef);
-
-    let batch = writeBatch(db);
-    let ops = 0;
-    for (const docSnap of snap.docs) {
-      const dstRef = doc(db, `${rootPath}/${coll}`, docSnap.id);
-      batch.set(dstRef, docSnap.data());
-      ops += 1;
-      totalDocs += 1;
-      if (ops >= 450) {
-        // commit periodically to stay well under 500 limit
-        await batch.commit();
-        batch = writeBatch(db);
-        ops = 0;
-      }
-    }
+    const srcRef = collection(db, `${dataPath(appId)}/${coll}`);
+    const snap = await getDocs(base ? query(srcRef, where('updatedAt', '>=', base.watermark)) : srcRef);
+    await commitInChunks(db, snap.docs.map((docSnap) => (batch) => batch.set(doc(db, `${rootPath}/${coll}`, docSnap.id), docSnap.data())));
+    totalDocs += snap.size;
+  }
 
-    if (ops > 0) {
-      await batch.commit();
-    }
+  let deletedDocs = 0;
+  if (base) {
+    const tombstones = await getDocs(query(collection(db, `${dataPath(appId)}/${DELETED_DOCS_COLLECTION}`), where('deletedAt', '>=', base.watermark)));
+    const relevant = tombstones.docs.filter((d) => collectionsToBackup.includes(d.data().collection));
+    await commitInChunks(db, relevant.map((d) => (batch) => batch.set(doc(db, `${rootPath}/${DELETED_DOCS_COLLECTION}`, d.id), d.data())));
+    deletedDocs = relevant.length;
   }
 
-  // Write metadata
+  const createdAt = new Date().toISOString();
+  const chain = { kind, baseId: base?.id || null, chainLength: base ? (base.chainLength || 0) + 1 : 0 };
+
   // Track latest backup under public/data as well
   const metaRef = doc(db, 'artifacts', appId, 'public', 'data', 'backups_meta', 'latest');
-  await setDoc(metaRef, { id: backupId, createdAt: new Date().toISOString(), totalDocs }, { merge: true });
+  await setDoc(metaRef, { id: backupId, createdAt, totalDocs, ...chain }, { merge: true });
 
-  // Also create a document for this backup so it appears in list queries
-  const backupDocRef = doc(db, `artifacts/${appId}/public/data/backups`, backupId);
-  await setDoc(backupDocRef, { createdAt: new Date().toISOString(), totalDocs }, { merge: true });
+  // The watermark goes on last: until then this backup is not picked as the base of the next one
+  await setDoc(backupDocRef, { createdAt, totalDocs, deletedDocs, trigger, ...chain, watermark }, { merge: true });
 
-  return { backupId, totalDocs };
+  return { backupId, totalDocs, kind, baseId: chain.baseId };
 }
 
 export async function getLatestBackupInfo(db, appId) {
@@ -65,57 +114,119 @@ export async function getLatestBackupInfo(db, appId) {
   return snap.data();
 }
 
+// Written by the scheduledBackup Cloud Function (functions/backups.js) after every nightly run
+export async function getScheduledBackupStatus(db, appId) {
+  const ref = doc(db, 'artifacts', appId, 'public', 'data', 'backups_meta', 'schedule');
+  const snap = await getDoc(ref);
+  if (!snap.exists()) return null;
+  return snap.data();
+}
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : (value ? new Date(value).getTime() : 0));
+
+/** Backups from the full one up to `backupId`, oldest first. Backups taken before increments existed are full. */
+export async function getBackupChain(db, appId, backupId) {
+  const chain = [];
+  const seen = new Set();
+  let id = backupId;
+  while (id) {
+    if (seen.has(id)) throw new Error(`Backup chain loops at ${id}`);
+    seen.add(id);
+    const snap = await getDoc(doc(db, `${dataPath(appId)}/backups`, id));
+    if (!snap.exists() && chain.length > 0) throw new Error(`Backup ${id}, needed to restore ${backupId}, is missing`);
+    const entry = { id, ...(snap.exists() ? snap.data() : {}) };
+    chain.unshift(entry);
+    id = entry.kind === 'incremental' ? entry.baseId : null;
+  }
+  return chain;
+}
+
+/**
+ * Point-in-time contents of each collection as of `backupId`: the full backup, then every increment's changed docs
+ * and deletions in order. A doc deleted and re-created within one increment keeps whichever happened last.
+ * @returns {Promise<{ chain: object[], state: Object<string, Map<string, object>> }>}
+ */
+export async function resolveBackupState(db, appId, backupId, collections, onProgress) {
+  const chain = await getBackupChain(db, appId, backupId);
+  const state = Object.fromEntries(collections.map((coll) => [coll, new Map()]));
+
+  for (const backup of chain) {
+    const rootPath = `${dataPath(appId)}/backups/${backup.id}`;
+    const copied = {};
+    for (const coll of collections) {
+      const snap = await getDocs(collection(db, `${rootPath}/${coll}`));
+      copied[coll] = new Map(snap.docs.map((d) => [d.id, d.data()]));
+      copied[coll].forEach((data, id) => state[coll].set(id, data));
+      onProgress?.({ phase: 'chain-read', backupId: backup.id, collection: coll, count: snap.size });
+    }
+    if (backup.kind !== 'incremental') continue;
+
+    const tombstones = await getDocs(collection(db, `${rootPath}/${DELETED_DOCS_COLLECTION}`));
+    tombstones.docs.forEach((d) => {
+      const { collection: coll, docId, deletedAt } = d.data();
+      if (!state[coll]) return;
+      const recreated = copied[coll].get(docId);
+      if (!recreated || toMillis(deletedAt) >= toMillis(recreated.updatedAt)) state[coll].delete(docId);
+    });
+  }
+
+  return { chain, state };
+}
+
 export async function restoreCollectionsFromBackup(db, appId, backupId, collectionsToRestore, onProgress) {
-  const rootPath = `artifacts/${appId}/public/data/backups/${backupId}`;
+  const { state } = await resolveBackupState(db, appId, backupId, collectionsToRestore);
   let restored = 0;
 
   for (const coll of collectionsToRestore) {
-    const srcRef = collection(db, `${rootPath}/${coll}`);
-    const snap = await getDocs(srcRef);
-    onProgress?.({ phase: 'read', collection: coll, count: snap.size });
-
-    // Clear existing documents in the destination collection before restore
-    const dstRef = collection(db, `artifacts/${appId}/public/data/${coll}`);
-    const existingSnap = await getDocs(dstRef);
-    if (!existingSnap.empty) {
-      let delBatch = writeBatch(db);
-      let dels = 0;
-      for (const d of existingSnap.docs) {
-        delBatch.delete(doc(db, `artifacts/${appId}/public/data/${coll}`, d.id));
-        dels += 1;
-        if (dels >= 450) {
-          await delBatch.commit();
-          delBatch = writeBatch(db);
-          dels = 0;
-          onProgress?.({ phase: 'delete-progress', collection: coll });
-        }
-      }
-      if (dels > 0) await delBatch.commit();
-    }
+    const target = state[coll];
+    onProgress?.({ phase: 'read', collection: coll, count: target.size });
 
-    let batch = writeBatch(db);
-    let ops = 0;
-    for (const docSnap of snap.docs) {
-      const dstRef = doc(db, `artifacts/${appId}/public/data/${coll}`, docSnap.id);
-      batch.set(dstRef, docSnap.data());
-      ops += 1;
-      restored += 1;
-      if (ops >= 450) {
-        await batch.commit();
-        batch = writeBatch(db);
-        ops = 0;
-        onProgress?.({ phase: 'write-progress', collection: coll, restored });
-      }
-    }
-    if (ops > 0) {
-      await batch.commit();
-    }
+    // Remove live documents the backup does not have; the rest are overwritten below
+    const dstPath = `${dataPath(appId)}/${coll}`;
+    const existingSnap = await getDocs(collection(db, dstPath));
+    const extra = existingSnap.docs.filter((d) => !target.has(d.id));
+    await commitInChunks(db, extra.map((d) => (batch) => batch.delete(doc(db, dstPath, d.id))), () => {
+      onProgress?.({ phase: 'delete-progress', collection: coll });
+    });
+
+    const restoredBefore = restored;
+    await commitInChunks(db, Array.from(target, ([id, data]) => (batch) => batch.set(doc(db, dstPath, id), data)), (written) => {
+      onProgress?.({ phase: 'write-progress', collection: coll, restored: restoredBefore + written });
+    });
+    restored += target.size;
     onProgress?.({ phase: 'collection-complete', collection: coll });
   }
 
   return { restored };
 }
 
+/** Backup `backupId` compared with live data, per collection (see utils/backupDiff.js). */
+export async function diffBackupWithLive(db, appId, backupId, collections, onProgress) {
+  const { state } = await resolveBackupState(db, appId, backupId, collections, onProgress);
+  const live = {};
+  for (const coll of collections) {
+    const snap = await getDocs(collection(db, `${dataPath(appId)}/${coll}`));
+    live[coll] = new Map(snap.docs.map((d) => [d.id, d.data()]));
+  }
+  return diffBackupState(state, live);
+}
+
+/**
+ * Put only the given diff entries back to their backed-up version; a doc the backup does not have is deleted.
+ * Every other document is left as it is.
+ */
+export async function restoreBackupDocuments(db, appId, entries, onProgress) {
+  const writes = entries.map(({ collection: coll, docId, backup }) => {
+    const ref = doc(db, `${dataPath(appId)}/${coll}`, docId);
+    return (batch) => (backup ? batch.set(ref, backup) : batch.delete(ref));
+  });
+  await commitInChunks(db, writes, (written) => onProgress?.(written, writes.length));
+  return {
+    restored: entries.filter((entry) => entry.backup).length,
+    deleted: entries.filter((entry) => !entry.backup).length,
+  };
+}
+
 export async function repairInventoryMaterialKeys(db, appId, materialsKeys) {
   // Normalize inventory.materialType to one of materialsKeys using hyphen/slash variants
   const srcRef = collection(db, `artifacts/${appId}/public/data/inventory`);
@@ -164,7 +275,7 @@ export async function listBackups(db, appId) {
   // If nothing was found, infer backup IDs by scanning subcollections under the backups tree
   if (all.length === 0) {
     try {
-      const subNames = ['materials', 'inventory', 'usage_logs'];
+      const subNames = CHANGE_TRACKED_COLLECTIONS;
       const idSet = new Set();
       // Use collection group to find subcollections and extract backupId from path
       for (const sub of subNames) {
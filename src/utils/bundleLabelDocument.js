@@ -0,0 +1,51 @@
+// src/utils/bundleLabelDocument.js
+
+import { encodeQrCode, qrCodeToSvg } from './qrCode';
+import { formatSheetSize } from './sheetSizes';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/** Printable page of 4" x 2" bundle labels (`buildBundleLabels`), QR code on the left and the same facts in text. */
+export function buildBundleLabelsHtml(labels, { copiesPerBundle = 1 } = {}) {
+    const cards = labels.flatMap(label => {
+        const svg = qrCodeToSvg(encodeQrCode(label.payload), { pixelSize: 3 });
+        const card = `
+        <div class="label">
+            <div class="qr">${svg}</div>
+            <div class="text">
+                <div class="material">${escapeHtml(label.materialType)}</div>
+                <div class="size">${escapeHtml(formatSheetSize(label))}</div>
+                <div>${escapeHtml(label.supplier || 'Unknown supplier')}</div>
+                <div>${escapeHtml(label.job)}</div>
+                <div class="meta">Rec'd ${escapeHtml(label.receivedDate ? new Date(`${label.receivedDate}T00:00:00`).toLocaleDateString() : 'N/A')} · ${label.sheetCount} sh · ${escapeHtml(label.batchId)}</div>
+            </div>
+        </div>`;
+        return Array.from({ length: copiesPerBundle }, () => card);
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Bundle labels</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #000; margin: 16px; }
+    .sheet { display: flex; flex-wrap: wrap; gap: 8px; }
+    .label { box-sizing: border-box; width: 4in; height: 2in; border: 1px dashed #999; padding: 0.1in; display: flex; gap: 0.12in; align-items: center; page-break-inside: avoid; break-inside: avoid; }
+    .qr svg { width: 1.7in; height: 1.7in; display: block; }
+    .text { min-width: 0; font-size: 11px; line-height: 1.35; }
+    .material { font-size: 15px; font-weight: bold; }
+    .size { font-size: 20px; font-weight: bold; }
+    .meta { margin-top: 4px; font-size: 9px; color: #333; font-family: monospace; }
+    @media print { body { margin: 0; } .label { border-color: transparent; } }
+</style>
+</head>
+<body>
+    <div class="sheet">${cards.join('') || '<p>No received sheets to label.</p>'}</div>
+</body>
+</html>`;
+}
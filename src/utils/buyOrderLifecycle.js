@@ -0,0 +1,135 @@
+// src/utils/buyOrderLifecycle.js
+
+import { doc, runTransaction } from '../firebase/firestoreWithTracking';
+import { getOriginalQuantity } from './inventoryLots';
+
+export const BUY_ORDER_STATES = Object.freeze({
+    DRAFT: 'draft',
+    SENT: 'sent',
+    ACKNOWLEDGED: 'acknowledged',
+    PARTIALLY_RECEIVED: 'partially_received',
+    RECEIVED: 'received',
+    CLOSED: 'closed',
+    CANCELLED: 'cancelled',
+});
+
+export const BUY_ORDER_STATE_LABELS = Object.freeze({
+    draft: 'Draft',
+    sent: 'Sent',
+    acknowledged: 'Acknowledged',
+    partially_received: 'Partially Received',
+    received: 'Received',
+    closed: 'Closed',
+    cancelled: 'Cancelled',
+});
+
+const { DRAFT, SENT, ACKNOWLEDGED, PARTIALLY_RECEIVED, RECEIVED, CLOSED, CANCELLED } = BUY_ORDER_STATES;
+
+/** Allowed next states. Closed and Cancelled are final; a partial order can be closed short. */
+const TRANSITIONS = Object.freeze({
+    [DRAFT]: [SENT, CANCELLED],
+    [SENT]: [ACKNOWLEDGED, PARTIALLY_RECEIVED, RECEIVED, CANCELLED],
+    [ACKNOWLEDGED]: [PARTIALLY_RECEIVED, RECEIVED, CANCELLED],
+    [PARTIALLY_RECEIVED]: [RECEIVED, CLOSED],
+    [RECEIVED]: [CLOSED],
+    [CLOSED]: [],
+    [CANCELLED]: [],
+});
+
+export const TERMINAL_BUY_ORDER_STATES = Object.freeze([CLOSED, CANCELLED]);
+
+/** Every state but the final ones; few enough for one `in` query. */
+export const OPEN_BUY_ORDER_STATES = Object.freeze(Object.values(BUY_ORDER_STATES).filter(state => !TERMINAL_BUY_ORDER_STATES.includes(state)));
+
+// Orders written before the state machine only carried `workflowStatus`.
+const LEGACY_WORKFLOW_STATES = { emailed: SENT, received: RECEIVED, cleared: CLOSED };
+
+/** `workflowStatus` values of legacy orders that are still open, for querying orders saved without a `state`. */
+export const LEGACY_OPEN_WORKFLOW_STATUSES = Object.freeze(
+    Object.keys(LEGACY_WORKFLOW_STATES).filter(status => !TERMINAL_BUY_ORDER_STATES.includes(LEGACY_WORKFLOW_STATES[status]))
+);
+
+export function getBuyOrderState(buyOrder) {
+    if (buyOrder?.state && TRANSITIONS[buyOrder.state]) return buyOrder.state;
+    return LEGACY_WORKFLOW_STATES[buyOrder?.workflowStatus] || SENT;
+}
+
+export const isOpenBuyOrder = (buyOrder) => !TERMINAL_BUY_ORDER_STATES.includes(getBuyOrderState(buyOrder));
+
+export const getNextBuyOrderStates = (buyOrder) => TRANSITIONS[getBuyOrderState(buyOrder)] || [];
+
+export const canTransitionBuyOrder = (buyOrder, nextState) => getNextBuyOrderStates(buyOrder).includes(nextState);
+
+/** Fields for a new buy order entering the lifecycle at `state`. */
+export function buildInitialBuyOrderState(state, actor, at = new Date().toISOString()) {
+    return {
+        state,
+        stateTimestamps: { [state]: at },
+        stateHistory: [{ from: null, to: state, at, by: actor?.email || null }],
+    };
+}
+
+/**
+ * Update fields that move `buyOrder` to `nextState`, stamping the time of the transition.
+ * Throws when the transition is not allowed from the order's current state.
+ */
+export function buildBuyOrderTransition(buyOrder, nextState, actor, at = new Date().toISOString()) {
+    const from = getBuyOrderState(buyOrder);
+    if (!canTransitionBuyOrder(buyOrder, nextState)) {
+        throw new Error(`A ${BUY_ORDER_STATE_LABELS[from]} buy order cannot be marked ${BUY_ORDER_STATE_LABELS[nextState] || nextState}.`);
+    }
+    return {
+        state: nextState,
+        stateTimestamps: { ...(buyOrder.stateTimestamps || {}), [nextState]: at },
+        stateHistory: [...(buyOrder.stateHistory || []), { from, to: nextState, at, by: actor?.email || null }],
+    };
+}
+
+/**
+ * Move a buy order to `nextState` against its latest saved state. Returns false without writing when
+ * another browser already made the move. Any other disallowed move throws, unless `ifAllowed` is set
+ * (background syncs), in which case it is skipped.
+ */
+export async function transitionBuyOrder(db, appId, buyOrderId, nextState, { actor, extra = {}, ifAllowed = false } = {}) {
+    const ref = doc(db, `artifacts/${appId}/public/data/buy_orders`, buyOrderId);
+    return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists()) throw new Error('This buy order no longer exists.');
+        const current = snap.data();
+        if (getBuyOrderState(current) === nextState) return false;
+        if (ifAllowed && !canTransitionBuyOrder(current, nextState)) return false;
+        tx.update(ref, { ...buildBuyOrderTransition(current, nextState, actor), ...extra });
+        return true;
+    });
+}
+
+/** State to close out an order from the queue: untouched orders are cancelled, received ones closed. */
+export function getDismissedBuyOrderState(buyOrder) {
+    const state = getBuyOrderState(buyOrder);
+    return state === PARTIALLY_RECEIVED || state === RECEIVED ? CLOSED : CANCELLED;
+}
+
+/**
+ * Inventory sheets (or lots) created from each buy order, by `buyOrderId`. `orderedQty` and `receivedQty` count
+ * sheets, since a lot stands for several; a partly received lot is split, so each doc is on one side.
+ */
+export function groupInventoryByBuyOrder(inventory) {
+    const linked = {};
+    (inventory || []).forEach(item => {
+        if (!item.buyOrderId) return;
+        if (!linked[item.buyOrderId]) linked[item.buyOrderId] = { ordered: [], received: [], orderedQty: 0, receivedQty: 0 };
+        const side = item.status === 'Ordered' ? 'ordered' : 'received';
+        linked[item.buyOrderId][side].push(item);
+        linked[item.buyOrderId][`${side}Qty`] += getOriginalQuantity(item);
+    });
+    return linked;
+}
+
+/**
+ * Receipt state implied by an order's linked sheets, or null when they say nothing new:
+ * no sheets linked yet, or every sheet still Ordered.
+ */
+export function getReceiptStateFromInventory(linked) {
+    if (!linked || linked.received.length === 0) return null;
+    return linked.ordered.length > 0 ? PARTIALLY_RECEIVED : RECEIVED;
+}
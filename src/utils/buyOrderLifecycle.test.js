@@ -0,0 +1,154 @@
+import { doc, runTransaction } from '../firebase/firestoreWithTracking';
+import {
+    BUY_ORDER_STATES,
+    LEGACY_OPEN_WORKFLOW_STATUSES,
+    OPEN_BUY_ORDER_STATES,
+    buildBuyOrderTransition,
+    buildInitialBuyOrderState,
+    canTransitionBuyOrder,
+    getBuyOrderState,
+    getDismissedBuyOrderState,
+    getNextBuyOrderStates,
+    getReceiptStateFromInventory,
+    groupInventoryByBuyOrder,
+    isOpenBuyOrder,
+    transitionBuyOrder,
+} from './buyOrderLifecycle';
+
+jest.mock('../firebase/firestoreWithTracking', () => ({ doc: jest.fn(), runTransaction: jest.fn() }));
+
+const { DRAFT, SENT, ACKNOWLEDGED, PARTIALLY_RECEIVED, RECEIVED, CLOSED, CANCELLED } = BUY_ORDER_STATES;
+const actor = { email: 'buyer@example.com' };
+
+describe('buy order states', () => {
+    it('reads legacy workflow statuses and defaults to sent', () => {
+        expect(getBuyOrderState({ state: ACKNOWLEDGED })).toBe(ACKNOWLEDGED);
+        expect(getBuyOrderState({ workflowStatus: 'emailed' })).toBe(SENT);
+        expect(getBuyOrderState({ workflowStatus: 'received' })).toBe(RECEIVED);
+        expect(getBuyOrderState({ workflowStatus: 'cleared' })).toBe(CLOSED);
+        expect(getBuyOrderState({ state: 'bogus' })).toBe(SENT);
+        expect(getBuyOrderState(null)).toBe(SENT);
+    });
+
+    it('lists the open states and legacy statuses for queries', () => {
+        expect(OPEN_BUY_ORDER_STATES).toEqual([DRAFT, SENT, ACKNOWLEDGED, PARTIALLY_RECEIVED, RECEIVED]);
+        expect(LEGACY_OPEN_WORKFLOW_STATUSES).toEqual(['emailed', 'received']);
+        expect(isOpenBuyOrder({ state: RECEIVED })).toBe(true);
+        expect(isOpenBuyOrder({ state: CANCELLED })).toBe(false);
+        expect(isOpenBuyOrder({ workflowStatus: 'cleared' })).toBe(false);
+    });
+
+    it.each([
+        [DRAFT, [SENT, CANCELLED]],
+        [SENT, [ACKNOWLEDGED, PARTIALLY_RECEIVED, RECEIVED, CANCELLED]],
+        [ACKNOWLEDGED, [PARTIALLY_RECEIVED, RECEIVED, CANCELLED]],
+        [PARTIALLY_RECEIVED, [RECEIVED, CLOSED]],
+        [RECEIVED, [CLOSED]],
+        [CLOSED, []],
+        [CANCELLED, []],
+    ])('allows %s to move to %j', (state, next) => {
+        expect(getNextBuyOrderStates({ state })).toEqual(next);
+    });
+
+    it('does not skip back or reopen', () => {
+        expect(canTransitionBuyOrder({ state: RECEIVED }, SENT)).toBe(false);
+        expect(canTransitionBuyOrder({ state: CLOSED }, RECEIVED)).toBe(false);
+        expect(canTransitionBuyOrder({ state: PARTIALLY_RECEIVED }, CANCELLED)).toBe(false);
+    });
+
+    it('cancels untouched orders and closes received ones when dismissed', () => {
+        expect(getDismissedBuyOrderState({ state: SENT })).toBe(CANCELLED);
+        expect(getDismissedBuyOrderState({ state: PARTIALLY_RECEIVED })).toBe(CLOSED);
+        expect(getDismissedBuyOrderState({ workflowStatus: 'received' })).toBe(CLOSED);
+    });
+});
+
+describe('buildBuyOrderTransition', () => {
+    it('stamps the transition onto the history', () => {
+        const order = buildInitialBuyOrderState(DRAFT, actor, '2024-05-01T00:00:00.000Z');
+        expect(order).toEqual({
+            state: DRAFT,
+            stateTimestamps: { draft: '2024-05-01T00:00:00.000Z' },
+            stateHistory: [{ from: null, to: DRAFT, at: '2024-05-01T00:00:00.000Z', by: 'buyer@example.com' }],
+        });
+        expect(buildBuyOrderTransition(order, SENT, null, '2024-05-02T00:00:00.000Z')).toEqual({
+            state: SENT,
+            stateTimestamps: { draft: '2024-05-01T00:00:00.000Z', sent: '2024-05-02T00:00:00.000Z' },
+            stateHistory: [
+                ...order.stateHistory,
+                { from: DRAFT, to: SENT, at: '2024-05-02T00:00:00.000Z', by: null },
+            ],
+        });
+    });
+
+    it('starts the history of a legacy order from its implied state', () => {
+        expect(buildBuyOrderTransition({ workflowStatus: 'emailed' }, RECEIVED, actor, 'now').stateHistory)
+            .toEqual([{ from: SENT, to: RECEIVED, at: 'now', by: 'buyer@example.com' }]);
+    });
+
+    it('throws on a disallowed move', () => {
+        expect(() => buildBuyOrderTransition({ state: CLOSED }, SENT, actor))
+            .toThrow('A Closed buy order cannot be marked Sent.');
+    });
+});
+
+describe('transitionBuyOrder', () => {
+    const runAgainst = (saved) => {
+        const tx = {
+            get: jest.fn(async () => ({ exists: () => saved !== null, data: () => saved })),
+            update: jest.fn(),
+        };
+        doc.mockImplementation((db, path, id) => ({ path: `${path}/${id}` }));
+        runTransaction.mockImplementation((db, fn) => fn(tx));
+        return tx;
+    };
+
+    it('updates the order with the transition and any extra fields', async () => {
+        const tx = runAgainst({ state: SENT });
+        await expect(transitionBuyOrder('db', 'app', 'bo1', RECEIVED, { actor, extra: { note: 'x' } })).resolves.toBe(true);
+        expect(doc).toHaveBeenCalledWith('db', 'artifacts/app/public/data/buy_orders', 'bo1');
+        expect(tx.update).toHaveBeenCalledWith({ path: 'artifacts/app/public/data/buy_orders/bo1' }, expect.objectContaining({ state: RECEIVED, note: 'x' }));
+    });
+
+    it('skips a move another browser already made', async () => {
+        const tx = runAgainst({ state: RECEIVED });
+        await expect(transitionBuyOrder('db', 'app', 'bo1', RECEIVED, { actor })).resolves.toBe(false);
+        expect(tx.update).not.toHaveBeenCalled();
+    });
+
+    it('throws on a disallowed move unless asked to skip it', async () => {
+        runAgainst({ state: CLOSED });
+        await expect(transitionBuyOrder('db', 'app', 'bo1', SENT, { actor })).rejects.toThrow('cannot be marked');
+        const tx = runAgainst({ state: CLOSED });
+        await expect(transitionBuyOrder('db', 'app', 'bo1', SENT, { actor, ifAllowed: true })).resolves.toBe(false);
+        expect(tx.update).not.toHaveBeenCalled();
+    });
+
+    it('throws when the order is gone', async () => {
+        runAgainst(null);
+        await expect(transitionBuyOrder('db', 'app', 'bo1', SENT, { actor })).rejects.toThrow('no longer exists');
+    });
+});
+
+describe('receipt state from linked stock', () => {
+    const linked = groupInventoryByBuyOrder([
+        { buyOrderId: 'bo1', status: 'Ordered' },
+        { buyOrderId: 'bo1', status: 'On Hand', quantity: 3, remainingQty: 1 },
+        { buyOrderId: 'bo2', status: 'Ordered', quantity: 4, remainingQty: 4 },
+        { buyOrderId: 'bo3', status: 'On Hand' },
+        { status: 'On Hand' },
+    ]);
+
+    it('groups sheets and lots by buy order and counts sheets', () => {
+        expect(Object.keys(linked)).toEqual(['bo1', 'bo2', 'bo3']);
+        expect(linked.bo1).toMatchObject({ orderedQty: 1, receivedQty: 3 });
+        expect(linked.bo2).toMatchObject({ orderedQty: 4, receivedQty: 0 });
+    });
+
+    it('derives partial, full or no receipt', () => {
+        expect(getReceiptStateFromInventory(linked.bo1)).toBe(PARTIALLY_RECEIVED);
+        expect(getReceiptStateFromInventory(linked.bo2)).toBeNull();
+        expect(getReceiptStateFromInventory(linked.bo3)).toBe(RECEIVED);
+        expect(getReceiptStateFromInventory(undefined)).toBeNull();
+    });
+});
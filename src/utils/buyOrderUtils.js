@@ -1,5 +1,6 @@
 import { CC_EMAIL, SUPPLIER_INFO } from '../constants/suppliers';
-import { STANDARD_LENGTHS } from '../constants/materials';
+import { DEFAULT_SHEET_SIZES } from '../constants/materials';
+import { formatSheetSize, normalizeSizeQtyFields, parseSheetSizeKey } from './sheetSizes';
 
 /**
  * Normalizes line breaks, strips invisible characters, and maps Unicode spaces to ASCII U+0020
@@ -40,12 +41,13 @@ export function getSupplierEmailInfo(supplier, supplierInfoOverrides) {
 function formatLineItemSizes(item) {
     const lines = [];
 
-    [...STANDARD_LENGTHS].sort((a, b) => b - a).forEach((length) => {
-        const qty = parseInt(item?.[`qty${length}`] || 0, 10);
-        if (qty > 0) {
-            lines.push(`${length}"x48" -QTY: ${qty}`);
-        }
-    });
+    Object.entries(normalizeSizeQtyFields(item))
+        .map(([field, value]) => ({ size: parseSheetSizeKey(field.slice(3)), qty: parseInt(value || 0, 10) }))
+        .filter(({ size, qty }) => size && qty > 0)
+        .sort((a, b) => (b.size.width - a.size.width) || (b.size.length - a.size.length))
+        .forEach(({ size, qty }) => {
+            lines.push(`${formatSheetSize(size)} -QTY: ${qty}`);
+        });
 
     const customQty = parseInt(item?.customQty || 0, 10);
     const customWidth = parseFloat(item?.customWidth || 0);
@@ -86,14 +88,16 @@ export function buildBuyOrderEmailBody(items) {
     }).join('\n\n').trim();
 }
 
+/** Empty `-QTY:` lines for the default sizes, largest first, used in supplier templates. */
+export function formatBlankSizeLines(sizes = DEFAULT_SHEET_SIZES) {
+    return [...sizes]
+        .sort((a, b) => (b.width - a.width) || (b.length - a.length))
+        .map((size) => `${formatSheetSize(size)} -QTY:`);
+}
+
 function buildDefaultItemsBody(info, items) {
     if (info.bodyMaterial) {
-        return (
-            `${info.bodyMaterial}\n` +
-            `144"x48" -QTY:\n` +
-            `120"x48" -QTY:\n` +
-            `96"x48" -QTY:`
-        );
+        return [info.bodyMaterial, ...formatBlankSizeLines()].join('\n');
     }
 
     return buildBuyOrderEmailBody(items);
@@ -17,13 +17,8 @@ function convertToCSV(data, headers) {
     return [headerRow, ...bodyRows].join('\n');
 }
 
-export function exportToCSV(data, headers, filename) {
-    if (!data || data.length === 0) {
-        alert("No data to export.");
-        return;
-    }
-    const csvString = convertToCSV(data, headers);
-    const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
+/** Save a Blob through a temporary download link. */
+export function downloadBlob(blob, filename) {
     const link = document.createElement("a");
     if (link.download !== undefined) {
         const url = URL.createObjectURL(blob);
@@ -33,5 +28,15 @@ export function exportToCSV(data, headers, filename) {
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
-}
\ No newline at end of file
+}
+
+export function exportToCSV(data, headers, filename) {
+    if (!data || data.length === 0) {
+        alert("No data to export.");
+        return;
+    }
+    const csvString = convertToCSV(data, headers);
+    downloadBlob(new Blob([csvString], { type: 'text/csv;charset=utf-8;' }), filename);
+}
@@ -0,0 +1,339 @@
+// src/utils/csvImport.js
+// Parsing, column mapping, validation and write planning for the CSV import wizard.
+// Nothing here writes: `buildImportPlan` returns the docs, and the caller queues them on an audited batch.
+
+import { DEFAULT_SHEET_WIDTH } from '../constants/materials';
+import { normalizeCategoryIndicatorSettings } from './categoryIndicatorSettings';
+import { getGaugeFromMaterial } from './dataProcessing';
+import { getCategorySheetSizes } from './sheetSizes';
+
+/** Every sheet is its own inventory doc, so cap a single import well inside what the audit trail can show. */
+export const MAX_IMPORT_SHEETS = 2000;
+
+export const IMPORT_JOB_LABEL = 'CSV IMPORT';
+
+const materialField = { key: 'materialType', label: 'Material', required: true, aliases: ['material', 'material type', 'materialtype', 'type', 'item'] };
+const sheetFields = [
+    materialField,
+    { key: 'length', label: 'Length (in)', required: true, aliases: ['length', 'len', 'length in', 'l'] },
+    { key: 'width', label: 'Width (in)', aliases: ['width', 'wid', 'width in', 'w'] },
+    { key: 'qty', label: 'Qty (sheets)', required: true, aliases: ['qty', 'quantity', 'count', 'sheets', 'on hand'] },
+    { key: 'supplier', label: 'Supplier', aliases: ['supplier', 'vendor'] },
+    { key: 'job', label: 'Job / PO', aliases: ['job', 'po', 'job po', 'order', 'reference'] },
+    { key: 'costPerPound', label: 'Cost / lb', aliases: ['cost per pound', 'cost per lb', 'costperpound', 'price per lb', 'cost', '$/lb'] },
+];
+
+export const IMPORT_TYPES = Object.freeze({
+    materials: {
+        label: 'Materials',
+        description: 'Create or update materials: category, thickness, density and stock indicator thresholds.',
+        fields: [
+            { key: 'name', label: 'Material', required: true, aliases: ['name', 'material', 'material type', 'materialtype'] },
+            { key: 'category', label: 'Category', required: true, aliases: ['category', 'cat', 'group'] },
+            { key: 'thickness', label: 'Thickness (in)', required: true, aliases: ['thickness', 'thk', 'thickness in'] },
+            { key: 'density', label: 'Density (lb/in³)', required: true, aliases: ['density', 'lb/in3', 'density lb in3'] },
+            { key: 'low', label: 'Low threshold', aliases: ['low', 'low threshold', 'visuallowthreshold', 'min'] },
+            { key: 'high', label: 'High threshold', aliases: ['high', 'high threshold', 'visualhighthreshold', 'max'] },
+        ],
+    },
+    orders: {
+        label: 'Incoming orders',
+        description: 'Sheets on order, one line per material and size, with the expected arrival date.',
+        fields: [
+            ...sheetFields,
+            { key: 'arrivalDate', label: 'Arrival date', required: true, aliases: ['arrival date', 'arrival', 'eta', 'due', 'expected'] },
+            { key: 'orderDate', label: 'Order date', aliases: ['order date', 'ordered', 'date ordered', 'created'] },
+        ],
+    },
+    onHand: {
+        label: 'On-hand counts',
+        description: 'Sheets already in the shop, one line per material and size.',
+        fields: [
+            ...sheetFields,
+            { key: 'dateReceived', label: 'Date received', aliases: ['date received', 'received', 'date'] },
+        ],
+    },
+});
+
+// ─── parsing ─────────────────────────────────────────────────────────────────
+
+/** RFC 4180 CSV: quoted fields may hold commas, doubled quotes and newlines. Blank lines are dropped. */
+export function parseCSV(text) {
+    const source = String(text ?? '').replace(/^﻿/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+/** Best-guess `{ fieldKey: columnIndex }` from the header row, using each field's aliases. */
+export function guessColumnMapping(headers, importType) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    const used = new Set();
+    IMPORT_TYPES[importType].fields.forEach(field => {
+        const candidates = [field.key.toLowerCase(), ...field.aliases];
+        const index = normalized.findIndex((h, i) => !used.has(i) && candidates.includes(h));
+        if (index >= 0) {
+            mapping[field.key] = index;
+            used.add(index);
+        }
+    });
+    return mapping;
+}
+
+// ─── validation ──────────────────────────────────────────────────────────────
+
+// Material doc ids replace `/` with `-`, and older sheets and spreadsheets use either (see repairInventoryMaterialKeys).
+const materialKeyVariants = (name) => Array.from(new Set([name, name.replace(/\//g, '-'), name.replace(/-/g, '/')]));
+
+/**
+ * The existing `materials` key a spreadsheet name refers to: an exact match, then a slash/dash
+ * variant, then a case-insensitive variant. Null when nothing (or more than one key) matches.
+ */
+export function resolveMaterialKey(rawName, materialKeys) {
+    const name = String(rawName || '').trim();
+    if (!name) return null;
+    const keys = new Set(materialKeys);
+    if (keys.has(name)) return { key: name, corrected: false };
+
+    const variants = materialKeyVariants(name).filter(v => keys.has(v));
+    if (variants.length === 1) return { key: variants[0], corrected: true };
+
+    const upperVariants = new Set(materialKeyVariants(name.toUpperCase()));
+    const caseless = [...keys].filter(k => upperVariants.has(k.toUpperCase()));
+    return caseless.length === 1 ? { key: caseless[0], corrected: true } : null;
+}
+
+const toNumber = (value) => {
+    const text = String(value ?? '').trim().replace(/[$,"]/g, '');
+    if (text === '') return null;
+    const n = Number(text);
+    return Number.isFinite(n) ? n : NaN;
+};
+
+/** `YYYY-MM-DD` from ISO or US `M/D/YYYY` dates, or null / NaN for blank / unreadable. */
+const toDateString = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (!m) {
+        const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        if (us) m = [us[0], us[3].length === 2 ? `20${us[3]}` : us[3], us[1], us[2]];
+    }
+    if (!m) return NaN;
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    if (date.getMonth() !== Number(m[2]) - 1) return NaN;
+    return `${m[1]}-${String(m[2]).padStart(2, '0')}-${String(m[3]).padStart(2, '0')}`;
+};
+
+function readCells(row, mapping, fields) {
+    const cells = {};
+    fields.forEach(field => {
+        const index = mapping[field.key];
+        cells[field.key] = index === undefined || index === null || index === '' ? '' : String(row[index] ?? '').trim();
+    });
+    return cells;
+}
+
+function validateMaterialRow(cells, { materialKeys }) {
+    const errors = [];
+    const warnings = [];
+    const thickness = toNumber(cells.thickness);
+    const density = toNumber(cells.density);
+    const low = toNumber(cells.low);
+    const high = toNumber(cells.high);
+    // Blank required cells are reported by validateImportRows; these check what was filled in.
+    if (thickness !== null && !(thickness > 0)) errors.push('Thickness must be a positive number.');
+    if (density !== null && !(density > 0)) errors.push('Density must be a positive number.');
+    if (Number.isNaN(low) || Number.isNaN(high)) errors.push('Thresholds must be numbers.');
+
+    const existing = resolveMaterialKey(cells.name, materialKeys);
+    if (existing?.corrected) warnings.push(`Matches existing material "${existing.key}".`);
+    return {
+        errors,
+        warnings,
+        record: {
+            name: existing ? existing.key : cells.name.replace(/\//g, '-'),
+            isNew: !existing,
+            category: cells.category,
+            thickness,
+            density,
+            low,
+            high,
+        },
+    };
+}
+
+function validateSheetRow(cells, importType, { materialKeys, suppliers }) {
+    const errors = [];
+    const warnings = [];
+    const material = resolveMaterialKey(cells.materialType, materialKeys);
+    if (!material && cells.materialType) errors.push(`Unknown material "${cells.materialType}".`);
+    else if (material?.corrected) warnings.push(`"${cells.materialType}" read as "${material.key}".`);
+
+    const length = toNumber(cells.length);
+    const width = toNumber(cells.width);
+    const qty = toNumber(cells.qty);
+    const costPerPound = toNumber(cells.costPerPound);
+    if (length !== null && !(length > 0)) errors.push('Length must be a positive number.');
+    if (Number.isNaN(width) || width === 0 || width < 0) errors.push('Width must be a positive number.');
+    if (qty !== null && !(qty > 0 && Number.isInteger(qty))) errors.push('Qty must be a whole number of sheets.');
+    if (Number.isNaN(costPerPound) || costPerPound < 0) errors.push('Cost / lb must be a number.');
+
+    const supplier = cells.supplier.toUpperCase();
+    if (importType === 'orders' && !supplier) errors.push('Supplier is required for orders.');
+    if (supplier && !suppliers.some(s => s.toUpperCase() === supplier)) warnings.push(`Supplier "${cells.supplier}" is not in the supplier list.`);
+
+    const record = {
+        materialType: material?.key || cells.materialType,
+        length,
+        width: width ?? DEFAULT_SHEET_WIDTH,
+        qty,
+        supplier: suppliers.find(s => s.toUpperCase() === supplier) || supplier,
+        job: cells.job.toUpperCase() || IMPORT_JOB_LABEL,
+        costPerPound: costPerPound ?? 0,
+    };
+
+    if (importType === 'orders') {
+        const arrivalDate = toDateString(cells.arrivalDate);
+        const orderDate = toDateString(cells.orderDate);
+        if (Number.isNaN(arrivalDate)) errors.push('Arrival date is not a date (use YYYY-MM-DD or M/D/YYYY).');
+        if (Number.isNaN(orderDate)) errors.push('Order date is not a date (use YYYY-MM-DD or M/D/YYYY).');
+        record.arrivalDate = arrivalDate;
+        record.orderDate = orderDate;
+    } else {
+        const dateReceived = toDateString(cells.dateReceived);
+        if (Number.isNaN(dateReceived)) errors.push('Date received is not a date (use YYYY-MM-DD or M/D/YYYY).');
+        record.dateReceived = dateReceived;
+    }
+    return { errors, warnings, record };
+}
+
+/**
+ * Check every data row against the mapping. Rows are numbered as in the file (header is row 1).
+ * Returns `{ rows: [{ rowNumber, record, errors, warnings }], validCount, errorCount, sheetCount }`.
+ */
+export function validateImportRows(importType, dataRows, mapping, { materials = {}, suppliers = [] } = {}) {
+    const { fields } = IMPORT_TYPES[importType];
+    const context = { materialKeys: Object.keys(materials), suppliers };
+    const seenMaterialNames = new Set();
+
+    const rows = dataRows.map((row, index) => {
+        const cells = readCells(row, mapping, fields);
+        const missing = fields.filter(f => f.required && !cells[f.key]).map(f => `${f.label} is required.`);
+        const result = importType === 'materials'
+            ? validateMaterialRow(cells, context)
+            : validateSheetRow(cells, importType, context);
+        const errors = [...missing, ...result.errors];
+
+        if (importType === 'materials' && cells.name) {
+            const key = result.record.name.toUpperCase();
+            if (seenMaterialNames.has(key)) errors.push('This material appears more than once in the file.');
+            seenMaterialNames.add(key);
+        }
+        return { rowNumber: index + 2, record: result.record, errors, warnings: result.warnings };
+    });
+
+    const valid = rows.filter(r => r.errors.length === 0);
+    return {
+        rows,
+        validCount: valid.length,
+        errorCount: rows.length - valid.length,
+        sheetCount: importType === 'materials' ? 0 : valid.reduce((sum, r) => sum + r.record.qty, 0),
+    };
+}
+
+// ─── planning ────────────────────────────────────────────────────────────────
+
+const localMidnightIso = (dateString) => new Date(`${dateString}T00:00:00`).toISOString();
+
+/**
+ * The writes an import makes, from its valid rows: `{ materials: [{ id, data, isNew }], sheets: [data], lots: [{ data, qty }] }`.
+ * Materials are merged into existing docs; sheets are always new docs, one per sheet, or one lot per row once
+ * INVENTORY_LOTS_ENABLED is on.
+ */
+export function buildImportPlan(importType, validRows, materials = {}, now = new Date()) {
+    if (importType === 'materials') {
+        return {
+            materials: validRows.map(({ record }) => {
+                // A blank threshold keeps the material's current value rather than resetting it to the default.
+                const current = materials[record.name] || {};
+                const thresholds = normalizeCategoryIndicatorSettings({
+                    low: record.low ?? current.visualLowThreshold,
+                    high: record.high ?? current.visualHighThreshold,
+                });
+                const data = {
+                    category: record.category,
+                    thickness: record.thickness,
+                    density: record.density,
+                    visualLowThreshold: thresholds.low,
+                    visualHighThreshold: thresholds.high,
+                };
+                // Sheet sizes are a category setting, so a new material takes its category's sizes.
+                if (record.isNew) data.sheetSizes = getCategorySheetSizes(materials, record.category).map(({ length, width }) => ({ length, width }));
+                return { id: record.name, data, isNew: record.isNew };
+            }),
+            sheets: [],
+            lots: [],
+        };
+    }
+
+    const nowIso = now.toISOString();
+    const sheets = [];
+    const lots = [];
+    validRows.forEach(({ record }) => {
+        const isOrder = importType === 'orders';
+        const createdAt = isOrder
+            ? (record.orderDate ? localMidnightIso(record.orderDate) : nowIso)
+            : (record.dateReceived ? localMidnightIso(record.dateReceived) : nowIso);
+        const data = {
+            materialType: record.materialType,
+            gauge: getGaugeFromMaterial(record.materialType),
+            supplier: record.supplier,
+            costPerPound: record.costPerPound,
+            createdAt,
+            job: record.job,
+            status: isOrder ? 'Ordered' : 'On Hand',
+            arrivalDate: isOrder ? localMidnightIso(record.arrivalDate) : null,
+            dateReceived: isOrder ? null : (record.dateReceived || nowIso.split('T')[0]),
+            width: record.width,
+            length: record.length,
+        };
+        for (let i = 0; i < record.qty; i++) sheets.push(data);
+        lots.push({ data, qty: record.qty });
+    });
+    return { materials: [], sheets, lots };
+}
@@ -0,0 +1,191 @@
+import {
+    IMPORT_JOB_LABEL,
+    buildImportPlan,
+    guessColumnMapping,
+    parseCSV,
+    resolveMaterialKey,
+    validateImportRows,
+} from './csvImport';
+
+describe('parseCSV', () => {
+    it('splits rows and fields', () => {
+        expect(parseCSV('a,b,c\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+    });
+
+    it('keeps commas, doubled quotes and newlines inside quoted fields', () => {
+        expect(parseCSV('name,note\n"Smith, J","said ""hi""\nthen left"')).toEqual([
+            ['name', 'note'],
+            ['Smith, J', 'said "hi"\nthen left'],
+        ]);
+    });
+
+    it('handles CRLF and lone CR line endings', () => {
+        expect(parseCSV('a,b\r\n1,2\r3,4\r\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+
+    it('strips a byte order mark and drops blank lines', () => {
+        expect(parseCSV('\uFEFFa,b\n\n , \n1,2\n\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('keeps empty fields and trailing commas', () => {
+        expect(parseCSV('a,,c,\n')).toEqual([['a', '', 'c', '']]);
+    });
+
+    it('returns no rows for empty input', () => {
+        expect(parseCSV('')).toEqual([]);
+        expect(parseCSV(null)).toEqual([]);
+    });
+});
+
+describe('guessColumnMapping', () => {
+    it('matches headers by alias, ignoring case, underscores and spacing', () => {
+        const headers = ['Material_Type', ' QUANTITY ', 'Len', 'Vendor', 'ETA', 'Notes'];
+        expect(guessColumnMapping(headers, 'orders')).toEqual({ materialType: 0, qty: 1, length: 2, supplier: 3, arrivalDate: 4 });
+    });
+
+    it('uses each column once', () => {
+        expect(guessColumnMapping(['material', 'material'], 'materials')).toEqual({ name: 0 });
+    });
+});
+
+describe('resolveMaterialKey', () => {
+    const keys = ['AL 5052-H32', 'SS 304 2B', 'ss 304 #4', 'SS 304 #4'];
+
+    it('prefers an exact match, then slash/dash and case variants', () => {
+        expect(resolveMaterialKey('AL 5052-H32', keys)).toEqual({ key: 'AL 5052-H32', corrected: false });
+        expect(resolveMaterialKey('AL 5052/H32', keys)).toEqual({ key: 'AL 5052-H32', corrected: true });
+        expect(resolveMaterialKey(' ss 304 2b ', keys)).toEqual({ key: 'SS 304 2B', corrected: true });
+    });
+
+    it('gives up when nothing or more than one key matches', () => {
+        expect(resolveMaterialKey('Ss 304 #4', keys)).toBeNull();
+        expect(resolveMaterialKey('Brass', keys)).toBeNull();
+        expect(resolveMaterialKey('', keys)).toBeNull();
+    });
+});
+
+describe('validateImportRows', () => {
+    const materials = { 'AL 5052-H32': { category: 'Aluminum' } };
+    const suppliers = ['Acme Metals'];
+    const onHandMapping = { materialType: 0, length: 1, width: 2, qty: 3, supplier: 4, job: 5, costPerPound: 6, dateReceived: 7 };
+
+    it('builds records from valid on-hand rows and numbers rows as in the file', () => {
+        const result = validateImportRows('onHand', [
+            ['al 5052/h32', '120', '', '3', 'acme metals', 'j-100', '$2.50', '3/4/24'],
+            ['AL 5052-H32', '96', '60', '1', '', '', '', ''],
+        ], onHandMapping, { materials, suppliers });
+
+        expect(result).toMatchObject({ validCount: 2, errorCount: 0, sheetCount: 4 });
+        expect(result.rows[0]).toMatchObject({
+            rowNumber: 2,
+            errors: [],
+            warnings: ['"al 5052/h32" read as "AL 5052-H32".'],
+            record: {
+                materialType: 'AL 5052-H32',
+                length: 120,
+                width: 48,
+                qty: 3,
+                supplier: 'Acme Metals',
+                job: 'J-100',
+                costPerPound: 2.5,
+                dateReceived: '2024-03-04',
+            },
+        });
+        expect(result.rows[1].record).toMatchObject({ width: 60, supplier: '', job: IMPORT_JOB_LABEL, costPerPound: 0, dateReceived: null });
+    });
+
+    it('reports blank required cells without other errors for them', () => {
+        const { rows } = validateImportRows('onHand', [['', '', '', '', '', '', '', '']], onHandMapping, { materials, suppliers });
+        expect(rows[0].errors).toEqual(['Material is required.', 'Length (in) is required.', 'Qty (sheets) is required.']);
+    });
+
+    it('rejects bad numbers, dates and unknown materials', () => {
+        const { rows, errorCount } = validateImportRows('onHand', [
+            ['Brass', '-5', '0', '2.5', 'Other', '', 'abc', '2024-02-30'],
+        ], onHandMapping, { materials, suppliers });
+        expect(errorCount).toBe(1);
+        expect(rows[0].errors).toEqual([
+            'Unknown material "Brass".',
+            'Length must be a positive number.',
+            'Width must be a positive number.',
+            'Qty must be a whole number of sheets.',
+            'Cost / lb must be a number.',
+            'Date received is not a date (use YYYY-MM-DD or M/D/YYYY).',
+        ]);
+        expect(rows[0].warnings).toEqual(['Supplier "Other" is not in the supplier list.']);
+    });
+
+    it('requires a supplier and an arrival date on orders', () => {
+        const mapping = { materialType: 0, length: 1, qty: 2, supplier: 3, arrivalDate: 4, orderDate: 5 };
+        const { rows } = validateImportRows('orders', [
+            ['AL 5052-H32', '120', '2', '', '', ''],
+            ['AL 5052-H32', '120', '2', 'Acme Metals', '2024-07-01', 'soon'],
+        ], mapping, { materials, suppliers });
+        expect(rows[0].errors).toEqual(['Arrival date is required.', 'Supplier is required for orders.']);
+        expect(rows[1].errors).toEqual(['Order date is not a date (use YYYY-MM-DD or M/D/YYYY).']);
+    });
+
+    it('flags materials listed twice and counts no sheets', () => {
+        const mapping = { name: 0, category: 1, thickness: 2, density: 3, low: 4, high: 5 };
+        const result = validateImportRows('materials', [
+            ['AL 5052/H32', 'Aluminum', '0.125', '0.098', '', ''],
+            ['al 5052-h32', 'Aluminum', '0.125', '0.098', '', ''],
+            ['Brass 260', 'Brass', '0', '0.308', 'x', '8'],
+        ], mapping, { materials });
+        expect(result.rows[0]).toMatchObject({ errors: [], warnings: ['Matches existing material "AL 5052-H32".'], record: { name: 'AL 5052-H32', isNew: false } });
+        expect(result.rows[1].errors).toEqual(['This material appears more than once in the file.']);
+        expect(result.rows[2].errors).toEqual(['Thickness must be a positive number.', 'Thresholds must be numbers.']);
+        expect(result).toMatchObject({ validCount: 1, errorCount: 2, sheetCount: 0 });
+    });
+});
+
+describe('buildImportPlan', () => {
+    const now = new Date('2024-06-01T15:00:00.000Z');
+
+    it('writes one sheet doc per sheet, or one lot per row', () => {
+        const record = {
+            materialType: '16GA CRS', length: 120, width: 48, qty: 2, supplier: 'Acme Metals', job: 'J-1', costPerPound: 1.2,
+            arrivalDate: '2024-07-01', orderDate: null,
+        };
+        const { sheets, lots, materials } = buildImportPlan('orders', [{ record }], {}, now);
+        expect(materials).toEqual([]);
+        expect(sheets).toHaveLength(2);
+        expect(lots).toEqual([{ data: sheets[0], qty: 2 }]);
+        expect(sheets[0]).toEqual({
+            materialType: '16GA CRS',
+            gauge: 16,
+            supplier: 'Acme Metals',
+            costPerPound: 1.2,
+            createdAt: now.toISOString(),
+            job: 'J-1',
+            status: 'Ordered',
+            arrivalDate: new Date('2024-07-01T00:00:00').toISOString(),
+            dateReceived: null,
+            width: 48,
+            length: 120,
+        });
+    });
+
+    it('dates on-hand sheets today when no received date was given', () => {
+        const record = { materialType: 'AL', length: 96, width: 48, qty: 1, supplier: '', job: IMPORT_JOB_LABEL, costPerPound: 0, dateReceived: null };
+        const [sheet] = buildImportPlan('onHand', [{ record }], {}, now).sheets;
+        expect(sheet).toMatchObject({ status: 'On Hand', arrivalDate: null, dateReceived: '2024-06-01', createdAt: now.toISOString() });
+    });
+
+    it('keeps current thresholds for blanks and gives new materials their category sizes', () => {
+        const existing = { AL: { category: 'Aluminum', visualLowThreshold: 3, visualHighThreshold: 9, sheetSizes: ['144x60'] } };
+        const plan = buildImportPlan('materials', [
+            { record: { name: 'AL', isNew: false, category: 'Aluminum', thickness: 0.1, density: 0.098, low: null, high: 12 } },
+            { record: { name: 'AL 2', isNew: true, category: 'Aluminum', thickness: 0.2, density: 0.098, low: null, high: null } },
+        ], existing, now);
+        expect(plan.materials).toEqual([
+            { id: 'AL', isNew: false, data: { category: 'Aluminum', thickness: 0.1, density: 0.098, visualLowThreshold: 3, visualHighThreshold: 12 } },
+            {
+                id: 'AL 2',
+                isNew: true,
+                data: { category: 'Aluminum', thickness: 0.2, density: 0.098, visualLowThreshold: 5, visualHighThreshold: 10, sheetSizes: [{ length: 144, width: 60 }] },
+            },
+        ]);
+        expect(plan.sheets).toEqual([]);
+    });
+});
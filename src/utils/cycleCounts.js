@@ -0,0 +1,91 @@
+// src/utils/cycleCounts.js
+// Stocktake sessions: a category's system counts are frozen when the session starts, people enter what they
+// count per material and size, and the variances are applied as one batch tagged with the session id.
+
+import { getMaterialSheetSizes, getSheetSizeKey } from './sheetSizes';
+
+export const COUNT_SESSIONS_COLLECTION = 'count_sessions';
+/** Subcollection under a session doc, one doc per counted line so several counters never overwrite each other's lines. */
+export const COUNT_ENTRIES_COLLECTION = 'entries';
+
+/** Supplier/customer label on corrections made by editing a dashboard count. */
+export const MANUAL_EDIT_SOURCE = 'Manual Edit';
+/** Supplier/customer label on corrections applied from a count session. */
+export const CYCLE_COUNT_SOURCE = 'Cycle Count';
+
+export const COUNT_SESSION_STATUSES = Object.freeze({ open: 'open', applied: 'applied', cancelled: 'cancelled' });
+
+/** True for the supplier/customer labels written by stock corrections (not real vendors or customers). */
+export const isStockCorrectionSource = (name) => name === MANUAL_EDIT_SOURCE || name === CYCLE_COUNT_SOURCE;
+
+export function createCountSessionId(date = new Date()) {
+    return `count-${date.getTime()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Entry doc id for a material size; same shape as stock alert ids so it is safe as a Firestore id. */
+export const getCountLineId = (materialType, sizeKey) => `${String(materialType).replace(/\//g, '-')}__${sizeKey}`;
+
+/**
+ * The frozen count sheet for a category: every configured size of every material in it, with the on-hand
+ * full-sheet count at the moment of freezing. Remnants and custom sizes are not counted, as on the dashboard.
+ */
+export function buildCountSheet(category, materials, inventorySummary) {
+    return Object.keys(materials || {})
+        .filter(materialType => materials[materialType]?.category === category)
+        .sort((a, b) => a.localeCompare(b))
+        .flatMap(materialType => getMaterialSheetSizes(materials, materialType).map(size => {
+            const sizeKey = getSheetSizeKey(size.length, size.width);
+            return {
+                lineId: getCountLineId(materialType, sizeKey),
+                materialType,
+                sizeKey,
+                length: size.length,
+                width: size.width,
+                systemQty: inventorySummary?.[materialType]?.[sizeKey] || 0,
+            };
+        }));
+}
+
+/**
+ * Count sheet lines joined with their entries and today's stock. `variance` is counted minus frozen; stock that
+ * moved after the freeze (`movedSinceFreeze`) is not part of the count, so the adjustment is applied on top of
+ * the live figure: `targetQty = liveQty + variance`. Uncounted lines have a null variance and are left alone.
+ */
+export function buildCountVariances(lines, entriesByLineId, liveSummary) {
+    return (lines || []).map(line => {
+        const entry = entriesByLineId?.[line.lineId] || null;
+        const countedQty = Number.isInteger(entry?.countedQty) ? entry.countedQty : null;
+        const liveQty = liveSummary?.[line.materialType]?.[line.sizeKey] || 0;
+        const variance = countedQty === null ? null : countedQty - line.systemQty;
+        return {
+            ...line,
+            countedQty,
+            countedBy: entry?.countedBy || null,
+            countedAt: entry?.countedAt || null,
+            liveQty,
+            movedSinceFreeze: liveQty - line.systemQty,
+            variance,
+            targetQty: variance === null ? null : Math.max(liveQty + variance, 0),
+        };
+    });
+}
+
+/** Totals for the review step: lines counted, lines that need an adjustment and net sheets added/removed. */
+export function summarizeCountVariances(rows) {
+    return rows.reduce((acc, row) => {
+        if (row.countedQty === null) return acc;
+        acc.countedLines += 1;
+        if (row.variance > 0) acc.sheetsAdded += row.variance;
+        if (row.variance < 0) acc.sheetsRemoved += -row.variance;
+        if (row.variance !== 0) acc.adjustedLines += 1;
+        return acc;
+    }, { totalLines: rows.length, countedLines: 0, adjustedLines: 0, sheetsAdded: 0, sheetsRemoved: 0 });
+}
+
+/** Parse a counted-quantity input; blank clears the entry (null) and anything else must be a whole number ≥ 0. */
+export function parseCountedQty(value) {
+    const text = String(value ?? '').trim();
+    if (text === '') return null;
+    if (!/^\d+$/.test(text)) return undefined;
+    return Number(text);
+}
@@ -1,4 +1,13 @@
-import { STANDARD_LENGTHS } from '../constants/materials';
+import { DEFAULT_SHEET_WIDTH } from '../constants/materials';
+import {
+    buildEmptySizeCounts,
+    getMaterialSheetSizes,
+    getSheetSizeKeyForItem,
+    isConfiguredSheetSize,
+} from './sheetSizes';
+import { isRemnantSheet, REMNANT_JOB_PREFIX } from './remnants';
+import { isStockCorrectionSource } from './cycleCounts';
+import { getOriginalQuantity, getRemainingQuantity } from './inventoryLots';
 
 export const getGaugeFromMaterial = (materialType) => {
     if (!materialType) return null;
@@ -6,46 +15,60 @@ export const getGaugeFromMaterial = (materialType) => {
     return match ? parseInt(match[1], 10) : null;
 };
 
-export const calculateInventorySummary = (inventory, materialTypes) => {
+/**
+ * Summary buckets are keyed by `LxW` size key for each size the material's category is configured with.
+ * Items may be per-sheet docs or lots; a lot counts its remaining quantity.
+ */
+export const calculateInventorySummary = (inventory, materialTypes, materials = {}) => {
     const summary = {};
+    const sizesByType = {};
     materialTypes.forEach(type => {
+        sizesByType[type] = getMaterialSheetSizes(materials, type);
         summary[type] = {
-            ...STANDARD_LENGTHS.reduce((acc, len) => ({ ...acc, [len]: 0 }), {}),
+            ...buildEmptySizeCounts(sizesByType[type]),
             'custom': 0,
+            'remnant': 0,
             'total': 0,
         };
     });
 
     inventory.forEach(item => {
         if (item.status === 'On Hand' && summary[item.materialType]) {
-            if (STANDARD_LENGTHS.includes(item.length)) {
-                summary[item.materialType][item.length]++;
+            const qty = getRemainingQuantity(item);
+            // Offcuts keep their real dimensions but are never counted as full sheets, even at a standard length.
+            if (isRemnantSheet(item)) {
+                summary[item.materialType]['remnant'] += qty;
+            } else if (isConfiguredSheetSize(sizesByType[item.materialType], item)) {
+                summary[item.materialType][getSheetSizeKeyForItem(item)] += qty;
             } else {
-                summary[item.materialType]['custom']++;
+                summary[item.materialType]['custom'] += qty;
             }
-            summary[item.materialType]['total']++;
+            summary[item.materialType]['total'] += qty;
         }
     });
     return summary;
 };
 
-export const calculateIncomingSummary = (inventory, materialTypes) => {
+export const calculateIncomingSummary = (inventory, materialTypes, materials = {}) => {
     const summary = {};
+    const sizesByType = {};
     materialTypes.forEach(type => {
+        sizesByType[type] = getMaterialSheetSizes(materials, type);
         summary[type] = {
-            lengths: { ...STANDARD_LENGTHS.reduce((acc, len) => ({ ...acc, [len]: 0 }), {}), custom: 0 },
+            lengths: { ...buildEmptySizeCounts(sizesByType[type]), custom: 0 },
             totalCount: 0,
             latestArrivalDate: null,
         };
     });
     inventory.filter(item => item.status === 'Ordered').forEach(item => {
         if (summary[item.materialType]) {
-            if (STANDARD_LENGTHS.includes(item.length)) {
-                summary[item.materialType].lengths[item.length]++;
+            const qty = getRemainingQuantity(item);
+            if (isConfiguredSheetSize(sizesByType[item.materialType], item)) {
+                summary[item.materialType].lengths[getSheetSizeKeyForItem(item)] += qty;
             } else {
-                summary[item.materialType].lengths.custom++;
+                summary[item.materialType].lengths.custom += qty;
             }
-            summary[item.materialType].totalCount++;
+            summary[item.materialType].totalCount += qty;
             if (item.arrivalDate) {
                 if (!summary[item.materialType].latestArrivalDate || new Date(item.arrivalDate) > new Date(summary[item.materialType].latestArrivalDate)) {
                     summary[item.materialType].latestArrivalDate = item.arrivalDate;
@@ -56,12 +79,14 @@ export const calculateIncomingSummary = (inventory, materialTypes) => {
     return summary;
 };
 
-// Summarize scheduled outgoing usage by material and length
-export const calculateScheduledOutgoingSummary = (usageLog, materialTypes) => {
+// Summarize scheduled outgoing usage by material and sheet size
+export const calculateScheduledOutgoingSummary = (usageLog, materialTypes, materials = {}) => {
     const summary = {};
+    const sizesByType = {};
     materialTypes.forEach(type => {
+        sizesByType[type] = getMaterialSheetSizes(materials, type);
         summary[type] = {
-            lengths: { ...STANDARD_LENGTHS.reduce((acc, len) => ({ ...acc, [len]: 0 }), {}), custom: 0 },
+            lengths: { ...buildEmptySizeCounts(sizesByType[type]), custom: 0 },
             totalCount: 0,
             earliestUseDate: null,
         };
@@ -73,8 +98,8 @@ export const calculateScheduledOutgoingSummary = (usageLog, materialTypes) => {
             (log.details || []).forEach(d => {
                 const type = d.materialType;
                 if (!summary[type]) return;
-                if (STANDARD_LENGTHS.includes(d.length)) {
-                    summary[type].lengths[d.length]++;
+                if (isConfiguredSheetSize(sizesByType[type], d)) {
+                    summary[type].lengths[getSheetSizeKeyForItem(d)]++;
                 } else {
                     summary[type].lengths.custom++;
                 }
@@ -98,22 +123,52 @@ export const calculateScheduledOutgoingSummary = (usageLog, materialTypes) => {
 export const calculateSheetCost = (sheet, materials) => {
     const materialInfo = materials[sheet.materialType];
     if (!materialInfo || !materialInfo.density || !materialInfo.thickness || !sheet.costPerPound) return 0;
-    const volume = (sheet.length * (sheet.width || 48) * materialInfo.thickness);
+    const volume = (sheet.length * (sheet.width || DEFAULT_SHEET_WIDTH) * materialInfo.thickness);
     const weight = volume * materialInfo.density;
     return weight * sheet.costPerPound;
 };
 
-export const calculateMaterialTransactions = (materialTypes, inventory, usageLog) => {
+/**
+ * One row per distinct material / supplier / day / price among priced sheets (dimensions ignored), newest first.
+ * `includeItem` filters sheets before they are collapsed.
+ */
+export const buildPriceHistory = (inventory, materials, includeItem = () => true) => {
+    const uniquePricePoints = new Map();
+    inventory.forEach(item => {
+        // Ensure the item has the necessary data to be included
+        if (!materials[item.materialType] || !item.costPerPound || item.costPerPound <= 0) return;
+        if (!includeItem(item)) return;
+
+        const dateKey = (item.dateReceived || item.createdAt).split('T')[0];
+        const key = `${item.materialType}-${item.supplier}-${dateKey}-${item.costPerPound}`;
+        if (!uniquePricePoints.has(key)) {
+            uniquePricePoints.set(key, {
+                id: key,
+                materialType: item.materialType,
+                supplier: item.supplier,
+                job: item.job,
+                dateReceived: item.dateReceived || item.createdAt,
+                costPerPound: item.costPerPound,
+            });
+        }
+    });
+
+    return Array.from(uniquePricePoints.values())
+        .sort((a, b) => new Date(b.dateReceived) - new Date(a.dateReceived));
+};
+
+export const calculateMaterialTransactions = (materialTypes, inventory, usageLog, materials = {}) => {
     const allTransactions = {};
     materialTypes.forEach(matType => {
         const groupedInventory = {};
+        const sheetSizes = getMaterialSheetSizes(materials, matType);
 
         /** Hide internal/rescheduled rows from per-material timeline; keep manual stock edits visible. */
         const skipInventoryItemInMaterialTimeline = (item) => {
             if (item.supplier === 'Rescheduled Return') return true;
             const job = item.job || '';
             if (job.startsWith('MODIFICATION')) {
-                return item.supplier !== 'Manual Edit';
+                return !isStockCorrectionSource(item.supplier);
             }
             return false;
         };
@@ -132,11 +187,12 @@ export const calculateMaterialTransactions = (materialTypes, inventory, usageLog
                     isAddition: true, 
                     isDeletable: true,
                     isFuture: item.status === 'Ordered', 
+                    isRemnantGroup: isRemnantSheet(item),
                     details: [], 
                     displayDetails: [],
                     _detailIds: new Set(),
                     _displayDetailIds: new Set(),
-                    ...STANDARD_LENGTHS.reduce((acc, len) => ({ ...acc, [len]: 0 }), {})
+                    ...buildEmptySizeCounts(sheetSizes)
                 };
             }
 
@@ -158,8 +214,8 @@ export const calculateMaterialTransactions = (materialTypes, inventory, usageLog
             }
             if (!group._displayDetailIds.has(dedupeKey)) {
                 group._displayDetailIds.add(dedupeKey);
-                if (STANDARD_LENGTHS.includes(item.length)) {
-                    group[item.length]++;
+                if (isConfiguredSheetSize(sheetSizes, item)) {
+                    group[getSheetSizeKeyForItem(item)]++;
                 }
                 group.displayDetails.push(item);
             }
@@ -201,11 +257,11 @@ export const calculateMaterialTransactions = (materialTypes, inventory, usageLog
                 isFulfillable: isScheduled,
                 isFuture: isScheduled,
                 details: log.details, 
-                ...STANDARD_LENGTHS.reduce((acc, len) => ({ ...acc, [len]: 0 }), {})
+                ...buildEmptySizeCounts(sheetSizes)
             };
             log.details.forEach(detail => {
-                if (detail.materialType === matType && STANDARD_LENGTHS.includes(detail.length)) {
-                    groupedUsage[log.id][detail.length]--;
+                if (detail.materialType === matType && isConfiguredSheetSize(sheetSizes, detail)) {
+                    groupedUsage[log.id][getSheetSizeKeyForItem(detail)]--;
                 }
             });
         });
@@ -235,7 +291,7 @@ export const groupInventoryByJob = (inventory, usageLog = []) => {
     const getGroupKey = (item) => {
         const createdDate = item.createdAt ? item.createdAt.split('T')[0] : 'unknown-date';
         if ((item.job || '').startsWith('MODIFICATION')) {
-            const editSessionKey = item.manualEditSessionId || createdDate;
+            const editSessionKey = item.countSessionId || item.manualEditSessionId || createdDate;
             return `${item.job}|${editSessionKey}`;
         }
         return `${item.job || 'N/A'}|${createdDate}`;
@@ -253,6 +309,7 @@ export const groupInventoryByJob = (inventory, usageLog = []) => {
                 isFuture: item.status === 'Ordered',
                 isReceived: !!item.dateReceived,
                 isAddition: true,
+                isRemnantGroup: isRemnantSheet(item),
                 isHistoryOnly: !!item.__historyOnly,
                 sourceUsageLog: item.__sourceUsageLog || null,
                 materials: {},
@@ -285,7 +342,8 @@ export const groupInventoryByJob = (inventory, usageLog = []) => {
         if (!group.materials[item.materialType][item.length]) {
             group.materials[item.materialType][item.length] = 0;
         }
-        group.materials[item.materialType][item.length]++;
+        // A lot stands for every sheet it brought in, including the ones used since.
+        group.materials[item.materialType][item.length] += getOriginalQuantity(item);
     };
 
     const pushUniqueDetail = (target, ids, item) => {
@@ -313,7 +371,7 @@ export const groupInventoryByJob = (inventory, usageLog = []) => {
         .filter(log =>
             (log.status || 'Completed') === 'Completed' &&
             log.job === 'MODIFICATION: REMOVE' &&
-            log.customer === 'Manual Edit'
+            isStockCorrectionSource(log.customer)
         )
         .forEach(log => {
             (log.details || []).forEach((detail, index) => {
@@ -402,7 +460,7 @@ export const groupLogsByJob = (inventory, usageLog) => {
 
     const isTrackableJobName = (jobName) => {
         const name = (jobName || '').trim();
-        return Boolean(name && name !== 'N/A' && !name.startsWith('MODIFICATION'));
+        return Boolean(name && name !== 'N/A' && !name.startsWith('MODIFICATION') && !name.startsWith(REMNANT_JOB_PREFIX));
     };
 
     const ensureJob = (jobName, source = {}) => {
@@ -0,0 +1,35 @@
+// src/utils/inventoryLotMigration.js
+// One-off move from one `inventory` doc per sheet to `inventory_lots` + `lot_consumptions`. The per-sheet docs are
+// left untouched, so the app can keep reading them until INVENTORY_LOTS_ENABLED is switched on.
+
+import { collection, doc, getDocs, writeBatch } from '../firebase/firestoreWithTracking';
+import { INVENTORY_LOTS_COLLECTION, LOT_CONSUMPTIONS_COLLECTION, buildLotsFromSheets } from './inventoryLots';
+
+const BATCH_LIMIT = 450;
+
+/**
+ * Read every inventory doc, group it into lots and write them. Safe to re-run: lot and consumption ids come from
+ * the sheet ids, so a second run overwrites instead of duplicating. With `dryRun` nothing is written.
+ * @returns {Promise<{ sheets: number, lots: number, consumptions: number }>}
+ */
+export async function migrateInventoryToLots(db, appId, { dryRun = false, onProgress } = {}) {
+    const dataPath = `artifacts/${appId}/public/data`;
+    const snap = await getDocs(collection(db, `${dataPath}/inventory`));
+    const sheets = snap.docs.map(d => ({ ...d.data(), id: d.id }));
+    const { lots, consumptions } = buildLotsFromSheets(sheets);
+    const stats = { sheets: sheets.length, lots: lots.length, consumptions: consumptions.length };
+    if (dryRun) return stats;
+
+    const writes = [
+        ...lots.map(({ id, ...data }) => [doc(db, `${dataPath}/${INVENTORY_LOTS_COLLECTION}`, id), data]),
+        ...consumptions.map(({ id, ...data }) => [doc(db, `${dataPath}/${LOT_CONSUMPTIONS_COLLECTION}`, id), data]),
+    ];
+    const migratedAt = new Date().toISOString();
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_LIMIT).forEach(([ref, data]) => batch.set(ref, { ...data, migratedAt }));
+        await batch.commit();
+        onProgress?.(Math.min(i + BATCH_LIMIT, writes.length), writes.length);
+    }
+    return stats;
+}
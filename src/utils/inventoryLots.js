@@ -0,0 +1,128 @@
+// src/utils/inventoryLots.js
+// Lot-based inventory: one `inventory_lots` doc per received (or ordered) lot of identical sheets with the number
+// still left, and one `lot_consumptions` doc per usage log that drew from a lot. Replaces one `inventory` doc per
+// sheet; summaries and job grouping accept either shape, so both can be read while stock moves over.
+
+import { INVENTORY_LOTS_ENABLED } from '../constants/featureFlags';
+
+export const INVENTORY_LOTS_COLLECTION = 'inventory_lots';
+export const LOT_CONSUMPTIONS_COLLECTION = 'lot_consumptions';
+
+/** Where stock is read and written: lots once INVENTORY_LOTS_ENABLED is on, else one `inventory` doc per sheet. */
+export const STOCK_COLLECTION = INVENTORY_LOTS_ENABLED ? INVENTORY_LOTS_COLLECTION : 'inventory';
+
+/** Fields only a lot has; dropping them leaves what each of its sheets looks like. */
+const LOT_ONLY_FIELDS = ['quantity', 'remainingQty', 'migratedSheetIds', 'migratedAt'];
+
+/** Per-sheet fields written when a sheet is used (or last written, `updatedAt`); they never split a lot. */
+const SHEET_USAGE_FIELDS = ['id', 'status', 'usageLogId', 'jobNameUsed', 'customerUsed', 'usedAt', 'consumedLength', 'consumedWidth', 'updatedAt'];
+
+export const isInventoryLot = (item) => Number.isInteger(item?.remainingQty);
+
+/** Sheets an item still stands for: a lot's remaining quantity, or 1 for a per-sheet doc. */
+export const getRemainingQuantity = (item) => (isInventoryLot(item) ? item.remainingQty : 1);
+
+/** Sheets an item brought in when it was ordered or received: a lot's full quantity, or 1 for a per-sheet doc. */
+export const getOriginalQuantity = (item) => (isInventoryLot(item) ? item.quantity : 1);
+
+/** Fields for a new lot of `quantity` identical sheets, all still there. */
+export const buildLotFields = (sheetFields, quantity) => ({ ...sheetFields, quantity, remainingQty: quantity });
+
+/** One sheet of a lot, under the lot's id (usage log details, receipts); a per-sheet doc is returned as is. */
+export function getSheetOfLot(item) {
+    if (!isInventoryLot(item)) return item;
+    const sheet = { ...item };
+    LOT_ONLY_FIELDS.forEach(field => delete sheet[field]);
+    return sheet;
+}
+
+export const getLotConsumptionId = (lotId, usageLogId) => `${lotId}__${usageLogId || 'unlinked'}`;
+
+/** The `lot_consumptions` record of one usage log taking `qty` sheets of `lot`; `usage` has the fields a used sheet gets. */
+export function buildLotConsumption(lot, qty, { usageLogId, jobNameUsed, customerUsed, usedAt }) {
+    return {
+        id: getLotConsumptionId(lot.id, usageLogId),
+        lotId: lot.id,
+        usageLogId: usageLogId || null,
+        qty,
+        materialType: lot.materialType,
+        length: lot.length,
+        width: lot.width,
+        job: jobNameUsed || null,
+        customer: customerUsed || null,
+        usedAt: usedAt || null,
+    };
+}
+
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+/** The fields a lot shares: everything on the sheet except how (and whether) it was used. */
+function getLotFields(sheet) {
+    const fields = { ...sheet };
+    SHEET_USAGE_FIELDS.forEach(field => delete fields[field]);
+    return fields;
+}
+
+/**
+ * Sheets written together (one Add Stock line, one CSV row, one correction) carry identical fields, so they form
+ * one lot. Remnants keep their own lot since each piece has its own size and history.
+ */
+function getLotKey(sheet) {
+    const bucket = sheet.status === 'Ordered' ? 'ordered' : 'received';
+    return sheet.isRemnant ? `remnant|${sheet.id}` : `${bucket}|${stableStringify(getLotFields(sheet))}`;
+}
+
+/**
+ * Group per-sheet inventory docs into lots and consumption records. Ids are derived from the sheet ids, so running
+ * the migration again rewrites the same docs. Sheets already used become part of their lot's `quantity` and of a
+ * consumption per usage log; their lot is `Used` once nothing remains.
+ */
+export function buildLotsFromSheets(sheets) {
+    const groups = new Map();
+    (sheets || []).forEach(sheet => {
+        if (!sheet?.id || !sheet.materialType) return;
+        const key = getLotKey(sheet);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(sheet);
+    });
+
+    const lots = [];
+    const consumptions = [];
+    groups.forEach(groupSheets => {
+        const sorted = [...groupSheets].sort((a, b) => a.id.localeCompare(b.id));
+        const lotId = `lot-${sorted[0].id}`;
+        const isOrdered = sorted[0].status === 'Ordered';
+        const used = sorted.filter(sheet => sheet.status === 'Used');
+        const remainingQty = isOrdered ? sorted.length : sorted.filter(sheet => sheet.status === 'On Hand').length;
+
+        lots.push({
+            id: lotId,
+            ...getLotFields(sorted[0]),
+            status: isOrdered ? 'Ordered' : (remainingQty > 0 ? 'On Hand' : 'Used'),
+            quantity: sorted.length,
+            remainingQty,
+            migratedSheetIds: sorted.map(sheet => sheet.id),
+        });
+
+        const usedByLog = new Map();
+        used.forEach(sheet => {
+            const logKey = sheet.usageLogId || 'unlinked';
+            if (!usedByLog.has(logKey)) usedByLog.set(logKey, []);
+            usedByLog.get(logKey).push(sheet);
+        });
+        usedByLog.forEach(logSheets => {
+            consumptions.push({
+                ...buildLotConsumption({ ...logSheets[0], id: lotId }, logSheets.length, logSheets[0]),
+                migratedSheetIds: logSheets.map(sheet => sheet.id),
+            });
+        });
+    });
+
+    return { lots, consumptions };
+}
@@ -0,0 +1,178 @@
+import { collection, doc } from '../firebase/firestoreWithTracking';
+import {
+    buildLotConsumption,
+    buildLotFields,
+    buildLotsFromSheets,
+    getLotConsumptionId,
+    getOriginalQuantity,
+    getRemainingQuantity,
+    getSheetOfLot,
+    isInventoryLot,
+} from './inventoryLots';
+import { claimFifoSheets, recordStockUse, settleClaimedLots } from './stockConsumption';
+
+jest.mock('../firebase/firestoreWithTracking', () => ({ collection: jest.fn(), doc: jest.fn(), runTransaction: jest.fn() }));
+
+const sheet = (id, fields) => ({ id, materialType: 'AL', length: 120, width: 48, supplier: 'Acme', job: 'J-1', status: 'On Hand', ...fields });
+
+describe('lot fields', () => {
+    const lot = { id: 'lot-1', ...buildLotFields({ materialType: 'AL', status: 'On Hand' }, 5), remainingQty: 2, migratedAt: 'x' };
+
+    it('counts a lot by its quantities and a sheet as one', () => {
+        expect(isInventoryLot(lot)).toBe(true);
+        expect(isInventoryLot({ remainingQty: '2' })).toBe(false);
+        expect([getRemainingQuantity(lot), getOriginalQuantity(lot)]).toEqual([2, 5]);
+        expect([getRemainingQuantity(sheet('s1')), getOriginalQuantity(sheet('s1'))]).toEqual([1, 1]);
+    });
+
+    it('turns a lot into one of its sheets under the lot id', () => {
+        expect(getSheetOfLot(lot)).toEqual({ id: 'lot-1', materialType: 'AL', status: 'On Hand' });
+        const single = sheet('s1');
+        expect(getSheetOfLot(single)).toBe(single);
+    });
+
+    it('records what a usage log took from a lot', () => {
+        expect(getLotConsumptionId('lot-1', null)).toBe('lot-1__unlinked');
+        expect(buildLotConsumption({ ...lot, length: 120, width: 48 }, 2, { usageLogId: 'log-1', jobNameUsed: 'J-9', usedAt: '2024-06-01' })).toEqual({
+            id: 'lot-1__log-1',
+            lotId: 'lot-1',
+            usageLogId: 'log-1',
+            qty: 2,
+            materialType: 'AL',
+            length: 120,
+            width: 48,
+            job: 'J-9',
+            customer: null,
+            usedAt: '2024-06-01',
+        });
+    });
+});
+
+describe('buildLotsFromSheets', () => {
+    const usage = (logId) => ({ status: 'Used', usageLogId: logId, jobNameUsed: 'J-2', customerUsed: 'Cust', usedAt: '2024-06-01' });
+    const { lots, consumptions } = buildLotsFromSheets([
+        sheet('s3'),
+        sheet('s1', { updatedAt: 5 }),
+        sheet('s2', usage('log-1')),
+        sheet('s4', usage('log-1')),
+        sheet('s5', usage('log-2')),
+        sheet('o1', { status: 'Ordered', arrivalDate: '2024-07-01' }),
+        sheet('o2', { status: 'Ordered', arrivalDate: '2024-07-01' }),
+        sheet('r1', { isRemnant: true, length: 30 }),
+        sheet('r2', { isRemnant: true, length: 30 }),
+        sheet('c1', { supplier: 'Beta', ...usage(null) }),
+        { id: 'no-material' },
+        null,
+    ]);
+
+    it('groups sheets that share every field but their usage into one lot', () => {
+        expect(lots.map(lot => [lot.id, lot.status, lot.quantity, lot.remainingQty])).toEqual([
+            ['lot-s1', 'On Hand', 5, 2],
+            ['lot-o1', 'Ordered', 2, 2],
+            ['lot-r1', 'On Hand', 1, 1],
+            ['lot-r2', 'On Hand', 1, 1],
+            ['lot-c1', 'Used', 1, 0],
+        ]);
+        expect(lots[0]).toEqual({
+            id: 'lot-s1',
+            materialType: 'AL',
+            length: 120,
+            width: 48,
+            supplier: 'Acme',
+            job: 'J-1',
+            status: 'On Hand',
+            quantity: 5,
+            remainingQty: 2,
+            migratedSheetIds: ['s1', 's2', 's3', 's4', 's5'],
+        });
+    });
+
+    it('writes one consumption per lot and usage log', () => {
+        expect(consumptions.map(c => [c.id, c.qty, c.job, c.migratedSheetIds])).toEqual([
+            ['lot-s1__log-1', 2, 'J-2', ['s2', 's4']],
+            ['lot-s1__log-2', 1, 'J-2', ['s5']],
+            ['lot-c1__unlinked', 1, 'J-2', ['c1']],
+        ]);
+        expect(consumptions[0]).toMatchObject({ lotId: 'lot-s1', usageLogId: 'log-1', customer: 'Cust', usedAt: '2024-06-01' });
+    });
+
+    it('derives the same ids whatever order the sheets come in', () => {
+        const reversed = buildLotsFromSheets([sheet('s2'), sheet('s1')]);
+        const sorted = buildLotsFromSheets([sheet('s1'), sheet('s2')]);
+        expect(reversed).toEqual(sorted);
+        expect(buildLotsFromSheets(undefined)).toEqual({ lots: [], consumptions: [] });
+    });
+});
+
+describe('FIFO lot settling', () => {
+    const stockRef = { firestore: {}, path: 'data/inventory_lots', parent: { path: 'data' } };
+    const lot = (id, remainingQty, fields) => ({ ...sheet(id, fields), quantity: 5, remainingQty });
+
+    /** A transaction over `docs` (by id) that records its writes as `[op, path, data]`. */
+    function fakeTx(docs) {
+        const writes = [];
+        return {
+            writes,
+            get: jest.fn(async (ref) => ({
+                id: ref.id,
+                exists: () => Boolean(docs[ref.id]),
+                data: () => docs[ref.id],
+            })),
+            create: (ref, data) => writes.push(['create', ref.path, data]),
+            update: (ref, data) => writes.push(['update', ref.path, data]),
+        };
+    }
+
+    beforeEach(() => {
+        collection.mockImplementation((db, path) => ({ path }));
+        doc.mockImplementation((ref, id) => ({ id, path: `${ref.path}/${id}` }));
+    });
+
+    it('takes the oldest lots first from what the transaction reads, not the snapshot', async () => {
+        const { id: aId, ...a } = lot('a', 2);
+        const { id: bId, ...b } = lot('b', 5);
+        const tx = fakeTx({ [aId]: a, [bId]: b });
+        const claimed = new Map();
+        // The snapshot still thinks lot a has 3
+        const sheets = await claimFifoSheets(tx, stockRef, [lot('a', 3), lot('b', 5)], 4, claimed);
+
+        expect(sheets.map(s => s.id)).toEqual(['a', 'a', 'b', 'b']);
+        settleClaimedLots(tx, stockRef, claimed);
+        expect(tx.writes).toEqual([
+            ['update', 'data/inventory_lots/a', { remainingQty: 0, status: 'Used' }],
+            ['update', 'data/inventory_lots/b', { remainingQty: 3, status: 'On Hand' }],
+        ]);
+    });
+
+    it('never claims more than a lot has across lines of the same transaction', async () => {
+        const { id, ...only } = lot('a', 3);
+        const tx = fakeTx({ [id]: only });
+        const claimed = new Map();
+        expect(await claimFifoSheets(tx, stockRef, [lot('a', 3)], 2, claimed)).toHaveLength(2);
+        expect(await claimFifoSheets(tx, stockRef, [lot('a', 3)], 2, claimed)).toHaveLength(1);
+        expect(claimed.get('a').taken).toBe(3);
+    });
+
+    it('skips lots used up or moved elsewhere since the snapshot', async () => {
+        const tx = fakeTx({ a: { ...lot('a', 0), status: 'Used', id: undefined }, b: { ...lot('b', 1, { status: 'Ordered' }), id: undefined } });
+        expect(await claimFifoSheets(tx, stockRef, [lot('a', 2), lot('b', 1)], 1, new Map())).toEqual([]);
+    });
+
+    it('records one consumption per lot and marks single sheets used', () => {
+        const tx = fakeTx({});
+        const usage = { usageLogId: 'log-1', jobNameUsed: 'J-9', customerUsed: 'Cust', usedAt: '2024-06-01' };
+        const a = lot('a', 3);
+        recordStockUse(tx, stockRef, [{ sheet: a }, { sheet: a }, { sheet: sheet('s1'), cutFields: { consumedLength: 60 } }], usage);
+
+        expect(tx.writes).toEqual([
+            ['update', 'data/inventory_lots/s1', { status: 'Used', ...usage, consumedLength: 60 }],
+            ['create', 'data/lot_consumptions/a__log-1', expect.objectContaining({ lotId: 'a', usageLogId: 'log-1', qty: 2, job: 'J-9' })],
+        ]);
+    });
+
+    it('adds to the record a log already has for a lot', () => {
+        const tx = fakeTx({});
+        recordStockUse(tx, stockRef, [{ sheet: lot('a', 3) }], { usageLogId: 'log-1' }, new Map([['a', 2]]));
+        expect(tx.writes).toEqual([['update', 'data/lot_consumptions/a__log-1', expect.objectContaining({ qty: 3 })]]);
+    });
+});
@@ -0,0 +1,89 @@
+// src/utils/inventorySnapshot.js
+// Point-in-time replay of stock: which sheets were on hand or on order at the end of a past day.
+// Consumed sheets no longer load with inventory, so they come from the copies kept in completed usage logs.
+
+/** Local calendar day of a Date as `YYYY-MM-DD`. */
+export const toLocalDateString = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/** End of the local calendar day for a `YYYY-MM-DD` string. */
+export const endOfLocalDay = (dateString) => new Date(`${dateString}T23:59:59.999`);
+
+const toMs = (value) => {
+    if (!value) return null;
+    const ms = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value).getTime();
+    return Number.isFinite(ms) ? ms : null;
+};
+
+/** When a sheet entered stock: its receipt when known, otherwise its creation (sheets added as On Hand). */
+export function getSheetInStockDate(sheet) {
+    const ms = toMs(sheet.receivedAt) ?? toMs(sheet.dateReceived) ?? toMs(sheet.createdAt);
+    return ms === null ? null : new Date(ms);
+}
+
+/**
+ * Every sheet we know the lifetime of, as `{ sheet, createdMs, inStockMs, usedAtMs }`:
+ * current on-hand and ordered sheets, plus sheets consumed by non-scheduled usage logs (leaving stock at
+ * the log's `usedAt`). Sheets deleted outright, rather than used, have no history and are missing from past dates.
+ */
+export function buildSheetHistory(inventory, usageLog) {
+    const history = [];
+    const currentIds = new Set();
+
+    (inventory || []).forEach(sheet => {
+        if (sheet.status !== 'On Hand' && sheet.status !== 'Ordered') return;
+        if (sheet.id) currentIds.add(sheet.id);
+        history.push({
+            sheet,
+            createdMs: toMs(sheet.createdAt),
+            inStockMs: sheet.status === 'On Hand' ? getSheetInStockDate(sheet)?.getTime() ?? null : null,
+            usedAtMs: null,
+        });
+    });
+
+    const usedById = new Map();
+    (usageLog || []).forEach(log => {
+        if ((log.status || 'Completed') === 'Scheduled') return;
+        const usedAtMs = toMs(log.usedAt || log.createdAt);
+        if (usedAtMs === null) return;
+        (log.details || []).forEach(detail => {
+            if (!detail?.id || currentIds.has(detail.id)) return;
+            // A sheet can show up in more than one log after edits; the first use is when it left stock.
+            const prev = usedById.get(detail.id);
+            if (!prev || usedAtMs < prev.usedAtMs) {
+                usedById.set(detail.id, {
+                    sheet: detail,
+                    createdMs: toMs(detail.createdAt),
+                    inStockMs: getSheetInStockDate(detail)?.getTime() ?? null,
+                    usedAtMs,
+                });
+            }
+        });
+    });
+    history.push(...usedById.values());
+    return history;
+}
+
+/** Earliest moment in the history, for the start of a date range; null when there is none. */
+export function getSheetHistoryStart(history) {
+    const times = history.map(entry => entry.createdMs ?? entry.inStockMs).filter(ms => ms !== null);
+    return times.length ? new Date(Math.min(...times)) : null;
+}
+
+/** Sheets on hand at `asOf`, with their status as of that moment. */
+export function sheetsOnHandAt(history, asOf) {
+    const asOfMs = asOf.getTime();
+    return history
+        .filter(({ inStockMs, usedAtMs }) => inStockMs !== null && inStockMs <= asOfMs && (usedAtMs === null || usedAtMs > asOfMs))
+        .map(({ sheet }) => (sheet.status === 'On Hand' ? sheet : { ...sheet, status: 'On Hand' }));
+}
+
+/** Sheets ordered but not yet received at `asOf`, with their status as of that moment. */
+export function sheetsOrderedAt(history, asOf) {
+    const asOfMs = asOf.getTime();
+    return history
+        .filter(({ createdMs, inStockMs }) => createdMs !== null && createdMs <= asOfMs && (inStockMs === null || inStockMs > asOfMs))
+        .map(({ sheet }) => (sheet.status === 'Ordered' ? sheet : { ...sheet, status: 'Ordered' }));
+}
+
+export const reconstructOnHandAsOf = (inventory, usageLog, asOf) => sheetsOnHandAt(buildSheetHistory(inventory, usageLog), asOf);
@@ -0,0 +1,56 @@
+// src/utils/inventorySummaryCounters.js
+// Reads the per-material `inventory_summaries` docs kept by functions/index.js. They count stock per raw sheet size;
+// this maps the counts onto each material's configured sizes, the same buckets buildSummariesFromInventory fills.
+
+import { getMaterialSheetSizes, getSheetSizeKey } from './sheetSizes';
+
+export const INVENTORY_SUMMARIES_COLLECTION = 'inventory_summaries';
+
+const toCount = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+
+/** Latest arrival date that still has sheets on order, or null. */
+function getLatestArrivalDate(byArrivalDate) {
+    return Object.entries(byArrivalDate || {})
+        .filter(([, count]) => toCount(count) > 0)
+        .map(([date]) => date)
+        .reduce((latest, date) => (!latest || new Date(date) > new Date(latest) ? date : latest), null);
+}
+
+/**
+ * Fill empty summaries (see buildEmptySummaries in useFirestoreData) from counter docs. Sizes a material does not
+ * list count as custom; counters for materials not in the summaries are ignored, as they are when counting sheets.
+ */
+export function applySummaryCounters({ inventorySummary, incomingSummary }, counterDocs, materialsMap) {
+    (counterDocs || []).forEach((counter) => {
+        const mat = counter?.materialType;
+        if (!mat || !inventorySummary[mat] || !incomingSummary[mat]) return;
+        const sizeKeys = getMaterialSheetSizes(materialsMap, mat).map(size => getSheetSizeKey(size.length, size.width));
+        const onHand = counter.onHand || {};
+        const incoming = counter.incoming || {};
+
+        const onHandTotal = toCount(onHand.total);
+        const remnant = toCount(onHand.remnant);
+        let onHandSized = 0;
+        sizeKeys.forEach((key) => {
+            const count = toCount(onHand.bySize?.[key]);
+            inventorySummary[mat][key] = count;
+            onHandSized += count;
+        });
+        inventorySummary[mat].remnant = remnant;
+        inventorySummary[mat].total = onHandTotal;
+        inventorySummary[mat].custom = Math.max(0, onHandTotal - onHandSized - remnant);
+
+        const incomingTotal = toCount(incoming.total);
+        let incomingSized = 0;
+        sizeKeys.forEach((key) => {
+            const count = toCount(incoming.bySize?.[key]);
+            incomingSummary[mat].lengths[key] = count;
+            incomingSized += count;
+        });
+        incomingSummary[mat].lengths.custom = Math.max(0, incomingTotal - incomingSized);
+        incomingSummary[mat].totalCount = incomingTotal;
+        incomingSummary[mat].latestArrivalDate = getLatestArrivalDate(incoming.byArrivalDate);
+    });
+
+    return { inventorySummary, incomingSummary };
+}
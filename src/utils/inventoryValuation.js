@@ -0,0 +1,76 @@
+// src/utils/inventoryValuation.js
+// What on-hand stock is worth, pricing every sheet at its own received cost (FIFO layers).
+// Past dates come from inventorySnapshot's replay.
+
+import { calculateSheetCost } from './dataProcessing';
+import { getSheetInStockDate, toLocalDateString } from './inventorySnapshot';
+import { isRemnantSheet } from './remnants';
+
+const UNCATEGORIZED = 'Uncategorized';
+const UNKNOWN_SUPPLIER = 'Unknown';
+
+function addToGroup(map, key, label, value, sheetKind) {
+    const group = map.get(key) || { key, label, sheets: 0, remnants: 0, unpriced: 0, value: 0 };
+    group.sheets += 1;
+    if (sheetKind.remnant) group.remnants += 1;
+    if (sheetKind.unpriced) group.unpriced += 1;
+    group.value += value;
+    map.set(key, group);
+}
+
+const byValueDesc = (a, b) => (b.value - a.value) || a.label.localeCompare(b.label);
+
+/**
+ * Value a set of on-hand sheets. Each sheet is priced with `calculateSheetCost` at its own cost per pound;
+ * sheets with no price are counted but add nothing. FIFO layers are the distinct receipts
+ * (material, supplier, in-stock day, $/lb), oldest first, so the next sheets used are at the top.
+ */
+export function valueInventory(sheets, materials) {
+    const byCategory = new Map();
+    const byMaterial = new Map();
+    const bySupplier = new Map();
+    const layers = new Map();
+    let totalValue = 0;
+    let unpricedSheets = 0;
+
+    sheets.forEach(sheet => {
+        const value = calculateSheetCost(sheet, materials);
+        const kind = { remnant: isRemnantSheet(sheet), unpriced: !(value > 0) };
+        const category = materials[sheet.materialType]?.category || UNCATEGORIZED;
+        const supplier = sheet.supplier || UNKNOWN_SUPPLIER;
+        totalValue += value;
+        if (kind.unpriced) unpricedSheets += 1;
+
+        addToGroup(byCategory, category, category, value, kind);
+        addToGroup(byMaterial, sheet.materialType, sheet.materialType, value, kind);
+        addToGroup(bySupplier, supplier, supplier, value, kind);
+
+        const inStock = getSheetInStockDate(sheet);
+        const day = inStock ? toLocalDateString(inStock) : '';
+        const layerKey = `${sheet.materialType}|${supplier}|${day}|${Number(sheet.costPerPound) || 0}`;
+        const layer = layers.get(layerKey) || {
+            key: layerKey,
+            materialType: sheet.materialType,
+            category,
+            supplier,
+            inStockDate: day || null,
+            costPerPound: Number(sheet.costPerPound) || 0,
+            sheets: 0,
+            value: 0,
+        };
+        layer.sheets += 1;
+        layer.value += value;
+        layers.set(layerKey, layer);
+    });
+
+    return {
+        totalValue,
+        totalSheets: sheets.length,
+        unpricedSheets,
+        byCategory: [...byCategory.values()].sort(byValueDesc),
+        byMaterial: [...byMaterial.values()].sort(byValueDesc),
+        bySupplier: [...bySupplier.values()].sort(byValueDesc),
+        layers: [...layers.values()].sort((a, b) =>
+            a.materialType.localeCompare(b.materialType) || (a.inStockDate || '').localeCompare(b.inStockDate || '')),
+    };
+}
@@ -0,0 +1,68 @@
+import { valueInventory } from './inventoryValuation';
+
+const materials = {
+    AL: { category: 'Aluminum', density: 0.1, thickness: 0.1 },
+    SS: { category: 'Stainless', density: 0.2, thickness: 0.05 },
+    NEW: { category: 'Aluminum' },
+};
+
+// 100" x 50" x 0.1" x 0.1 lb/in³ = 50 lb
+const alSheet = (fields) => ({ materialType: 'AL', length: 100, width: 50, ...fields });
+
+describe('valueInventory', () => {
+    const sheets = [
+        alSheet({ supplier: 'Acme', costPerPound: 2, dateReceived: '2024-01-10' }),
+        alSheet({ supplier: 'Acme', costPerPound: 2, receivedAt: new Date(2024, 0, 10, 15).toISOString(), createdAt: '2023-12-01' }),
+        alSheet({ supplier: 'Acme', costPerPound: 3, dateReceived: '2024-02-01' }),
+        alSheet({ supplier: 'Remnant', costPerPound: 2, width: 25, isRemnant: true, createdAt: '2024-03-05' }),
+        { materialType: 'SS', length: 100, supplier: 'Beta', costPerPound: 4, dateReceived: '2024-01-05' },
+        { materialType: 'NEW', length: 96, costPerPound: 5 },
+        { materialType: 'GONE', length: 96 },
+    ];
+    const result = valueInventory(sheets, materials);
+
+    it('prices each sheet at its own cost and counts unpriced sheets', () => {
+        // 100 + 100 + 150 + 50 (remnant, half width) + 192 (48" default width: 48 lb at $4)
+        expect(result.totalValue).toBeCloseTo(592);
+        expect(result.totalSheets).toBe(7);
+        expect(result.unpricedSheets).toBe(2);
+    });
+
+    it('groups by category, material and supplier, largest value first', () => {
+        expect(result.byCategory.map(g => [g.label, g.sheets, g.remnants, g.unpriced, g.value])).toEqual([
+            ['Aluminum', 5, 1, 1, 400],
+            ['Stainless', 1, 0, 0, 192],
+            ['Uncategorized', 1, 0, 1, 0],
+        ]);
+        expect(result.byMaterial.map(g => g.key)).toEqual(['AL', 'SS', 'GONE', 'NEW']);
+        expect(result.bySupplier.map(g => [g.label, g.value])).toEqual([
+            ['Acme', 350],
+            ['Beta', 192],
+            ['Remnant', 50],
+            ['Unknown', 0],
+        ]);
+    });
+
+    it('collapses sheets into FIFO layers by material, supplier, in-stock day and price', () => {
+        const alLayers = result.layers.filter(layer => layer.materialType === 'AL');
+        expect(alLayers.map(l => [l.supplier, l.inStockDate, l.costPerPound, l.sheets, l.value])).toEqual([
+            ['Acme', '2024-01-10', 2, 2, 200],
+            ['Acme', '2024-02-01', 3, 1, 150],
+            ['Remnant', '2024-03-05', 2, 1, 50],
+        ]);
+        expect(result.layers.map(l => l.materialType)).toEqual(['AL', 'AL', 'AL', 'GONE', 'NEW', 'SS']);
+        expect(result.layers.find(l => l.materialType === 'NEW')).toMatchObject({ inStockDate: null, supplier: 'Unknown', value: 0 });
+    });
+
+    it('values no stock at zero', () => {
+        expect(valueInventory([], materials)).toEqual({
+            totalValue: 0,
+            totalSheets: 0,
+            unpricedSheets: 0,
+            byCategory: [],
+            byMaterial: [],
+            bySupplier: [],
+            layers: [],
+        });
+    });
+});
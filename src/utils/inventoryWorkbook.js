@@ -0,0 +1,175 @@
+// src/utils/inventoryWorkbook.js
+// Tabs for the Excel workbook export, built from the same summaries the dashboard, logs,
+// price history and job overview show.
+
+import { DEFAULT_SHEET_WIDTH } from '../constants/materials';
+import {
+    buildPriceHistory,
+    calculateIncomingSummary,
+    calculateInventorySummary,
+    calculateSheetCost,
+} from './dataProcessing';
+import { buildJobEconomics, buildJobEconomicsIndex } from './jobEconomics';
+import { formatSheetSize, getMaterialSheetSizes, getSheetSizeKey, normalizeSheetSizes } from './sheetSizes';
+
+export const WORKBOOK_SHEETS = Object.freeze([
+    { id: 'onHand', label: 'On Hand' },
+    { id: 'incoming', label: 'Incoming' },
+    { id: 'usage', label: 'Usage Logs' },
+    { id: 'priceHistory', label: 'Price History' },
+    { id: 'jobEconomics', label: 'Job Economics' },
+]);
+
+const roundCents = (n) => Math.round(n * 100) / 100;
+
+const sortedMaterialTypes = (materials) => Object.keys(materials).sort((a, b) => a.localeCompare(b));
+
+/** One column per sheet size configured for any material, so every material lines up on one row. */
+function sizeColumns(materials, materialTypes) {
+    return normalizeSheetSizes(materialTypes.flatMap(type => getMaterialSheetSizes(materials, type)))
+        .map(size => ({ label: formatSheetSize(size), key: getSheetSizeKey(size.length, size.width), type: 'integer', width: 10 }));
+}
+
+function buildOnHandSheet(inventory, materials) {
+    const materialTypes = sortedMaterialTypes(materials);
+    const summary = calculateInventorySummary(inventory, materialTypes, materials);
+    return {
+        name: 'On Hand',
+        columns: [
+            { label: 'Material', key: 'materialType', width: 28 },
+            { label: 'Category', key: 'category', width: 18 },
+            ...sizeColumns(materials, materialTypes),
+            { label: 'Custom', key: 'custom', type: 'integer' },
+            { label: 'Remnant', key: 'remnant', type: 'integer' },
+            { label: 'Total', key: 'total', type: 'integer' },
+        ],
+        rows: materialTypes.map(type => ({ materialType: type, category: materials[type]?.category || '', ...summary[type] })),
+    };
+}
+
+function buildIncomingSheet(inventory, materials) {
+    const materialTypes = sortedMaterialTypes(materials);
+    const summary = calculateIncomingSummary(inventory, materialTypes, materials);
+    return {
+        name: 'Incoming',
+        columns: [
+            { label: 'Material', key: 'materialType', width: 28 },
+            { label: 'Category', key: 'category', width: 18 },
+            ...sizeColumns(materials, materialTypes),
+            { label: 'Custom', key: 'custom', type: 'integer' },
+            { label: 'Total', key: 'totalCount', type: 'integer' },
+            { label: 'Latest Arrival', key: 'latestArrivalDate', type: 'date', width: 14 },
+        ],
+        rows: materialTypes
+            .filter(type => summary[type].totalCount > 0)
+            .map(type => ({
+                materialType: type,
+                category: materials[type]?.category || '',
+                ...summary[type].lengths,
+                totalCount: summary[type].totalCount,
+                latestArrivalDate: summary[type].latestArrivalDate,
+            })),
+    };
+}
+
+function buildUsageSheet(usageLog, materials) {
+    return {
+        name: 'Usage Logs',
+        columns: [
+            { label: 'Date Used', key: 'date', type: 'date', width: 12 },
+            { label: 'Job', key: 'job', width: 20 },
+            { label: 'Customer', key: 'customer', width: 20 },
+            { label: 'Status', key: 'status', width: 12 },
+            { label: 'Material', key: 'materialType', width: 28 },
+            { label: 'Length', key: 'length', type: 'number' },
+            { label: 'Width', key: 'width', type: 'number' },
+            { label: 'Cost / lb', key: 'costPerPound', type: 'money' },
+            { label: 'Sheet Cost', key: 'sheetCost', type: 'money', width: 12 },
+        ],
+        rows: usageLog
+            .filter(log => log.status !== 'Archived')
+            .sort((a, b) => new Date(b.usedAt || b.createdAt) - new Date(a.usedAt || a.createdAt))
+            .flatMap(log => (log.details || []).map(item => ({
+                date: log.usedAt || log.createdAt,
+                job: log.job,
+                customer: log.customer,
+                status: log.status || 'Completed',
+                materialType: item.materialType,
+                length: item.length,
+                width: item.width || DEFAULT_SHEET_WIDTH,
+                costPerPound: item.costPerPound,
+                sheetCost: roundCents(calculateSheetCost(item, materials)),
+            }))),
+    };
+}
+
+function buildPriceHistorySheet(inventory, materials) {
+    return {
+        name: 'Price History',
+        columns: [
+            { label: 'Job/PO', key: 'job', width: 20 },
+            { label: 'Material', key: 'materialType', width: 28 },
+            { label: 'Supplier', key: 'supplier', width: 18 },
+            { label: 'Date Received', key: 'dateReceived', type: 'date', width: 14 },
+            { label: 'Cost Per Pound', key: 'costPerPound', type: 'money', width: 14 },
+        ],
+        rows: buildPriceHistory(inventory, materials),
+    };
+}
+
+const ECONOMICS_BUCKETS = [
+    { bucket: 'used', label: 'Used' },
+    { bucket: 'scheduled_use', label: 'Scheduled' },
+    { bucket: 'ordered', label: 'Due' },
+    { bucket: 'on_hand', label: 'Stock' },
+];
+
+function buildJobEconomicsSheet(inventory, usageLog, materials, allJobs) {
+    const index = buildJobEconomicsIndex(inventory, usageLog);
+    return {
+        name: 'Job Economics',
+        columns: [
+            { label: 'Job', key: 'job', width: 20 },
+            { label: 'Customer', key: 'customer', width: 20 },
+            { label: 'Status', key: 'status', width: 12 },
+            { label: 'Last Activity', key: 'date', type: 'date', width: 14 },
+            ...ECONOMICS_BUCKETS.flatMap(({ bucket, label }) => [
+                { label: `${label} Sheets`, key: `${bucket}Sheets`, type: 'integer' },
+                { label: `${label} Cost`, key: `${bucket}Cost`, type: 'money', width: 14 },
+            ]),
+            { label: 'Total Sheets', key: 'totalSheets', type: 'integer' },
+            { label: 'Total Cost', key: 'totalCost', type: 'money', width: 14 },
+        ],
+        rows: [...allJobs]
+            .sort((a, b) => a.job.localeCompare(b.job))
+            .map(job => {
+                const econ = buildJobEconomics(job.job, index, materials);
+                const row = {
+                    job: job.job,
+                    customer: job.customer || job.supplier || '',
+                    status: job.status,
+                    date: job.date,
+                    totalSheets: econ.totalSheets,
+                    totalCost: roundCents(econ.totalCost),
+                };
+                ECONOMICS_BUCKETS.forEach(({ bucket }) => {
+                    const lines = econ.groups.filter(g => g.bucket === bucket);
+                    row[`${bucket}Sheets`] = lines.reduce((sum, g) => sum + g.qty, 0);
+                    row[`${bucket}Cost`] = roundCents(lines.reduce((sum, g) => sum + g.costSum, 0));
+                });
+                return row;
+            }),
+    };
+}
+
+/** Workbook tabs, in WORKBOOK_SHEETS order, for the selected sheet ids. */
+export function buildInventoryWorkbookSheets({ inventory, usageLog, materials, allJobs }, sheetIds = WORKBOOK_SHEETS.map(s => s.id)) {
+    const builders = {
+        onHand: () => buildOnHandSheet(inventory, materials),
+        incoming: () => buildIncomingSheet(inventory, materials),
+        usage: () => buildUsageSheet(usageLog, materials),
+        priceHistory: () => buildPriceHistorySheet(inventory, materials),
+        jobEconomics: () => buildJobEconomicsSheet(inventory, usageLog, materials, allJobs),
+    };
+    return WORKBOOK_SHEETS.filter(s => sheetIds.includes(s.id)).map(s => builders[s.id]());
+}
@@ -0,0 +1,58 @@
+// src/utils/jobBudgets.js
+
+// Pennies of rounding on sheet costs should not flag a job.
+const BUDGET_COST_EPS = 0.005;
+
+const toBudgetNumber = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/** Stored budget shape for one PO base key, or null when neither sheets nor dollars were quoted. */
+export function normalizeJobBudget(raw) {
+    const sheets = toBudgetNumber(raw?.sheets);
+    const cost = toBudgetNumber(raw?.cost);
+    if (sheets === null && cost === null) return null;
+    return {
+        sheets: sheets === null ? null : Math.round(sheets),
+        cost: cost === null ? null : Math.round(cost * 100) / 100,
+    };
+}
+
+/**
+ * Actual minus quoted, for whichever of sheets / dollars the budget has.
+ * A job is over budget when it has consumed more than either quoted figure.
+ */
+export function calculateBudgetVariance(budget, actual) {
+    if (!budget) return null;
+    const sheetVariance = budget.sheets === null ? null : (actual?.sheets || 0) - budget.sheets;
+    const costVariance = budget.cost === null ? null : (actual?.cost || 0) - budget.cost;
+    return {
+        sheetVariance,
+        costVariance,
+        overBudget: (sheetVariance !== null && sheetVariance > 0) || (costVariance !== null && costVariance > BUDGET_COST_EPS),
+    };
+}
+
+/** Customer-level totals over the budgeted jobs in `rows` (`{ budget, actual }` per PO base). */
+export function rollupJobBudgets(rows) {
+    const totals = { budgetedJobs: 0, overBudgetJobs: 0, budgetSheets: 0, budgetCost: 0, actualSheets: 0, actualCost: 0, hasSheetBudget: false, hasCostBudget: false };
+    for (const { budget, actual } of rows || []) {
+        if (!budget) continue;
+        totals.budgetedJobs += 1;
+        if (calculateBudgetVariance(budget, actual).overBudget) totals.overBudgetJobs += 1;
+        // Only compare like with like: a job quoted in dollars alone adds nothing to the sheet totals.
+        if (budget.sheets !== null) {
+            totals.hasSheetBudget = true;
+            totals.budgetSheets += budget.sheets;
+            totals.actualSheets += actual?.sheets || 0;
+        }
+        if (budget.cost !== null) {
+            totals.hasCostBudget = true;
+            totals.budgetCost += budget.cost;
+            totals.actualCost += actual?.cost || 0;
+        }
+    }
+    return totals;
+}
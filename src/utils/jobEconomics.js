@@ -0,0 +1,135 @@
+// src/utils/jobEconomics.js
+// Sheets and material cost per job, split into used / scheduled / due / stock buckets.
+// Shared by the job overview and the workbook export.
+
+import { DEFAULT_SHEET_WIDTH } from '../constants/materials';
+import { calculateSheetCost } from './dataProcessing';
+
+const BUCKET_ORDER = { used: 0, scheduled_use: 1, ordered: 2, on_hand: 3 };
+const BUCKET_LABEL = { used: 'Used', scheduled_use: 'Sched', ordered: 'Due', on_hand: 'Stock' };
+
+/** One-time index so job economics does not scan full inventory / usageLog per job. */
+function buildInventoryByJobKey(inventory) {
+    const map = new Map();
+    for (const i of inventory || []) {
+        const jk = (i.job || '').trim().toUpperCase();
+        if (!jk) continue;
+        let arr = map.get(jk);
+        if (!arr) {
+            arr = [];
+            map.set(jk, arr);
+        }
+        arr.push(i);
+    }
+    return map;
+}
+
+/** Mirror buildJobEconomics usage-log rules into per–job-key slices (single pass over usageLog). */
+function buildUsageWorkloadByJobKey(usageLog) {
+    const map = new Map();
+    const push = (jobKey, item) => {
+        if (!jobKey) return;
+        let arr = map.get(jobKey);
+        if (!arr) {
+            arr = [];
+            map.set(jobKey, arr);
+        }
+        arr.push(item);
+    };
+
+    for (const log of usageLog || []) {
+        const st = log.status || 'Completed';
+        if (st === 'Archived') continue;
+        const logJobKey = (log.job || '').trim().toUpperCase();
+
+        if (logJobKey && st === 'Scheduled') {
+            push(logJobKey, { kind: 'scheduled', log });
+            continue;
+        }
+        if (logJobKey && st === 'Completed') {
+            push(logJobKey, { kind: 'used_full_log', log });
+            for (const d of log.details || []) {
+                const dk = (d.job || '').trim().toUpperCase();
+                if (dk && dk !== logJobKey) {
+                    push(dk, { kind: 'used_detail', log, detail: d });
+                }
+            }
+            continue;
+        }
+        if (st === 'Completed') {
+            for (const d of log.details || []) {
+                const dk = (d.job || '').trim().toUpperCase();
+                if (dk) {
+                    push(dk, { kind: 'used_detail', log, detail: d });
+                }
+            }
+        }
+    }
+    return map;
+}
+
+export function buildJobEconomicsIndex(inventory, usageLog) {
+    return {
+        inventoryByJob: buildInventoryByJobKey(inventory),
+        usageByJob: buildUsageWorkloadByJobKey(usageLog),
+    };
+}
+
+export function buildJobEconomics(jobName, index, materials) {
+    const mats = materials || {};
+    const jobKey = (jobName || '').trim().toUpperCase();
+    const map = new Map();
+
+    const addSheet = (bucket, sheet) => {
+        if (!sheet?.materialType) return;
+        const k = `${bucket}|${sheet.materialType}|${sheet.length}`;
+        const prev = map.get(k) || { bucket, materialType: sheet.materialType, length: sheet.length, qty: 0, costSum: 0 };
+        prev.qty += 1;
+        prev.costSum += calculateSheetCost({ ...sheet, width: sheet.width || DEFAULT_SHEET_WIDTH }, mats);
+        map.set(k, prev);
+    };
+
+    for (const i of index.inventoryByJob.get(jobKey) || []) {
+        if (i.status === 'On Hand') addSheet('on_hand', i);
+        else if (i.status === 'Ordered') addSheet('ordered', i);
+    }
+
+    for (const u of index.usageByJob.get(jobKey) || []) {
+        if (u.kind === 'scheduled') {
+            (u.log.details || []).forEach((d) => addSheet('scheduled_use', d));
+        } else if (u.kind === 'used_full_log') {
+            (u.log.details || []).forEach((d) => addSheet('used', d));
+        } else if (u.kind === 'used_detail') {
+            addSheet('used', u.detail);
+        }
+    }
+
+    const groups = [...map.values()]
+        .sort((a, b) => {
+            const bo = (BUCKET_ORDER[a.bucket] ?? 9) - (BUCKET_ORDER[b.bucket] ?? 9);
+            if (bo !== 0) return bo;
+            const mt = (a.materialType || '').localeCompare(b.materialType || '');
+            if (mt !== 0) return mt;
+            return (Number(a.length) || 0) - (Number(b.length) || 0);
+        })
+        .map((g) => ({ ...g, key: `${g.bucket}|${g.materialType}|${g.length}`, bucketLabel: BUCKET_LABEL[g.bucket] || g.bucket }));
+
+    const totalSheets = groups.reduce((s, g) => s + g.qty, 0);
+    const totalCost = groups.reduce((s, g) => s + g.costSum, 0);
+    const used = groups.filter((g) => g.bucket === 'used');
+    const usedSheets = used.reduce((s, g) => s + g.qty, 0);
+    const usedCost = used.reduce((s, g) => s + g.costSum, 0);
+    return { groups, totalSheets, totalCost, usedSheets, usedCost };
+}
+
+export function rollupGroupEconomics(parts, index, materials) {
+    let totalSheets = 0, totalCost = 0, usedSheets = 0, usedCost = 0;
+    for (const j of parts) {
+        const e = buildJobEconomics(j.job, index, materials);
+        totalSheets += e.totalSheets;
+        totalCost += e.totalCost;
+        usedSheets += e.usedSheets;
+        usedCost += e.usedCost;
+    }
+    return { totalSheets, totalCost, usedSheets, usedCost };
+}
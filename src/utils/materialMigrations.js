@@ -1,6 +1,6 @@
 // src/utils/materialMigrations.js
 
-import { collection, doc, getDocs, getDoc, writeBatch, setDoc, query, where } from 'firebase/firestore';
+import { collection, doc, getDocs, getDoc, writeBatch, setDoc, query, where } from '../firebase/firestoreWithTracking';
 
 // Replace every '/' in material IDs and names with '-'.
 // Also updates all references in inventory.materialType and usage_logs[].details[].materialType
@@ -0,0 +1,125 @@
+// src/utils/offlineOutbox.js
+// Use Stock and receipts taken while the tablet is offline. Both need the server (Use Now claims sheets in a
+// transaction, a receipt must find the order still open), so they wait here in localStorage rather than in
+// Firestore's own write queue, and are replayed through the normal handlers once the connection is back.
+
+import { getBundleCandidates } from './sheetBundles';
+import { formatBundleShortMessage, formatNotEnoughStockMessage, getFifoCandidates, getUseStockLineQuantities } from './stockConsumption';
+import { getSheetSizeKeyForItem } from './sheetSizes';
+import { getRemainingQuantity } from './inventoryLots';
+
+export const OUTBOX_STORAGE_KEY = 'tecnopan-outbox-v1';
+
+export const OUTBOX_KINDS = Object.freeze({ useStock: 'use-stock', receive: 'receive' });
+
+/** `conflict` entries failed on replay for a reason other than being offline and wait for Retry or Discard. */
+export const OUTBOX_STATUSES = Object.freeze({ pending: 'pending', conflict: 'conflict' });
+
+export const SYNC_STATUSES = Object.freeze({
+    synced: 'synced',
+    offline: 'offline',
+    syncing: 'syncing',
+    pending: 'pending',
+    conflict: 'conflict',
+});
+
+export function loadOutbox() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(entry => entry?.id && Object.values(OUTBOX_KINDS).includes(entry.kind)) : [];
+    } catch (e) {
+        console.warn('Could not read the offline outbox:', e);
+        return [];
+    }
+}
+
+export function saveOutbox(entries) {
+    try {
+        if (entries.length === 0) localStorage.removeItem(OUTBOX_STORAGE_KEY);
+        else localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+    } catch (e) {
+        console.warn('Could not save the offline outbox:', e);
+    }
+}
+
+export function createOutboxEntry(kind, payload, { label, actor = null, now = new Date() }) {
+    return {
+        id: `outbox-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+        kind,
+        label,
+        payload,
+        createdAt: now.toISOString(),
+        createdBy: actor,
+        status: OUTBOX_STATUSES.pending,
+        error: null,
+        attempts: 0,
+    };
+}
+
+/** Errors that mean "no connection" rather than "this operation no longer fits". */
+export function isOfflineError(err) {
+    return err?.code === 'unavailable' || err?.code === 'deadline-exceeded' || /client is offline/i.test(err?.message || '');
+}
+
+/** One status for the header: conflicts need attention first, then being offline, syncing, or waiting to sync. */
+export function getSyncStatus({ online, syncing, entries }) {
+    if (entries.some(entry => entry.status === OUTBOX_STATUSES.conflict)) return SYNC_STATUSES.conflict;
+    if (!online) return SYNC_STATUSES.offline;
+    if (syncing) return SYNC_STATUSES.syncing;
+    if (entries.length > 0) return SYNC_STATUSES.pending;
+    return SYNC_STATUSES.synced;
+}
+
+/** Sheets a Use Stock request asks for: per `materialType|sizeKey` for FIFO lines, per bundle payload, and remnant ids. */
+function getUseStockDemand(jobs, materials) {
+    const demand = { fifo: {}, bundles: {}, remnantIds: new Set() };
+    for (const job of jobs || []) {
+        for (const item of job.items || []) {
+            for (const { size, qty } of getUseStockLineQuantities(item, materials)) {
+                if (item.bundle) {
+                    demand.bundles[item.bundle.payload] = (demand.bundles[item.bundle.payload] || 0) + qty;
+                } else {
+                    const key = `${item.materialType}|${getSheetSizeKeyForItem(size)}`;
+                    demand.fifo[key] = (demand.fifo[key] || 0) + qty;
+                }
+            }
+            (item.remnantIds || []).forEach(id => demand.remnantIds.add(id));
+        }
+    }
+    return demand;
+}
+
+/**
+ * Offline Use Now runs the same "Not enough stock" checks as the transaction, against the cached inventory less
+ * what earlier queued uses will take, so the floor hears about a shortfall now instead of at replay.
+ */
+export function assertQueuedUseStockFits(jobs, options, { inventory, materials, entries }) {
+    if (options?.isScheduled) return;
+    const countSheets = (items) => items.reduce((sum, item) => sum + getRemainingQuantity(item), 0);
+    const queued = entries
+        .filter(entry => entry.kind === OUTBOX_KINDS.useStock && !entry.payload.options?.isScheduled)
+        .map(entry => getUseStockDemand(entry.payload.jobs, materials));
+
+    for (const job of jobs) {
+        for (const item of job.items) {
+            for (const { size, qty } of getUseStockLineQuantities(item, materials)) {
+                if (item.bundle) {
+                    const alreadyQueued = queued.reduce((sum, d) => sum + (d.bundles[item.bundle.payload] || 0), 0);
+                    const available = Math.max(countSheets(getBundleCandidates(inventory, item.bundle)) - alreadyQueued, 0);
+                    if (available < qty) throw new Error(formatBundleShortMessage(qty, item.bundle, available));
+                } else {
+                    const sizeKey = getSheetSizeKeyForItem(size);
+                    const alreadyQueued = queued.reduce((sum, d) => sum + (d.fifo[`${item.materialType}|${sizeKey}`] || 0), 0);
+                    const available = Math.max(countSheets(getFifoCandidates(inventory, item.materialType, sizeKey)) - alreadyQueued, 0);
+                    if (available < qty) throw new Error(formatNotEnoughStockMessage(qty, item.materialType, size, available));
+                }
+            }
+            for (const remnantId of item.remnantIds || []) {
+                const remnant = inventory.find(i => i.id === remnantId);
+                if (!remnant || remnant.status !== 'On Hand' || queued.some(d => d.remnantIds.has(remnantId))) {
+                    throw new Error(`Remnant ${remnantId} of ${item.materialType} is no longer on hand.`);
+                }
+            }
+        }
+    }
+}
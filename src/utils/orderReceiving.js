@@ -0,0 +1,76 @@
+// src/utils/orderReceiving.js
+
+import { getSheetSizeKeyForItem } from './sheetSizes';
+import { getRemainingQuantity, isInventoryLot } from './inventoryLots';
+
+/** How the sheet got to On Hand: someone received it in the dialog, or the arrival date passed and the app flipped it. */
+export const RECEIVED_VIA_MANUAL = 'manual';
+export const RECEIVED_VIA_AUTO = 'auto';
+
+export const buildReceivedFields = (receivedVia, now = new Date()) => ({
+    status: 'On Hand',
+    dateReceived: now.toISOString().split('T')[0],
+    receivedAt: now.toISOString(),
+    receivedVia,
+});
+
+/**
+ * Sheets left on order after a short shipment. The first promised date is kept in
+ * `promisedArrivalDate` so the supplier scorecard still judges the delivery against it.
+ */
+export const buildBackorderFields = (item, arrivalDate, now = new Date()) => ({
+    arrivalDate,
+    promisedArrivalDate: item.promisedArrivalDate || item.arrivalDate || null,
+    shortShippedAt: now.toISOString(),
+});
+
+export const isShortShipped = (item) => item?.status === 'Ordered' && !!item.shortShippedAt;
+
+/** The still-Ordered sheets (or lots) of an order group, one line per material and sheet size; `qty` counts sheets. */
+export function getReceivableLines(details) {
+    const lines = {};
+    (details || []).forEach(item => {
+        if (!item.id || item.status !== 'Ordered') return;
+        const sizeKey = getSheetSizeKeyForItem(item);
+        const key = `${item.materialType}|${sizeKey}`;
+        if (!lines[key]) {
+            lines[key] = { key, materialType: item.materialType, length: item.length, width: item.width, sizeKey, items: [], qty: 0 };
+        }
+        lines[key].items.push(item);
+        lines[key].qty += getRemainingQuantity(item);
+    });
+    return Object.values(lines)
+        .map(line => ({ ...line, items: [...line.items].sort((a, b) => a.id.localeCompare(b.id)) }))
+        .sort((a, b) => a.materialType.localeCompare(b.materialType) || a.sizeKey.localeCompare(b.sizeKey, undefined, { numeric: true }));
+}
+
+/**
+ * Split each line into the sheets that arrived and the ones still owed, given the received count per line key.
+ * A lot carries the number of its sheets on each side as `qty`; one that arrived in part is on both sides.
+ */
+export function planOrderReceipt(lines, receivedQtyByKey) {
+    const toReceive = [];
+    const toBackorder = [];
+    lines.forEach(line => {
+        let left = Math.min(Math.max(parseInt(receivedQtyByKey[line.key], 10) || 0, 0), line.qty);
+        line.items.forEach(item => {
+            if (!isInventoryLot(item)) {
+                if (left > 0) {
+                    toReceive.push(item);
+                    left -= 1;
+                } else {
+                    toBackorder.push(item);
+                }
+                return;
+            }
+            const received = Math.min(item.remainingQty, left);
+            left -= received;
+            if (received > 0) toReceive.push({ ...item, qty: received });
+            if (received < item.remainingQty) toBackorder.push({ ...item, qty: item.remainingQty - received });
+        });
+    });
+    return { toReceive, toBackorder };
+}
+
+/** Sheets in a receipt list from planOrderReceipt. */
+export const countReceiptSheets = (items) => items.reduce((sum, item) => sum + (item.qty ?? 1), 0);
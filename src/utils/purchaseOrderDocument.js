@@ -0,0 +1,212 @@
+// src/utils/purchaseOrderDocument.js
+
+import { CC_EMAIL, PURCHASER_NAME } from '../constants/suppliers';
+import { getSupplierEmailInfo } from './buyOrderUtils';
+import { buildPurchaseOrderLines, summarizePurchaseOrderLines } from './purchaseOrders';
+import { createPdfDocument, PDF_PAGE_HEIGHT } from './simplePdf';
+
+const formatWeight = (value) => (value === null ? '—' : value.toLocaleString(undefined, { maximumFractionDigits: 1 }));
+const formatMoney = (value) => (value === null ? '—' : `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+/** Everything a printed or PDF purchase order shows, addressed to one supplier. */
+export function buildPurchaseOrderDocument({ buyOrder, supplier, supplierInfoOverrides, materials, latestCostPerPound }) {
+    const info = getSupplierEmailInfo(supplier, supplierInfoOverrides);
+    const lines = buildPurchaseOrderLines(buyOrder, materials, latestCostPerPound);
+    return {
+        poNumber: buyOrder.poNumber || 'DRAFT',
+        issuedAt: buyOrder.poIssuedAt || buyOrder.createdAt || new Date().toISOString(),
+        purchaser: PURCHASER_NAME,
+        purchaserEmail: CC_EMAIL,
+        supplier,
+        supplierContact: (info.contactName || '').trim(),
+        supplierEmail: (info.email || '').trim(),
+        reference: (buyOrder.requestedEmailSubject || buyOrder.emailSubject || '').trim(),
+        customer: (buyOrder.customer || '').trim(),
+        lines,
+        totals: summarizePurchaseOrderLines(lines),
+    };
+}
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const getNotes = (po) => [
+    'Weights are estimated from material thickness and density.',
+    po.lines.some(line => line.costIsEstimate) ? 'Prices marked * are the last price paid and are estimates only.' : null,
+    po.totals.hasMissingWeight || po.totals.hasMissingCost ? 'Lines showing — are missing material data or a price and are not in the totals.' : null,
+].filter(Boolean);
+
+/** Standalone HTML page for the print preview. */
+export function buildPurchaseOrderHtml(po) {
+    const rows = po.lines.map(line => `
+        <tr>
+            <td>${escapeHtml(line.materialType)}</td>
+            <td>${escapeHtml(line.size)}</td>
+            <td class="num">${line.qty}</td>
+            <td class="num">${formatWeight(line.weightPerSheet)}</td>
+            <td class="num">${formatWeight(line.totalWeight)}</td>
+            <td class="num">${line.costPerPound === null ? '—' : `${formatMoney(line.costPerPound)}${line.costIsEstimate ? '*' : ''}`}</td>
+            <td class="num">${formatMoney(line.estimatedCost)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(po.poNumber)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111; margin: 32px; font-size: 13px; }
+    h1 { margin: 0; font-size: 26px; letter-spacing: 0.05em; }
+    .head { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #111; padding-bottom: 12px; }
+    .po { text-align: right; }
+    .po strong { font-size: 18px; }
+    .parties { display: flex; gap: 48px; margin: 20px 0; }
+    .label { font-size: 11px; text-transform: uppercase; color: #555; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ccc; text-align: left; }
+    th { font-size: 11px; text-transform: uppercase; color: #555; border-bottom: 2px solid #111; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    tfoot td { font-weight: bold; border-top: 2px solid #111; border-bottom: none; }
+    .notes { margin-top: 24px; font-size: 11px; color: #555; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+    <div class="head">
+        <div>
+            <h1>PURCHASE ORDER</h1>
+            <div>${escapeHtml(po.purchaser)}${po.purchaserEmail ? ` · ${escapeHtml(po.purchaserEmail)}` : ''}</div>
+        </div>
+        <div class="po">
+            <strong>${escapeHtml(po.poNumber)}</strong><br>
+            Date: ${escapeHtml(new Date(po.issuedAt).toLocaleDateString())}
+        </div>
+    </div>
+    <div class="parties">
+        <div>
+            <div class="label">Supplier</div>
+            <div><strong>${escapeHtml(po.supplier)}</strong></div>
+            ${po.supplierContact ? `<div>Attn: ${escapeHtml(po.supplierContact)}</div>` : ''}
+            ${po.supplierEmail ? `<div>${escapeHtml(po.supplierEmail)}</div>` : ''}
+        </div>
+        ${po.reference ? `<div><div class="label">Reference</div><div>${escapeHtml(po.reference)}</div></div>` : ''}
+        ${po.customer ? `<div><div class="label">Customer</div><div>${escapeHtml(po.customer)}</div></div>` : ''}
+    </div>
+    <table>
+        <thead>
+            <tr>
+                <th>Material</th><th>Size</th><th class="num">Qty</th><th class="num">Lb / Sheet</th>
+                <th class="num">Total Lb</th><th class="num">$ / Lb</th><th class="num">Est. Cost</th>
+            </tr>
+        </thead>
+        <tbody>${rows || '<tr><td colspan="7">No line items.</td></tr>'}</tbody>
+        <tfoot>
+            <tr>
+                <td colspan="2">Total</td>
+                <td class="num">${po.totals.sheets}</td>
+                <td></td>
+                <td class="num">${formatWeight(po.totals.weight)}</td>
+                <td></td>
+                <td class="num">${formatMoney(po.totals.cost)}</td>
+            </tr>
+        </tfoot>
+    </table>
+    <div class="notes">${getNotes(po).map(escapeHtml).join('<br>')}</div>
+</body>
+</html>`;
+}
+
+const PDF_MARGIN = 40;
+const PDF_ROW_HEIGHT = 16;
+// Column anchors: left edge for text columns, right edge for numeric ones.
+const PDF_COLUMNS = [
+    { key: 'materialType', x: PDF_MARGIN, label: 'Material' },
+    { key: 'size', x: 230, label: 'Size' },
+    { key: 'qty', x: 330, label: 'Qty', align: 'right' },
+    { key: 'weightPerSheet', x: 395, label: 'Lb/Sheet', align: 'right' },
+    { key: 'totalWeight', x: 460, label: 'Total Lb', align: 'right' },
+    { key: 'costPerPound', x: 510, label: '$/Lb', align: 'right' },
+    { key: 'estimatedCost', x: 572, label: 'Est. Cost', align: 'right' },
+];
+
+const formatPdfCell = (line, key) => {
+    switch (key) {
+        case 'weightPerSheet':
+        case 'totalWeight':
+            return formatWeight(line[key]).replace('—', '-');
+        case 'costPerPound':
+            return line.costPerPound === null ? '-' : `${formatMoney(line.costPerPound)}${line.costIsEstimate ? '*' : ''}`;
+        case 'estimatedCost':
+            return formatMoney(line.estimatedCost).replace('—', '-');
+        case 'materialType':
+            return line.materialType.length > 32 ? `${line.materialType.slice(0, 29)}...` : line.materialType;
+        default:
+            return String(line[key]);
+    }
+};
+
+/** The same purchase order as a PDF Blob, ready to attach to the supplier email. */
+export function buildPurchaseOrderPdf(po) {
+    const pdf = createPdfDocument();
+    const right = 572;
+
+    const drawTableHeader = (y) => {
+        PDF_COLUMNS.forEach(col => pdf.text(col.x, y, col.label, { size: 9, bold: true, align: col.align }));
+        pdf.line(PDF_MARGIN, y + 5, right, y + 5, { width: 1 });
+        return y + PDF_ROW_HEIGHT + 2;
+    };
+
+    pdf.text(PDF_MARGIN, 60, 'PURCHASE ORDER', { size: 22, bold: true });
+    pdf.text(PDF_MARGIN, 78, [po.purchaser, po.purchaserEmail].filter(Boolean).join(' - '), { size: 10 });
+    pdf.text(right, 60, po.poNumber, { size: 16, bold: true, align: 'right' });
+    pdf.text(right, 78, `Date: ${new Date(po.issuedAt).toLocaleDateString()}`, { size: 10, align: 'right' });
+    pdf.line(PDF_MARGIN, 88, right, 88, { width: 1.5 });
+
+    let y = 110;
+    pdf.text(PDF_MARGIN, y, 'SUPPLIER', { size: 8, bold: true });
+    pdf.text(PDF_MARGIN, y + 14, po.supplier, { size: 11, bold: true });
+    if (po.supplierContact) pdf.text(PDF_MARGIN, y + 28, `Attn: ${po.supplierContact}`);
+    if (po.supplierEmail) pdf.text(PDF_MARGIN, y + (po.supplierContact ? 42 : 28), po.supplierEmail);
+    if (po.reference) {
+        pdf.text(300, y, 'REFERENCE', { size: 8, bold: true });
+        pdf.text(300, y + 14, po.reference);
+    }
+    if (po.customer) {
+        pdf.text(300, y + 32, 'CUSTOMER', { size: 8, bold: true });
+        pdf.text(300, y + 46, po.customer);
+    }
+
+    y = drawTableHeader(180);
+    po.lines.forEach(line => {
+        if (y > PDF_PAGE_HEIGHT - 90) {
+            pdf.addPage();
+            pdf.text(PDF_MARGIN, 50, `${po.poNumber} (continued)`, { size: 10, bold: true });
+            y = drawTableHeader(80);
+        }
+        PDF_COLUMNS.forEach(col => pdf.text(col.x, y, formatPdfCell(line, col.key), { size: 9, align: col.align }));
+        pdf.line(PDF_MARGIN, y + 5, right, y + 5, { width: 0.25 });
+        y += PDF_ROW_HEIGHT;
+    });
+
+    pdf.line(PDF_MARGIN, y - 6, right, y - 6, { width: 1 });
+    y += 6;
+    pdf.text(PDF_MARGIN, y, 'Total', { size: 10, bold: true });
+    pdf.text(330, y, String(po.totals.sheets), { size: 10, bold: true, align: 'right' });
+    pdf.text(460, y, formatWeight(po.totals.weight), { size: 10, bold: true, align: 'right' });
+    pdf.text(572, y, formatMoney(po.totals.cost), { size: 10, bold: true, align: 'right' });
+
+    y += 30;
+    if (y > PDF_PAGE_HEIGHT - 60) {
+        pdf.addPage();
+        y = 60;
+    }
+    getNotes(po).forEach(note => {
+        pdf.text(PDF_MARGIN, y, note.replace('—', '-'), { size: 8 });
+        y += 12;
+    });
+
+    return pdf.toBlob();
+}
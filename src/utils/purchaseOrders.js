@@ -0,0 +1,114 @@
+// src/utils/purchaseOrders.js
+
+import { doc, runTransaction } from '../firebase/firestoreWithTracking';
+import { DEFAULT_SHEET_WIDTH } from '../constants/materials';
+import { formatSheetSize, normalizeSizeQtyFields, parseSheetSizeKey } from './sheetSizes';
+import { isRemnantSheet } from './remnants';
+
+export const PO_NUMBER_PREFIX = 'PO-';
+const PO_COUNTER_DOC_ID = 'purchase_orders';
+
+const poCounterRef = (db, appId) => doc(db, `artifacts/${appId}/public/data/counters`, PO_COUNTER_DOC_ID);
+
+export const formatPoNumber = (sequence) => `${PO_NUMBER_PREFIX}${String(sequence).padStart(5, '0')}`;
+
+// Must run after every other read in the transaction: it reads the counter and queues its write.
+async function claimNextPoNumber(tx, db, appId) {
+    const counterRef = poCounterRef(db, appId);
+    const counterSnap = await tx.get(counterRef);
+    const sequence = (counterSnap.exists() ? counterSnap.data().lastSequence || 0 : 0) + 1;
+    tx.set(counterRef, { lastSequence: sequence, updatedAt: new Date().toISOString() }, { merge: true });
+    return { poNumber: formatPoNumber(sequence), poSequence: sequence };
+}
+
+/** Write a new buy order together with the next PO number, so two browsers can never issue the same one. */
+export async function createNumberedBuyOrder(db, appId, buyOrderRef, data) {
+    return runTransaction(db, async (tx) => {
+        const numbering = await claimNextPoNumber(tx, db, appId);
+        tx.set(buyOrderRef, { ...data, ...numbering, poIssuedAt: new Date().toISOString() });
+        return numbering.poNumber;
+    });
+}
+
+/** PO number of an existing buy order, numbering it now if it was created before PO numbers existed. */
+export async function ensureBuyOrderPoNumber(db, appId, buyOrderId) {
+    const buyOrderRef = doc(db, `artifacts/${appId}/public/data/buy_orders`, buyOrderId);
+    return runTransaction(db, async (tx) => {
+        const orderSnap = await tx.get(buyOrderRef);
+        if (!orderSnap.exists()) throw new Error('This buy order no longer exists.');
+        if (orderSnap.data().poNumber) return orderSnap.data().poNumber;
+        const numbering = await claimNextPoNumber(tx, db, appId);
+        tx.update(buyOrderRef, { ...numbering, poIssuedAt: new Date().toISOString() });
+        return numbering.poNumber;
+    });
+}
+
+/** Most recent $/lb paid for each material, used when a buy order line has no price of its own. */
+export function getLatestCostPerPoundByMaterial(inventory) {
+    const latest = {};
+    (inventory || []).forEach(item => {
+        const cost = parseFloat(item.costPerPound);
+        if (!item.materialType || !(cost > 0) || isRemnantSheet(item)) return;
+        const current = latest[item.materialType];
+        if (!current || new Date(item.createdAt) > new Date(current.createdAt)) latest[item.materialType] = item;
+    });
+    return Object.fromEntries(Object.entries(latest).map(([materialType, item]) => [materialType, parseFloat(item.costPerPound)]));
+}
+
+function getOrderItemSheets(item) {
+    const sheets = Object.entries(normalizeSizeQtyFields(item))
+        .map(([field, value]) => ({ size: parseSheetSizeKey(field.slice(3)), qty: parseInt(value || 0, 10) }))
+        .filter(({ size, qty }) => size && qty > 0)
+        .sort((a, b) => (b.size.width - a.size.width) || (b.size.length - a.size.length))
+        .map(({ size, qty }) => ({ length: size.length, width: size.width, qty }));
+
+    const customQty = parseInt(item?.customQty || 0, 10);
+    const customWidth = parseFloat(item?.customWidth || 0);
+    const customLength = parseFloat(item?.customLength || 0);
+    if (customQty > 0 && customWidth > 0 && customLength > 0) {
+        sheets.push({ length: customLength, width: customWidth, qty: customQty });
+    }
+    return sheets;
+}
+
+/**
+ * One PO line per material and sheet size. Weight is length × width × thickness × density, the same
+ * formula as `calculateSheetCost`; cost uses the line's $/lb, else the last price paid for the material.
+ * Lines with no material data or no known price carry `null` weight/cost rather than a misleading zero.
+ */
+export function buildPurchaseOrderLines(buyOrder, materials, latestCostPerPound = {}) {
+    const lines = [];
+    (buyOrder?.items || []).forEach(item => {
+        const materialInfo = materials?.[item.materialType];
+        const thickness = parseFloat(materialInfo?.thickness) || 0;
+        const density = parseFloat(materialInfo?.density) || 0;
+        const ownCost = parseFloat(item.costPerPound);
+        const costPerPound = ownCost > 0 ? ownCost : (latestCostPerPound[item.materialType] ?? null);
+
+        getOrderItemSheets(item).forEach(({ length, width, qty }) => {
+            const weightPerSheet = thickness > 0 && density > 0 ? length * (width || DEFAULT_SHEET_WIDTH) * thickness * density : null;
+            const totalWeight = weightPerSheet === null ? null : weightPerSheet * qty;
+            lines.push({
+                materialType: item.materialType || 'Material',
+                size: formatSheetSize({ length, width }),
+                qty,
+                weightPerSheet,
+                totalWeight,
+                costPerPound,
+                costIsEstimate: !(ownCost > 0) && costPerPound !== null,
+                estimatedCost: totalWeight !== null && costPerPound !== null ? totalWeight * costPerPound : null,
+            });
+        });
+    });
+    return lines;
+}
+
+export function summarizePurchaseOrderLines(lines) {
+    return lines.reduce((totals, line) => ({
+        sheets: totals.sheets + line.qty,
+        weight: totals.weight + (line.totalWeight || 0),
+        cost: totals.cost + (line.estimatedCost || 0),
+        hasMissingWeight: totals.hasMissingWeight || line.totalWeight === null,
+        hasMissingCost: totals.hasMissingCost || line.estimatedCost === null,
+    }), { sheets: 0, weight: 0, cost: 0, hasMissingWeight: false, hasMissingCost: false });
+}
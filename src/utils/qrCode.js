@@ -0,0 +1,315 @@
+// src/utils/qrCode.js
+// Byte-mode QR Code encoder (ISO/IEC 18004, error correction level M), so bundle labels need no
+// QR library. Follows the reference construction: data + Reed-Solomon blocks, function patterns,
+// zig-zag codeword placement, then the lowest-penalty of the eight masks.
+
+// Level M, indexed by version (index 0 unused).
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const ECC_LEVEL_M_FORMAT_BITS = 0;
+const MAX_VERSION = 40;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+const getNumDataCodewords = (version) =>
+    Math.floor(getNumRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+
+function getAlignmentPatternPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+}
+
+// ─── Reed-Solomon over GF(2^8/0x11D) ─────────────────────────────────────────
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+export function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+}
+
+// ─── codewords ───────────────────────────────────────────────────────────────
+
+function encodeDataCodewords(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0x4, 4); // byte mode
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(b => append(b, 8));
+
+    const capacityBits = getNumDataCodewords(version) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    return codewords;
+}
+
+function addEccAndInterleave(data, version) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        k += dat.length;
+        const ecc = reedSolomonRemainder(dat, divisor);
+        if (i < numShortBlocks) dat.push(0);
+        blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte that evens out short blocks.
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// ─── matrix ──────────────────────────────────────────────────────────────────
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+    return { version, size, modules, isFunction, setFunction };
+}
+
+function drawFormatBits(matrix, mask) {
+    const { size, setFunction } = matrix;
+    const data = (ECC_LEVEL_M_FORMAT_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+}
+
+function drawFunctionPatterns(matrix) {
+    const { version, size, setFunction } = matrix;
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    const drawFinder = (cx, cy) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    };
+    drawFinder(3, 3);
+    drawFinder(size - 4, 3);
+    drawFinder(3, size - 4);
+
+    const positions = getAlignmentPatternPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((py, i) => {
+        positions.forEach((px, j) => {
+            // The three corners already hold finder patterns.
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) setFunction(px + dx, py + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        });
+    });
+
+    // Reserve the format areas now; the real bits are written once the mask is chosen.
+    drawFormatBits(matrix, 0);
+
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const bit = getBit(bits, i);
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, bit);
+            setFunction(b, a, bit);
+        }
+    }
+}
+
+function drawCodewords(matrix, codewords) {
+    const { size, modules, isFunction } = matrix;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask(matrix, mask) {
+    const { size, modules, isFunction } = matrix;
+    const test = MASKS[mask];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && test(x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+// Penalty rules N1–N4 from the standard: long runs, 2x2 blocks, finder look-alikes, dark/light balance.
+function getPenaltyScore({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+    const finderLike = [true, false, true, true, true, false, true];
+    for (const line of lines) {
+        let runLength = 0;
+        for (let i = 0; i < size; i++) {
+            if (i > 0 && line[i] === line[i - 1]) {
+                runLength++;
+                if (runLength === 5) score += 3;
+                else if (runLength > 5) score += 1;
+            } else {
+                runLength = 1;
+            }
+        }
+        for (let start = 0; start + 7 <= size; start++) {
+            if (!finderLike.every((dark, k) => line[start + k] === dark)) continue;
+            const lightBefore = start >= 4 && [1, 2, 3, 4].every(k => !line[start - k]);
+            const lightAfter = start + 11 <= size && [7, 8, 9, 10].every(k => !line[start + k]);
+            if (lightBefore || lightAfter) score += 40;
+        }
+    }
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const c = modules[y][x];
+            if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+    }
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+}
+
+/**
+ * Encode `text` (UTF-8) into the smallest QR Code that fits at level M.
+ * Returns `{ size, modules }` where `modules[y][x]` is true for a dark module.
+ */
+export function encodeQrCode(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text ?? '')));
+    let version = 1;
+    while (version <= MAX_VERSION && getNumDataCodewords(version) < bytes.length + (version <= 9 ? 2 : 3)) version++;
+    if (version > MAX_VERSION) throw new Error('Text is too long for a QR code.');
+
+    const codewords = addEccAndInterleave(encodeDataCodewords(bytes, version), version);
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const matrix = createMatrix(version);
+        drawFunctionPatterns(matrix);
+        drawCodewords(matrix, codewords);
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, mask);
+        const penalty = getPenaltyScore(matrix);
+        if (!best || penalty < best.penalty) best = { penalty, matrix };
+    }
+    return { size: best.matrix.size, modules: best.matrix.modules };
+}
+
+/** SVG markup for a QR Code, one path of unit squares inside the standard 4-module quiet zone. */
+export function qrCodeToSvg(qr, { pixelSize = 4, quietZone = 4 } = {}) {
+    const dimension = qr.size + quietZone * 2;
+    const path = [];
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + quietZone},${y + quietZone}h1v1h-1z`);
+        });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${dimension * pixelSize}" height="${dimension * pixelSize}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
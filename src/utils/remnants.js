@@ -0,0 +1,76 @@
+// src/utils/remnants.js
+
+import { DEFAULT_SHEET_WIDTH } from '../constants/materials';
+
+/** Job label prefix for inventory docs created from the leftover of a cut sheet (pairs with `MODIFICATION:`). */
+export const REMNANT_JOB_PREFIX = 'REMNANT';
+
+/** Offcuts shorter or narrower than this (inches) are scrap and are not put back into stock. */
+export const MIN_REMNANT_DIMENSION = 6;
+
+export const isRemnantSheet = (item) => Boolean(item?.isRemnant);
+
+export const formatRemnantJobLabel = (usageJobLabel) => `${REMNANT_JOB_PREFIX}: ${usageJobLabel || 'N/A'}`;
+
+const toPositiveNumber = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * Parse the optional per-sheet cut size entered on a Use Stock line.
+ * Returns null when no cut was requested (the whole sheet is consumed).
+ * A blank width means the cut runs across the full sheet width.
+ */
+export function parseCutSize(item) {
+    const cutLength = toPositiveNumber(item?.cutLength);
+    const cutWidth = toPositiveNumber(item?.cutWidth);
+    if (cutLength === null && cutWidth === null) return null;
+    return { cutLength, cutWidth };
+}
+
+/**
+ * Guillotine-cut one sheet: the consumed piece comes off a corner, leaving at most two
+ * rectangular offcuts — the full-width strip past the cut length, and the side strip beside the cut.
+ * Throws when the cut does not fit on the sheet so the caller can surface it like a stock error.
+ */
+export function calculateRemnantPieces(sheet, cut) {
+    const sheetLength = Number(sheet?.length) || 0;
+    const sheetWidth = Number(sheet?.width) || DEFAULT_SHEET_WIDTH;
+    if (!cut) return { consumedLength: sheetLength, consumedWidth: sheetWidth, pieces: [] };
+
+    const consumedLength = cut.cutLength ?? sheetLength;
+    const consumedWidth = cut.cutWidth ?? sheetWidth;
+    if (consumedLength > sheetLength || consumedWidth > sheetWidth) {
+        throw new Error(`Cut ${consumedLength}"x${consumedWidth}" does not fit on a ${sheetLength}"x${sheetWidth}" ${sheet.materialType} sheet.`);
+    }
+
+    const pieces = [
+        { length: sheetLength - consumedLength, width: sheetWidth },
+        { length: consumedLength, width: sheetWidth - consumedWidth },
+    ].filter((piece) => piece.length >= MIN_REMNANT_DIMENSION && piece.width >= MIN_REMNANT_DIMENSION);
+
+    return { consumedLength, consumedWidth, pieces };
+}
+
+/** Inventory doc for an offcut; it inherits cost and supplier from the sheet it was cut from. */
+export function buildRemnantStockData(sheet, piece, { usageLogId, usageJobLabel, nowIso, materialInfo }) {
+    return {
+        materialType: sheet.materialType,
+        gauge: sheet.gauge ?? null,
+        supplier: sheet.supplier || 'Remnant',
+        costPerPound: sheet.costPerPound || 0,
+        createdAt: nowIso,
+        job: formatRemnantJobLabel(usageJobLabel),
+        status: 'On Hand',
+        arrivalDate: null,
+        dateReceived: nowIso.split('T')[0],
+        width: piece.width,
+        length: piece.length,
+        density: sheet.density ?? materialInfo?.density ?? 0,
+        thickness: sheet.thickness ?? materialInfo?.thickness ?? 0,
+        isRemnant: true,
+        remnantOf: sheet.id || null,
+        sourceUsageLogId: usageLogId,
+    };
+}
@@ -0,0 +1,94 @@
+import {
+    MIN_REMNANT_DIMENSION,
+    buildRemnantStockData,
+    calculateRemnantPieces,
+    formatRemnantJobLabel,
+    isRemnantSheet,
+    parseCutSize,
+} from './remnants';
+
+describe('parseCutSize', () => {
+    it('returns null when no cut was entered', () => {
+        expect(parseCutSize({})).toBeNull();
+        expect(parseCutSize({ cutLength: '', cutWidth: '' })).toBeNull();
+        expect(parseCutSize({ cutLength: '0', cutWidth: '-4' })).toBeNull();
+    });
+
+    it('parses the entered sides and leaves a blank side null', () => {
+        expect(parseCutSize({ cutLength: '36.5', cutWidth: '' })).toEqual({ cutLength: 36.5, cutWidth: null });
+        expect(parseCutSize({ cutLength: '', cutWidth: 24 })).toEqual({ cutLength: null, cutWidth: 24 });
+    });
+});
+
+describe('calculateRemnantPieces', () => {
+    const sheet = { id: 's1', materialType: 'Aluminum', length: 120, width: 48 };
+
+    it('consumes the whole sheet when there is no cut', () => {
+        expect(calculateRemnantPieces(sheet, null)).toEqual({ consumedLength: 120, consumedWidth: 48, pieces: [] });
+    });
+
+    it('leaves the strip past the cut and the strip beside it', () => {
+        expect(calculateRemnantPieces(sheet, { cutLength: 96, cutWidth: 30 })).toEqual({
+            consumedLength: 96,
+            consumedWidth: 30,
+            pieces: [{ length: 24, width: 48 }, { length: 96, width: 18 }],
+        });
+    });
+
+    it('runs a cut with no width across the full sheet width', () => {
+        expect(calculateRemnantPieces(sheet, { cutLength: 60, cutWidth: null })).toEqual({
+            consumedLength: 60,
+            consumedWidth: 48,
+            pieces: [{ length: 60, width: 48 }],
+        });
+    });
+
+    it('drops offcuts under the minimum dimension as scrap', () => {
+        const { pieces } = calculateRemnantPieces(sheet, { cutLength: 120 - (MIN_REMNANT_DIMENSION - 1), cutWidth: 48 });
+        expect(pieces).toEqual([]);
+    });
+
+    it('defaults a sheet without a width to the standard width', () => {
+        expect(calculateRemnantPieces({ length: 96 }, { cutLength: 48, cutWidth: null }).consumedWidth).toBe(48);
+    });
+
+    it('throws when the cut does not fit on the sheet', () => {
+        expect(() => calculateRemnantPieces(sheet, { cutLength: 130, cutWidth: null })).toThrow('does not fit');
+        expect(() => calculateRemnantPieces(sheet, { cutLength: null, cutWidth: 60 })).toThrow('does not fit');
+    });
+});
+
+describe('buildRemnantStockData', () => {
+    const nowIso = '2024-05-01T12:00:00.000Z';
+
+    it('inherits cost and supplier and links back to the sheet and usage log', () => {
+        const sheet = { id: 's1', materialType: 'Aluminum', gauge: 14, supplier: 'Acme', costPerPound: 2.5, density: 0.1, thickness: 0.075 };
+        const data = buildRemnantStockData(sheet, { length: 24, width: 48 }, { usageLogId: 'log1', usageJobLabel: 'JOB-7', nowIso });
+        expect(data).toMatchObject({
+            materialType: 'Aluminum',
+            supplier: 'Acme',
+            costPerPound: 2.5,
+            job: 'REMNANT: JOB-7',
+            status: 'On Hand',
+            dateReceived: '2024-05-01',
+            length: 24,
+            width: 48,
+            isRemnant: true,
+            remnantOf: 's1',
+            sourceUsageLogId: 'log1',
+        });
+        expect(isRemnantSheet(data)).toBe(true);
+    });
+
+    it('falls back to the material for density and thickness', () => {
+        const data = buildRemnantStockData({ materialType: 'Steel' }, { length: 10, width: 10 }, {
+            usageLogId: 'log2', nowIso, materialInfo: { density: 0.28, thickness: 0.1 },
+        });
+        expect(data).toMatchObject({ supplier: 'Remnant', density: 0.28, thickness: 0.1, remnantOf: null });
+    });
+});
+
+it('labels remnants of a usage without a job as N/A', () => {
+    expect(formatRemnantJobLabel('')).toBe('REMNANT: N/A');
+    expect(isRemnantSheet({})).toBe(false);
+});
@@ -0,0 +1,125 @@
+// src/utils/reorderForecast.js
+
+import { getMaterialSheetSizes, getSheetSizeKey, getSheetSizeKeyForItem } from './sheetSizes';
+import { isRemnantSheet } from './remnants';
+import { getSupplierEmailInfo } from './buyOrderUtils';
+
+export const DEFAULT_LEAD_TIME_DAYS = 14;
+export const FORECAST_WINDOW_OPTIONS = Object.freeze([30, 60, 90, 180]);
+export const DEFAULT_FORECAST_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const forecastKey = (materialType, sizeKey) => `${materialType}|${sizeKey}`;
+
+/** Parse a supplier's configured lead time; blank or invalid values fall back to the default. */
+export function parseLeadTimeDays(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+export function getSupplierLeadTimeDays(supplier, supplierInfoOverrides) {
+    return parseLeadTimeDays(getSupplierEmailInfo(supplier, supplierInfoOverrides).leadTimeDays) ?? DEFAULT_LEAD_TIME_DAYS;
+}
+
+/**
+ * Sheets used per day for each material/size over the trailing window, from Completed usage logs.
+ * Manual stock corrections (`MODIFICATION:` jobs) and remnant pieces are not demand, so they are skipped.
+ */
+export function calculateAverageDailyUsage(usageLog, { windowDays = DEFAULT_FORECAST_WINDOW_DAYS, now = new Date() } = {}) {
+    const windowStart = now.getTime() - windowDays * DAY_MS;
+    const totals = {};
+    (usageLog || []).forEach(log => {
+        if ((log.status || 'Completed') !== 'Completed') return;
+        if ((log.job || '').startsWith('MODIFICATION')) return;
+        const usedAt = new Date(log.usedAt || log.createdAt).getTime();
+        if (!Number.isFinite(usedAt) || usedAt < windowStart || usedAt > now.getTime()) return;
+        (log.details || []).forEach(detail => {
+            if (!detail?.materialType || isRemnantSheet(detail)) return;
+            const key = forecastKey(detail.materialType, getSheetSizeKeyForItem(detail));
+            totals[key] = (totals[key] || 0) + 1;
+        });
+    });
+    return Object.fromEntries(Object.entries(totals).map(([key, count]) => [key, count / windowDays]));
+}
+
+/** Supplier of the most recent purchase of each material, as the Reorder list already assumes. */
+export function getLatestSupplierByMaterial(inventory) {
+    const latest = {};
+    (inventory || []).forEach(item => {
+        if (!item.supplier || isRemnantSheet(item)) return;
+        const current = latest[item.materialType];
+        if (!current || new Date(item.createdAt) > new Date(current.createdAt)) latest[item.materialType] = item;
+    });
+    return Object.fromEntries(Object.entries(latest).map(([materialType, item]) => [materialType, item.supplier]));
+}
+
+/**
+ * Project each configured material size forward: on hand + incoming − scheduled usage is what is left,
+ * average daily usage burns it down to a stock-out date, and the suggested order covers the supplier's
+ * lead time of usage on top of what is already committed.
+ * Rows with no usage history and nothing scheduled are left out — there is nothing to forecast.
+ */
+export function buildReorderForecast({
+    materials,
+    inventory,
+    usageLog,
+    inventorySummary,
+    incomingSummary,
+    scheduledOutgoingSummary,
+    supplierInfoOverrides,
+    windowDays = DEFAULT_FORECAST_WINDOW_DAYS,
+    now = new Date(),
+}) {
+    const averageDailyUsage = calculateAverageDailyUsage(usageLog, { windowDays, now });
+    const supplierByMaterial = getLatestSupplierByMaterial(inventory);
+    const rows = [];
+
+    Object.keys(materials || {}).forEach(materialType => {
+        const supplier = supplierByMaterial[materialType] || 'Unknown';
+        const leadTimeDays = getSupplierLeadTimeDays(supplier, supplierInfoOverrides);
+
+        getMaterialSheetSizes(materials, materialType).forEach(size => {
+            const sizeKey = getSheetSizeKey(size.length, size.width);
+            const dailyUsage = averageDailyUsage[forecastKey(materialType, sizeKey)] || 0;
+            const scheduled = scheduledOutgoingSummary?.[materialType]?.lengths?.[sizeKey] || 0;
+            if (dailyUsage === 0 && scheduled === 0) return;
+
+            const onHand = inventorySummary?.[materialType]?.[sizeKey] || 0;
+            const incoming = incomingSummary?.[materialType]?.lengths?.[sizeKey] || 0;
+            const projected = onHand + incoming - scheduled;
+
+            let daysOfCover = null;
+            if (projected <= 0) daysOfCover = 0;
+            else if (dailyUsage > 0) daysOfCover = projected / dailyUsage;
+
+            const stockOutDate = daysOfCover === null ? null : new Date(now.getTime() + daysOfCover * DAY_MS);
+            const leadTimeDemand = dailyUsage * leadTimeDays;
+
+            rows.push({
+                materialType,
+                category: materials[materialType]?.category || 'N/A',
+                length: size.length,
+                width: size.width,
+                sizeKey,
+                supplier,
+                onHand,
+                incoming,
+                scheduled,
+                projected,
+                dailyUsage,
+                daysOfCover,
+                stockOutDate,
+                leadTimeDays,
+                stockOutBeforeLeadTime: daysOfCover !== null && daysOfCover < leadTimeDays,
+                suggestedQty: Math.max(Math.ceil(leadTimeDemand - projected), 0),
+            });
+        });
+    });
+
+    return rows.sort((a, b) => {
+        if (a.daysOfCover === null) return b.daysOfCover === null ? 0 : 1;
+        if (b.daysOfCover === null) return -1;
+        return a.daysOfCover - b.daysOfCover;
+    });
+}
@@ -0,0 +1,110 @@
+import {
+    DEFAULT_LEAD_TIME_DAYS,
+    buildReorderForecast,
+    calculateAverageDailyUsage,
+    getLatestSupplierByMaterial,
+    getSupplierLeadTimeDays,
+    parseLeadTimeDays,
+} from './reorderForecast';
+
+const now = new Date('2024-06-30T12:00:00.000Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const sheet = (materialType, length, extra = {}) => ({ materialType, length, width: 48, ...extra });
+
+describe('lead times', () => {
+    it('parses configured lead times and rejects blanks', () => {
+        expect(parseLeadTimeDays('21')).toBe(21);
+        expect(parseLeadTimeDays(0)).toBe(0);
+        expect(parseLeadTimeDays('')).toBeNull();
+        expect(parseLeadTimeDays('-3')).toBeNull();
+    });
+
+    it('uses the supplier override, else the default', () => {
+        expect(getSupplierLeadTimeDays('Acme Metals', { ACME_METALS: { leadTimeDays: '10' } })).toBe(10);
+        expect(getSupplierLeadTimeDays('Unknown', {})).toBe(DEFAULT_LEAD_TIME_DAYS);
+    });
+});
+
+describe('calculateAverageDailyUsage', () => {
+    it('averages completed sheet usage over the window', () => {
+        const usageLog = [
+            { usedAt: daysAgo(1), details: [sheet('Aluminum', 96), sheet('Aluminum', 96)] },
+            { createdAt: daysAgo(29), status: 'Completed', details: [sheet('Aluminum', 96), sheet('Steel', 120)] },
+        ];
+        const usage = calculateAverageDailyUsage(usageLog, { windowDays: 30, now });
+        expect(usage['Aluminum|96x48']).toBeCloseTo(3 / 30);
+        expect(usage['Steel|120x48']).toBeCloseTo(1 / 30);
+    });
+
+    it('skips scheduled logs, stock corrections, remnants and logs outside the window', () => {
+        const usageLog = [
+            { usedAt: daysAgo(1), status: 'Scheduled', details: [sheet('Aluminum', 96)] },
+            { usedAt: daysAgo(1), job: 'MODIFICATION: recount', details: [sheet('Aluminum', 96)] },
+            { usedAt: daysAgo(1), details: [sheet('Aluminum', 96, { isRemnant: true }), {}] },
+            { usedAt: daysAgo(31), details: [sheet('Aluminum', 96)] },
+            { usedAt: daysAgo(-1), details: [sheet('Aluminum', 96)] },
+            { usedAt: 'not a date', details: [sheet('Aluminum', 96)] },
+        ];
+        expect(calculateAverageDailyUsage(usageLog, { windowDays: 30, now })).toEqual({});
+    });
+});
+
+it('takes the supplier of the most recent non-remnant purchase', () => {
+    const inventory = [
+        { materialType: 'Aluminum', supplier: 'Old Supplier', createdAt: '2024-01-01' },
+        { materialType: 'Aluminum', supplier: 'Acme Metals', createdAt: '2024-05-01' },
+        { materialType: 'Aluminum', supplier: 'Remnant', createdAt: '2024-06-01', isRemnant: true },
+        { materialType: 'Steel', createdAt: '2024-06-01' },
+    ];
+    expect(getLatestSupplierByMaterial(inventory)).toEqual({ Aluminum: 'Acme Metals' });
+});
+
+describe('buildReorderForecast', () => {
+    const materials = {
+        Aluminum: { category: 'Aluminum', sheetSizes: ['96x48'] },
+        Steel: { category: 'Steel', sheetSizes: ['120x48'] },
+        Brass: { category: 'Brass', sheetSizes: ['96x48'] },
+    };
+    // 6 sheets of 96x48 aluminum in 30 days: 0.2 a day
+    const usageLog = Array.from({ length: 6 }, (_, i) => ({ usedAt: daysAgo(i + 1), details: [sheet('Aluminum', 96)] }));
+    const rows = buildReorderForecast({
+        materials,
+        inventory: [{ materialType: 'Aluminum', supplier: 'Acme Metals', createdAt: '2024-05-01' }],
+        usageLog,
+        inventorySummary: { Aluminum: { '96x48': 1 }, Steel: { '120x48': 1 } },
+        incomingSummary: { Aluminum: { lengths: { '96x48': 2 } } },
+        scheduledOutgoingSummary: { Aluminum: { lengths: { '96x48': 2 } }, Steel: { lengths: { '120x48': 3 } } },
+        supplierInfoOverrides: { ACME_METALS: { leadTimeDays: 10 } },
+        windowDays: 30,
+        now,
+    });
+
+    it('leaves out sizes with no usage and nothing scheduled', () => {
+        expect(rows.map(row => row.materialType)).toEqual(['Steel', 'Aluminum']);
+    });
+
+    it('burns projected stock down at the daily rate and orders to cover the lead time', () => {
+        const aluminum = rows.find(row => row.materialType === 'Aluminum');
+        expect(aluminum).toMatchObject({ sizeKey: '96x48', supplier: 'Acme Metals', onHand: 1, incoming: 2, scheduled: 2, projected: 1, leadTimeDays: 10 });
+        expect(aluminum.dailyUsage).toBeCloseTo(0.2);
+        expect(aluminum.daysOfCover).toBeCloseTo(5);
+        expect(aluminum.stockOutDate.toISOString()).toBe('2024-07-05T12:00:00.000Z');
+        expect(aluminum.stockOutBeforeLeadTime).toBe(true);
+        // 0.2/day over 10 days is 2 sheets, 1 is already covered
+        expect(aluminum.suggestedQty).toBe(1);
+    });
+
+    it('treats scheduled usage past what is on hand as already out of stock', () => {
+        const steel = rows.find(row => row.materialType === 'Steel');
+        expect(steel).toMatchObject({
+            supplier: 'Unknown',
+            projected: -2,
+            dailyUsage: 0,
+            daysOfCover: 0,
+            leadTimeDays: DEFAULT_LEAD_TIME_DAYS,
+            stockOutBeforeLeadTime: true,
+            suggestedQty: 2,
+        });
+        expect(steel.stockOutDate).toEqual(now);
+    });
+});
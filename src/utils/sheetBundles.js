@@ -0,0 +1,94 @@
+// src/utils/sheetBundles.js
+// A bundle is the sheets of one material and size that arrived together in one receipt of an order group.
+// Its QR label carries `SB1|material|LxW|supplier|batch`, each field URI-encoded so a `|` can never split one.
+
+import { getSheetSizeKeyForItem, parseSheetSizeKey } from './sheetSizes';
+import { isRemnantSheet } from './remnants';
+
+export const BUNDLE_LABEL_PREFIX = 'SB1';
+
+// FNV-1a: short, stable, and identical in every browser that computes it from the same sheet fields.
+function hashToBase36(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36).padStart(7, '0');
+}
+
+/** Receiving batch of a sheet: its order group (job + order date) and the moment it was received. */
+export function getBundleBatchId(item) {
+    const orderDate = (item.createdAt || '').split('T')[0];
+    const received = item.receivedAt || item.dateReceived || '';
+    return hashToBase36(`${item.job || ''}|${orderDate}|${received}`);
+}
+
+const normalizeSupplier = (supplier) => String(supplier || '').trim().toUpperCase();
+
+export const getBundleKey = (item) =>
+    `${item.materialType}|${getSheetSizeKeyForItem(item)}|${normalizeSupplier(item.supplier)}|${getBundleBatchId(item)}`;
+
+export function encodeBundlePayload({ materialType, sizeKey, supplier, batchId }) {
+    return [BUNDLE_LABEL_PREFIX, materialType, sizeKey, supplier || '', batchId].map(encodeURIComponent).join('|');
+}
+
+/** Bundle fields from a scanned label, or null when the text is not one of our labels. */
+export function parseBundlePayload(text) {
+    const parts = String(text || '').trim().split('|');
+    if (parts.length !== 5 || parts[0] !== BUNDLE_LABEL_PREFIX) return null;
+    try {
+        const [, materialType, sizeKey, supplier, batchId] = parts.map(decodeURIComponent);
+        const size = parseSheetSizeKey(sizeKey);
+        if (!materialType || !size || !batchId) return null;
+        return { materialType, sizeKey, supplier, batchId, ...size };
+    } catch {
+        return null;
+    }
+}
+
+/** One label per bundle among the received, non-remnant sheets of an order group (`groupInventoryByJob`). */
+export function buildBundleLabels(group) {
+    const bundles = {};
+    (group?.details || []).forEach(item => {
+        if (item.status === 'Ordered' || isRemnantSheet(item) || !item.materialType) return;
+        const key = getBundleKey(item);
+        if (!bundles[key]) {
+            const bundle = {
+                key,
+                materialType: item.materialType,
+                sizeKey: getSheetSizeKeyForItem(item),
+                length: item.length,
+                width: item.width,
+                supplier: item.supplier || '',
+                batchId: getBundleBatchId(item),
+                job: item.job || group.job,
+                receivedDate: item.dateReceived || (item.receivedAt || '').split('T')[0] || null,
+                sheetCount: 0,
+                onHandCount: 0,
+            };
+            bundle.payload = encodeBundlePayload(bundle);
+            bundles[key] = bundle;
+        }
+        bundles[key].sheetCount += 1;
+        if (item.status === 'On Hand') bundles[key].onHandCount += 1;
+    });
+    return Object.values(bundles).sort((a, b) =>
+        a.materialType.localeCompare(b.materialType) || (Number(a.length) || 0) - (Number(b.length) || 0)
+    );
+}
+
+/** On Hand sheets still in a scanned bundle, oldest first, in the same order FIFO would take them. */
+export function getBundleCandidates(inventory, bundle) {
+    const supplier = normalizeSupplier(bundle.supplier);
+    return (inventory || [])
+        .filter(i =>
+            i.status === 'On Hand' &&
+            !isRemnantSheet(i) &&
+            i.materialType === bundle.materialType &&
+            getSheetSizeKeyForItem(i) === bundle.sizeKey &&
+            normalizeSupplier(i.supplier) === supplier &&
+            getBundleBatchId(i) === bundle.batchId
+        )
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
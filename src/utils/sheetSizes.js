@@ -0,0 +1,103 @@
+// src/utils/sheetSizes.js
+
+import { DEFAULT_SHEET_SIZES, DEFAULT_SHEET_WIDTH } from '../constants/materials';
+
+const toPositiveNumber = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+/** Stable key for a length x width pair, used for summary buckets and form fields (e.g. `120x48`). */
+export const getSheetSizeKey = (length, width) => `${Number(length)}x${Number(width) || DEFAULT_SHEET_WIDTH}`;
+
+export const getSheetSizeKeyForItem = (item) => getSheetSizeKey(item?.length, item?.width);
+
+export const parseSheetSizeKey = (key) => {
+    const match = String(key || '').trim().match(/^(\d+(?:\.\d+)?)\s*(?:"|in)?\s*[xX×]\s*(\d+(?:\.\d+)?)\s*(?:"|in)?$/);
+    if (!match) return null;
+    const length = toPositiveNumber(match[1]);
+    const width = toPositiveNumber(match[2]);
+    return length && width ? { length, width } : null;
+};
+
+export const formatSheetSize = (size) => `${size.length}"x${size.width || DEFAULT_SHEET_WIDTH}"`;
+
+/** Deduplicate and sort a stored size list; anything unusable falls back to the defaults. */
+export function normalizeSheetSizes(sizes) {
+    if (!Array.isArray(sizes)) return DEFAULT_SHEET_SIZES;
+    const byKey = new Map();
+    sizes.forEach((size) => {
+        const parsed = typeof size === 'string'
+            ? parseSheetSizeKey(size)
+            : { length: toPositiveNumber(size?.length), width: toPositiveNumber(size?.width) ?? DEFAULT_SHEET_WIDTH };
+        if (!parsed?.length) return;
+        byKey.set(getSheetSizeKey(parsed.length, parsed.width), { length: parsed.length, width: parsed.width });
+    });
+    if (byKey.size === 0) return DEFAULT_SHEET_SIZES;
+    return Array.from(byKey.values()).sort((a, b) => (a.width - b.width) || (a.length - b.length));
+}
+
+export const getMaterialSheetSizes = (materials, materialType) => normalizeSheetSizes(materials?.[materialType]?.sheetSizes);
+
+/** Sizes are configured per category but stored on each material doc; the first material with a list wins. */
+export function getCategorySheetSizes(materials, category) {
+    const withSizes = Object.values(materials || {}).find(
+        (material) => material?.category === category && Array.isArray(material.sheetSizes) && material.sheetSizes.length > 0
+    );
+    return normalizeSheetSizes(withSizes?.sheetSizes);
+}
+
+export const isConfiguredSheetSize = (sizes, item) => {
+    const key = getSheetSizeKeyForItem(item);
+    return sizes.some((size) => getSheetSizeKey(size.length, size.width) === key);
+};
+
+export const getSizeQtyField = (size) => `qty${getSheetSizeKey(size.length, size.width)}`;
+
+/**
+ * Quantity entered for one size on an order/usage form line. Items saved before sizes were configurable
+ * use `qty96`-style fields, which always meant a 48" wide sheet.
+ */
+export function readSizeQty(item, size) {
+    const value = item?.[getSizeQtyField(size)]
+        ?? (Number(size.width) === DEFAULT_SHEET_WIDTH ? item?.[`qty${size.length}`] : undefined);
+    const parsed = parseInt(value || 0, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+}
+
+/** Non-zero `{ size, qty }` entries for a form line across the given sizes. */
+export const getItemSizeQuantities = (item, sizes) => sizes
+    .map((size) => ({ size, qty: readSizeQty(item, size) }))
+    .filter(({ qty }) => qty > 0);
+
+/** Copy every size quantity field from a form line, renaming legacy `qty96` fields to `qty96x48`. */
+export function normalizeSizeQtyFields(item) {
+    const fields = {};
+    Object.entries(item || {}).forEach(([field, value]) => {
+        const legacy = field.match(/^qty(\d+(?:\.\d+)?)$/);
+        if (legacy) {
+            const key = `qty${getSheetSizeKey(legacy[1], DEFAULT_SHEET_WIDTH)}`;
+            if (fields[key] === undefined) fields[key] = value;
+        } else if (/^qty\d/.test(field)) {
+            fields[field] = value;
+        }
+    });
+    return fields;
+}
+
+export const buildEmptySizeCounts = (sizes) => sizes.reduce(
+    (acc, size) => ({ ...acc, [getSheetSizeKey(size.length, size.width)]: 0 }),
+    {}
+);
+
+export const formatSheetSizesInput = (sizes) => normalizeSheetSizes(sizes)
+    .map((size) => getSheetSizeKey(size.length, size.width))
+    .join(', ');
+
+/** Parse the comma-separated `LxW` list typed into the category editor; returns null if any entry is invalid. */
+export function parseSheetSizesInput(text) {
+    const entries = String(text || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+    const sizes = entries.map(parseSheetSizeKey);
+    if (sizes.length === 0 || sizes.some((size) => !size)) return null;
+    return normalizeSheetSizes(sizes);
+}
@@ -0,0 +1,105 @@
+import { DEFAULT_SHEET_SIZES } from '../constants/materials';
+import {
+    buildEmptySizeCounts,
+    formatSheetSize,
+    formatSheetSizesInput,
+    getCategorySheetSizes,
+    getItemSizeQuantities,
+    getSheetSizeKey,
+    isConfiguredSheetSize,
+    normalizeSheetSizes,
+    normalizeSizeQtyFields,
+    parseSheetSizeKey,
+    parseSheetSizesInput,
+    readSizeQty,
+} from './sheetSizes';
+
+describe('sheet size keys', () => {
+    it('builds keys with the default width when none is given', () => {
+        expect(getSheetSizeKey(120, 60)).toBe('120x60');
+        expect(getSheetSizeKey('96', undefined)).toBe('96x48');
+        expect(formatSheetSize({ length: 144 })).toBe('144"x48"');
+    });
+
+    it.each([
+        ['120x48', { length: 120, width: 48 }],
+        [' 96 X 60 ', { length: 96, width: 60 }],
+        ['120"x48"', { length: 120, width: 48 }],
+        ['120in × 48in', { length: 120, width: 48 }],
+        ['72.5x36', { length: 72.5, width: 36 }],
+    ])('parses %j', (key, expected) => {
+        expect(parseSheetSizeKey(key)).toEqual(expected);
+    });
+
+    it.each(['', null, '120', '120x', 'x48', '0x48', '120x0', '-96x48', '120x48x2', 'abc'])('rejects %j', (key) => {
+        expect(parseSheetSizeKey(key)).toBeNull();
+    });
+});
+
+describe('normalizeSheetSizes', () => {
+    it('deduplicates and sorts by width then length', () => {
+        expect(normalizeSheetSizes(['144x48', { length: 96, width: 60 }, { length: 96 }, '96x48'])).toEqual([
+            { length: 96, width: 48 },
+            { length: 144, width: 48 },
+            { length: 96, width: 60 },
+        ]);
+    });
+
+    it('falls back to the defaults for missing or unusable lists', () => {
+        expect(normalizeSheetSizes(undefined)).toBe(DEFAULT_SHEET_SIZES);
+        expect(normalizeSheetSizes([])).toBe(DEFAULT_SHEET_SIZES);
+        expect(normalizeSheetSizes(['junk', { length: 0 }])).toBe(DEFAULT_SHEET_SIZES);
+    });
+
+    it('takes a category list from the first material that has one', () => {
+        const materials = {
+            A: { category: 'Aluminum', sheetSizes: [] },
+            B: { category: 'Aluminum', sheetSizes: ['60x30'] },
+            C: { category: 'Steel', sheetSizes: ['120x60'] },
+        };
+        expect(getCategorySheetSizes(materials, 'Aluminum')).toEqual([{ length: 60, width: 30 }]);
+        expect(getCategorySheetSizes(materials, 'Brass')).toBe(DEFAULT_SHEET_SIZES);
+    });
+});
+
+describe('category editor input', () => {
+    it('round-trips a typed size list', () => {
+        const sizes = parseSheetSizesInput('120x60, 96x48,, 96x48');
+        expect(sizes).toEqual([{ length: 96, width: 48 }, { length: 120, width: 60 }]);
+        expect(formatSheetSizesInput(sizes)).toBe('96x48, 120x60');
+    });
+
+    it('rejects the whole list if any entry is invalid', () => {
+        expect(parseSheetSizesInput('96x48, 120')).toBeNull();
+        expect(parseSheetSizesInput('  ')).toBeNull();
+    });
+});
+
+describe('size quantity fields', () => {
+    const size96 = { length: 96, width: 48 };
+    const size96x60 = { length: 96, width: 60 };
+
+    it('reads current and legacy 48" fields', () => {
+        expect(readSizeQty({ qty96x48: '3' }, size96)).toBe(3);
+        expect(readSizeQty({ qty96: '2' }, size96)).toBe(2);
+        expect(readSizeQty({ qty96: '2' }, size96x60)).toBe(0);
+        expect(readSizeQty({ qty96x48: '-1' }, size96)).toBe(0);
+    });
+
+    it('lists only the sizes with a quantity', () => {
+        expect(getItemSizeQuantities({ qty96x48: 2, qty96x60: 0 }, [size96, size96x60])).toEqual([{ size: size96, qty: 2 }]);
+    });
+
+    it('renames legacy fields without overwriting current ones', () => {
+        expect(normalizeSizeQtyFields({ qty96x48: 5, qty96: 1, qty120: 2, qtyNote: 'x', job: 'J' })).toEqual({
+            qty96x48: 5,
+            qty120x48: 2,
+        });
+    });
+
+    it('matches items against the configured sizes', () => {
+        expect(isConfiguredSheetSize([size96], { length: 96 })).toBe(true);
+        expect(isConfiguredSheetSize([size96], { length: 96, width: 60 })).toBe(false);
+        expect(buildEmptySizeCounts([size96, size96x60])).toEqual({ '96x48': 0, '96x60': 0 });
+    });
+});
@@ -0,0 +1,84 @@
+// src/utils/simplePdf.js
+// Just enough PDF to print text and rules on US Letter pages with the built-in Helvetica fonts,
+// so generated documents need no PDF library. Coordinates are points from the top-left corner.
+
+export const PDF_PAGE_WIDTH = 612;
+export const PDF_PAGE_HEIGHT = 792;
+
+// Average Helvetica glyph width as a fraction of the font size; good enough for right-aligning numbers.
+const APPROX_CHAR_WIDTH = 0.52;
+
+// The standard fonts use WinAnsi, so keep to printable ASCII and escape PDF string delimiters.
+const toPdfString = (text) => String(text ?? '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+export const estimatePdfTextWidth = (text, size) => String(text ?? '').length * size * APPROX_CHAR_WIDTH;
+
+export function createPdfDocument() {
+    const pages = [];
+    let current = null;
+
+    const addPage = () => {
+        current = [];
+        pages.push(current);
+        return api;
+    };
+
+    const text = (x, y, value, { size = 10, bold = false, align = 'left' } = {}) => {
+        const width = align === 'right' ? estimatePdfTextWidth(value, size) : 0;
+        current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(x - width)} ${formatNumber(PDF_PAGE_HEIGHT - y)} Td (${toPdfString(value)}) Tj ET`);
+        return api;
+    };
+
+    const line = (x1, y1, x2, y2, { width = 0.5 } = {}) => {
+        current.push(`${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PDF_PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PDF_PAGE_HEIGHT - y2)} l S`);
+        return api;
+    };
+
+    const toBlob = () => {
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const pageIds = pages.map(commands => {
+            const stream = commands.join('\n');
+            const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            return addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+            );
+        });
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        // Everything above is ASCII, so string length is the byte offset the xref table needs.
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return new Blob([output], { type: 'application/pdf' });
+    };
+
+    const api = { addPage, text, line, toBlob, get pageCount() { return pages.length; } };
+    addPage();
+    return api;
+}
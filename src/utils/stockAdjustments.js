@@ -0,0 +1,122 @@
+// src/utils/stockAdjustments.js
+// Stock corrections (dashboard edits and cycle counts): add sheets as `MODIFICATION: ADD` stock, or use the
+// oldest full sheets under a `MODIFICATION: REMOVE` log.
+
+import { collection, doc } from '../firebase/firestoreWithTracking';
+import { INVENTORY_LOTS_ENABLED } from '../constants/featureFlags';
+import { getGaugeFromMaterial } from './dataProcessing';
+import { getSheetSizeKeyForItem } from './sheetSizes';
+import { getFifoCandidates } from './stockConsumption';
+import { LOT_CONSUMPTIONS_COLLECTION, buildLotConsumption, buildLotFields, getRemainingQuantity, getSheetOfLot, isInventoryLot } from './inventoryLots';
+
+/**
+ * Queue the writes that move one material size by `diff` sheets onto an (audited) batch.
+ * `source` becomes the supplier/customer label and `tags` (e.g. `{ manualEditSessionId }`) are stamped on every
+ * doc written, so the correction can be traced back to its session. Throws when there are too few sheets to remove.
+ * Sheets are removed from the local snapshot; returns the stock docs relied on as `{ path, remainingQty }`, for
+ * verifyStockUnchanged to check when the batch commits.
+ */
+export function queueStockAdjustment(batch, {
+    stockCollectionRef,
+    usageLogCollectionRef,
+    inventory,
+    materials,
+    materialType,
+    size,
+    diff,
+    source,
+    tags = {},
+    nowIso = new Date().toISOString(),
+}) {
+    if (diff === 0) return [];
+
+    if (diff > 0) {
+        const materialInfo = materials[materialType];
+        const stockData = {
+            materialType: materialType,
+            gauge: getGaugeFromMaterial(materialType),
+            supplier: source,
+            costPerPound: 0,
+            createdAt: nowIso,
+            job: `MODIFICATION: ADD`,
+            status: 'On Hand',
+            dateReceived: nowIso.split('T')[0],
+            width: size.width,
+            length: size.length,
+            density: materialInfo?.density || 0,
+            thickness: materialInfo?.thickness || 0,
+            ...tags,
+        };
+        if (INVENTORY_LOTS_ENABLED) {
+            batch.create(doc(stockCollectionRef), buildLotFields(stockData, diff));
+            return [];
+        }
+        for (let i = 0; i < diff; i++) {
+            batch.create(doc(stockCollectionRef), stockData);
+        }
+        return [];
+    }
+
+    const sheetsToRemove = Math.abs(diff);
+    const availableSheets = getFifoCandidates(inventory, materialType, getSheetSizeKeyForItem(size));
+    const available = availableSheets.reduce((sum, item) => sum + getRemainingQuantity(item), 0);
+
+    if (available < sheetsToRemove) {
+        throw new Error(`Cannot remove ${sheetsToRemove} sheets of ${materialType}. Only ${available} available.`);
+    }
+
+    const logDocRef = doc(usageLogCollectionRef);
+    const usage = {
+        usageLogId: logDocRef.id,
+        jobNameUsed: 'MODIFICATION: REMOVE',
+        customerUsed: source,
+        usedAt: nowIso,
+    };
+    const consumptionsRef = collection(stockCollectionRef.firestore, `${stockCollectionRef.parent.path}/${LOT_CONSUMPTIONS_COLLECTION}`);
+    const details = [];
+    const relied = [];
+
+    for (const item of availableSheets) {
+        if (details.length === sheetsToRemove) break;
+        const ref = doc(stockCollectionRef, item.id);
+        const take = Math.min(getRemainingQuantity(item), sheetsToRemove - details.length);
+        relied.push({ path: ref.path, remainingQty: getRemainingQuantity(item) });
+        for (let i = 0; i < take; i++) details.push(getSheetOfLot(item));
+
+        if (!isInventoryLot(item)) {
+            batch.update(ref, { status: 'Used', ...usage, ...tags });
+            continue;
+        }
+        const remainingQty = item.remainingQty - take;
+        batch.update(ref, { remainingQty, status: remainingQty > 0 ? 'On Hand' : 'Used' });
+        const { id, ...consumption } = buildLotConsumption(item, take, usage);
+        batch.create(doc(consumptionsRef, id), { ...consumption, ...tags });
+    }
+
+    batch.create(logDocRef, {
+        job: 'MODIFICATION: REMOVE',
+        customer: source,
+        usedAt: nowIso,
+        createdAt: nowIso,
+        status: 'Completed',
+        details,
+        qty: -details.length,
+        ...tags,
+    });
+    return relied;
+}
+
+/**
+ * `verify` for the audited batch commit of queued adjustments: removals were worked out from the local snapshot,
+ * so nothing is written if any sheet or lot they took from was used, removed or changed count since.
+ */
+export const verifyStockUnchanged = (relied) => (readState) => {
+    const moved = relied.filter(({ path, remainingQty }) => {
+        if (!readState.has(path)) return false;
+        const data = readState.get(path);
+        return data?.status !== 'On Hand' || getRemainingQuantity(data) !== remainingQty;
+    });
+    if (moved.length > 0) {
+        throw new Error('Stock changed in another session since these numbers were loaded. Nothing was saved; check the counts and try again.');
+    }
+};
@@ -0,0 +1,119 @@
+// src/utils/stockAlerts.js
+
+import { doc, runTransaction, updateDoc } from '../firebase/firestoreWithTracking';
+import { normalizeCategoryIndicatorSettings } from './categoryIndicatorSettings';
+import { getMaterialSheetSizes, getSheetSizeKey } from './sheetSizes';
+
+export const STOCK_ALERTS_COLLECTION = 'stock_alerts';
+
+/** Past low-stock episodes kept on an alert doc once it re-fires. */
+const MAX_ALERT_HISTORY = 20;
+
+export const ACTIVE_ALERT_STATUSES = Object.freeze(['open', 'acknowledged']);
+
+const stockAlertRef = (db, appId, alertId) => doc(db, `artifacts/${appId}/public/data/${STOCK_ALERTS_COLLECTION}`, alertId);
+
+/** One alert doc per material and sheet size; the fixed id is what deduplicates alerts across browsers. */
+export const getStockAlertId = (materialType, sizeKey) => `${String(materialType).replace(/\//g, '-')}__${sizeKey}`;
+
+export const isActiveStockAlert = (alert) => ACTIVE_ALERT_STATUSES.includes(alert?.status);
+
+/**
+ * Every configured material size whose on-hand plus incoming count is below the material's `low`
+ * indicator threshold. Custom sizes and remnants are not tracked.
+ */
+export function findLowStockLevels(materials, inventorySummary, incomingSummary, indicatorSettingsByMaterial) {
+    const levels = [];
+    Object.keys(materials || {}).forEach(materialType => {
+        const { low, high } = normalizeCategoryIndicatorSettings(indicatorSettingsByMaterial?.[materialType] || materials[materialType]);
+        getMaterialSheetSizes(materials, materialType).forEach(size => {
+            const sizeKey = getSheetSizeKey(size.length, size.width);
+            const onHand = inventorySummary?.[materialType]?.[sizeKey] || 0;
+            const incoming = incomingSummary?.[materialType]?.lengths?.[sizeKey] || 0;
+            const available = onHand + incoming;
+            if (available >= low) return;
+            levels.push({
+                alertId: getStockAlertId(materialType, sizeKey),
+                materialType,
+                sizeKey,
+                length: size.length,
+                width: size.width,
+                onHand,
+                incoming,
+                available,
+                low,
+                high,
+            });
+        });
+    });
+    return levels;
+}
+
+const toHistoryEntry = (alert) => ({
+    firedAt: alert.firedAt || null,
+    availableAtFire: alert.availableAtFire ?? null,
+    acknowledgedAt: alert.acknowledgedAt || null,
+    acknowledgedBy: alert.acknowledgedBy || null,
+    resolvedAt: alert.resolvedAt || null,
+});
+
+async function fireStockAlert(db, appId, level) {
+    const ref = stockAlertRef(db, appId, level.alertId);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const current = snap.exists() ? snap.data() : null;
+        // Another browser already raised it, or it is acknowledged and still low.
+        if (isActiveStockAlert(current)) return;
+
+        tx.set(ref, {
+            materialType: level.materialType,
+            sizeKey: level.sizeKey,
+            length: level.length,
+            width: level.width,
+            status: 'open',
+            firedAt: new Date().toISOString(),
+            availableAtFire: level.available,
+            low: level.low,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            history: current ? [toHistoryEntry(current), ...(current.history || [])].slice(0, MAX_ALERT_HISTORY) : [],
+        });
+    });
+}
+
+async function resolveStockAlert(db, appId, alertId) {
+    const ref = stockAlertRef(db, appId, alertId);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists() || !isActiveStockAlert(snap.data())) return;
+        tx.update(ref, { status: 'resolved', resolvedAt: new Date().toISOString() });
+    });
+}
+
+/**
+ * Raise alerts for sizes that just went low and resolve active alerts whose stock recovered.
+ * Safe to run from several browsers at once: each write re-checks the alert doc in a transaction.
+ */
+export async function syncStockAlerts(db, appId, lowStockLevels, alerts) {
+    const alertsById = new Map((alerts || []).map(alert => [alert.id, alert]));
+    const lowIds = new Set(lowStockLevels.map(level => level.alertId));
+
+    const toFire = lowStockLevels.filter(level => !isActiveStockAlert(alertsById.get(level.alertId)));
+    const toResolve = (alerts || []).filter(alert => isActiveStockAlert(alert) && !lowIds.has(alert.id));
+
+    for (const level of toFire) {
+        await fireStockAlert(db, appId, level);
+    }
+    for (const alert of toResolve) {
+        await resolveStockAlert(db, appId, alert.id);
+    }
+}
+
+export async function acknowledgeStockAlert(db, appId, alertId, actor) {
+    await updateDoc(stockAlertRef(db, appId, alertId), {
+        status: 'acknowledged',
+        acknowledgedAt: new Date().toISOString(),
+        acknowledgedBy: actor?.email || actor?.displayName || null,
+    });
+}
@@ -0,0 +1,247 @@
+// src/utils/stockConsumption.js
+
+import { collection, doc, runTransaction } from '../firebase/firestoreWithTracking';
+import { formatSheetSize, getItemSizeQuantities, getMaterialSheetSizes, getSheetSizeKeyForItem, parseSheetSizeKey } from './sheetSizes';
+import { isRemnantSheet } from './remnants';
+import { auditTransaction } from './auditTrail';
+import {
+    LOT_CONSUMPTIONS_COLLECTION,
+    STOCK_COLLECTION,
+    buildLotConsumption,
+    getLotConsumptionId,
+    getRemainingQuantity,
+    getSheetOfLot,
+    isInventoryLot,
+} from './inventoryLots';
+
+/** How many times Firestore re-runs a stock transaction when another client touches the same sheets. */
+export const STOCK_TRANSACTION_MAX_ATTEMPTS = 8;
+
+/** UseStockModal parses `for <qty>x <material> @` out of this message to suggest scheduling instead. */
+export const formatNotEnoughStockMessage = (qty, materialType, size, available) =>
+    `Not enough stock for ${qty}x ${materialType} @ ${formatSheetSize(size)}. Only ${available} available.`;
+
+export const formatBundleShortMessage = (qty, bundle, available) =>
+    `The scanned ${bundle.materialType} @ ${formatSheetSize(bundle)} bundle has only ${available} sheet${available === 1 ? '' : 's'} on hand; ${qty} requested.`;
+
+/** `{ size, qty }` pairs a Use Stock line asks for. A scanned bundle line asks for its own size only. */
+export function getUseStockLineQuantities(item, materials) {
+    if (item.bundle) {
+        const qty = parseInt(item.bundleQty, 10);
+        return Number.isFinite(qty) && qty > 0 ? [{ size: { length: item.bundle.length, width: item.bundle.width }, qty }] : [];
+    }
+    return getItemSizeQuantities(item, getMaterialSheetSizes(materials, item.materialType));
+}
+
+/** Oldest-first On Hand sheets of one material and size from the local snapshot; remnants are never FIFO-picked. */
+export function getFifoCandidates(inventory, materialType, sizeKey) {
+    return inventory
+        .filter(i => i.materialType === materialType && getSheetSizeKeyForItem(i) === sizeKey && i.status === 'On Hand' && !isRemnantSheet(i))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Re-read FIFO candidates inside a transaction and keep the first `qty` sheets that are still On Hand.
+ * The local snapshot can be stale, so a sheet another client already took is skipped and the
+ * next-oldest candidate is read in its place. `claimed` maps each doc claimed so far in the transaction
+ * to `{ data, taken }`, so two lines for the same material never claim the same sheet. A lot gives up
+ * to its remaining quantity and appears in the result once per sheet taken from it.
+ */
+export async function claimFifoSheets(tx, stockCollectionRef, candidates, qty, claimed) {
+    const sheets = [];
+    const leftIn = (item) => getRemainingQuantity(claimed.get(item.id)?.data || item) - (claimed.get(item.id)?.taken || 0);
+    let cursor = 0;
+    while (sheets.length < qty && cursor < candidates.length) {
+        const round = [];
+        let roundQty = 0;
+        while (roundQty < qty - sheets.length && cursor < candidates.length) {
+            const candidate = candidates[cursor++];
+            const left = leftIn(candidate);
+            if (left > 0) {
+                round.push(candidate);
+                roundQty += left;
+            }
+        }
+        const snaps = await Promise.all(round.map(candidate => tx.get(doc(stockCollectionRef, candidate.id))));
+        for (const snap of snaps) {
+            const data = snap.exists() ? { ...snap.data(), id: snap.id } : null;
+            if (data?.status !== 'On Hand' || isRemnantSheet(data)) continue;
+            const taken = claimed.get(snap.id)?.taken || 0;
+            const take = Math.min(getRemainingQuantity(data) - taken, qty - sheets.length);
+            if (take <= 0) continue;
+            claimed.set(snap.id, { data, taken: taken + take });
+            for (let i = 0; i < take; i++) sheets.push(data);
+        }
+    }
+    return sheets;
+}
+
+/**
+ * Record one usage log taking `takes` (one `{ sheet, cutFields }` per sheet). A sheet doc becomes Used; each lot
+ * taken from gets a `lot_consumptions` record for the log instead, and its count is settled by settleClaimedLots.
+ * `usage` is `{ usageLogId, jobNameUsed, customerUsed, usedAt }`. `consumed` maps lots the log already has a
+ * record for (read in the transaction) to the quantity in it, so an edited log adds to that record.
+ */
+export function recordStockUse(tx, stockCollectionRef, takes, usage, consumed = new Map()) {
+    const consumptionsRef = collection(stockCollectionRef.firestore, `${stockCollectionRef.parent.path}/${LOT_CONSUMPTIONS_COLLECTION}`);
+    const takenByLot = new Map();
+    takes.forEach(({ sheet, cutFields = {} }) => {
+        if (!isInventoryLot(sheet)) {
+            tx.update(doc(stockCollectionRef, sheet.id), { status: 'Used', ...usage, ...cutFields });
+            return;
+        }
+        const prev = takenByLot.get(sheet.id);
+        takenByLot.set(sheet.id, { lot: sheet, qty: (prev?.qty || 0) + 1, cutFields });
+    });
+    takenByLot.forEach(({ lot, qty, cutFields }) => {
+        const prior = consumed.get(lot.id) || 0;
+        const { id, ...consumption } = buildLotConsumption(lot, prior + qty, usage);
+        if (prior > 0) tx.update(doc(consumptionsRef, id), { ...consumption, ...cutFields });
+        else tx.create(doc(consumptionsRef, id), { ...consumption, ...cutFields });
+    });
+}
+
+/** Write what is left of every lot claimed in the transaction, once however many logs took from it. */
+export function settleClaimedLots(tx, stockCollectionRef, claimed) {
+    claimed.forEach(({ data, taken }, id) => {
+        if (!isInventoryLot(data) || taken === 0) return;
+        const remainingQty = data.remainingQty - taken;
+        tx.update(doc(stockCollectionRef, id), { remainingQty, status: remainingQty > 0 ? 'On Hand' : 'Used' });
+    });
+}
+
+/**
+ * Fulfill a Scheduled usage log in one audited transaction. The log itself is re-read first, so a log that
+ * another browser (or auto-fulfill) already completed is left alone and null is returned.
+ * Otherwise returns the sheets that were taken, oldest first. `changes` (`{ job, customer, details }`) fulfills
+ * an edited log instead of the saved one, as a log edit.
+ */
+export async function fulfillScheduledLog(db, appId, log, inventory, { actor = null, changes = null } = {}) {
+    const stockCollectionRef = collection(db, `artifacts/${appId}/public/data/${STOCK_COLLECTION}`);
+    const logDocRef = doc(db, `artifacts/${appId}/public/data/usage_logs`, log.id);
+    const job = changes ? changes.job : log.job;
+    const customer = changes ? changes.customer : log.customer;
+
+    return runTransaction(db, async (rawTx) => {
+        const tx = auditTransaction(db, appId, rawTx, changes
+            ? { action: 'log-edit', summary: `Edited usage log ${job || log.id}`, actor }
+            : { action: 'scheduled-fulfill', summary: `Fulfilled scheduled usage ${job || log.id}`, actor });
+        const logSnap = await tx.get(logDocRef);
+        if (!logSnap.exists() || logSnap.data().status !== 'Scheduled') return null;
+
+        const itemsNeeded = ((changes || logSnap.data()).details || []).reduce((acc, item) => {
+            const key = `${item.materialType}|${getSheetSizeKeyForItem(item)}`;
+            acc[key] = (acc[key] || 0) + 1;
+            return acc;
+        }, {});
+
+        const claimed = new Map();
+        const selectedSheets = [];
+        for (const [key, qty] of Object.entries(itemsNeeded)) {
+            const [materialType, sizeKey] = key.split('|');
+            const candidates = getFifoCandidates(inventory, materialType, sizeKey);
+            const sheets = await claimFifoSheets(tx, stockCollectionRef, candidates, qty, claimed);
+            if (sheets.length < qty) {
+                throw new Error(`Cannot fulfill: ${formatNotEnoughStockMessage(qty, materialType, parseSheetSizeKey(sizeKey), sheets.length)}`);
+            }
+            selectedSheets.push(...sheets);
+        }
+
+        const nowIso = new Date().toISOString();
+        recordStockUse(tx, stockCollectionRef, selectedSheets.map(sheet => ({ sheet })), {
+            usageLogId: log.id,
+            jobNameUsed: job || 'N/A',
+            customerUsed: customer || 'N/A',
+            usedAt: nowIso,
+        });
+        settleClaimedLots(tx, stockCollectionRef, claimed);
+        const details = selectedSheets.map(getSheetOfLot);
+        tx.update(logDocRef, {
+            ...(changes ? { job, customer, usedAt: nowIso } : {}),
+            status: 'Completed',
+            details,
+            qty: -details.length,
+            fulfilledAt: nowIso,
+        });
+
+        return details;
+    }, { maxAttempts: STOCK_TRANSACTION_MAX_ATTEMPTS });
+}
+
+/** What a used sheet goes back to when its log gives it back. */
+const RETURNED_SHEET_FIELDS = {
+    status: 'On Hand',
+    usageLogId: null,
+    jobNameUsed: null,
+    customerUsed: null,
+    usedAt: null,
+    consumedLength: null,
+    consumedWidth: null,
+};
+
+/**
+ * Read, inside `tx`, what giving back stock of the completed log `usageLogId` touches. `returned` maps each stock
+ * doc id to the number of its sheets to give back (Infinity for all); a lot gives back at most what its
+ * consumption record for the log holds, and a sheet used by another log since is left alone. A sheet whose log gives
+ * back all of it is whole again, so its offcuts still on hand are dropped; offcuts already used on another job stay
+ * with that job's log. `remnantIds` are the log's offcuts, looked up before the transaction since queries cannot
+ * run in one. Returns `{ sheets, lots, missingIds, droppedRemnantIds, keptRemnantIds }`.
+ */
+export async function readSheetReturns(tx, stockCollectionRef, usageLogId, returned, remnantIds = []) {
+    const consumptionsRef = collection(stockCollectionRef.firestore, `${stockCollectionRef.parent.path}/${LOT_CONSUMPTIONS_COLLECTION}`);
+    const [stockSnaps, remnantSnaps] = await Promise.all([
+        Promise.all([...returned.keys()].map(id => tx.get(doc(stockCollectionRef, id)))),
+        Promise.all(remnantIds.map(id => tx.get(doc(stockCollectionRef, id)))),
+    ]);
+    const items = stockSnaps.filter(snap => snap.exists()).map(snap => ({ ...snap.data(), id: snap.id }));
+    const lotItems = items.filter(isInventoryLot);
+    const consumptionSnaps = await Promise.all(lotItems.map(lot => tx.get(doc(consumptionsRef, getLotConsumptionId(lot.id, usageLogId)))));
+
+    const sheets = items.filter(item => !isInventoryLot(item) && item.status === 'Used' && (!item.usageLogId || item.usageLogId === usageLogId));
+    const wholeIds = new Set(sheets.map(sheet => sheet.id));
+    const lots = [];
+    lotItems.forEach((lot, i) => {
+        const consumptionSnap = consumptionSnaps[i];
+        const taken = consumptionSnap.exists() ? consumptionSnap.data().qty : 0;
+        const qty = Math.min(returned.get(lot.id), taken);
+        if (qty <= 0) return;
+        lots.push({ lot, consumptionRef: consumptionSnap.ref, qty, left: taken - qty });
+        if (qty === taken) wholeIds.add(lot.id);
+    });
+
+    const droppedRemnantIds = [];
+    const keptRemnantIds = [];
+    remnantSnaps.filter(snap => snap.exists()).forEach(snap => {
+        const remnant = snap.data();
+        if (wholeIds.has(remnant.remnantOf) && remnant.status === 'On Hand') droppedRemnantIds.push(snap.id);
+        else keptRemnantIds.push(snap.id);
+    });
+    return {
+        sheets,
+        lots,
+        missingIds: stockSnaps.filter(snap => !snap.exists()).map(snap => snap.id),
+        droppedRemnantIds,
+        keptRemnantIds,
+    };
+}
+
+/**
+ * Write the returns read by readSheetReturns, once every read of the transaction is done. Returned sheets also get
+ * `sheetFields`; a lot gets its sheets back on top of the count read in the transaction, and its consumption record
+ * shrinks or goes.
+ */
+export function writeSheetReturns(tx, stockCollectionRef, { sheets, lots, droppedRemnantIds }, sheetFields = {}) {
+    sheets.forEach(sheet => tx.update(doc(stockCollectionRef, sheet.id), { ...RETURNED_SHEET_FIELDS, ...sheetFields }));
+    lots.forEach(({ lot, consumptionRef, qty, left }) => {
+        tx.update(doc(stockCollectionRef, lot.id), { remainingQty: lot.remainingQty + qty, status: 'On Hand' });
+        if (left > 0) tx.update(consumptionRef, { qty: left });
+        else tx.delete(consumptionRef);
+    });
+    droppedRemnantIds.forEach(id => tx.delete(doc(stockCollectionRef, id)));
+}
+
+/** One line per sheet taken, for the confirmation shown after stock is consumed. */
+export function describeTakenSheet(sheet) {
+    const received = sheet.dateReceived ? `received ${sheet.dateReceived}` : 'no receive date';
+    return `${sheet.materialType} @ ${formatSheetSize(sheet)} — ${sheet.supplier || 'Unknown supplier'}, ${received} (#${sheet.id})`;
+}
@@ -0,0 +1,97 @@
+// src/utils/supplierPerformance.js
+
+import { isRemnantSheet } from './remnants';
+import { getSupplierEmailInfo } from './buyOrderUtils';
+import { parseLeadTimeDays } from './reorderForecast';
+import { RECEIVED_VIA_AUTO, RECEIVED_VIA_MANUAL } from './orderReceiving';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getReceivedTime = (item) => {
+    const value = item.receivedAt || item.dateReceived;
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isFinite(time) ? time : null;
+};
+
+// A promised date means "some time that day", so compare against the end of it.
+const getPromisedDeadline = (arrivalDate) => {
+    const promised = new Date(arrivalDate);
+    if (!Number.isFinite(promised.getTime())) return null;
+    promised.setHours(23, 59, 59, 999);
+    return promised.getTime();
+};
+
+/**
+ * One row per supplier from received orders that had a promised `arrivalDate`. Each order
+ * (supplier + job + order date) counts as one delivery, dated by its last sheet to arrive.
+ * Lead time is order date → received, and a short-shipped order is judged against its first promised
+ * date. On-time is only judged for manual receipts: auto-received
+ * sheets flip on the promised date whether or not the truck showed up.
+ */
+export function calculateSupplierScorecard(inventory, supplierInfoOverrides) {
+    const deliveries = {};
+
+    (inventory || []).forEach(item => {
+        if (!item.supplier || !item.arrivalDate || isRemnantSheet(item)) return;
+        if (item.status === 'Ordered') return;
+        const receivedTime = getReceivedTime(item);
+        if (receivedTime === null) return;
+
+        const key = `${item.supplier.toUpperCase()}|${item.job || ''}|${item.createdAt}`;
+        if (!deliveries[key]) {
+            deliveries[key] = {
+                supplier: item.supplier.toUpperCase(),
+                orderedTime: new Date(item.createdAt).getTime(),
+                deadline: getPromisedDeadline(item.promisedArrivalDate || item.arrivalDate),
+                receivedTime,
+                manual: item.receivedVia === RECEIVED_VIA_MANUAL,
+                auto: item.receivedVia === RECEIVED_VIA_AUTO,
+            };
+        }
+        const delivery = deliveries[key];
+        delivery.deadline = Math.max(delivery.deadline ?? 0, getPromisedDeadline(item.promisedArrivalDate || item.arrivalDate) ?? 0) || null;
+        if (receivedTime > delivery.receivedTime) {
+            delivery.receivedTime = receivedTime;
+            delivery.manual = item.receivedVia === RECEIVED_VIA_MANUAL;
+            delivery.auto = item.receivedVia === RECEIVED_VIA_AUTO;
+        }
+    });
+
+    const bySupplier = {};
+    Object.values(deliveries).forEach(delivery => {
+        if (!bySupplier[delivery.supplier]) {
+            bySupplier[delivery.supplier] = {
+                supplier: delivery.supplier,
+                deliveries: 0,
+                leadTimeTotalDays: 0,
+                leadTimeCount: 0,
+                onTimeCount: 0,
+                ratedCount: 0,
+                autoReceivedCount: 0,
+                lastReceivedAt: null,
+            };
+        }
+        const row = bySupplier[delivery.supplier];
+        row.deliveries++;
+        if (Number.isFinite(delivery.orderedTime) && delivery.receivedTime >= delivery.orderedTime) {
+            row.leadTimeTotalDays += (delivery.receivedTime - delivery.orderedTime) / DAY_MS;
+            row.leadTimeCount++;
+        }
+        if (delivery.manual && delivery.deadline !== null) {
+            row.ratedCount++;
+            if (delivery.receivedTime <= delivery.deadline) row.onTimeCount++;
+        }
+        if (delivery.auto) row.autoReceivedCount++;
+        if (!row.lastReceivedAt || delivery.receivedTime > row.lastReceivedAt) row.lastReceivedAt = delivery.receivedTime;
+    });
+
+    return Object.values(bySupplier)
+        .map(({ leadTimeTotalDays, leadTimeCount, lastReceivedAt, ...row }) => ({
+            ...row,
+            averageLeadTimeDays: leadTimeCount > 0 ? leadTimeTotalDays / leadTimeCount : null,
+            onTimePct: row.ratedCount > 0 ? (row.onTimeCount / row.ratedCount) * 100 : null,
+            configuredLeadTimeDays: parseLeadTimeDays(getSupplierEmailInfo(row.supplier, supplierInfoOverrides).leadTimeDays),
+            lastReceivedAt: lastReceivedAt ? new Date(lastReceivedAt).toISOString() : null,
+        }))
+        .sort((a, b) => b.deliveries - a.deliveries || a.supplier.localeCompare(b.supplier));
+}
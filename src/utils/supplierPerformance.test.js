@@ -0,0 +1,50 @@
+import { calculateSupplierScorecard } from './supplierPerformance';
+import { RECEIVED_VIA_AUTO, RECEIVED_VIA_MANUAL } from './orderReceiving';
+
+const received = (fields) => ({ status: 'On Hand', receivedVia: RECEIVED_VIA_MANUAL, ...fields });
+
+describe('calculateSupplierScorecard', () => {
+    const inventory = [
+        // Order 1: promised May 10, last sheet in May 11 -> one late delivery, 10.5 days
+        received({ supplier: 'Acme', job: 'J1', createdAt: '2024-05-01T00:00:00.000Z', arrivalDate: '2024-05-10', receivedAt: '2024-05-08T12:00:00.000Z' }),
+        received({ supplier: 'acme', job: 'J1', createdAt: '2024-05-01T00:00:00.000Z', arrivalDate: '2024-05-10', receivedAt: '2024-05-11T12:00:00.000Z' }),
+        // Order 2: early, 4.5 days
+        received({ supplier: 'Acme', job: 'J2', createdAt: '2024-05-01T00:00:00.000Z', arrivalDate: '2024-05-10', receivedAt: '2024-05-05T12:00:00.000Z' }),
+        // Order 3: auto-received, 3 days, not judged on time
+        received({ supplier: 'Acme', job: 'J3', createdAt: '2024-06-01T00:00:00.000Z', arrivalDate: '2024-06-04', dateReceived: '2024-06-04', receivedVia: RECEIVED_VIA_AUTO }),
+        // Short-shipped: the backorder was pushed to May 20 but the first promise was May 10
+        received({ supplier: 'Beta', job: 'J4', createdAt: '2024-05-01T00:00:00.000Z', arrivalDate: '2024-05-20', promisedArrivalDate: '2024-05-10', receivedAt: '2024-05-15T12:00:00.000Z' }),
+        // Not deliveries
+        { supplier: 'Acme', job: 'J5', createdAt: '2024-06-01', arrivalDate: '2024-06-10', status: 'Ordered' },
+        received({ supplier: 'Acme', job: 'J6', createdAt: '2024-06-01', receivedAt: '2024-06-02' }),
+        received({ supplier: 'Acme', job: 'J7', createdAt: '2024-06-01', arrivalDate: '2024-06-10' }),
+        received({ supplier: 'Remnant', createdAt: '2024-06-01', arrivalDate: '2024-06-10', receivedAt: '2024-06-02', isRemnant: true }),
+    ];
+    const rows = calculateSupplierScorecard(inventory, { ACME: { leadTimeDays: '12' } });
+
+    it('groups sheets into one delivery per order and sorts by deliveries', () => {
+        expect(rows.map(row => [row.supplier, row.deliveries])).toEqual([['ACME', 3], ['BETA', 1]]);
+    });
+
+    it('averages order-to-receipt lead time and rates only manual receipts', () => {
+        const [acme] = rows;
+        expect(acme.averageLeadTimeDays).toBeCloseTo((10.5 + 4.5 + 3) / 3);
+        expect(acme).toMatchObject({
+            ratedCount: 2,
+            onTimeCount: 1,
+            onTimePct: 50,
+            autoReceivedCount: 1,
+            configuredLeadTimeDays: 12,
+            lastReceivedAt: '2024-06-04T00:00:00.000Z',
+        });
+    });
+
+    it('judges a short-shipped order against its first promised date', () => {
+        expect(rows[1]).toMatchObject({ ratedCount: 1, onTimeCount: 0, onTimePct: 0, configuredLeadTimeDays: null });
+    });
+
+    it('returns no rows without received orders', () => {
+        expect(calculateSupplierScorecard([], {})).toEqual([]);
+        expect(calculateSupplierScorecard(undefined)).toEqual([]);
+    });
+});
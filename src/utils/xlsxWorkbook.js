@@ -0,0 +1,170 @@
+// src/utils/xlsxWorkbook.js
+// Writes SpreadsheetML (.xlsx) workbooks in the browser. Each sheet is `{ name, columns, rows }`, with
+// columns `{ label, key, type, width }`. Types: 'string' (default), 'number', 'integer', 'money' and 'date';
+// numbers and dates are written as real cells so they sort, sum and filter in Excel.
+
+import { createZipArchive } from './zipArchive';
+import { downloadBlob } from './csvExport';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Style indexes into cellXfs in STYLES_XML.
+const STYLE_BY_TYPE = { header: 1, date: 2, money: 3, integer: 4, number: 0, string: 0 };
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0.00"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// Characters XML 1.0 does not allow, even escaped.
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+const escapeXml = (value) => String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export function columnLetter(index) {
+    let n = index + 1;
+    let letters = '';
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Excel serial day number (1900 date system) for a Date, ISO timestamp or `YYYY-MM-DD` string,
+ * using the local calendar date and time. Null when the value is not a date.
+ */
+export function toExcelDateSerial(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date
+        ? value
+        : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+    if (Number.isNaN(date.getTime())) return null;
+    const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+    return utc / 86400000 + 25569;
+}
+
+function buildCell(ref, value, type) {
+    if (value === null || value === undefined || value === '') return '';
+    if (type === 'date') {
+        const serial = toExcelDateSerial(value);
+        if (serial !== null) return `<c r="${ref}" s="${STYLE_BY_TYPE.date}"><v>${serial}</v></c>`;
+    } else if (type === 'number' || type === 'integer' || type === 'money') {
+        const n = Number(value);
+        if (Number.isFinite(n)) return `<c r="${ref}" s="${STYLE_BY_TYPE[type]}"><v>${n}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function buildSheetXml({ columns, rows }) {
+    const headerCells = columns.map((col, i) =>
+        `<c r="${columnLetter(i)}1" t="inlineStr" s="${STYLE_BY_TYPE.header}"><is><t>${escapeXml(col.label)}</t></is></c>`);
+    const bodyRows = rows.map((row, r) => {
+        const rowNumber = r + 2;
+        const cells = columns.map((col, i) => buildCell(`${columnLetter(i)}${rowNumber}`, row[col.key], col.type)).join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+    });
+    const cols = columns.map((col, i) => {
+        const width = col.width || Math.min(40, Math.max(10, col.label.length + 2));
+        return `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`;
+    }).join('');
+    const lastRef = `${columnLetter(Math.max(columns.length - 1, 0))}${rows.length + 1}`;
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<dimension ref="A1:${lastRef}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+${cols ? `<cols>${cols}</cols>` : ''}
+<sheetData><row r="1">${headerCells.join('')}</row>${bodyRows.join('')}</sheetData>
+${columns.length ? `<autoFilter ref="A1:${lastRef}"/>` : ''}
+</worksheet>`;
+}
+
+/** Excel sheet names: at most 31 characters, none of []:*?/\ and unique ignoring case. */
+function uniqueSheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+        const base = (String(sheet.name || '').replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet${i + 1}`).slice(0, 31);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/** The workbook as .xlsx bytes. */
+export function buildXlsxWorkbook(sheets, { createdAt = new Date() } = {}) {
+    const names = uniqueSheetNames(sheets);
+    const sheetEntries = sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: buildSheetXml(sheet) }));
+
+    const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`;
+
+    const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+    const coreProps = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dcterms:created xsi:type="dcterms:W3CDTF">${createdAt.toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+    const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`;
+
+    const workbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+    return createZipArchive([
+        { name: '[Content_Types].xml', data: contentTypes },
+        { name: '_rels/.rels', data: rootRels },
+        { name: 'docProps/core.xml', data: coreProps },
+        { name: 'xl/workbook.xml', data: workbook },
+        { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+        { name: 'xl/styles.xml', data: STYLES_XML },
+        ...sheetEntries,
+    ], createdAt);
+}
+
+export function exportToXlsx(sheets, filename) {
+    if (!sheets || sheets.length === 0) {
+        alert("No data to export.");
+        return;
+    }
+    downloadBlob(new Blob([buildXlsxWorkbook(sheets)], { type: XLSX_MIME_TYPE }), filename);
+}
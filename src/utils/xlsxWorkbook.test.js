@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+// Node, for the TextEncoder the ZIP writer uses.
+
+import { buildXlsxWorkbook, columnLetter, toExcelDateSerial } from './xlsxWorkbook';
+
+/** `{ name: text }` for each stored entry of a ZIP written by createZipArchive. */
+function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const entries = {};
+    let pos = 0;
+    while (view.getUint32(pos, true) === 0x04034b50) {
+        const size = view.getUint32(pos + 18, true);
+        const nameLength = view.getUint16(pos + 26, true);
+        const extraLength = view.getUint16(pos + 28, true);
+        const nameStart = pos + 30;
+        const dataStart = nameStart + nameLength + extraLength;
+        entries[decoder.decode(bytes.subarray(nameStart, nameStart + nameLength))] = decoder.decode(bytes.subarray(dataStart, dataStart + size));
+        pos = dataStart + size;
+    }
+    return entries;
+}
+
+it.each([[0, 'A'], [25, 'Z'], [26, 'AA'], [51, 'AZ'], [701, 'ZZ'], [702, 'AAA']])('column %i is %s', (index, letters) => {
+    expect(columnLetter(index)).toBe(letters);
+});
+
+describe('toExcelDateSerial', () => {
+    it('counts days in the 1900 date system on the local calendar', () => {
+        expect(toExcelDateSerial('2024-01-01')).toBe(45292);
+        expect(toExcelDateSerial('1900-03-01')).toBe(61);
+        expect(toExcelDateSerial(new Date(2024, 0, 1, 12))).toBe(45292.5);
+        expect(toExcelDateSerial(new Date(2024, 0, 1, 6).toISOString())).toBe(45292.25);
+    });
+
+    it('returns null for blanks and non-dates', () => {
+        expect(toExcelDateSerial('')).toBeNull();
+        expect(toExcelDateSerial(null)).toBeNull();
+        expect(toExcelDateSerial('not a date')).toBeNull();
+    });
+});
+
+describe('buildXlsxWorkbook', () => {
+    const columns = [
+        { label: 'Material', key: 'material' },
+        { label: 'Qty', key: 'qty', type: 'integer' },
+        { label: 'Cost', key: 'cost', type: 'money' },
+        { label: 'Received', key: 'received', type: 'date', width: 14 },
+    ];
+    const rows = [
+        { material: 'AL <5052> & "H32"', qty: 3, cost: '12.5', received: '2024-01-01' },
+        { material: 'Bad\u0001char', qty: 'n/a', cost: null, received: 'someday' },
+    ];
+    const entries = readZipEntries(buildXlsxWorkbook([
+        { name: 'Stock:Levels', columns, rows },
+        { name: 'stock levels', columns, rows: [] },
+        { name: '', columns: [], rows: [] },
+        { name: 'A sheet name that is much longer than Excel allows', columns, rows: [] },
+    ], { createdAt: new Date('2024-06-01T12:00:00.123Z') }));
+
+    it('writes every workbook part and one part per sheet', () => {
+        expect(Object.keys(entries)).toEqual([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'docProps/core.xml',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/worksheets/sheet1.xml',
+            'xl/worksheets/sheet2.xml',
+            'xl/worksheets/sheet3.xml',
+            'xl/worksheets/sheet4.xml',
+        ]);
+        expect(entries['docProps/core.xml']).toContain('>2024-06-01T12:00:00Z<');
+        expect(entries['xl/_rels/workbook.xml.rels']).toContain('Id="rId5" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles"');
+    });
+
+    it('cleans, shortens and deduplicates sheet names', () => {
+        const names = [...entries['xl/workbook.xml'].matchAll(/<sheet name="([^"]*)"/g)].map(m => m[1]);
+        expect(names).toEqual(['Stock Levels', 'stock levels 2', 'Sheet3', 'A sheet name that is much longe']);
+    });
+
+    it('writes typed cells as numbers and escapes text', () => {
+        const sheet = entries['xl/worksheets/sheet1.xml'];
+        expect(sheet).toContain('<dimension ref="A1:D3"/>');
+        expect(sheet).toContain('<autoFilter ref="A1:D3"/>');
+        expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t>Material</t></is></c>');
+        expect(sheet).toContain('<col min="4" max="4" width="14" customWidth="1"/>');
+        expect(sheet).toContain('<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">AL &lt;5052&gt; &amp; &quot;H32&quot;</t></is></c>'
+            + '<c r="B2" s="4"><v>3</v></c><c r="C2" s="3"><v>12.5</v></c><c r="D2" s="2"><v>45292</v></c></row>');
+    });
+
+    it('falls back to text for values that are not numbers or dates and skips blanks', () => {
+        expect(entries['xl/worksheets/sheet1.xml']).toContain('<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">Badchar</t></is></c>'
+            + '<c r="B3" t="inlineStr"><is><t xml:space="preserve">n/a</t></is></c>'
+            + '<c r="D3" t="inlineStr"><is><t xml:space="preserve">someday</t></is></c></row>');
+    });
+
+    it('writes an empty sheet without a filter', () => {
+        const sheet = entries['xl/worksheets/sheet3.xml'];
+        expect(sheet).toContain('<dimension ref="A1:A1"/>');
+        expect(sheet).not.toContain('<autoFilter');
+        expect(sheet).not.toContain('<cols>');
+    });
+});
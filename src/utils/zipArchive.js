@@ -0,0 +1,82 @@
+// src/utils/zipArchive.js
+// Minimal ZIP writer for files built in the browser (the .xlsx export is a ZIP of XML parts).
+// Entries are stored uncompressed, which every ZIP reader, Excel included, accepts.
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS time and date words, as stored in ZIP headers (2-second resolution, local time). */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Build a ZIP archive from `[{ name, data }]`, where data is a string (written as UTF-8) or a Uint8Array.
+ * Returns the archive bytes.
+ */
+export function createZipArchive(entries, modifiedAt = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modifiedAt);
+    const files = entries.map(({ name, data }) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+    });
+
+    const localSize = files.reduce((sum, f) => sum + 30 + f.name.length + f.bytes.length, 0);
+    const centralSize = files.reduce((sum, f) => sum + 46 + f.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    let pos = 0;
+    const u16 = (v) => { view.setUint16(pos, v, true); pos += 2; };
+    const u32 = (v) => { view.setUint32(pos, v, true); pos += 4; };
+    const bytes = (b) => { out.set(b, pos); pos += b.length; };
+
+    const offsets = files.map((f) => {
+        const offset = pos;
+        u32(0x04034b50);
+        u16(20); u16(0x0800); u16(0); // version needed, UTF-8 names, stored
+        u16(time); u16(date);
+        u32(f.crc); u32(f.bytes.length); u32(f.bytes.length);
+        u16(f.name.length); u16(0);
+        bytes(f.name);
+        bytes(f.bytes);
+        return offset;
+    });
+
+    const centralStart = pos;
+    files.forEach((f, i) => {
+        u32(0x02014b50);
+        u16(20); u16(20); u16(0x0800); u16(0);
+        u16(time); u16(date);
+        u32(f.crc); u32(f.bytes.length); u32(f.bytes.length);
+        u16(f.name.length); u16(0); u16(0); // name, extra, comment lengths
+        u16(0); u16(0); u32(0); // disk, internal and external attributes
+        u32(offsets[i]);
+        bytes(f.name);
+    });
+
+    const centralLength = pos - centralStart;
+    u32(0x06054b50);
+    u16(0); u16(0);
+    u16(files.length); u16(files.length);
+    u32(centralLength); u32(centralStart);
+    u16(0);
+    return out;
+}
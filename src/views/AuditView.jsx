@@ -0,0 +1,201 @@
+// src/views/AuditView.jsx
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { ChevronDown, ChevronRight, History, RotateCcw } from 'lucide-react';
+import { collection, limit, onSnapshot, orderBy, query } from '../firebase/firestoreWithTracking';
+import { db, appId } from '../firebase/config';
+import { AUDIT_EVENTS_COLLECTION, diffAuditFields, groupAuditEventsByBatch } from '../utils/auditTrail';
+import { Button } from '../components/common/Button';
+import { ErrorMessage } from '../components/common/ErrorMessage';
+import { ConfirmationModal } from '../components/modals/ConfirmationModal';
+
+// Events, not batches: one stock edit can write dozens of events.
+const AUDIT_EVENT_LIMIT = 500;
+
+const ACTION_LABELS = {
+    'stock-edit': 'Stock edit',
+    'order-add': 'Order added',
+    'order-edit': 'Order edited',
+    'order-receive': 'Order received',
+    'log-edit': 'Usage log edited',
+    'log-delete': 'Usage log deleted',
+    'inventory-group-delete': 'Inventory deleted',
+    'csv-import': 'CSV import',
+    'cycle-count': 'Cycle count',
+    'use-stock': 'Stock used',
+    'use-schedule': 'Usage scheduled',
+    'scheduled-fulfill': 'Scheduled usage fulfilled',
+    revert: 'Revert',
+};
+
+const OP_CLASSES = {
+    create: 'text-green-400',
+    set: 'text-blue-400',
+    update: 'text-amber-400',
+    delete: 'text-red-400',
+};
+
+const formatAuditValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+const formatActor = (actor) => actor?.displayName || actor?.email || 'Unknown user';
+
+const AuditEventRow = ({ event }) => {
+    const changes = diffAuditFields(event.before, event.after);
+    return (
+        <div className="p-3 bg-zinc-900/60 rounded-lg border border-zinc-700">
+            <p className="text-sm font-mono">
+                <span className={`font-semibold uppercase ${OP_CLASSES[event.op] || 'text-zinc-300'}`}>{event.op}</span>
+                <span className="text-zinc-400"> {event.collection}/</span>
+                <span className="text-zinc-200">{event.docId}</span>
+            </p>
+            {changes.length > 0 && (
+                <table className="mt-2 w-full text-xs">
+                    <tbody>
+                        {changes.map(({ field, before, after }) => (
+                            <tr key={field} className="border-t border-zinc-800">
+                                <td className="py-1 pr-3 text-zinc-400 whitespace-nowrap">{field}</td>
+                                <td className="py-1 pr-3 text-red-300 break-all">{formatAuditValue(before)}</td>
+                                <td className="py-1 text-green-300 break-all">{formatAuditValue(after)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export const AuditView = ({ onRevertBatch, searchQuery }) => {
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [expandedBatchId, setExpandedBatchId] = useState(null);
+    const [pendingRevert, setPendingRevert] = useState(null);
+    const [revertingBatchId, setRevertingBatchId] = useState(null);
+
+    useEffect(() => {
+        const eventsQuery = query(
+            collection(db, `artifacts/${appId}/public/data/${AUDIT_EVENTS_COLLECTION}`),
+            orderBy('createdAt', 'desc'),
+            limit(AUDIT_EVENT_LIMIT)
+        );
+        const unsub = onSnapshot(
+            eventsQuery,
+            (snap) => {
+                setEvents(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+                setLoading(false);
+            },
+            (err) => {
+                console.error('Failed to load audit events:', err);
+                setError('Failed to load audit history.');
+                setLoading(false);
+            }
+        );
+        return () => unsub();
+    }, []);
+
+    const batches = useMemo(() => {
+        const grouped = groupAuditEventsByBatch(events);
+        if (!searchQuery) return grouped;
+        const lowercasedQuery = searchQuery.toLowerCase();
+        return grouped.filter(batch =>
+            (batch.summary || '').toLowerCase().includes(lowercasedQuery) ||
+            formatActor(batch.actor).toLowerCase().includes(lowercasedQuery) ||
+            batch.events.some(event => (event.docId || '').toLowerCase().includes(lowercasedQuery))
+        );
+    }, [events, searchQuery]);
+
+    const runRevert = async (batch, force) => {
+        setPendingRevert(null);
+        setRevertingBatchId(batch.batchId);
+        setError('');
+        try {
+            const result = await onRevertBatch(batch.batchId, { force });
+            if (!result.reverted) {
+                setPendingRevert({ batch, conflicts: result.conflicts });
+            }
+        } catch (err) {
+            console.error('Revert failed:', err);
+            setError(err?.message || 'Failed to revert batch.');
+        } finally {
+            setRevertingBatchId(null);
+        }
+    };
+
+    const revertMessage = pendingRevert?.conflicts
+        ? `${pendingRevert.conflicts.length} document(s) changed after this batch:\n${pendingRevert.conflicts.slice(0, 10).join('\n')}${pendingRevert.conflicts.length > 10 ? '\n...' : ''}\n\nRevert anyway? Those later changes will be overwritten.`
+        : `Put every document in "${pendingRevert?.batch.summary}" back the way it was before? The revert is recorded as its own batch.`;
+
+    return (
+        <div className="space-y-6">
+            <ConfirmationModal
+                isOpen={!!pendingRevert}
+                onClose={() => setPendingRevert(null)}
+                onConfirm={() => runRevert(pendingRevert.batch, Boolean(pendingRevert.conflicts))}
+                title={pendingRevert?.conflicts ? 'Later changes found' : 'Revert batch'}
+                message={revertMessage}
+                confirmLabel="Revert"
+            />
+
+            <div className="flex flex-col md:flex-row justify-between items-center gap-4">
+                <h2 className="text-2xl font-bold text-white flex items-center gap-2">
+                    <History size={24} /> Audit Trail
+                </h2>
+                <p className="text-sm text-zinc-400">Showing the latest {AUDIT_EVENT_LIMIT} recorded writes.</p>
+            </div>
+
+            {error && <ErrorMessage message={error} />}
+            {loading && <p className="text-zinc-400">Loading audit history...</p>}
+            {!loading && batches.length === 0 && <p className="text-zinc-400">No audited changes yet.</p>}
+
+            <div className="space-y-3">
+                {batches.map(batch => {
+                    const isExpanded = expandedBatchId === batch.batchId;
+                    return (
+                        <div key={batch.batchId} className="bg-zinc-800 rounded-lg border border-zinc-700">
+                            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4">
+                                <button
+                                    type="button"
+                                    onClick={() => setExpandedBatchId(isExpanded ? null : batch.batchId)}
+                                    className="flex items-start gap-2 text-left min-w-0"
+                                >
+                                    {isExpanded ? <ChevronDown size={20} className="mt-1 shrink-0" /> : <ChevronRight size={20} className="mt-1 shrink-0" />}
+                                    <div className="min-w-0">
+                                        <p className="font-semibold text-white truncate">{batch.summary}</p>
+                                        <p className="text-sm text-zinc-400">
+                                            {ACTION_LABELS[batch.action] || batch.action} · {formatActor(batch.actor)} · {new Date(batch.createdAt).toLocaleString()} · {batch.events.length} write{batch.events.length === 1 ? '' : 's'}
+                                        </p>
+                                    </div>
+                                </button>
+                                {batch.rolledBack ? (
+                                    <span className="text-sm text-zinc-500 shrink-0" title="This change failed part-way and everything it wrote was put back.">Rolled back</span>
+                                ) : batch.revertedByBatchId ? (
+                                    <span className="text-sm text-zinc-500 shrink-0">Reverted</span>
+                                ) : onRevertBatch && (
+                                    <Button
+                                        variant="secondary"
+                                        className="shrink-0 px-3 py-2 text-sm"
+                                        disabled={revertingBatchId === batch.batchId}
+                                        onClick={() => setPendingRevert({ batch, conflicts: null })}
+                                    >
+                                        <RotateCcw size={16} />
+                                        <span>{revertingBatchId === batch.batchId ? 'Reverting...' : 'Revert'}</span>
+                                    </Button>
+                                )}
+                            </div>
+                            {isExpanded && (
+                                <div className="space-y-2 px-4 pb-4">
+                                    {batch.events.map(event => <AuditEventRow key={event.id} event={event} />)}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
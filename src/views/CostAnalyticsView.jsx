@@ -20,9 +20,86 @@ const renderCustomizedLabel = ({ cx, cy, midAngle, innerRadius, outerRadius, per
     );
 };
 
-export const CostAnalyticsView = ({ costBySupplier, analyticsByCategory }) => {
+const formatDays = (days) => (days === null || days === undefined ? '—' : `${days.toFixed(1)} d`);
+
+const onTimeClass = (pct) => {
+    if (pct === null) return 'text-zinc-500';
+    if (pct >= 90) return 'text-green-400';
+    if (pct >= 70) return 'text-yellow-400';
+    return 'text-red-400';
+};
+
+// Delivery performance per supplier, with the configured lead time from supplier settings alongside the actual one.
+const SupplierScorecard = ({ scorecard, costBySupplier, onApplyLeadTime }) => {
+    const costByName = Object.fromEntries(costBySupplier.map(entry => [entry.name, entry.value]));
+
+    return (
+        <div className="bg-zinc-800 rounded-2xl shadow-lg p-6 border border-zinc-700">
+            <h3 className="text-xl font-bold text-blue-400 mb-1">Supplier Scorecard</h3>
+            <p className="text-sm text-zinc-400 mb-4">
+                Lead time is order date to receipt. On-time only counts orders received with the Receive button;
+                auto-received orders are marked on their promised date and are not rated.
+            </p>
+            {scorecard.length === 0 ? (
+                <p className="text-zinc-400">No received orders with an arrival date yet.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead className="text-zinc-400 text-left">
+                            <tr>
+                                <th className="py-2 pr-3">Supplier</th>
+                                <th className="py-2 pr-3 text-right">Orders</th>
+                                <th className="py-2 pr-3 text-right">Avg Lead Time</th>
+                                <th className="py-2 pr-3 text-right">Configured</th>
+                                <th className="py-2 pr-3 text-right">On Time</th>
+                                <th className="py-2 pr-3 text-right">Auto</th>
+                                <th className="py-2 pr-3 text-right">Total Cost</th>
+                                <th className="py-2">Last Received</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {scorecard.map(row => {
+                                const suggestedLeadTime = row.averageLeadTimeDays === null ? null : Math.ceil(row.averageLeadTimeDays);
+                                return (
+                                    <tr key={row.supplier} className="border-t border-zinc-700 text-zinc-300">
+                                        <td className="py-2 pr-3 font-medium text-white">{row.supplier}</td>
+                                        <td className="py-2 pr-3 text-right font-mono">{row.deliveries}</td>
+                                        <td className="py-2 pr-3 text-right font-mono">{formatDays(row.averageLeadTimeDays)}</td>
+                                        <td className="py-2 pr-3 text-right font-mono">
+                                            {row.configuredLeadTimeDays === null ? '—' : `${row.configuredLeadTimeDays} d`}
+                                            {onApplyLeadTime && suggestedLeadTime !== null && suggestedLeadTime !== row.configuredLeadTimeDays && (
+                                                <button
+                                                    type="button"
+                                                    className="ml-2 text-xs text-blue-400 hover:text-blue-300 underline"
+                                                    title="Save the actual average as this supplier's lead time"
+                                                    onClick={() => onApplyLeadTime(row.supplier, suggestedLeadTime)}
+                                                >
+                                                    use {suggestedLeadTime} d
+                                                </button>
+                                            )}
+                                        </td>
+                                        <td className={`py-2 pr-3 text-right font-mono ${onTimeClass(row.onTimePct)}`}>
+                                            {row.onTimePct === null ? '—' : `${Math.round(row.onTimePct)}% (${row.onTimeCount}/${row.ratedCount})`}
+                                        </td>
+                                        <td className="py-2 pr-3 text-right font-mono text-zinc-400">{row.autoReceivedCount}</td>
+                                        <td className="py-2 pr-3 text-right font-mono text-green-400">
+                                            ${(costByName[row.supplier] || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                        </td>
+                                        <td className="py-2">{row.lastReceivedAt ? new Date(row.lastReceivedAt).toLocaleDateString() : '—'}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export const CostAnalyticsView = ({ costBySupplier, analyticsByCategory, supplierScorecard = [], onApplyLeadTime }) => {
     // Handle case where there is no data to display
-    if (!costBySupplier.length && !Object.keys(analyticsByCategory).length) {
+    if (!costBySupplier.length && !Object.keys(analyticsByCategory).length && !supplierScorecard.length) {
         return <p className="text-center text-zinc-400 py-8">No cost data available. Add stock with cost information to see analytics.</p>;
     }
 
@@ -32,6 +109,8 @@ export const CostAnalyticsView = ({ costBySupplier, analyticsByCategory }) => {
         <div className="flex flex-col lg:flex-row gap-8">
             {/* Main content area for charts */}
             <div className="w-full lg:w-2/3 space-y-8">
+                <SupplierScorecard scorecard={supplierScorecard} costBySupplier={costBySupplier} onApplyLeadTime={onApplyLeadTime} />
+
                 {/* Cost by Supplier Pie Chart */}
                 <div className="bg-zinc-800 rounded-2xl shadow-lg p-6 border border-zinc-700">
                     <h3 className="text-xl font-bold text-blue-400 mb-4">Total Cost by Supplier</h3>
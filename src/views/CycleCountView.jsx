@@ -0,0 +1,313 @@
+// src/views/CycleCountView.jsx
+
+import React, { useMemo, useState } from 'react';
+import { ArrowLeft, ClipboardCheck, Play, XCircle } from 'lucide-react';
+import { Button } from '../components/common/Button';
+import { ErrorMessage } from '../components/common/ErrorMessage';
+import { ConfirmationModal } from '../components/modals/ConfirmationModal';
+import { useCountSessions } from '../hooks/useCountSessions';
+import { COUNT_SESSION_STATUSES, buildCountVariances, parseCountedQty, summarizeCountVariances } from '../utils/cycleCounts';
+import { formatSheetSize } from '../utils/sheetSizes';
+
+const STATUS_CLASSES = {
+    open: 'bg-sky-900/60 text-sky-200',
+    applied: 'bg-green-900/60 text-green-200',
+    cancelled: 'bg-zinc-700 text-zinc-300',
+};
+
+const formatVariance = (n) => (n > 0 ? `+${n}` : String(n));
+
+const varianceClass = (n) => {
+    if (n === null || n === 0) return 'text-zinc-400';
+    return n > 0 ? 'text-green-300' : 'text-red-300';
+};
+
+/** Counted-quantity cell: saves on blur or Enter, so a half-typed number never reaches other counters. */
+const CountInput = ({ row, disabled, onSave }) => {
+    const [draft, setDraft] = useState(null);
+    const [error, setError] = useState(false);
+    const value = draft ?? (row.countedQty === null ? '' : String(row.countedQty));
+
+    const commit = async () => {
+        if (draft === null) return;
+        const qty = parseCountedQty(draft);
+        if (qty === undefined) {
+            setError(true);
+            return;
+        }
+        setError(false);
+        if (qty !== row.countedQty) await onSave(row, qty);
+        setDraft(null);
+    };
+
+    return (
+        <input
+            type="text"
+            inputMode="numeric"
+            value={value}
+            disabled={disabled}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            placeholder="—"
+            className={`w-20 p-1.5 bg-zinc-700 border rounded-lg text-right font-mono text-white ${error ? 'border-red-500' : 'border-zinc-600'}`}
+            aria-label={`Counted ${row.materialType} ${row.sizeKey}`}
+        />
+    );
+};
+
+const SessionList = ({ sessions, categories, onOpen, onStart, starting, canStart }) => {
+    const [category, setCategory] = useState('');
+    const openCategories = new Set(sessions.filter(s => s.status === COUNT_SESSION_STATUSES.open).map(s => s.category));
+
+    return (
+        <div className="space-y-6">
+            {onStart && (
+                <div className="bg-zinc-800 rounded-2xl shadow-lg p-6 border border-zinc-700">
+                    <h3 className="text-xl font-bold text-blue-400 mb-1">Start a count</h3>
+                    <p className="text-sm text-zinc-400 mb-4">
+                        Freezes the category&apos;s current on-hand counts as the count sheet. Stock that moves while you count is kept separate from the variance.
+                    </p>
+                    <div className="flex flex-wrap items-center gap-3">
+                        <select
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            className="p-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white"
+                        >
+                            <option value="">Choose a category…</option>
+                            {categories.map(cat => (
+                                <option key={cat} value={cat} disabled={openCategories.has(cat)}>
+                                    {cat}{openCategories.has(cat) ? ' (count open)' : ''}
+                                </option>
+                            ))}
+                        </select>
+                        <Button onClick={() => onStart(category)} disabled={!category || starting || !canStart} className="px-4 py-2 text-sm">
+                            <Play size={16} /> <span>{starting ? 'Freezing…' : 'Freeze count sheet'}</span>
+                        </Button>
+                        {!canStart && <span className="text-sm text-zinc-400">Loading inventory…</span>}
+                    </div>
+                </div>
+            )}
+
+            <div className="bg-zinc-800 rounded-2xl shadow-lg p-6 border border-zinc-700">
+                <h3 className="text-xl font-bold text-blue-400 mb-4">Sessions</h3>
+                {sessions.length === 0 ? (
+                    <p className="text-zinc-400">No counts yet.</p>
+                ) : (
+                    <div className="space-y-2">
+                        {sessions.map(session => (
+                            <button
+                                key={session.id}
+                                type="button"
+                                onClick={() => onOpen(session.id)}
+                                className="w-full flex flex-wrap items-center gap-3 p-3 rounded-lg bg-zinc-900/60 border border-zinc-700 hover:border-zinc-500 text-left"
+                            >
+                                <span className="font-semibold text-white">{session.category}</span>
+                                <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_CLASSES[session.status] || STATUS_CLASSES.cancelled}`}>{session.status}</span>
+                                <span className="text-sm text-zinc-400">
+                                    {new Date(session.createdAt).toLocaleString()}{session.createdBy ? ` · ${session.createdBy}` : ''}
+                                </span>
+                                <span className="ml-auto text-xs font-mono text-zinc-500">{session.id}</span>
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export const CycleCountView = ({ userId, authUser, materials, categories, inventorySummary, inventoryReady, onApplyCountSession, canCount, searchQuery }) => {
+    const [activeSessionId, setActiveSessionId] = useState(null);
+    const [starting, setStarting] = useState(false);
+    const [reviewing, setReviewing] = useState(false);
+    const [applying, setApplying] = useState(false);
+    const [confirmCancel, setConfirmCancel] = useState(false);
+    const [error, setError] = useState('');
+
+    const { sessions, sessionsReady, entriesByLineId, startCountSession, saveCountEntry, cancelCountSession } =
+        useCountSessions({ userId, authUser, activeSessionId });
+
+    const session = sessions.find(s => s.id === activeSessionId) || null;
+    const isOpen = session?.status === COUNT_SESSION_STATUSES.open;
+
+    const rows = useMemo(
+        () => (session ? buildCountVariances(session.lines, entriesByLineId, inventorySummary) : []),
+        [session, entriesByLineId, inventorySummary]
+    );
+    const totals = useMemo(() => summarizeCountVariances(rows), [rows]);
+    const adjustments = useMemo(() => rows.filter(row => row.variance !== null && row.targetQty !== row.liveQty), [rows]);
+
+    const visibleRows = useMemo(() => {
+        const q = (searchQuery || '').trim().toLowerCase();
+        if (!q) return rows;
+        return rows.filter(row => row.materialType.toLowerCase().includes(q));
+    }, [rows, searchQuery]);
+
+    const runAction = async (action) => {
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            console.error('Cycle count action failed:', err);
+            setError(err?.message || 'Something went wrong.');
+        }
+    };
+
+    const handleStart = (category) => runAction(async () => {
+        setStarting(true);
+        try {
+            setActiveSessionId(await startCountSession(category, materials, inventorySummary));
+        } finally {
+            setStarting(false);
+        }
+    });
+
+    const handleApply = () => runAction(async () => {
+        setReviewing(false);
+        setApplying(true);
+        try {
+            await onApplyCountSession(session, rows);
+        } finally {
+            setApplying(false);
+        }
+    });
+
+    if (!session) {
+        return (
+            <div className="space-y-6">
+                <div>
+                    <h2 className="text-2xl font-bold text-white">Stocktake</h2>
+                    <p className="text-sm text-zinc-400">Physical counts per category, reviewed and applied as one tagged adjustment.</p>
+                </div>
+                {error && <ErrorMessage message={error} />}
+                {sessionsReady ? (
+                    <SessionList
+                        sessions={sessions}
+                        categories={categories}
+                        onOpen={setActiveSessionId}
+                        onStart={canCount ? handleStart : undefined}
+                        starting={starting}
+                        canStart={inventoryReady}
+                    />
+                ) : (
+                    <p className="text-zinc-400">Loading count sessions…</p>
+                )}
+            </div>
+        );
+    }
+
+    const reviewMessage = adjustments.length === 0
+        ? 'Every counted line matches the system. Close the session with no stock changes?'
+        : `Apply ${adjustments.length} adjustment(s) to ${session.category}: +${totals.sheetsAdded} / −${totals.sheetsRemoved} sheets. ${totals.totalLines - totals.countedLines} uncounted line(s) stay as they are.`;
+
+    return (
+        <div className="space-y-6">
+            <ConfirmationModal
+                isOpen={reviewing}
+                onClose={() => setReviewing(false)}
+                onConfirm={handleApply}
+                title="Apply count"
+                message={reviewMessage}
+                confirmLabel="Apply"
+                confirmVariant="success"
+            />
+            <ConfirmationModal
+                isOpen={confirmCancel}
+                onClose={() => setConfirmCancel(false)}
+                onConfirm={() => {
+                    setConfirmCancel(false);
+                    runAction(() => cancelCountSession(session.id));
+                }}
+                title="Cancel count"
+                message="Discard this count session? Entered counts are kept for reference but nothing is applied."
+                confirmLabel="Cancel count"
+            />
+
+            <div className="flex flex-wrap items-center gap-3">
+                <Button variant="ghost" className="px-3 py-2 text-sm" onClick={() => setActiveSessionId(null)}>
+                    <ArrowLeft size={16} /> <span>Sessions</span>
+                </Button>
+                <div>
+                    <h2 className="text-2xl font-bold text-white">Stocktake: {session.category}</h2>
+                    <p className="text-sm text-zinc-400">
+                        Frozen {new Date(session.createdAt).toLocaleString()}{session.createdBy ? ` by ${session.createdBy}` : ''} · <span className="font-mono">{session.id}</span>
+                    </p>
+                </div>
+                <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_CLASSES[session.status] || STATUS_CLASSES.cancelled}`}>{session.status}</span>
+                {isOpen && canCount && (
+                    <div className="ml-auto flex gap-2">
+                        <Button variant="secondary" className="px-3 py-2 text-sm" onClick={() => setConfirmCancel(true)} disabled={applying}>
+                            <XCircle size={16} /> <span>Cancel count</span>
+                        </Button>
+                        {onApplyCountSession && (
+                            <Button
+                                variant="success"
+                                className="px-3 py-2 text-sm"
+                                onClick={() => setReviewing(true)}
+                                disabled={applying || totals.countedLines === 0 || !inventoryReady}
+                            >
+                                <ClipboardCheck size={16} /> <span>{applying ? 'Applying…' : 'Review & apply'}</span>
+                            </Button>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {error && <ErrorMessage message={error} />}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                    ['Lines counted', `${totals.countedLines} / ${totals.totalLines}`],
+                    ['Lines off', totals.adjustedLines],
+                    ['Sheets over', `+${totals.sheetsAdded}`],
+                    ['Sheets short', `−${totals.sheetsRemoved}`],
+                ].map(([label, value]) => (
+                    <div key={label} className="bg-zinc-800 rounded-2xl p-4 border border-zinc-700">
+                        <p className="text-sm text-zinc-400">{label}</p>
+                        <p className="text-2xl font-bold text-white font-mono">{value}</p>
+                    </div>
+                ))}
+            </div>
+
+            <div className="bg-zinc-800 rounded-2xl shadow-lg p-6 border border-zinc-700 overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="text-zinc-400 text-left">
+                        <tr>
+                            <th className="py-2 pr-3">Material</th>
+                            <th className="py-2 pr-3">Size</th>
+                            <th className="py-2 pr-3 text-right">System (frozen)</th>
+                            <th className="py-2 pr-3 text-right">Counted</th>
+                            <th className="py-2 pr-3 text-right">Variance</th>
+                            <th className="py-2 pr-3 text-right" title="On-hand movement since the sheet was frozen">Moved since</th>
+                            <th className="py-2">Counted by</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visibleRows.map(row => (
+                            <tr key={row.lineId} className="border-t border-zinc-700">
+                                <td className="py-2 pr-3 text-zinc-200">{row.materialType}</td>
+                                <td className="py-2 pr-3 text-zinc-300">{formatSheetSize(row)}</td>
+                                <td className="py-2 pr-3 text-right font-mono text-zinc-300">{row.systemQty}</td>
+                                <td className="py-2 pr-3 text-right">
+                                    {isOpen && canCount
+                                        ? <CountInput row={row} disabled={applying} onSave={(line, qty) => runAction(() => saveCountEntry(session.id, line, qty))} />
+                                        : <span className="font-mono text-zinc-200">{row.countedQty ?? '—'}</span>}
+                                </td>
+                                <td className={`py-2 pr-3 text-right font-mono ${varianceClass(row.variance)}`}>
+                                    {row.variance === null ? '—' : formatVariance(row.variance)}
+                                </td>
+                                <td className="py-2 pr-3 text-right font-mono text-zinc-500">
+                                    {isOpen && row.movedSinceFreeze !== 0 ? formatVariance(row.movedSinceFreeze) : '—'}
+                                </td>
+                                <td className="py-2 text-xs text-zinc-400">
+                                    {row.countedBy ? `${row.countedBy} · ${new Date(row.countedAt).toLocaleTimeString()}` : ''}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
@@ -4,6 +4,7 @@ import React, { useMemo } from 'react';
 import { DragOverlay } from '@dnd-kit/core';
 import { SortableContext, rectSortingStrategy } from '@dnd-kit/sortable';
 import { MaterialCategoryCard } from '../components/dashboard/MaterialCategoryCard';
+import { InventoryAsOfBar } from '../components/dashboard/InventoryAsOfBar';
 
 export const DashboardView = ({
     inventorySummary,
@@ -18,7 +19,11 @@ export const DashboardView = ({
     onDeleteCategory,
     categoriesToDelete,
     searchQuery,
-    materialIndicatorSettings
+    materialIndicatorSettings,
+    asOfDate,
+    onAsOfDateChange,
+    asOfHistoryStart,
+    asOfReady
 }) => {
     const filteredCategories = useMemo(() => {
         if (!searchQuery) return categories;
@@ -35,44 +40,54 @@ export const DashboardView = ({
     }, [searchQuery, categories, materials]);
 
     return (
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-            <SortableContext items={filteredCategories} strategy={rectSortingStrategy}>
-                {filteredCategories.map(category => (
-                    <MaterialCategoryCard
-                        key={category}
-                        id={category}
-                        category={category}
-                        inventorySummary={inventorySummary}
-                        incomingSummary={incomingSummary}
-                        scheduledOutgoingSummary={scheduledOutgoingSummary}
-                        isEditMode={isEditMode}
-                        onSave={onSave}
-                        onMaterialClick={onMaterialClick}
-                        materials={materials}
-                        onDeleteCategory={onDeleteCategory}
-                        isMarkedForDeletion={categoriesToDelete.includes(category)}
-                        materialIndicatorSettings={materialIndicatorSettings}
-                    />
-                ))}
-            </SortableContext>
-
-            <DragOverlay>
-                {activeCategory ? (
-                    <MaterialCategoryCard
-                        id={activeCategory}
-                        category={activeCategory}
-                        inventorySummary={inventorySummary}
-                        incomingSummary={incomingSummary}
-                        scheduledOutgoingSummary={scheduledOutgoingSummary}
-                        isEditMode={isEditMode}
-                        onSave={onSave}
-                        onMaterialClick={onMaterialClick}
-                        materials={materials}
-                        isDragging
-                        materialIndicatorSettings={materialIndicatorSettings}
-                    />
-                ) : null}
-            </DragOverlay>
+        <div className="space-y-6">
+            {onAsOfDateChange && !isEditMode && (
+                <InventoryAsOfBar
+                    asOfDate={asOfDate}
+                    onChange={onAsOfDateChange}
+                    historyStart={asOfHistoryStart}
+                    ready={asOfReady}
+                />
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                <SortableContext items={filteredCategories} strategy={rectSortingStrategy}>
+                    {filteredCategories.map(category => (
+                        <MaterialCategoryCard
+                            key={category}
+                            id={category}
+                            category={category}
+                            inventorySummary={inventorySummary}
+                            incomingSummary={incomingSummary}
+                            scheduledOutgoingSummary={scheduledOutgoingSummary}
+                            isEditMode={isEditMode}
+                            onSave={onSave}
+                            onMaterialClick={onMaterialClick}
+                            materials={materials}
+                            onDeleteCategory={onDeleteCategory}
+                            isMarkedForDeletion={categoriesToDelete.includes(category)}
+                            materialIndicatorSettings={materialIndicatorSettings}
+                        />
+                    ))}
+                </SortableContext>
+    
+                <DragOverlay>
+                    {activeCategory ? (
+                        <MaterialCategoryCard
+                            id={activeCategory}
+                            category={activeCategory}
+                            inventorySummary={inventorySummary}
+                            incomingSummary={incomingSummary}
+                            scheduledOutgoingSummary={scheduledOutgoingSummary}
+                            isEditMode={isEditMode}
+                            onSave={onSave}
+                            onMaterialClick={onMaterialClick}
+                            materials={materials}
+                            isDragging
+                            materialIndicatorSettings={materialIndicatorSettings}
+                        />
+                    ) : null}
+                </DragOverlay>
+            </div>
         </div>
     )
 };
\ No newline at end of file
@@ -1,9 +1,12 @@
 // src/views/JobOverviewView.jsx
 
 import React, { useState, useMemo, useEffect, useCallback } from 'react';
-import { Archive, ArchiveRestore, CalendarClock, Layers, Search } from 'lucide-react';
-import { calculateSheetCost, buildCustomerJobGroups, parseJobPoParts } from '../utils/dataProcessing';
+import { AlertTriangle, Archive, ArchiveRestore, CalendarClock, Layers, Search } from 'lucide-react';
+import { buildCustomerJobGroups, parseJobPoParts } from '../utils/dataProcessing';
+import { buildJobEconomics, buildJobEconomicsIndex, rollupGroupEconomics } from '../utils/jobEconomics';
 import { useJobOverviewArchive } from '../hooks/useJobOverviewArchive';
+import { useJobBudgets } from '../hooks/useJobBudgets';
+import { calculateBudgetVariance, rollupJobBudgets } from '../utils/jobBudgets';
 
 // ─── utilities ───────────────────────────────────────────────────────────────
 
@@ -58,6 +61,15 @@ function formatJobTotalCost(totalCost, totalSheets) {
     return formatMoneyUSD(totalCost);
 }
 
+function formatSignedMoney(n) {
+    if (Math.abs(n) <= COST_EPS) return formatMoneyUSD(0);
+    return `${n > 0 ? '+' : '−'}${formatMoneyUSD(Math.abs(n))}`;
+}
+
+function formatSignedSheets(n) {
+    return `${n > 0 ? '+' : n < 0 ? '−' : ''}${Math.abs(n)} sh`;
+}
+
 function formatLineCost(sum) {
     if (!Number.isFinite(sum) || sum <= COST_EPS) return null;
     return formatMoneyUSD(sum);
@@ -101,128 +113,12 @@ function groupJobsByPoNumber(jobs) {
     return groups;
 }
 
-const BUCKET_ORDER = { used: 0, scheduled_use: 1, ordered: 2, on_hand: 3 };
-const BUCKET_LABEL = { used: 'Used', scheduled_use: 'Sched', ordered: 'Due', on_hand: 'Stock' };
-
-/** One-time index so job economics does not scan full inventory / usageLog per job. */
-function buildInventoryByJobKey(inventory) {
-    const map = new Map();
-    for (const i of inventory || []) {
-        const jk = (i.job || '').trim().toUpperCase();
-        if (!jk) continue;
-        let arr = map.get(jk);
-        if (!arr) {
-            arr = [];
-            map.set(jk, arr);
-        }
-        arr.push(i);
-    }
-    return map;
-}
-
-/** Mirror buildJobEconomics usage-log rules into per–job-key slices (single pass over usageLog). */
-function buildUsageWorkloadByJobKey(usageLog) {
-    const map = new Map();
-    const push = (jobKey, item) => {
-        if (!jobKey) return;
-        let arr = map.get(jobKey);
-        if (!arr) {
-            arr = [];
-            map.set(jobKey, arr);
-        }
-        arr.push(item);
-    };
-
-    for (const log of usageLog || []) {
-        const st = log.status || 'Completed';
-        if (st === 'Archived') continue;
-        const logJobKey = (log.job || '').trim().toUpperCase();
-
-        if (logJobKey && st === 'Scheduled') {
-            push(logJobKey, { kind: 'scheduled', log });
-            continue;
-        }
-        if (logJobKey && st === 'Completed') {
-            push(logJobKey, { kind: 'used_full_log', log });
-            for (const d of log.details || []) {
-                const dk = (d.job || '').trim().toUpperCase();
-                if (dk && dk !== logJobKey) {
-                    push(dk, { kind: 'used_detail', log, detail: d });
-                }
-            }
-            continue;
-        }
-        if (st === 'Completed') {
-            for (const d of log.details || []) {
-                const dk = (d.job || '').trim().toUpperCase();
-                if (dk) {
-                    push(dk, { kind: 'used_detail', log, detail: d });
-                }
-            }
-        }
-    }
-    return map;
-}
-
-function buildJobEconomicsIndex(inventory, usageLog) {
-    return {
-        inventoryByJob: buildInventoryByJobKey(inventory),
-        usageByJob: buildUsageWorkloadByJobKey(usageLog),
-    };
-}
-
-function buildJobEconomics(jobName, index, materials) {
-    const mats = materials || {};
-    const jobKey = (jobName || '').trim().toUpperCase();
-    const map = new Map();
-
-    const addSheet = (bucket, sheet) => {
-        if (!sheet?.materialType) return;
-        const k = `${bucket}|${sheet.materialType}|${sheet.length}`;
-        const prev = map.get(k) || { bucket, materialType: sheet.materialType, length: sheet.length, qty: 0, costSum: 0 };
-        prev.qty += 1;
-        prev.costSum += calculateSheetCost({ ...sheet, width: sheet.width || 48 }, mats);
-        map.set(k, prev);
-    };
-
-    for (const i of index.inventoryByJob.get(jobKey) || []) {
-        if (i.status === 'On Hand') addSheet('on_hand', i);
-        else if (i.status === 'Ordered') addSheet('ordered', i);
-    }
-
-    for (const u of index.usageByJob.get(jobKey) || []) {
-        if (u.kind === 'scheduled') {
-            (u.log.details || []).forEach((d) => addSheet('scheduled_use', d));
-        } else if (u.kind === 'used_full_log') {
-            (u.log.details || []).forEach((d) => addSheet('used', d));
-        } else if (u.kind === 'used_detail') {
-            addSheet('used', u.detail);
-        }
-    }
-
-    const groups = [...map.values()]
-        .sort((a, b) => {
-            const bo = (BUCKET_ORDER[a.bucket] ?? 9) - (BUCKET_ORDER[b.bucket] ?? 9);
-            if (bo !== 0) return bo;
-            const mt = (a.materialType || '').localeCompare(b.materialType || '');
-            if (mt !== 0) return mt;
-            return (Number(a.length) || 0) - (Number(b.length) || 0);
-        })
-        .map((g) => ({ ...g, key: `${g.bucket}|${g.materialType}|${g.length}`, bucketLabel: BUCKET_LABEL[g.bucket] || g.bucket }));
-
-    const totalSheets = groups.reduce((s, g) => s + g.qty, 0);
-    const totalCost = groups.reduce((s, g) => s + g.costSum, 0);
-    return { groups, totalSheets, totalCost };
-}
-
-function rollupGroupEconomics(parts, index, materials) {
-    let totalSheets = 0, totalCost = 0;
-    for (const j of parts) {
-        const e = buildJobEconomics(j.job, index, materials);
-        totalSheets += e.totalSheets;
-        totalCost += e.totalCost;
-    }
-    return { totalSheets, totalCost };
+/** Budget vs. sheets actually used, per PO group; scheduled, due and stock sheets are not consumption yet. */
+function buildGroupBudgetRows(groups, index, materials, budgetsByBaseKey) {
+    return groups.map((g) => {
+        const econ = rollupGroupEconomics(g.parts, index, materials);
+        return { baseKey: g.baseKey, budget: budgetsByBaseKey.get(g.baseKey) || null, actual: { sheets: econ.usedSheets, cost: econ.usedCost } };
+    });
 }
 
 function summarizeCustomerJobs(jobs, index, materials) {
@@ -334,7 +230,7 @@ function CustomerColumn({ options, selectedKey, onSelectKey }) {
 
 // ─── Column 2: PO job list ────────────────────────────────────────────────────
 
-function PoJobCard({ group, selected, onSelect, jobEconIndex, materials, showArchiveBtn, showRestoreBtn, onArchive, onRestore, archiveReady, isArchived }) {
+function PoJobCard({ group, selected, onSelect, jobEconIndex, materials, budget, showArchiveBtn, showRestoreBtn, onArchive, onRestore, archiveReady, isArchived }) {
     const multi = group.parts.length > 1;
     const rollup = multi
         ? rollupGroupEconomics(group.parts, jobEconIndex, materials)
@@ -345,6 +241,7 @@ function PoJobCard({ group, selected, onSelect, jobEconIndex, materials, showArc
         ? new Date(latestMs).toLocaleDateString(undefined, { month: 'numeric', day: 'numeric', year: '2-digit' })
         : null;
     const cost = formatJobTotalCost(rollup.totalCost, rollup.totalSheets);
+    const variance = calculateBudgetVariance(budget, { sheets: rollup.usedSheets, cost: rollup.usedCost });
 
     return (
         <li className="group/card flex items-stretch gap-1">
@@ -380,6 +277,11 @@ function PoJobCard({ group, selected, onSelect, jobEconIndex, materials, showArc
                 <div className="mt-1 flex items-center gap-2 text-[10px] text-zinc-500">
                     {rollup.totalSheets > 0 && <span className="tabular-nums">{rollup.totalSheets} sh</span>}
                     {lastLabel && <span className="tabular-nums">{lastLabel}</span>}
+                    {variance?.overBudget && (
+                        <span className="ml-auto flex items-center gap-0.5 font-semibold text-red-400" title="Used more than quoted">
+                            <AlertTriangle size={10} aria-hidden /> Over budget
+                        </span>
+                    )}
                 </div>
             </button>
 
@@ -399,7 +301,32 @@ function PoJobCard({ group, selected, onSelect, jobEconIndex, materials, showArc
     );
 }
 
-function JobListColumn({ groups, archivedGroups, selectedBaseKey, onSelectBaseKey, jobEconIndex, materials, onArchive, onRestore, archiveReady, customerLabel, overview }) {
+function CustomerBudgetRollup({ rollup }) {
+    const costVariance = rollup.actualCost - rollup.budgetCost;
+    const sheetVariance = rollup.actualSheets - rollup.budgetSheets;
+    return (
+        <div className="mt-1.5 flex flex-wrap gap-x-3 gap-y-0.5 border-t border-zinc-800 pt-1.5 text-[10px] text-zinc-500 tabular-nums">
+            <span><span className="text-zinc-300 font-semibold">{rollup.budgetedJobs}</span> budgeted</span>
+            {rollup.hasCostBudget && (
+                <span title={`Used ${formatMoneyUSD(rollup.actualCost)} of ${formatMoneyUSD(rollup.budgetCost)} quoted`}>
+                    <span className={`font-semibold ${costVariance > COST_EPS ? 'text-red-400' : 'text-emerald-400'}`}>{formatSignedMoney(costVariance)}</span> vs quote
+                </span>
+            )}
+            {rollup.hasSheetBudget && (
+                <span title={`Used ${rollup.actualSheets} of ${rollup.budgetSheets} sheets quoted`}>
+                    <span className={`font-semibold ${sheetVariance > 0 ? 'text-red-400' : 'text-zinc-300'}`}>{formatSignedSheets(sheetVariance)}</span>
+                </span>
+            )}
+            {rollup.overBudgetJobs > 0 && (
+                <span className="flex items-center gap-0.5 font-semibold text-red-400">
+                    <AlertTriangle size={10} aria-hidden /> {rollup.overBudgetJobs} over
+                </span>
+            )}
+        </div>
+    );
+}
+
+function JobListColumn({ groups, archivedGroups, selectedBaseKey, onSelectBaseKey, jobEconIndex, materials, budgetsByBaseKey, onArchive, onRestore, archiveReady, customerLabel, overview, budgetRollup }) {
     const lastActivity = overview?.lastActivityMs > 0
         ? new Date(overview.lastActivityMs).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
         : null;
@@ -423,6 +350,7 @@ function JobListColumn({ groups, archivedGroups, selectedBaseKey, onSelectBaseKe
                         {lastActivity && <span>{lastActivity}</span>}
                     </div>
                 )}
+                {budgetRollup?.budgetedJobs > 0 && <CustomerBudgetRollup rollup={budgetRollup} />}
             </PanelHeader>
 
             <div className="flex flex-col flex-1 min-h-0 overflow-y-auto">
@@ -440,6 +368,7 @@ function JobListColumn({ groups, archivedGroups, selectedBaseKey, onSelectBaseKe
                                 onSelect={onSelectBaseKey}
                                 jobEconIndex={jobEconIndex}
                                 materials={materials}
+                                budget={budgetsByBaseKey.get(g.baseKey)}
                                 showArchiveBtn={archiveReady}
                                 showRestoreBtn={false}
                                 onArchive={onArchive}
@@ -464,6 +393,7 @@ function JobListColumn({ groups, archivedGroups, selectedBaseKey, onSelectBaseKe
                                     onSelect={onSelectBaseKey}
                                     jobEconIndex={jobEconIndex}
                                     materials={materials}
+                                    budget={budgetsByBaseKey.get(g.baseKey)}
                                     showArchiveBtn={false}
                                     showRestoreBtn={archiveReady}
                                     onRestore={onRestore}
@@ -548,7 +478,69 @@ function JobSectionCard({ job, jobEconIndex, materials }) {
     );
 }
 
-function DetailColumn({ group, jobEconIndex, materials }) {
+function JobBudgetPanel({ baseKey, budget, actual, ready, onSave }) {
+    const [sheets, setSheets] = useState(budget?.sheets ?? '');
+    const [cost, setCost] = useState(budget?.cost ?? '');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const dirty = String(sheets) !== String(budget?.sheets ?? '') || String(cost) !== String(budget?.cost ?? '');
+    const variance = calculateBudgetVariance(budget, actual);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await onSave(baseKey, { sheets, cost });
+        } catch (err) {
+            console.error('Saving job budget failed:', err);
+            setError('Could not save the budget.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputCls = 'w-24 rounded-md border border-zinc-700 bg-zinc-800 px-2 py-1 text-xs text-white tabular-nums focus:outline-none focus:ring-1 focus:ring-blue-500/70';
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1.5 text-[11px] text-zinc-400">
+            <span className="text-[10px] font-bold uppercase tracking-widest text-zinc-500">Quoted</span>
+            <label className="flex items-center gap-1">
+                <input type="number" min="0" step="1" value={sheets} onChange={(e) => setSheets(e.target.value)} className={inputCls} placeholder="sheets" aria-label="Quoted sheets" />
+                <span>sh</span>
+            </label>
+            <label className="flex items-center gap-1">
+                <span>$</span>
+                <input type="number" min="0" step="0.01" value={cost} onChange={(e) => setCost(e.target.value)} className={inputCls} placeholder="material $" aria-label="Quoted material dollars" />
+            </label>
+            {dirty && (
+                <button type="submit" disabled={!ready || saving} className="rounded-md bg-blue-600 px-2 py-1 text-xs font-semibold text-white hover:bg-blue-500 disabled:opacity-50">
+                    {saving ? 'Saving…' : 'Save'}
+                </button>
+            )}
+            {variance && (
+                <span className="flex flex-wrap items-center gap-x-2 tabular-nums" title="Used sheets against the quote">
+                    <span>Used {actual.sheets} sh · {formatMoneyUSD(actual.cost)}</span>
+                    {variance.sheetVariance !== null && (
+                        <span className={variance.sheetVariance > 0 ? 'font-semibold text-red-400' : 'text-zinc-300'}>{formatSignedSheets(variance.sheetVariance)}</span>
+                    )}
+                    {variance.costVariance !== null && (
+                        <span className={`font-mono ${variance.costVariance > COST_EPS ? 'font-semibold text-red-400' : 'text-emerald-400'}`}>{formatSignedMoney(variance.costVariance)}</span>
+                    )}
+                    {variance.overBudget && (
+                        <span className="flex items-center gap-0.5 font-semibold text-red-400">
+                            <AlertTriangle size={11} aria-hidden /> Over budget
+                        </span>
+                    )}
+                </span>
+            )}
+            {error && <span className="text-red-400">{error}</span>}
+        </form>
+    );
+}
+
+function DetailColumn({ group, jobEconIndex, materials, budget, budgetsReady, onSaveBudget }) {
     if (!group) {
         return (
             <PanelShell className="flex-1">
@@ -560,7 +552,8 @@ function DetailColumn({ group, jobEconIndex, materials }) {
     }
 
     const multi = group.parts.length > 1;
-    const rollup = multi ? rollupGroupEconomics(group.parts, jobEconIndex, materials) : null;
+    const groupEcon = rollupGroupEconomics(group.parts, jobEconIndex, materials);
+    const rollup = multi ? groupEcon : null;
     const sectionLabels = uniqueSectionSuffixes(group.parts);
 
     return (
@@ -584,6 +577,14 @@ function DetailColumn({ group, jobEconIndex, materials }) {
                         )}
                     </p>
                 )}
+                <JobBudgetPanel
+                    key={`${group.baseKey}|${budget?.updatedAt || ''}`}
+                    baseKey={group.baseKey}
+                    budget={budget}
+                    actual={{ sheets: groupEcon.usedSheets, cost: groupEcon.usedCost }}
+                    ready={budgetsReady}
+                    onSave={onSaveBudget}
+                />
             </PanelHeader>
 
             <div className="overflow-y-auto flex-1 min-h-0 p-3 space-y-3">
@@ -604,6 +605,7 @@ const OTHER_JOBS_SECTION_KEY = '__other_jobs__';
 
 export const JobOverviewView = ({
     userId,
+    userEmail,
     allJobs,
     inventory,
     usageLog,
@@ -616,6 +618,7 @@ export const JobOverviewView = ({
     const [selectedGroupBaseKey, setSelectedGroupBaseKey] = useState(null);
 
     const { archivedBaseKeys, archiveReady, archivePoBase, restorePoBase } = useJobOverviewArchive(userId);
+    const { budgetsByBaseKey, budgetsReady, saveJobBudget } = useJobBudgets(userId);
 
     const jobEconIndex = useMemo(
         () => buildJobEconomicsIndex(inventory, usageLog),
@@ -685,6 +688,16 @@ export const JobOverviewView = ({
         [activeJobsForCustomer, jobEconIndex, materials]
     );
 
+    const customerBudgetRollup = useMemo(
+        () => rollupJobBudgets(buildGroupBudgetRows(jobGroupsActive, jobEconIndex, materials, budgetsByBaseKey)),
+        [jobGroupsActive, jobEconIndex, materials, budgetsByBaseKey]
+    );
+
+    const handleSaveBudget = useCallback(
+        (baseKey, values) => saveJobBudget(baseKey, values, userEmail),
+        [saveJobBudget, userEmail]
+    );
+
     const selectedGroup = useMemo(() => {
         return [...jobGroupsActive, ...jobGroupsArchived].find((g) => g.baseKey === selectedGroupBaseKey) || null;
     }, [jobGroupsActive, jobGroupsArchived, selectedGroupBaseKey]);
@@ -761,16 +774,21 @@ export const JobOverviewView = ({
                         onSelectBaseKey={setSelectedGroupBaseKey}
                         jobEconIndex={jobEconIndex}
                         materials={materials}
+                        budgetsByBaseKey={budgetsByBaseKey}
                         onArchive={handleArchivePoBase}
                         onRestore={restorePoBase}
                         archiveReady={archiveReady}
                         customerLabel={selectedCustomerLabel}
                         overview={customerOverview}
+                        budgetRollup={customerBudgetRollup}
                     />
                     <DetailColumn
                         group={selectedGroup}
                         jobEconIndex={jobEconIndex}
                         materials={materials}
+                        budget={selectedGroup ? budgetsByBaseKey.get(selectedGroup.baseKey) : null}
+                        budgetsReady={budgetsReady}
+                        onSaveBudget={handleSaveBudget}
                     />
                 </>
             ) : (
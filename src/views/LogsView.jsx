@@ -10,7 +10,7 @@ import { Button } from '../components/common/Button';
 import { exportToCSV } from '../utils/csvExport';
 import { groupInventoryByJob } from '../utils/dataProcessing';
 
-export const LogsView = ({ usageLog, inventory, onEditOrder, onDeleteLog, onDeleteInventoryGroup, materials, onFulfillLog, onReceiveOrder, searchQuery }) => {
+export const LogsView = ({ usageLog, inventory, onEditOrder, onDeleteLog, onDeleteInventoryGroup, materials, onFulfillLog, onReceiveOrder, onPrintLabels, searchQuery }) => {
     const [detailLog, setDetailLog] = useState(null);
     const [logToDelete, setLogToDelete] = useState(null);
     const [incomingOrdersToShow, setIncomingOrdersToShow] = useState(5);
@@ -119,7 +119,7 @@ export const LogsView = ({ usageLog, inventory, onEditOrder, onDeleteLog, onDele
                 onClose={() => setLogToDelete(null)}
                 onConfirm={handleConfirmDeleteLog}
                 title="Delete Entry"
-                message="Are you sure you want to delete this entry? This action cannot be undone. Deleting a completed usage log will return its sheets to On Hand."
+                message="Are you sure you want to delete this entry? It can be reverted from the Audit view. Deleting a completed usage log will return its sheets to On Hand."
             />
 
             <div>
@@ -149,6 +149,7 @@ export const LogsView = ({ usageLog, inventory, onEditOrder, onDeleteLog, onDele
                     onDelete={setLogToDelete}
                     onEdit={onEditOrder}
                     onReceiveOrder={onReceiveOrder}
+                    onPrintLabels={onPrintLabels}
                     ordersToShow={incomingOrdersToShow}
                 />
             </div>
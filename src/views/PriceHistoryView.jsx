@@ -4,7 +4,8 @@ import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { Download, ChevronDown, Check } from 'lucide-react';
 import { Button } from '../components/common/Button';
 import { exportToCSV } from '../utils/csvExport';
-import { calculateSheetCost } from '../utils/dataProcessing';
+import { buildPriceHistory, calculateSheetCost } from '../utils/dataProcessing';
+import { formatSheetSize, getMaterialSheetSizes, getSheetSizeKey, normalizeSheetSizes } from '../utils/sheetSizes';
 
 export const PriceHistoryView = ({ inventory, materials, searchQuery }) => {
     // State to hold the selected material type for filtering
@@ -20,12 +21,7 @@ export const PriceHistoryView = ({ inventory, materials, searchQuery }) => {
     const priceHistory = useMemo(() => {
         const lowercasedQuery = (searchQuery || '').toLowerCase();
 
-        // First, filter the raw inventory data
-        const filteredInventory = inventory.filter(item => {
-            const materialInfo = materials[item.materialType];
-            // Ensure the item has the necessary data to be included
-            if (!materialInfo || !item.costPerPound || item.costPerPound <= 0) return false;
-
+        return buildPriceHistory(inventory, materials, item => {
             // Filter by selected material type
             const matchesMaterial = selectedMaterialType === 'All' || item.materialType === selectedMaterialType;
             if (!matchesMaterial) return false;
@@ -39,31 +35,14 @@ export const PriceHistoryView = ({ inventory, materials, searchQuery }) => {
 
             return true;
         });
-
-        // Now, create a de-duplicated list of unique price points (ignore dimensions)
-        const uniquePricePoints = new Map();
-        filteredInventory.forEach(item => {
-            const dateKey = (item.dateReceived || item.createdAt).split('T')[0];
-            const key = `${item.materialType}-${item.supplier}-${dateKey}-${item.costPerPound}`;
-
-            if (!uniquePricePoints.has(key)) {
-                uniquePricePoints.set(key, {
-                    id: key,
-                    materialType: item.materialType,
-                    supplier: item.supplier,
-                    job: item.job,
-                    dateReceived: item.dateReceived || item.createdAt,
-                    costPerPound: item.costPerPound,
-                });
-            }
-        });
-
-        // Sort the final list by date
-        return Array.from(uniquePricePoints.values())
-            .sort((a, b) => new Date(b.dateReceived) - new Date(a.dateReceived));
-
     }, [inventory, materials, selectedMaterialType, searchQuery]);
 
+    // One price column per sheet size configured for any material in the table.
+    const priceColumns = useMemo(() => normalizeSheetSizes(
+        Array.from(new Set(priceHistory.map(order => order.materialType)))
+            .flatMap(materialType => getMaterialSheetSizes(materials, materialType))
+    ), [priceHistory, materials]);
+
     // Handle exporting the current view to a CSV file
     const handleExport = () => {
         const headers = [
@@ -208,16 +187,14 @@ export const PriceHistoryView = ({ inventory, materials, searchQuery }) => {
                             <th className="p-2 font-semibold text-zinc-400">Supplier</th>
                             <th className="p-2 font-semibold text-zinc-400">Material</th>
                             <th className="p-2 font-semibold text-zinc-400 text-right">Cost Per Pound</th>
-                            <th className="p-2 font-semibold text-zinc-400 text-right">96</th>
-                            <th className="p-2 font-semibold text-zinc-400 text-right">120</th>
-                            <th className="p-2 font-semibold text-zinc-400 text-right">144</th>
+                            {priceColumns.map(size => (
+                                <th key={getSheetSizeKey(size.length, size.width)} className="p-2 font-semibold text-zinc-400 text-right">{formatSheetSize(size)}</th>
+                            ))}
                         </tr>
                     </thead>
                     <tbody>
                         {priceHistory.map((order, index) => {
-                            const price96 = calculateSheetCost({ materialType: order.materialType, length: 96, width: 48, costPerPound: order.costPerPound }, materials);
-                            const price120 = calculateSheetCost({ materialType: order.materialType, length: 120, width: 48, costPerPound: order.costPerPound }, materials);
-                            const price144 = calculateSheetCost({ materialType: order.materialType, length: 144, width: 48, costPerPound: order.costPerPound }, materials);
+                            const orderSizeKeys = new Set(getMaterialSheetSizes(materials, order.materialType).map(size => getSheetSizeKey(size.length, size.width)));
                             return (
                                 <tr key={order.id || index} className={`border-b border-zinc-700 last:border-b-0 ${index % 2 === 0 ? 'bg-zinc-800' : 'bg-zinc-800/50'}`}>
                                     <td className="p-2">{new Date(order.dateReceived).toLocaleDateString()}</td>
@@ -225,9 +202,16 @@ export const PriceHistoryView = ({ inventory, materials, searchQuery }) => {
                                     <td className="p-2">{order.supplier}</td>
                                     <td className="p-2">{order.materialType}</td>
                                     <td className="p-2 text-right font-mono text-green-400">${order.costPerPound.toFixed(2)}</td>
-                                    <td className="p-2 text-right font-mono">${price96.toFixed(2)}</td>
-                                    <td className="p-2 text-right font-mono">${price120.toFixed(2)}</td>
-                                    <td className="p-2 text-right font-mono">${price144.toFixed(2)}</td>
+                                    {priceColumns.map(size => {
+                                        const key = getSheetSizeKey(size.length, size.width);
+                                        return (
+                                            <td key={key} className="p-2 text-right font-mono">
+                                                {orderSizeKeys.has(key)
+                                                    ? `$${calculateSheetCost({ materialType: order.materialType, length: size.length, width: size.width, costPerPound: order.costPerPound }, materials).toFixed(2)}`
+                                                    : ''}
+                                            </td>
+                                        );
+                                    })}
                                 </tr>
                             );
                         })}
@@ -1,10 +1,12 @@
 // src/views/ReorderView.jsx
 
-import React, { useMemo } from 'react';
-import { PlusCircle, Mail, Inbox, Trash2 } from 'lucide-react';
-import { STANDARD_LENGTHS } from '../constants/materials';
+import React, { useMemo, useState } from 'react';
+import { PlusCircle, Mail, Inbox, Trash2, TrendingDown, FileText, Check, Send, Archive } from 'lucide-react';
+import { formatSheetSize, getMaterialSheetSizes, getSheetSizeKey, normalizeSizeQtyFields, parseSheetSizeKey } from '../utils/sheetSizes';
 import { Button } from '../components/common/Button';
 import { createSupplierMailtoLink } from '../utils/buyOrderUtils';
+import { DEFAULT_FORECAST_WINDOW_DAYS, FORECAST_WINDOW_OPTIONS, buildReorderForecast } from '../utils/reorderForecast';
+import { BUY_ORDER_STATES, BUY_ORDER_STATE_LABELS, canTransitionBuyOrder, getBuyOrderState } from '../utils/buyOrderLifecycle';
 
 const EmailSupplierBox = ({ allSuppliers, lowStockItemsBySupplier, supplierInfoOverrides }) => (
     <div className="bg-zinc-800 rounded-lg shadow-lg p-4 md:p-6 border border-zinc-700">
@@ -40,11 +42,12 @@ const EmailSupplierBox = ({ allSuppliers, lowStockItemsBySupplier, supplierInfoO
 function getLatestBuyOrderSizeBubbles(item) {
     const sizes = [];
 
-    STANDARD_LENGTHS.forEach((length) => {
-        const qty = parseInt(item?.[`qty${length}`] || 0, 10);
-        if (qty > 0) {
+    Object.entries(normalizeSizeQtyFields(item)).forEach(([field, value]) => {
+        const size = parseSheetSizeKey(field.slice(3));
+        const qty = parseInt(value || 0, 10);
+        if (size && qty > 0) {
             sizes.push({
-                size: `${length}"x48"`,
+                size: formatSheetSize(size),
                 qty,
             });
         }
@@ -75,7 +78,35 @@ function getBuyOrderSubject(buyOrder) {
     return (buyOrder?.requestedEmailSubject || '').trim();
 }
 
-const BuyOrdersBox = ({ buyOrders, onAddBuyOrderToInventory, onClearAllBuyOrders, onDeleteBuyOrder }) => (
+const STATE_BADGE_CLASSES = {
+    [BUY_ORDER_STATES.DRAFT]: 'bg-zinc-700 text-zinc-200',
+    [BUY_ORDER_STATES.SENT]: 'bg-blue-900/60 text-blue-200',
+    [BUY_ORDER_STATES.ACKNOWLEDGED]: 'bg-purple-900/60 text-purple-200',
+    [BUY_ORDER_STATES.PARTIALLY_RECEIVED]: 'bg-amber-900/60 text-amber-200',
+    [BUY_ORDER_STATES.RECEIVED]: 'bg-green-900/60 text-green-200',
+};
+
+// Only inventory can say what arrived, so Partially Received / Received are never offered as buttons.
+const MANUAL_TRANSITIONS = [
+    { state: BUY_ORDER_STATES.ACKNOWLEDGED, label: 'Acknowledged', icon: Check, variant: 'secondary' },
+    { state: BUY_ORDER_STATES.CLOSED, label: 'Close', icon: Archive, variant: 'secondary' },
+];
+
+const formatStateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+function BuyOrderLinkedStock({ linked }) {
+    if (!linked) return <p className="text-sm text-zinc-500">No inventory linked yet.</p>;
+    const jobs = [...new Set([...linked.ordered, ...linked.received].map(item => item.job).filter(Boolean))];
+    return (
+        <p className="text-sm text-zinc-400">
+            Inventory{jobs.length > 0 ? ` (${jobs.join(', ')})` : ''}:{' '}
+            <span className="text-yellow-300">{linked.orderedQty} on order</span>,{' '}
+            <span className="text-green-300">{linked.receivedQty} received</span>
+        </p>
+    );
+}
+
+const BuyOrdersBox = ({ buyOrders, onAddBuyOrderToInventory, onClearAllBuyOrders, onDeleteBuyOrder, onOpenPurchaseOrder, onSendBuyOrder, onTransitionBuyOrder, linkedInventoryByBuyOrder = {} }) => (
     <div className="bg-zinc-800 rounded-lg shadow-lg p-4 md:p-6 border border-zinc-700">
         <div className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
             <h2 className="text-2xl font-bold text-white">Buy Orders</h2>
@@ -90,17 +121,35 @@ const BuyOrdersBox = ({ buyOrders, onAddBuyOrderToInventory, onClearAllBuyOrders
             </Button>
         </div>
         {buyOrders.length === 0 ? (
-            <p className="text-zinc-400">No emailed buy orders are waiting to be added into inventory.</p>
+            <p className="text-zinc-400">No open buy orders.</p>
         ) : (
             <div className="space-y-5">
                 {buyOrders.map((buyOrder) => {
                     const orderSuppliers = getBuyOrderSuppliers(buyOrder);
                     const orderSubject = getBuyOrderSubject(buyOrder);
+                    const state = getBuyOrderState(buyOrder);
+                    const linked = linkedInventoryByBuyOrder[buyOrder.id];
+                    // Adding to inventory links the whole order once; later deliveries are received on those sheets.
+                    const canAddToInventory = !linked && (state === BUY_ORDER_STATES.SENT || state === BUY_ORDER_STATES.ACKNOWLEDGED);
 
                     return (
                     <div key={buyOrder.id} className="rounded-2xl border border-zinc-700 bg-zinc-900/40 px-5 py-4 md:px-6">
                         <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
                             <div className="min-w-0 flex-1">
+                                <div className="mb-3 flex flex-wrap items-center gap-2">
+                                    {buyOrder.poNumber && (
+                                        <span className="inline-flex rounded-md bg-zinc-800 px-2 py-1 font-mono text-sm font-semibold text-zinc-200">{buyOrder.poNumber}</span>
+                                    )}
+                                    <span
+                                        className={`inline-flex rounded-md px-2 py-1 text-sm font-semibold ${STATE_BADGE_CLASSES[state] || 'bg-zinc-700 text-zinc-200'}`}
+                                        title={(buyOrder.stateHistory || []).map(entry => `${BUY_ORDER_STATE_LABELS[entry.to]}: ${formatStateTime(entry.at)}${entry.by ? ` by ${entry.by}` : ''}`).join('\n')}
+                                    >
+                                        {BUY_ORDER_STATE_LABELS[state]}
+                                    </span>
+                                    {buyOrder.stateTimestamps?.[state] && (
+                                        <span className="text-xs text-zinc-500">since {formatStateTime(buyOrder.stateTimestamps[state])}</span>
+                                    )}
+                                </div>
                                 {orderSubject && (
                                     <>
                                         <p className="text-xs font-semibold uppercase tracking-[0.2em] text-zinc-500">Subject</p>
@@ -114,6 +163,7 @@ const BuyOrdersBox = ({ buyOrders, onAddBuyOrderToInventory, onClearAllBuyOrders
                                 <p className="text-sm text-zinc-400">
                                     Opened email: {buyOrder.openedEmailAt ? new Date(buyOrder.openedEmailAt).toLocaleString() : 'N/A'}
                                 </p>
+                                <BuyOrderLinkedStock linked={linked} />
                                 <p className="text-sm text-zinc-500 mt-1">
                                     {orderSuppliers.length > 0 ? `${orderSuppliers.length} supplier${orderSuppliers.length === 1 ? '' : 's'} on this order` : 'No suppliers saved'}
                                 </p>
@@ -121,16 +171,42 @@ const BuyOrdersBox = ({ buyOrders, onAddBuyOrderToInventory, onClearAllBuyOrders
                                     {(buyOrder.items || []).length} material type{(buyOrder.items || []).length === 1 ? '' : 's'}
                                 </p>
                             </div>
-                            <Button
-                                type="button"
-                                variant="danger"
-                                onClick={() => onDeleteBuyOrder(buyOrder)}
-                                className="shrink-0 self-start px-3 py-2 text-sm"
-                                title="Remove this buy order from the queue"
-                            >
-                                <Trash2 size={16} />
-                                <span>Delete</span>
-                            </Button>
+                            <div className="flex shrink-0 flex-wrap gap-2 self-start">
+                                {state === BUY_ORDER_STATES.DRAFT && (
+                                    <Button type="button" onClick={() => onSendBuyOrder(buyOrder)} className="px-3 py-2 text-sm" title="Open the supplier emails and mark this order Sent">
+                                        <Send size={16} />
+                                        <span>Send</span>
+                                    </Button>
+                                )}
+                                {MANUAL_TRANSITIONS.filter(({ state: next }) => canTransitionBuyOrder(buyOrder, next)).map(({ state: next, label, icon: Icon, variant }) => (
+                                    <Button key={next} type="button" variant={variant} onClick={() => onTransitionBuyOrder(buyOrder, next)} className="px-3 py-2 text-sm">
+                                        <Icon size={16} />
+                                        <span>{label}</span>
+                                    </Button>
+                                ))}
+                                <Button
+                                    type="button"
+                                    variant="secondary"
+                                    onClick={() => onOpenPurchaseOrder(buyOrder)}
+                                    className="px-3 py-2 text-sm"
+                                    title="Print or download this order as a purchase order"
+                                >
+                                    <FileText size={16} />
+                                    <span>PO</span>
+                                </Button>
+                                {canTransitionBuyOrder(buyOrder, BUY_ORDER_STATES.CANCELLED) && (
+                                    <Button
+                                        type="button"
+                                        variant="danger"
+                                        onClick={() => onDeleteBuyOrder(buyOrder)}
+                                        className="px-3 py-2 text-sm"
+                                        title="Cancel this buy order and remove it from the queue"
+                                    >
+                                        <Trash2 size={16} />
+                                        <span>Cancel</span>
+                                    </Button>
+                                )}
+                            </div>
                         </div>
                         <div className="mt-5 grid grid-cols-1 gap-4">
                             {(buyOrder.items || []).map((item, index) => {
@@ -141,6 +217,7 @@ const BuyOrdersBox = ({ buyOrders, onAddBuyOrderToInventory, onClearAllBuyOrders
                                         <div className="flex flex-col sm:flex-row sm:items-center gap-4">
                                             <Button
                                                 onClick={() => onAddBuyOrderToInventory(buyOrder)}
+                                                disabled={!canAddToInventory}
                                                 className="shrink-0 px-3 py-2 text-sm min-w-[92px]"
                                             >
                                                 <Inbox size={15} />
@@ -178,15 +255,99 @@ const BuyOrdersBox = ({ buyOrders, onAddBuyOrderToInventory, onClearAllBuyOrders
     </div>
 );
 
-export const ReorderView = ({ inventorySummary, materials, onRestock, buyOrders = [], onAddBuyOrderToInventory, onClearAllBuyOrders, onDeleteBuyOrder, searchQuery, inventory, suppliers, supplierInfoOverrides }) => {
+const formatDaysOfCover = (days) => {
+    if (days === null) return '—';
+    if (days < 1) return '< 1 day';
+    return `${Math.floor(days)} day${Math.floor(days) === 1 ? '' : 's'}`;
+};
+
+const ForecastBox = ({ forecastRows, windowDays, onWindowDaysChange, onRestock, searchQuery }) => (
+    <div className="bg-zinc-800 rounded-lg shadow-lg p-4 md:p-6 border border-zinc-700">
+        <div className="mb-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+            <h2 className="text-2xl font-bold text-white flex items-center gap-2">
+                <TrendingDown size={24} /> Usage Forecast
+            </h2>
+            <div className="flex items-center gap-2">
+                <label htmlFor="forecast-window" className="text-sm text-zinc-400">Average usage over:</label>
+                <select id="forecast-window" value={windowDays} onChange={(e) => onWindowDaysChange(parseInt(e.target.value, 10))} className="bg-zinc-700 text-white p-2 rounded-lg">
+                    {FORECAST_WINDOW_OPTIONS.map(days => <option key={days} value={days}>{days} days</option>)}
+                </select>
+            </div>
+        </div>
+        <p className="text-sm text-zinc-400 mb-4">
+            Left = on hand + incoming − scheduled. Suggested quantities cover each supplier's lead time (set in Manage Suppliers).
+        </p>
+        {forecastRows.length === 0 ? (
+            <p className="text-center text-zinc-400 py-8">
+                {searchQuery ? 'No matching items found.' : 'No usage in this window to forecast from.'}
+            </p>
+        ) : (
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm md:text-base text-left">
+                    <thead>
+                        <tr className="border-b border-zinc-700">
+                            <th className="p-2 font-semibold text-zinc-400">Material</th>
+                            <th className="p-2 font-semibold text-zinc-400">Sheet Size</th>
+                            <th className="p-2 font-semibold text-zinc-400">Supplier</th>
+                            <th className="p-2 font-semibold text-zinc-400 text-right">On Hand</th>
+                            <th className="p-2 font-semibold text-zinc-400 text-right">Incoming</th>
+                            <th className="p-2 font-semibold text-zinc-400 text-right">Scheduled</th>
+                            <th className="p-2 font-semibold text-zinc-400 text-right">Left</th>
+                            <th className="p-2 font-semibold text-zinc-400 text-right">Use / Day</th>
+                            <th className="p-2 font-semibold text-zinc-400">Stock-Out</th>
+                            <th className="p-2 font-semibold text-zinc-400 text-right">Lead Time</th>
+                            <th className="p-2 font-semibold text-zinc-400 text-right">Suggested</th>
+                            <th className="p-2 font-semibold text-zinc-400 text-center">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {forecastRows.map((row, index) => (
+                            <tr key={`${row.materialType}-${row.sizeKey}`} className={`border-b border-zinc-700 last:border-b-0 ${index % 2 === 0 ? 'bg-zinc-800' : 'bg-zinc-800/50'}`}>
+                                <td className="p-2">{row.materialType}</td>
+                                <td className="p-2">{formatSheetSize(row)}</td>
+                                <td className="p-2">{row.supplier}</td>
+                                <td className="p-2 text-right font-mono">{row.onHand}</td>
+                                <td className="p-2 text-right font-mono">{row.incoming}</td>
+                                <td className="p-2 text-right font-mono">{row.scheduled}</td>
+                                <td className={`p-2 text-right font-mono ${row.projected <= 0 ? 'text-red-400' : ''}`}>{row.projected}</td>
+                                <td className="p-2 text-right font-mono">{row.dailyUsage.toFixed(2)}</td>
+                                <td className={`p-2 ${row.stockOutBeforeLeadTime ? 'text-red-400 font-semibold' : ''}`}>
+                                    {row.stockOutDate ? `${row.stockOutDate.toLocaleDateString()} (${formatDaysOfCover(row.daysOfCover)})` : '—'}
+                                </td>
+                                <td className="p-2 text-right font-mono">{row.leadTimeDays}d</td>
+                                <td className="p-2 text-right font-mono text-yellow-400">{row.suggestedQty || '—'}</td>
+                                <td className="p-2 text-center">
+                                    {row.suggestedQty > 0 && (
+                                        <button
+                                            onClick={() => onRestock({ ...row, count: row.onHand })}
+                                            className="flex items-center gap-1 text-green-400 hover:text-green-300 transition-colors mx-auto"
+                                            title={`Buy ${row.suggestedQty} ${row.materialType}`}
+                                        >
+                                            <PlusCircle size={16} />
+                                            <span>Buy</span>
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        )}
+    </div>
+);
+
+export const ReorderView = ({ inventorySummary, incomingSummary, scheduledOutgoingSummary, usageLog, materials, onRestock, buyOrders = [], onAddBuyOrderToInventory, onClearAllBuyOrders, onDeleteBuyOrder, onOpenPurchaseOrder, onSendBuyOrder, onTransitionBuyOrder, linkedInventoryByBuyOrder, searchQuery, inventory, suppliers, supplierInfoOverrides }) => {
+    const [forecastWindowDays, setForecastWindowDays] = useState(DEFAULT_FORECAST_WINDOW_DAYS);
+
     const lowStockItems = useMemo(() => {
         const items = [];
         for (const materialType in inventorySummary) {
             const summary = inventorySummary[materialType];
             const materialInfo = materials[materialType];
 
-            for (const length of STANDARD_LENGTHS) {
-                const count = summary[length] || 0;
+            for (const { length, width } of getMaterialSheetSizes(materials, materialType)) {
+                const count = summary[getSheetSizeKey(length, width)] || 0;
                 if (count > 0 && count < 5) {
                     const mostRecentPurchase = inventory
                         .filter(item => item.materialType === materialType && item.supplier)
@@ -197,6 +358,7 @@ export const ReorderView = ({ inventorySummary, materials, onRestock, buyOrders
                         materialType,
                         category: materialInfo?.category || 'N/A',
                         length,
+                        width,
                         count,
                         supplier
                     });
@@ -216,6 +378,26 @@ export const ReorderView = ({ inventorySummary, materials, onRestock, buyOrders
 
     }, [inventorySummary, materials, searchQuery, inventory]);
 
+    const forecastRows = useMemo(() => {
+        const rows = buildReorderForecast({
+            materials,
+            inventory,
+            usageLog,
+            inventorySummary,
+            incomingSummary,
+            scheduledOutgoingSummary,
+            supplierInfoOverrides,
+            windowDays: forecastWindowDays,
+        });
+        if (!searchQuery) return rows;
+        const lowercasedQuery = searchQuery.toLowerCase();
+        return rows.filter(row =>
+            row.materialType.toLowerCase().includes(lowercasedQuery) ||
+            row.category.toLowerCase().includes(lowercasedQuery) ||
+            row.supplier.toLowerCase().includes(lowercasedQuery)
+        );
+    }, [materials, inventory, usageLog, inventorySummary, incomingSummary, scheduledOutgoingSummary, supplierInfoOverrides, forecastWindowDays, searchQuery]);
+
     const lowStockItemsBySupplier = useMemo(() => {
         const lowStockBySupplier = {};
         lowStockItems.forEach(item => {
@@ -229,8 +411,24 @@ export const ReorderView = ({ inventorySummary, materials, onRestock, buyOrders
 
     return (
         <div className="space-y-8">
-            <BuyOrdersBox buyOrders={buyOrders} onAddBuyOrderToInventory={onAddBuyOrderToInventory} onClearAllBuyOrders={onClearAllBuyOrders} onDeleteBuyOrder={onDeleteBuyOrder} />
+            <BuyOrdersBox
+                buyOrders={buyOrders}
+                onAddBuyOrderToInventory={onAddBuyOrderToInventory}
+                onClearAllBuyOrders={onClearAllBuyOrders}
+                onDeleteBuyOrder={onDeleteBuyOrder}
+                onOpenPurchaseOrder={onOpenPurchaseOrder}
+                onSendBuyOrder={onSendBuyOrder}
+                onTransitionBuyOrder={onTransitionBuyOrder}
+                linkedInventoryByBuyOrder={linkedInventoryByBuyOrder}
+            />
             <EmailSupplierBox allSuppliers={suppliers} lowStockItemsBySupplier={lowStockItemsBySupplier} supplierInfoOverrides={supplierInfoOverrides} />
+            <ForecastBox
+                forecastRows={forecastRows}
+                windowDays={forecastWindowDays}
+                onWindowDaysChange={setForecastWindowDays}
+                onRestock={onRestock}
+                searchQuery={searchQuery}
+            />
             <div className="bg-zinc-800 rounded-lg shadow-lg p-4 md:p-6 border border-zinc-700">
                 <h2 className="text-2xl font-bold text-white mb-4">Reorder List</h2>
                 {lowStockItems.length === 0 ? (
@@ -256,7 +454,7 @@ export const ReorderView = ({ inventorySummary, materials, onRestock, buyOrders
                                         <td className="p-2">{item.category}</td>
                                         <td className="p-2">{item.materialType}</td>
                                         <td className="p-2">{item.supplier}</td>
-                                        <td className="p-2">{item.length}"x48"</td>
+                                        <td className="p-2">{formatSheetSize(item)}</td>
                                         <td className="p-2 text-right font-mono text-yellow-400">{item.count}</td>
                                         <td className="p-2 text-center">
                                             <button
@@ -1,7 +1,8 @@
 // src/views/SheetCostCalculatorView.jsx
 
 import React, { useMemo, useState } from 'react';
-import { STANDARD_LENGTHS } from '../constants/materials';
+import { DEFAULT_SHEET_SIZES, DEFAULT_SHEET_WIDTH } from '../constants/materials';
+import { formatSheetSize } from '../utils/sheetSizes';
 
 const DEFAULT_DENSITIES = {
     Steel: 0.2833, // lb/in^3
@@ -33,7 +34,7 @@ export const SheetCostCalculatorView = () => {
     const [costPerPound, setCostPerPound] = useState('');
     const [materialKind, setMaterialKind] = useState('Steel');
     const [customDensity, setCustomDensity] = useState('0.2833');
-    const [customWidth, setCustomWidth] = useState('48');
+    const [customWidth, setCustomWidth] = useState(String(DEFAULT_SHEET_WIDTH));
     const [customLength, setCustomLength] = useState('96');
 
     const effectiveDensity = useMemo(() => {
@@ -42,9 +43,9 @@ export const SheetCostCalculatorView = () => {
     }, [materialKind, customDensity]);
 
     const standardCosts = useMemo(() => {
-        return STANDARD_LENGTHS.map(len => {
-            const result = computeSheetCost(thickness, costPerPound, effectiveDensity, 48, len);
-            return { length: len, width: 48, result };
+        return DEFAULT_SHEET_SIZES.map(({ length, width }) => {
+            const result = computeSheetCost(thickness, costPerPound, effectiveDensity, width, length);
+            return { length, width, result };
         });
     }, [thickness, costPerPound, effectiveDensity]);
 
@@ -162,7 +163,7 @@ export const SheetCostCalculatorView = () => {
             <div className="xl:col-span-2">
                 <div className="bg-zinc-800 rounded-lg shadow-lg border border-zinc-700 p-6">
                     <h2 className="text-xl font-bold text-white mb-2">Standard Sheets</h2>
-                    <p className="text-sm text-zinc-400 mb-4">Calculations assume width 48" and lengths {STANDARD_LENGTHS.map(len => `${len}"`).join(', ')}.</p>
+                    <p className="text-sm text-zinc-400 mb-4">Calculations use the default sheet sizes {DEFAULT_SHEET_SIZES.map(formatSheetSize).join(', ')}.</p>
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                         {standardCosts.map(({ length, width, result }) => (
                             <div key={length} className="p-4 rounded-lg border bg-zinc-900 border-zinc-700">
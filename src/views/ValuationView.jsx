@@ -0,0 +1,187 @@
+// src/views/ValuationView.jsx
+
+import React, { useMemo, useState } from 'react';
+import { Download } from 'lucide-react';
+import { Button } from '../components/common/Button';
+import { exportToCSV } from '../utils/csvExport';
+import { valueInventory } from '../utils/inventoryValuation';
+import { endOfLocalDay, reconstructOnHandAsOf, toLocalDateString } from '../utils/inventorySnapshot';
+
+const formatMoney = (n) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n || 0);
+
+/** Month-end close is the usual reason to look back, so default to the last day of the previous month. */
+const lastMonthEnd = () => {
+    const now = new Date();
+    return toLocalDateString(new Date(now.getFullYear(), now.getMonth(), 0));
+};
+
+const BreakdownTable = ({ title, rows, totalValue }) => (
+    <div className="bg-zinc-800 rounded-2xl shadow-lg p-6 border border-zinc-700">
+        <h3 className="text-xl font-bold text-blue-400 mb-4">{title}</h3>
+        {rows.length === 0 ? (
+            <p className="text-zinc-400">No stock.</p>
+        ) : (
+            <table className="w-full text-sm">
+                <thead className="text-zinc-400 text-left">
+                    <tr>
+                        <th className="py-2 pr-3">{title.replace(/^By /, '')}</th>
+                        <th className="py-2 pr-3 text-right">Sheets</th>
+                        <th className="py-2 pr-3 text-right">Value</th>
+                        <th className="py-2 text-right">Share</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.key} className="border-t border-zinc-700">
+                            <td className="py-2 pr-3 text-zinc-200">
+                                {row.label}
+                                {row.unpriced > 0 && <span className="ml-2 text-xs text-amber-300" title="Sheets with no cost per pound">{row.unpriced} unpriced</span>}
+                            </td>
+                            <td className="py-2 pr-3 text-right font-mono text-zinc-300">
+                                {row.sheets}
+                                {row.remnants > 0 && <span className="text-xs text-zinc-500"> ({row.remnants} rem.)</span>}
+                            </td>
+                            <td className="py-2 pr-3 text-right font-mono text-white">{formatMoney(row.value)}</td>
+                            <td className="py-2 text-right font-mono text-zinc-400">
+                                {totalValue > 0 ? `${((row.value / totalValue) * 100).toFixed(1)}%` : '—'}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )}
+    </div>
+);
+
+export const ValuationView = ({ inventory, usageLog, materials, searchQuery }) => {
+    const [asOfMode, setAsOfMode] = useState(false);
+    const [asOfDate, setAsOfDate] = useState(lastMonthEnd);
+
+    const sheets = useMemo(() => {
+        if (!asOfMode) return inventory.filter(item => item.status === 'On Hand');
+        if (!asOfDate) return [];
+        return reconstructOnHandAsOf(inventory, usageLog, endOfLocalDay(asOfDate));
+    }, [asOfMode, asOfDate, inventory, usageLog]);
+
+    const filteredSheets = useMemo(() => {
+        const q = (searchQuery || '').trim().toLowerCase();
+        if (!q) return sheets;
+        return sheets.filter(sheet =>
+            (sheet.materialType || '').toLowerCase().includes(q) ||
+            (sheet.supplier || '').toLowerCase().includes(q) ||
+            (materials[sheet.materialType]?.category || '').toLowerCase().includes(q));
+    }, [sheets, searchQuery, materials]);
+
+    const valuation = useMemo(() => valueInventory(filteredSheets, materials), [filteredSheets, materials]);
+    const asOfLabel = asOfMode ? `as of ${new Date(`${asOfDate}T00:00:00`).toLocaleDateString()}` : 'now';
+
+    const handleExport = () => {
+        const headers = [
+            { label: 'Material', key: 'materialType' },
+            { label: 'Category', key: 'category' },
+            { label: 'Supplier', key: 'supplier' },
+            { label: 'In Stock Since', key: 'inStockDate' },
+            { label: 'Cost Per Pound', key: 'costPerPound' },
+            { label: 'Sheets', key: 'sheets' },
+            { label: 'Value', key: 'value' },
+        ];
+        const rows = valuation.layers.map(layer => ({ ...layer, value: layer.value.toFixed(2) }));
+        exportToCSV(rows, headers, `inventory_valuation_${asOfMode ? asOfDate : toLocalDateString(new Date())}.csv`);
+    };
+
+    return (
+        <div className="space-y-8">
+            <div className="flex flex-wrap items-end justify-between gap-4">
+                <div>
+                    <h2 className="text-2xl font-bold text-white">Inventory Valuation</h2>
+                    <p className="text-sm text-zinc-400">
+                        On-hand sheets priced at their own received cost per pound (FIFO layers), {asOfLabel}.
+                    </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center gap-2 text-sm text-zinc-300">
+                        <input type="checkbox" checked={asOfMode} onChange={(e) => setAsOfMode(e.target.checked)} />
+                        As of date
+                    </label>
+                    {asOfMode && (
+                        <input
+                            type="date"
+                            value={asOfDate}
+                            max={toLocalDateString(new Date())}
+                            onChange={(e) => setAsOfDate(e.target.value)}
+                            className="p-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white"
+                        />
+                    )}
+                    <Button variant="secondary" className="px-3 py-2 text-sm" onClick={handleExport} disabled={valuation.layers.length === 0}>
+                        <Download size={16} /> <span>Export CSV</span>
+                    </Button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-zinc-800 rounded-2xl p-5 border border-zinc-700">
+                    <p className="text-sm text-zinc-400">Total value</p>
+                    <p className="text-3xl font-bold text-white font-mono">{formatMoney(valuation.totalValue)}</p>
+                </div>
+                <div className="bg-zinc-800 rounded-2xl p-5 border border-zinc-700">
+                    <p className="text-sm text-zinc-400">Sheets on hand</p>
+                    <p className="text-3xl font-bold text-white font-mono">{valuation.totalSheets}</p>
+                </div>
+                <div className="bg-zinc-800 rounded-2xl p-5 border border-zinc-700">
+                    <p className="text-sm text-zinc-400">Unpriced sheets</p>
+                    <p className={`text-3xl font-bold font-mono ${valuation.unpricedSheets ? 'text-amber-300' : 'text-white'}`}>{valuation.unpricedSheets}</p>
+                </div>
+            </div>
+            {asOfMode && (
+                <p className="text-xs text-zinc-500">
+                    Past stock is rebuilt from each sheet&apos;s receipt date and the usage logs that consumed it. Sheets deleted outright leave no history and are not included.
+                </p>
+            )}
+
+            <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+                <BreakdownTable title="By Category" rows={valuation.byCategory} totalValue={valuation.totalValue} />
+                <BreakdownTable title="By Supplier" rows={valuation.bySupplier} totalValue={valuation.totalValue} />
+                <BreakdownTable title="By Material" rows={valuation.byMaterial} totalValue={valuation.totalValue} />
+            </div>
+
+            <div className="bg-zinc-800 rounded-2xl shadow-lg p-6 border border-zinc-700">
+                <h3 className="text-xl font-bold text-blue-400 mb-1">FIFO Layers</h3>
+                <p className="text-sm text-zinc-400 mb-4">One row per receipt still in stock, oldest first within each material — the next sheets used come from the top.</p>
+                {valuation.layers.length === 0 ? (
+                    <p className="text-zinc-400">No stock.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="text-zinc-400 text-left">
+                                <tr>
+                                    <th className="py-2 pr-3">Material</th>
+                                    <th className="py-2 pr-3">Supplier</th>
+                                    <th className="py-2 pr-3">In Stock Since</th>
+                                    <th className="py-2 pr-3 text-right">$/lb</th>
+                                    <th className="py-2 pr-3 text-right">Sheets</th>
+                                    <th className="py-2 text-right">Value</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {valuation.layers.map(layer => (
+                                    <tr key={layer.key} className="border-t border-zinc-700">
+                                        <td className="py-2 pr-3 text-zinc-200">{layer.materialType}</td>
+                                        <td className="py-2 pr-3 text-zinc-300">{layer.supplier}</td>
+                                        <td className="py-2 pr-3 text-zinc-300">
+                                            {layer.inStockDate ? new Date(`${layer.inStockDate}T00:00:00`).toLocaleDateString() : '—'}
+                                        </td>
+                                        <td className="py-2 pr-3 text-right font-mono text-zinc-300">
+                                            {layer.costPerPound > 0 ? formatMoney(layer.costPerPound) : <span className="text-amber-300">—</span>}
+                                        </td>
+                                        <td className="py-2 pr-3 text-right font-mono text-zinc-300">{layer.sheets}</td>
+                                        <td className="py-2 text-right font-mono text-white">{formatMoney(layer.value)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
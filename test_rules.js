@@ -1,64 +1,263 @@
+// Firestore rules tests against the emulator. Run with `npm run test:rules` (needs firebase-tools and Java),
+// or `node test_rules.js` while an emulator started with `firebase emulators:start --only firestore` is running.
 const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
 const fs = require('fs');
 
-async function run() {
-  const testEnv = await initializeTestEnvironment({
-    projectId: 'tecnopan-inventory',
-    firestore: {
-      rules: fs.readFileSync('firestore.rules', 'utf8'),
-    },
-  });
+const { serverTimestamp } = (firebase.default || firebase).firestore.FieldValue;
 
+const APP_ID = 'tecnopan-inventory-app';
+const ALLOWLIST_PATH = `artifacts/${APP_ID}/config/access_allowlist`;
+const memberPath = (email) => `${ALLOWLIST_PATH}/members/${email}`;
+const dataPath = (coll) => `artifacts/${APP_ID}/public/data/${coll}`;
+
+const SEED_EMAILS = ['test@example.com', 'another@gmail.com', 'viewer@example.com', 'buyer@example.com', 'boss@example.com', 'Mixed.Case@Example.com'];
+const SEED_ROLES = {
+  'test@example.com': 'shop_floor',
+  'viewer@example.com': 'viewer',
+  'buyer@example.com': 'purchaser',
+  'boss@example.com': 'admin',
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+async function seed(testEnv) {
+  await testEnv.clearFirestore();
   await testEnv.withSecurityRulesDisabled(async (context) => {
     const db = context.firestore();
-    await db.doc('artifacts/tecnopan-inventory-app/config/access_allowlist').set({
-      emails: ['test@example.com', 'another@gmail.com']
-    });
+    await db.doc(ALLOWLIST_PATH).set({ emails: SEED_EMAILS, roles: SEED_ROLES });
+    await db.doc(memberPath('test@example.com')).set({ email: 'test@example.com', role: 'shop_floor' });
+    await db.doc(memberPath('another@gmail.com')).set({ email: 'another@gmail.com', role: 'viewer' });
+    await db.doc(`${dataPath('inventory')}/sheet-1`).set({ materialType: 'HR 10GA', status: 'On Hand' });
+    await db.doc(`${dataPath('materials')}/HR 10GA`).set({ category: 'Hot Rolled' });
   });
+}
 
-  const alice = testEnv.authenticatedContext('alice', {
-    email: 'test@example.com',
-    email_verified: true
-  });
+function userDb(testEnv, email) {
+  return testEnv.authenticatedContext(email.replace(/[^a-z0-9]/gi, '-'), { email, email_verified: true }).firestore();
+}
 
-  const db = alice.firestore();
+// --- Reads (the original checks) ---
 
-  try {
-    await assertSucceeds(db.collection('artifacts/tecnopan-inventory-app/public/data/inventory').get());
-    console.log('Read inventory succeeded for test@example.com');
-  } catch (e) {
-    console.error('Read inventory failed for test@example.com:', e);
-  }
+test('allowlisted email can read inventory', async (env) => {
+  await assertSucceeds(userDb(env, 'test@example.com').collection(dataPath('inventory')).get());
+});
 
-  const bob = testEnv.authenticatedContext('bob', {
-    email: 'another@gmail.com',
-    email_verified: true
-  });
+test('googlemail twin of an allowlisted gmail address can read inventory', async (env) => {
+  await assertSucceeds(userDb(env, 'another@googlemail.com').collection(dataPath('inventory')).get());
+});
 
-  const dbBob = bob.firestore();
+test('fallback staff can read inventory', async (env) => {
+  await assertSucceeds(userDb(env, 'sahjin.ribeiro@gmail.com').collection(dataPath('inventory')).get());
+});
 
-  try {
-    await assertSucceeds(dbBob.collection('artifacts/tecnopan-inventory-app/public/data/inventory').get());
-    console.log('Read inventory succeeded for another@gmail.com');
-  } catch (e) {
-    console.error('Read inventory failed for another@gmail.com:', e);
-  }
+test('outsider cannot read inventory', async (env) => {
+  await assertFails(userDb(env, 'mallory@example.com').collection(dataPath('inventory')).get());
+});
+
+test('signed-out user cannot read the allowlist', async (env) => {
+  await assertFails(env.unauthenticatedContext().firestore().doc(ALLOWLIST_PATH).get());
+});
+
+// --- Outsiders cannot escalate through the allowlist ---
+
+test('outsider cannot add themselves to the allowlist', async (env) => {
+  const db = userDb(env, 'mallory@example.com');
+  await assertFails(db.doc(ALLOWLIST_PATH).set({ emails: [...SEED_EMAILS, 'mallory@example.com'] }, { merge: true }));
+});
+
+test('outsider cannot swap an existing entry for their own email', async (env) => {
+  const db = userDb(env, 'mallory@example.com');
+  await assertFails(db.doc(ALLOWLIST_PATH).update({
+    emails: SEED_EMAILS.map((e) => (e === 'test@example.com' ? 'mallory@example.com' : e)),
+  }));
+});
+
+test('outsider cannot give themselves a role', async (env) => {
+  const db = userDb(env, 'mallory@example.com');
+  await assertFails(db.doc(ALLOWLIST_PATH).set({ roles: { 'mallory@example.com': 'admin' } }, { merge: true }));
+});
+
+test('outsider cannot replace or delete the allowlist', async (env) => {
+  const db = userDb(env, 'mallory@example.com');
+  await assertFails(db.doc(ALLOWLIST_PATH).set({ emails: ['mallory@example.com'] }));
+  await assertFails(db.doc(ALLOWLIST_PATH).delete());
+});
+
+test('outsider cannot create the allowlist when it is missing', async (env) => {
+  await env.withSecurityRulesDisabled((context) => context.firestore().doc(ALLOWLIST_PATH).delete());
+  await assertFails(userDb(env, 'mallory@example.com').doc(ALLOWLIST_PATH).set({ emails: ['mallory@example.com'] }));
+});
+
+test('outsider cannot write app data', async (env) => {
+  const db = userDb(env, 'mallory@example.com');
+  await assertFails(db.doc(`${dataPath('inventory')}/sheet-2`).set({ materialType: 'HR 10GA' }));
+  await assertFails(db.doc(`${dataPath('backups')}/b1`).set({ createdAt: 'now' }));
+});
+
+// --- Reading the allowlist ---
+
+test('only admins can read the whole allowlist', async (env) => {
+  await assertFails(userDb(env, 'test@example.com').doc(ALLOWLIST_PATH).get());
+  await assertFails(userDb(env, 'buyer@example.com').doc(ALLOWLIST_PATH).get());
+  await assertFails(userDb(env, 'mallory@example.com').doc(ALLOWLIST_PATH).get());
+  await assertSucceeds(userDb(env, 'boss@example.com').doc(ALLOWLIST_PATH).get());
+  await assertSucceeds(userDb(env, 'sahjin.ribeiro@gmail.com').doc(ALLOWLIST_PATH).get());
+});
 
-  const charlie = testEnv.authenticatedContext('charlie', {
-    email: 'sahjin.ribeiro@gmail.com',
-    email_verified: true
+test('a user can read their own member entry but no one else\'s', async (env) => {
+  const db = userDb(env, 'test@example.com');
+  await assertSucceeds(db.doc(memberPath('test@example.com')).get());
+  await assertFails(db.doc(memberPath('another@gmail.com')).get());
+  await assertFails(db.collection(`${ALLOWLIST_PATH}/members`).get());
+});
+
+test('googlemail twin can read the gmail member entry', async (env) => {
+  await assertSucceeds(userDb(env, 'another@googlemail.com').doc(memberPath('another@gmail.com')).get());
+});
+
+test('admins can list member entries', async (env) => {
+  await assertSucceeds(userDb(env, 'boss@example.com').collection(`${ALLOWLIST_PATH}/members`).get());
+});
+
+test('non-admins cannot write member entries, even their own', async (env) => {
+  await assertFails(userDb(env, 'test@example.com').doc(memberPath('test@example.com')).set({ email: 'test@example.com', role: 'admin' }));
+  await assertFails(userDb(env, 'mallory@example.com').doc(memberPath('mallory@example.com')).set({ email: 'mallory@example.com', role: 'admin' }));
+});
+
+test('non-admins cannot rewrite the list, even to fix their own casing', async (env) => {
+  const db = userDb(env, 'mixed.case@example.com');
+  await assertFails(db.doc(ALLOWLIST_PATH).update({
+    emails: SEED_EMAILS.map((e) => (e === 'Mixed.Case@Example.com' ? 'mixed.case@example.com' : e)),
+  }));
+});
+
+test('admin can lowercase a miscased entry', async (env) => {
+  await assertSucceeds(userDb(env, 'boss@example.com').doc(ALLOWLIST_PATH).update({
+    emails: SEED_EMAILS.map((e) => e.toLowerCase()),
+    updatedAt: new Date().toISOString(),
+  }));
+  await assertSucceeds(userDb(env, 'mixed.case@example.com').collection(dataPath('inventory')).get());
+});
+
+// --- Roles ---
+
+test('shop floor cannot promote themselves or add emails', async (env) => {
+  const db = userDb(env, 'test@example.com');
+  await assertFails(db.doc(ALLOWLIST_PATH).set({ roles: { 'test@example.com': 'admin' } }, { merge: true }));
+  await assertFails(db.doc(ALLOWLIST_PATH).update({ emails: [...SEED_EMAILS, 'friend@example.com'] }));
+});
+
+test('purchaser cannot promote themselves', async (env) => {
+  const db = userDb(env, 'buyer@example.com');
+  await assertFails(db.doc(ALLOWLIST_PATH).set({ roles: { 'buyer@example.com': 'admin' } }, { merge: true }));
+});
+
+test('viewer can read but not write stock', async (env) => {
+  const db = userDb(env, 'viewer@example.com');
+  await assertSucceeds(db.collection(dataPath('inventory')).get());
+  await assertFails(db.doc(`${dataPath('inventory')}/sheet-1`).update({ status: 'Used' }));
+});
+
+test('an allowlisted email with no saved role is a viewer', async (env) => {
+  const db = userDb(env, 'another@gmail.com');
+  await assertSucceeds(db.collection(dataPath('inventory')).get());
+  await assertFails(db.doc(`${dataPath('inventory')}/sheet-1`).update({ status: 'Used' }));
+});
+
+test('shop floor can use stock but not edit the catalog', async (env) => {
+  const db = userDb(env, 'test@example.com');
+  await assertSucceeds(db.doc(`${dataPath('inventory')}/sheet-1`).update({ status: 'Used' }));
+  await assertFails(db.doc(`${dataPath('materials')}/HR 10GA`).update({ category: 'Other' }));
+});
+
+test('purchaser can edit but not delete materials', async (env) => {
+  const db = userDb(env, 'buyer@example.com');
+  await assertSucceeds(db.doc(`${dataPath('materials')}/HR 10GA`).update({ category: 'Other' }));
+  await assertFails(db.doc(`${dataPath('materials')}/HR 10GA`).delete());
+});
+
+test('admin can manage emails, roles and materials', async (env) => {
+  const db = userDb(env, 'boss@example.com');
+  await assertSucceeds(db.doc(ALLOWLIST_PATH).set({
+    emails: [...SEED_EMAILS, 'new@example.com'],
+    roles: { 'new@example.com': 'purchaser' },
+  }, { merge: true }));
+  await assertSucceeds(db.doc(`${dataPath('materials')}/HR 10GA`).delete());
+});
+
+test('fallback staff are admins even with a lower saved role', async (env) => {
+  await env.withSecurityRulesDisabled((context) => context.firestore().doc(ALLOWLIST_PATH)
+    .set({ roles: { 'sahjin.ribeiro@gmail.com': 'viewer' } }, { merge: true }));
+  const db = userDb(env, 'sahjin.ribeiro@gmail.com');
+  await assertSucceeds(db.doc(ALLOWLIST_PATH).set({ roles: { 'test@example.com': 'viewer' } }, { merge: true }));
+});
+
+test('a delete can leave its tombstone in the same batch', async (env) => {
+  const db = userDb(env, 'buyer@example.com');
+  const batch = db.batch();
+  batch.delete(db.doc(`${dataPath('inventory')}/sheet-1`));
+  batch.set(db.doc(`${dataPath('deleted_docs')}/inventory__sheet-1`), { collection: 'inventory', docId: 'sheet-1', deletedAt: serverTimestamp() });
+  await assertSucceeds(batch.commit());
+});
+
+test('a batch can delete 25 docs with their tombstones', async (env) => {
+  await env.withSecurityRulesDisabled(async (context) => {
+    const batch = context.firestore().batch();
+    for (let i = 0; i < 25; i += 1) batch.set(context.firestore().doc(`${dataPath('inventory')}/bulk-${i}`), { materialType: 'HR 10GA', status: 'On Hand' });
+    await batch.commit();
   });
+  const db = userDb(env, 'buyer@example.com');
+  const batch = db.batch();
+  for (let i = 0; i < 25; i += 1) {
+    batch.delete(db.doc(`${dataPath('inventory')}/bulk-${i}`));
+    batch.set(db.doc(`${dataPath('deleted_docs')}/inventory__bulk-${i}`), { collection: 'inventory', docId: `bulk-${i}`, deletedAt: serverTimestamp() });
+  }
+  await assertSucceeds(batch.commit());
+});
 
-  const dbCharlie = charlie.firestore();
+test('a tombstone must be stamped with the server time under its own id', async (env) => {
+  const db = userDb(env, 'test@example.com');
+  await assertFails(db.doc(`${dataPath('deleted_docs')}/inventory__sheet-1`)
+    .set({ collection: 'inventory', docId: 'sheet-1', deletedAt: new Date('2020-01-01') }));
+  await assertFails(db.doc(`${dataPath('deleted_docs')}/inventory__sheet-2`)
+    .set({ collection: 'inventory', docId: 'sheet-1', deletedAt: serverTimestamp() }));
+});
+
+test('stock counters are readable but only the functions write them', async (env) => {
+  await assertSucceeds(userDb(env, 'viewer@example.com').collection(dataPath('inventory_summaries')).get());
+  await assertFails(userDb(env, 'boss@example.com').doc(`${dataPath('inventory_summaries')}/HR 10GA`)
+    .set({ materialType: 'HR 10GA', onHand: { total: 99 } }));
+});
+
+async function run() {
+  const testEnv = await initializeTestEnvironment({
+    projectId: 'tecnopan-inventory',
+    firestore: {
+      rules: fs.readFileSync('firestore.rules', 'utf8'),
+    },
+  });
 
-  try {
-    await assertSucceeds(dbCharlie.collection('artifacts/tecnopan-inventory-app/public/data/inventory').get());
-    console.log('Read inventory succeeded for sahjin.ribeiro@gmail.com (fallback)');
-  } catch (e) {
-    console.error('Read inventory failed for sahjin.ribeiro@gmail.com:', e);
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    await seed(testEnv);
+    try {
+      await fn(testEnv);
+      console.log(`PASS  ${name}`);
+    } catch (e) {
+      failed += 1;
+      console.error(`FAIL  ${name}\n      ${e?.message || e}`);
+    }
   }
 
   await testEnv.cleanup();
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  if (failed > 0) process.exitCode = 1;
 }
 
-run().catch(console.error);
+run().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});